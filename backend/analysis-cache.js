@@ -0,0 +1,305 @@
+/**
+ * Analysis cache for model-backed endpoints
+ * An in-memory LRU, optionally backed by a directory of JSON files so entries survive
+ * restarts and can be shared by instances on the same disk. Identical requests that
+ * arrive while the first one is still running wait for it instead of calling the model again.
+ */
+
+import { createHash } from 'crypto';
+import { mkdir, readFile, readdir, writeFile, rm, access, constants } from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Normalize article text for cache keys: Unicode form and whitespace differences
+ * (e.g. from different extraction runs) do not change the key
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * SHA-256 hex digest of a string
+ * @param {string} text
+ * @returns {string}
+ */
+export function hashText(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Build a cache key from request parts
+ * @param {string} namespace - Endpoint, e.g. "analyze"
+ * @param {Object} parts - JSON-serializable request parts (already normalized)
+ * @returns {string} Hex digest prefixed with the namespace
+ */
+export function buildCacheKey(namespace, parts) {
+  return `${namespace}-${hashText(JSON.stringify(parts))}`;
+}
+
+/**
+ * In-memory LRU store
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxEntries] - Entries kept before the least recently used is evicted (default: 500)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 500;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Map keeps insertion order; re-inserting marks the entry most recently used
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Directory of JSON files, one per entry
+ * Expired files are deleted every `cleanupIntervalMs`, not only when their key is read again.
+ */
+export class FileCacheStore {
+  /**
+   * @param {string} dir - Directory for cache files (created on first write)
+   * @param {Object} [options]
+   * @param {number} [options.cleanupIntervalMs] - How often expired files are deleted (default: 10 minutes)
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.now = options.now || Date.now;
+
+    // unref so the timer never keeps the process alive
+    this.cleanupInterval = setInterval(() => {
+      this.cleanup().catch(error => logger.warn('Cache cleanup failed', { error: error.message }));
+    }, options.cleanupIntervalMs || 600000);
+    this.cleanupInterval.unref();
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Unreadable cache file', { key, error: error.message });
+      }
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    await mkdir(this.dir, { recursive: true });
+    // Write then rename would be atomic, but a torn file only costs one cache miss
+    await writeFile(this.filePath(key), JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    await rm(this.filePath(key), { force: true });
+  }
+
+  /**
+   * Delete expired entries, and files that cannot be read
+   * @returns {Promise<number>} Files deleted
+   */
+  async cleanup() {
+    let names;
+    try {
+      names = await readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let deleted = 0;
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const key = name.slice(0, -'.json'.length);
+      const entry = await this.get(key);
+      if (!(entry?.expiresAt > this.now())) {
+        await this.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+  }
+
+  /**
+   * The directory exists (or can be created) and is writable
+   */
+  async check() {
+    await mkdir(this.dir, { recursive: true });
+    await access(this.dir, constants.W_OK);
+  }
+}
+
+/**
+ * TTL cache with single-flight computation
+ */
+export class AnalysisCache {
+  /**
+   * @param {Object} options
+   * @param {number} [options.ttlMs] - Entry lifetime; 0 disables caching (single-flight still applies)
+   * @param {number} [options.maxEntries] - Memory LRU size
+   * @param {string} [options.dir] - Directory for the on-disk store (memory only when omitted)
+   * @param {number} [options.cleanupIntervalMs] - How often the on-disk store deletes expired entries
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? 3600000;
+    this.now = options.now || Date.now;
+    this.memory = new MemoryCacheStore({ maxEntries: options.maxEntries });
+    this.disk = options.dir ? new FileCacheStore(options.dir, { cleanupIntervalMs: options.cleanupIntervalMs, now: this.now }) : null;
+    this.inflight = new Map();
+  }
+
+  /**
+   * Look up a fresh entry (memory first, then disk)
+   * @param {string} key
+   * @returns {Promise<*>} Cached value, or undefined
+   */
+  async get(key) {
+    if (this.ttlMs <= 0) return undefined;
+
+    let entry = await this.memory.get(key);
+    if (!entry && this.disk) {
+      entry = await this.disk.get(key);
+      if (entry && entry.expiresAt > this.now()) {
+        await this.memory.set(key, entry);
+      }
+    }
+
+    if (!entry) return undefined;
+    if (entry.expiresAt <= this.now()) {
+      await this.memory.delete(key);
+      if (this.disk) await this.disk.delete(key).catch(() => {});
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value for the configured TTL
+   * @param {string} key
+   * @param {*} value - JSON-serializable value
+   */
+  async set(key, value) {
+    if (this.ttlMs <= 0) return;
+    const entry = { value, expiresAt: this.now() + this.ttlMs };
+    await this.memory.set(key, entry);
+    if (this.disk) {
+      // The disk store is best effort; the memory copy still serves this instance
+      await this.disk.set(key, entry).catch(error => logger.warn('Cache write failed', { key, error: error.message }));
+    }
+  }
+
+  /**
+   * Return the cached value, join an identical computation in flight, or compute it
+   * The computation is cancelled (its signal aborted) only once every caller waiting for it has
+   * aborted; a caller without a signal keeps it running.
+   * @param {string} key
+   * @param {Function} compute - Async function producing the value, called with an AbortSignal
+   * @param {Object} options
+   * @param {Function} [options.shouldCache] - Predicate; values it rejects are returned but not stored
+   * @param {AbortSignal} [options.signal] - Aborts when this caller no longer needs the value
+   * @returns {Promise<{value: *, status: 'hit'|'miss'|'coalesced'}>}
+   */
+  async getOrCompute(key, compute, options = {}) {
+    const cached = await this.get(key);
+    if (cached !== undefined) {
+      return { value: cached, status: 'hit' };
+    }
+
+    // A computation already cancelled is left to fail; this caller starts a new one
+    const pending = this.inflight.get(key);
+    if (pending && !pending.signal.aborted) {
+      pending.join(options.signal);
+      return { value: await pending.promise, status: 'coalesced' };
+    }
+
+    const shouldCache = options.shouldCache || (() => true);
+    const controller = new AbortController();
+    let waiting = 0;
+    const join = signal => {
+      waiting++;
+      if (!signal) {
+        // Never leaves, so the computation is never cancelled
+        return;
+      }
+      const leave = () => {
+        if (--waiting === 0) controller.abort(signal.reason);
+      };
+      if (signal.aborted) leave();
+      else signal.addEventListener('abort', leave, { once: true });
+    };
+
+    const promise = (async () => {
+      const value = await compute(controller.signal);
+      if (shouldCache(value)) {
+        await this.set(key, value);
+      }
+      return value;
+    })();
+    const entry = { promise, join, signal: controller.signal };
+    this.inflight.set(key, entry);
+    join(options.signal);
+
+    try {
+      return { value: await promise, status: 'miss' };
+    } finally {
+      if (this.inflight.get(key) === entry) {
+        this.inflight.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check the disk store, when there is one
+   * It is best effort (entries stay in memory when it fails), so problems are warnings
+   * @returns {Promise<{store: string, warnings?: string[]}>}
+   */
+  async check() {
+    if (!this.disk) return { store: 'memory' };
+    try {
+      await this.disk.check();
+      return { store: 'file' };
+    } catch (error) {
+      return { store: 'file', warnings: [`CACHE_DIR is not writable, caching in memory only: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Stop the on-disk store's cleanup
+   */
+  destroy() {
+    this.disk?.destroy();
+  }
+}
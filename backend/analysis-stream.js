@@ -0,0 +1,207 @@
+/**
+ * Incremental parsing of streamed analysis output
+ * Emits definitions and arguments as soon as each one is complete in the model stream,
+ * without waiting for the whole JSON document.
+ */
+
+/**
+ * Format a Server-Sent Event frame
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string} SSE frame
+ */
+export function formatSSE(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Streaming scanner for the analysis JSON schema:
+ *   { "definitions": [{term, definition, quotes}], "arguments": { "main": [{text, quotes}], "counter": [{text, quotes}] } }
+ *
+ * Arguments given as plain strings (the older schema) are accepted too.
+ *
+ * Text before the first "{" (e.g. a ```json fence) and after the root object closes is ignored.
+ */
+export class IncrementalAnalysisParser {
+  constructor() {
+    this.buffer = '';
+    this.pos = 0;
+    this.started = false;
+    this.done = false;
+    this.stack = [];
+    this.inString = false;
+    this.escape = false;
+    this.stringStart = -1;
+  }
+
+  /**
+   * Feed the next chunk of model output
+   * @param {string} chunk - Text chunk
+   * @returns {Array<{type: string, data: Object}>} Events completed by this chunk
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const events = [];
+
+    for (; this.pos < this.buffer.length && !this.done; this.pos++) {
+      const ch = this.buffer[this.pos];
+
+      if (!this.started) {
+        if (ch === '{') {
+          this.started = true;
+          this.openContainer('object');
+        }
+        continue;
+      }
+
+      if (this.inString) {
+        if (this.escape) {
+          this.escape = false;
+        } else if (ch === '\\') {
+          this.escape = true;
+        } else if (ch === '"') {
+          this.inString = false;
+          this.closeString(events);
+        }
+        continue;
+      }
+
+      const top = this.stack[this.stack.length - 1];
+
+      switch (ch) {
+        case '"':
+          this.inString = true;
+          this.stringStart = this.pos;
+          break;
+        case '{':
+          this.openContainer('object');
+          break;
+        case '[':
+          this.openContainer('array');
+          break;
+        case '}':
+        case ']':
+          this.closeContainer(events);
+          break;
+        case ':':
+          if (top.type === 'object') top.expectKey = false;
+          break;
+        case ',':
+          if (top.type === 'object') top.expectKey = true;
+          else top.index++;
+          break;
+        default:
+          break;
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Key under which a new child of the current container lives
+   * @returns {string|number|null}
+   */
+  childKey() {
+    const parent = this.stack[this.stack.length - 1];
+    if (!parent) return null;
+    return parent.type === 'object' ? parent.lastKey : parent.index;
+  }
+
+  /**
+   * Path of keys from the root object to the current container
+   * @returns {Array<string|number>}
+   */
+  currentPath() {
+    return this.stack.slice(1).map(entry => entry.key);
+  }
+
+  openContainer(type) {
+    this.stack.push({
+      type,
+      key: this.childKey(),
+      start: this.pos,
+      expectKey: type === 'object',
+      lastKey: null,
+      index: 0
+    });
+  }
+
+  closeContainer(events) {
+    const path = this.currentPath();
+    const entry = this.stack.pop();
+
+    if (this.stack.length === 0) {
+      this.done = true;
+      return;
+    }
+
+    // definitions[i] object completed
+    if (entry.type === 'object' && path.length === 2 && path[0] === 'definitions') {
+      try {
+        const def = JSON.parse(this.buffer.slice(entry.start, this.pos + 1));
+        if (def && typeof def.term === 'string' && typeof def.definition === 'string' &&
+            def.term.trim().length > 0 && def.definition.trim().length > 0) {
+          events.push({
+            type: 'definition',
+            data: { term: def.term.trim(), definition: def.definition.trim(), quotes: streamedQuotes(def.quotes) }
+          });
+        }
+      } catch {
+        // Malformed item - the final parse pass decides what survives
+      }
+    }
+
+    // arguments.main[i] / arguments.counter[i] object completed
+    if (entry.type === 'object' && path.length === 3 && path[0] === 'arguments' &&
+        (path[1] === 'main' || path[1] === 'counter')) {
+      try {
+        const arg = JSON.parse(this.buffer.slice(entry.start, this.pos + 1));
+        if (arg && typeof arg.text === 'string' && arg.text.trim().length > 0) {
+          events.push({
+            type: 'argument',
+            data: { kind: path[1], text: arg.text.trim(), quotes: streamedQuotes(arg.quotes) }
+          });
+        }
+      } catch {
+        // Malformed item - the final parse pass decides what survives
+      }
+    }
+  }
+
+  closeString(events) {
+    const top = this.stack[this.stack.length - 1];
+    let value;
+    try {
+      value = JSON.parse(this.buffer.slice(this.stringStart, this.pos + 1));
+    } catch {
+      return;
+    }
+
+    if (top.type === 'object' && top.expectKey) {
+      top.lastKey = value;
+      return;
+    }
+
+    // arguments.main[i] / arguments.counter[i] string completed
+    const path = this.currentPath();
+    if (top.type === 'array' && path.length === 2 && path[0] === 'arguments' &&
+        (path[1] === 'main' || path[1] === 'counter') && value.trim().length > 0) {
+      events.push({
+        type: 'argument',
+        data: { kind: path[1], text: value.trim(), quotes: [] }
+      });
+    }
+  }
+}
+
+/**
+ * Keep the string quotes of a streamed item
+ * @param {*} quotes - Value of the item's `quotes` field
+ * @returns {string[]}
+ */
+function streamedQuotes(quotes) {
+  return Array.isArray(quotes) ? quotes.filter(quote => typeof quote === 'string').slice(0, 3) : [];
+}
+
+export default IncrementalAnalysisParser;
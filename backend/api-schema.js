@@ -0,0 +1,841 @@
+/**
+ * API contract
+ * JSON schemas for every request body and response, and the OpenAPI 3.1 document built from
+ * them (served at /openapi.json). request-validation.js checks requests against the same
+ * schema objects, so what is documented is what is enforced.
+ *
+ * Request schemas use the keywords request-validation.js supports; response schemas are
+ * documentation only.
+ */
+
+import { readFileSync } from 'fs';
+import { VALIDATION_CODES } from './request-validation.js';
+
+const { version } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+
+export const MAX_ARTICLE_CHARS = 500000;
+export const MAX_CONCEPTS = 20;
+export const MAX_SEARCH_QUERY_CHARS = 500;
+export const MAX_QUESTION_CHARS = 1000;
+// /ask context: what fits in its prompt (see ask.js)
+export const MAX_HISTORY_TURNS = 10;
+export const MAX_HISTORY_TURN_CHARS = 2000;
+export const MAX_ANALYSIS_ITEMS = 20;
+export const MAX_ANALYSIS_ITEM_CHARS = 1000;
+
+const ARTICLE_TEXT = {
+  type: 'string',
+  format: 'non-blank',
+  maxLength: MAX_ARTICLE_CHARS,
+  description: 'Article text'
+};
+
+// Argument items are objects ({ text }) or, from older clients, plain strings
+const ANALYSIS_ARGUMENTS = {
+  type: 'array',
+  maxItems: MAX_ANALYSIS_ITEMS,
+  items: {
+    maxLength: MAX_ANALYSIS_ITEM_CHARS,
+    properties: { text: { type: 'string', maxLength: MAX_ANALYSIS_ITEM_CHARS } }
+  }
+};
+
+const LANGUAGE_FIELDS = {
+  language: {
+    type: 'string',
+    format: 'language-tag',
+    description: 'BCP 47 tag of the article language, e.g. "de" (default: detected by the model)'
+  },
+  outputLanguage: {
+    type: 'string',
+    format: 'output-language',
+    description: 'BCP 47 tag of the language results are written in, or "auto" for the article language (default: "en")'
+  }
+};
+
+/**
+ * Request body schemas
+ * @param {Object} options
+ * @param {number} options.maxClaims - Largest `maxClaims` accepted by /factcheck
+ * @param {number} options.minCompareArticles - Fewest articles accepted by /compare
+ * @param {number} options.maxCompareArticles - Most articles accepted by /compare
+ * @param {Array<{name: string, description: string}>} [options.profiles] - Analysis profiles accepted by /analyze
+ * @param {string} [options.defaultProfile] - Profile used when a request names none
+ * @returns {Object} Schemas by name; `jobInputs` holds the input schema of each job type
+ */
+export function createRequestSchemas({ maxClaims, minCompareArticles, maxCompareArticles, profiles = [], defaultProfile }) {
+  const analyze = {
+    type: 'object',
+    properties: {
+      article: ARTICLE_TEXT,
+      concepts: {
+        type: 'array',
+        maxItems: MAX_CONCEPTS,
+        items: { type: 'string' },
+        description: 'Terms the user wants defined, in addition to the ones the model picks'
+      },
+      ...LANGUAGE_FIELDS
+    },
+    required: ['article']
+  };
+  if (profiles.length > 0) {
+    analyze.properties.profile = {
+      type: 'string',
+      enum: profiles.map(profile => profile.name),
+      description: `Kind of text, which selects the analysis prompt (default: "${defaultProfile}"). ${profiles.map(profile => `${profile.name}: ${profile.description}`).join('. ')}.`
+    };
+  }
+
+  const search = {
+    type: 'object',
+    properties: {
+      searchQuery: {
+        type: 'string',
+        format: 'non-blank',
+        maxLength: MAX_SEARCH_QUERY_CHARS,
+        description: 'What to find related articles about, usually the article title'
+      },
+      ...LANGUAGE_FIELDS
+    },
+    required: ['searchQuery']
+  };
+
+  const factcheck = {
+    type: 'object',
+    properties: {
+      article: ARTICLE_TEXT,
+      maxClaims: {
+        type: 'integer',
+        minimum: 1,
+        maximum: maxClaims,
+        description: `Number of claims to check (default: ${maxClaims})`
+      }
+    },
+    required: ['article']
+  };
+
+  const compare = {
+    type: 'object',
+    properties: {
+      articles: {
+        type: 'array',
+        minItems: minCompareArticles,
+        maxItems: maxCompareArticles,
+        items: {
+          type: 'object',
+          properties: {
+            text: ARTICLE_TEXT,
+            url: { type: 'string' },
+            title: { type: 'string' }
+          },
+          required: ['text']
+        }
+      }
+    },
+    required: ['articles']
+  };
+
+  const ask = {
+    type: 'object',
+    properties: {
+      article: ARTICLE_TEXT,
+      question: {
+        type: 'string',
+        format: 'non-blank',
+        maxLength: MAX_QUESTION_CHARS
+      },
+      history: {
+        type: 'array',
+        maxItems: MAX_HISTORY_TURNS,
+        items: {
+          type: 'object',
+          properties: {
+            role: { type: 'string', enum: ['user', 'assistant'] },
+            content: { type: 'string', maxLength: MAX_HISTORY_TURN_CHARS }
+          },
+          required: ['role', 'content']
+        },
+        description: `The most recent questions and answers, oldest first (at most ${MAX_HISTORY_TURNS})`
+      },
+      analysis: {
+        type: 'object',
+        properties: {
+          definitions: {
+            type: 'array',
+            maxItems: MAX_ANALYSIS_ITEMS,
+            items: {
+              type: 'object',
+              properties: {
+                term: { type: 'string', maxLength: MAX_ANALYSIS_ITEM_CHARS },
+                definition: { type: 'string', maxLength: MAX_ANALYSIS_ITEM_CHARS }
+              }
+            }
+          },
+          arguments: {
+            type: 'object',
+            properties: {
+              main: ANALYSIS_ARGUMENTS,
+              counter: ANALYSIS_ARGUMENTS
+            }
+          }
+        },
+        description: 'The /analyze result for the article, used as context; only definitions and arguments are read'
+      }
+    },
+    required: ['article', 'question']
+  };
+
+  // Job types run the endpoint of the same name in the background
+  const jobInputs = { analyze, factcheck, compare };
+
+  const job = {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: Object.keys(jobInputs) },
+      input: {
+        type: 'object',
+        description: 'Request body of the endpoint with the same name as the job type'
+      }
+    },
+    required: ['type', 'input']
+  };
+
+  return { analyze, search, factcheck, compare, ask, job, jobInputs };
+}
+
+const EVIDENCE = {
+  type: 'object',
+  description: 'Verbatim article text supporting an item, with its character offsets',
+  properties: {
+    quote: { type: 'string' },
+    start: { type: 'integer' },
+    end: { type: 'integer' }
+  },
+  required: ['quote', 'start', 'end']
+};
+
+const SUPPORTED_ITEM = {
+  support: { type: 'number', minimum: 0, maximum: 1, description: 'How well the article supports the item' },
+  lowSupport: { type: 'boolean', description: 'Present when support is below the flag threshold' }
+};
+
+const RESPONSE_SCHEMAS = {
+  Evidence: EVIDENCE,
+  Definition: {
+    type: 'object',
+    properties: {
+      term: { type: 'string' },
+      definition: { type: 'string' },
+      evidence: { type: 'array', items: { $ref: '#/components/schemas/Evidence' } },
+      ...SUPPORTED_ITEM
+    },
+    required: ['term', 'definition', 'evidence', 'support']
+  },
+  Argument: {
+    type: 'object',
+    properties: {
+      text: { type: 'string' },
+      evidence: { type: 'array', items: { $ref: '#/components/schemas/Evidence' } },
+      ...SUPPORTED_ITEM
+    },
+    required: ['text', 'evidence', 'support']
+  },
+  Analysis: {
+    type: 'object',
+    properties: {
+      definitions: { type: 'array', items: { $ref: '#/components/schemas/Definition' } },
+      arguments: {
+        type: 'object',
+        properties: {
+          main: { type: 'array', items: { $ref: '#/components/schemas/Argument' } },
+          counter: { type: 'array', items: { $ref: '#/components/schemas/Argument' } }
+        },
+        required: ['main', 'counter']
+      },
+      partial: { type: 'boolean', description: 'Some model output was unusable and left out' },
+      degraded: { type: 'boolean', description: 'No model output was usable' },
+      supportSummary: {
+        type: 'object',
+        properties: {
+          dropped: { type: 'integer' },
+          flagged: { type: 'integer' }
+        }
+      },
+      coverage: {
+        type: 'object',
+        properties: {
+          totalChars: { type: 'integer' },
+          analyzedChars: { type: 'integer' },
+          ratio: { type: 'number' },
+          sectionsAnalyzed: { type: 'integer' },
+          sectionsFailed: { type: 'integer' },
+          totalSections: { type: 'integer' },
+          complete: { type: 'boolean' }
+        }
+      },
+      language: {
+        type: 'object',
+        properties: {
+          article: { type: ['string', 'null'] },
+          output: { type: 'string' }
+        }
+      },
+      profile: { type: 'string', description: 'Analysis profile used' },
+      promptVersion: { type: 'string', description: 'Prompt template that produced the analysis, e.g. "news/v2"' },
+      suspectedInjection: { type: 'boolean', description: 'The article contains text that looks like instructions aimed at the model; treat the results with care' },
+      model: { type: 'string', description: 'Model that answered; a fallback model when the configured one was unavailable' }
+    },
+    required: ['definitions', 'arguments', 'partial', 'degraded', 'coverage', 'profile', 'promptVersion', 'suspectedInjection', 'model']
+  },
+  SearchResult: {
+    type: 'object',
+    properties: {
+      articles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            url: { type: 'string', description: 'http(s) link: redirects unwrapped, tracking parameters removed' },
+            domain: { type: 'string', description: 'Domain to show with the link, without "www."' }
+          },
+          required: ['title', 'url', 'domain']
+        }
+      },
+      degraded: { type: 'boolean' },
+      promptVersion: { type: 'string', description: 'Prompt template used, e.g. "search/v2"' },
+      model: { type: 'string', description: 'Model that answered; a fallback model when the configured one was unavailable' }
+    },
+    required: ['articles', 'promptVersion', 'model']
+  },
+  FactCheckResult: {
+    type: 'object',
+    properties: {
+      claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            claim: { type: 'string' },
+            evidence: { type: 'array', items: { $ref: '#/components/schemas/Evidence' } },
+            verdict: { type: 'string', enum: ['supported', 'disputed', 'unverifiable'] },
+            explanation: { type: 'string' },
+            sources: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  url: { type: 'string' },
+                  domain: { type: 'string', description: 'Hostname without "www."' }
+                }
+              }
+            },
+            failed: { type: 'boolean', description: 'Present when checking the claim failed' },
+            groundingSupports: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  text: { type: 'string' },
+                  startIndex: { type: 'integer' },
+                  endIndex: { type: 'integer' },
+                  sourceIndices: { type: 'array', items: { type: 'integer' } },
+                  confidence: { type: ['number', 'null'] }
+                }
+              }
+            }
+          },
+          required: ['claim', 'verdict', 'sources']
+        }
+      },
+      degraded: { type: 'boolean' },
+      truncated: { type: 'boolean', description: 'Only the start of the article was checked' },
+      suspectedInjection: { type: 'boolean', description: 'The article contains text that looks like instructions aimed at the model' },
+      model: { type: 'string', description: 'Model that answered; a fallback model when the configured one was unavailable' }
+    },
+    required: ['claims', 'suspectedInjection', 'model']
+  },
+  Comparison: {
+    type: 'object',
+    description: 'Source numbers are indexes into the submitted articles',
+    properties: {
+      sources: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            title: { type: 'string' },
+            url: { type: 'string' },
+            truncated: { type: 'boolean' }
+          }
+        }
+      },
+      sharedFacts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            sources: { type: 'array', items: { type: 'integer' } }
+          }
+        }
+      },
+      disagreements: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            topic: { type: 'string' },
+            positions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { source: { type: 'integer' }, position: { type: 'string' } }
+              }
+            }
+          }
+        }
+      },
+      framing: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { source: { type: 'integer' }, description: { type: 'string' } }
+        }
+      },
+      uniqueClaims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'integer' },
+            text: { type: 'string' },
+            evidence: { type: 'array', items: { $ref: '#/components/schemas/Evidence' } }
+          }
+        }
+      },
+      partial: { type: 'boolean' },
+      degraded: { type: 'boolean' },
+      suspectedInjection: { type: 'boolean', description: 'One of the articles contains text that looks like instructions aimed at the model' },
+      model: { type: 'string', description: 'Model that answered; a fallback model when the configured one was unavailable' }
+    },
+    required: ['sources', 'sharedFacts', 'disagreements', 'framing', 'uniqueClaims', 'suspectedInjection', 'model']
+  },
+  Answer: {
+    type: 'object',
+    properties: {
+      answer: { type: 'string' },
+      answerable: { type: 'boolean', description: 'The article contains the answer' },
+      citations: { type: 'array', items: { $ref: '#/components/schemas/Evidence' } },
+      excerpted: { type: 'boolean', description: 'Only excerpts of a long article were sent to the model' },
+      degraded: { type: 'boolean' },
+      suspectedInjection: { type: 'boolean', description: 'The article contains text that looks like instructions aimed at the model' },
+      model: { type: 'string', description: 'Model that answered; a fallback model when the configured one was unavailable' }
+    },
+    required: ['answer', 'answerable', 'citations', 'suspectedInjection', 'model']
+  },
+  Job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      type: { type: 'string' },
+      owner: { type: ['string', 'null'] },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      progress: {
+        type: ['object', 'null'],
+        properties: {
+          stage: { type: 'string' },
+          completed: { type: 'integer' },
+          total: { type: 'integer' }
+        }
+      },
+      partial: { type: ['object', 'null'], description: 'Result so far, while running' },
+      result: { type: ['object', 'null'], description: 'Response body of the matching endpoint, once completed' },
+      error: { type: ['string', 'null'] },
+      code: { type: ['string', 'null'], description: 'Why the job failed: job_failed, or server_shutdown when the server stopped before it finished' },
+      retryable: { type: 'boolean', description: 'Creating the job again may succeed (the server shut down before it finished)' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    },
+    required: ['id', 'type', 'status', 'createdAt', 'updatedAt']
+  },
+  Client: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string', enum: ['anonymous', 'install', 'key'] },
+      name: { type: ['string', 'null'] }
+    }
+  },
+  UsagePeriod: {
+    type: 'object',
+    properties: {
+      period: { type: 'string', description: 'Day (YYYY-MM-DD) or month (YYYY-MM), UTC' },
+      requests: { type: 'integer' },
+      calls: { type: 'integer' },
+      promptTokens: { type: 'integer' },
+      outputTokens: { type: 'integer' },
+      totalTokens: { type: 'integer' },
+      unpricedCalls: { type: 'integer' },
+      costUsd: { type: 'number' },
+      budgetTokens: { type: ['integer', 'null'] },
+      remainingTokens: { type: ['integer', 'null'] },
+      resetsAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', description: 'Human-readable summary' },
+      code: { type: 'string', description: 'Machine-readable error code' },
+      message: { type: 'string' }
+    },
+    required: ['error', 'code']
+  },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', description: 'Message of the first problem' },
+      code: { type: 'string', enum: ['validation_failed', 'invalid_json'] },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', description: 'Path of the field, e.g. "articles[1].text"; empty for the whole body' },
+            code: { type: 'string', enum: VALIDATION_CODES },
+            message: { type: 'string' }
+          },
+          required: ['field', 'code', 'message']
+        }
+      }
+    },
+    required: ['error', 'code']
+  }
+};
+
+// Component names of the request schemas that have their own endpoint
+const REQUEST_COMPONENTS = {
+  analyze: 'AnalyzeRequest',
+  search: 'SearchRequest',
+  factcheck: 'FactCheckRequest',
+  compare: 'CompareRequest',
+  ask: 'AskRequest'
+};
+
+const json = schema => ({ 'application/json': { schema } });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const ERROR_RESPONSES = {
+  BadRequest: { description: 'Invalid request body', content: json(ref('ValidationError')) },
+  Unauthorized: { description: 'Missing or invalid credentials (code: unauthorized)', content: json(ref('Error')) },
+  NotFound: { description: 'No such resource (code: not_found)', content: json(ref('Error')) },
+  PayloadTooLarge: { description: 'Request body over 1MB (code: body_too_large)', content: json(ref('Error')) },
+  TooManyRequests: {
+    description: 'Rate limit (code: rate_limited) or token budget (code: budget_exhausted) exceeded; see Retry-After',
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the request may be retried' } },
+    content: json(ref('Error'))
+  },
+  InternalError: { description: 'Unexpected failure (code: internal_error)', content: json(ref('Error')) },
+  ModelError: { description: 'The model rejected the call (code: model_error)', content: json(ref('Error')) },
+  ModelUnavailable: {
+    description: 'No model in the fallback chain is available (code: model_unavailable); see Retry-After when given',
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the model may be tried again' } },
+    content: json(ref('Error'))
+  },
+  ModelTimeout: { description: 'The model did not answer in time (code: model_timeout)', content: json(ref('Error')) }
+};
+
+// GET /ready; checks add their own details, e.g. provider and model, or the store in use
+const READINESS_SCHEMA = {
+  type: 'object',
+  required: ['status', 'timestamp', 'checks'],
+  properties: {
+    status: { type: 'string', enum: ['ready', 'not_ready', 'draining'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    checks: {
+      type: 'object',
+      description: 'By check: model, config, rateLimitStore, cache, usageLog (empty while draining)',
+      additionalProperties: {
+        type: 'object',
+        required: ['status', 'latencyMs', 'checkedAt', 'cached'],
+        properties: {
+          status: { type: 'string', enum: ['ok', 'failed'] },
+          latencyMs: { type: 'integer' },
+          checkedAt: { type: 'string', format: 'date-time' },
+          cached: { type: 'boolean', description: 'Result of an earlier run, reused' },
+          error: { type: 'string' },
+          reason: {
+            type: 'string',
+            description: 'Why the check failed, e.g. credentials_rejected, quota_exhausted, unreachable or invalid_config'
+          },
+          warnings: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+const errorRefs = names => Object.fromEntries(names.map(([status, name]) => [status, { $ref: `#/components/responses/${name}` }]));
+
+// Responses every model-backed endpoint can give besides its own
+const MODEL_ROUTE_ERRORS = errorRefs([
+  ['400', 'BadRequest'],
+  ['401', 'Unauthorized'],
+  ['413', 'PayloadTooLarge'],
+  ['429', 'TooManyRequests'],
+  ['500', 'InternalError']
+]);
+
+// Responses of endpoints that wait for the model
+const MODEL_CALL_ERRORS = errorRefs([
+  ['502', 'ModelError'],
+  ['503', 'ModelUnavailable'],
+  ['504', 'ModelTimeout']
+]);
+
+function modelOperation({ summary, description, tag, requestSchema, responseSchema, cached = false, extraContent = {} }) {
+  return {
+    post: {
+      tags: [tag],
+      summary,
+      ...(description && { description }),
+      security: [{ bearerAuth: [] }],
+      requestBody: { required: true, content: json(ref(requestSchema)) },
+      responses: {
+        200: {
+          description: 'OK',
+          ...(cached && {
+            headers: {
+              'X-Cache': {
+                schema: { type: 'string', enum: ['HIT', 'MISS', 'COALESCED'] },
+                description: 'Whether the result came from the cache or from an identical request in flight'
+              }
+            }
+          }),
+          content: { ...json(ref(responseSchema)), ...extraContent }
+        },
+        ...MODEL_ROUTE_ERRORS,
+        ...MODEL_CALL_ERRORS
+      }
+    }
+  };
+}
+
+/**
+ * OpenAPI document for the API
+ * @param {Object} requestSchemas - From createRequestSchemas()
+ * @param {Object} [options]
+ * @param {string} [options.serverUrl] - Base URL listed under `servers`
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function buildOpenApiDocument(requestSchemas, options = {}) {
+  const { jobInputs, job } = requestSchemas;
+  const requestComponents = Object.fromEntries(
+    Object.entries(REQUEST_COMPONENTS).map(([name, component]) => [component, requestSchemas[name]])
+  );
+  requestComponents.JobRequest = {
+    ...job,
+    properties: {
+      ...job.properties,
+      input: { ...job.properties.input, oneOf: Object.keys(jobInputs).map(type => ref(REQUEST_COMPONENTS[type])) }
+    }
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'DeepDive Assistant API',
+      version,
+      description: 'Article analysis, related article search, fact checking, comparison and follow-up questions. ' +
+        'Requests that fail validation get 400 with `code: "validation_failed"` and one entry per problem in `details`.'
+    },
+    ...(options.serverUrl && { servers: [{ url: options.serverUrl }] }),
+    paths: {
+      '/health': {
+        get: {
+          tags: ['Service'],
+          summary: 'Liveness check',
+          responses: {
+            200: {
+              description: 'OK',
+              content: json({
+                type: 'object',
+                properties: { status: { type: 'string', const: 'ok' }, timestamp: { type: 'string', format: 'date-time' } }
+              })
+            }
+          }
+        }
+      },
+      '/ready': {
+        get: {
+          tags: ['Service'],
+          summary: 'Readiness check',
+          description: 'Whether this instance can serve requests: the model provider answers and accepts the credentials ' +
+            '(checked at most once a minute), the configuration is sane and the stores are reachable. ' +
+            'Answers 503 `draining` once the server is shutting down.',
+          responses: {
+            200: { description: 'Every check passed', content: json(READINESS_SCHEMA) },
+            503: { description: 'A check failed, or the server is shutting down', content: json(READINESS_SCHEMA) }
+          }
+        }
+      },
+      '/metrics': {
+        get: {
+          tags: ['Service'],
+          summary: 'Prometheus metrics',
+          description: 'Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+          responses: {
+            200: { description: 'Text exposition format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } },
+            ...errorRefs([['401', 'Unauthorized']])
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          tags: ['Service'],
+          summary: 'This document',
+          responses: { 200: { description: 'OpenAPI document', content: json({ type: 'object' }) } }
+        }
+      },
+      '/auth/register': {
+        post: {
+          tags: ['Auth'],
+          summary: 'Issue an anonymous install token',
+          responses: {
+            201: {
+              description: 'Created',
+              content: json({
+                type: 'object',
+                properties: {
+                  token: { type: 'string' },
+                  clientId: { type: 'string' },
+                  type: { type: 'string', const: 'install' }
+                },
+                required: ['token', 'clientId', 'type']
+              })
+            },
+            ...errorRefs([['429', 'TooManyRequests']])
+          }
+        }
+      },
+      '/auth/me': {
+        get: {
+          tags: ['Auth'],
+          summary: 'Identity of the calling client',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: { description: 'OK', content: json({ type: 'object', properties: { client: ref('Client') } }) },
+            ...errorRefs([['401', 'Unauthorized']])
+          }
+        }
+      },
+      '/usage': {
+        get: {
+          tags: ['Auth'],
+          summary: 'Token usage, cost and remaining allowance of the calling client',
+          security: [{ bearerAuth: [] }],
+          responses: {
+            200: {
+              description: 'OK',
+              content: json({
+                type: 'object',
+                properties: { client: ref('Client'), day: ref('UsagePeriod'), month: ref('UsagePeriod') }
+              })
+            },
+            ...errorRefs([['401', 'Unauthorized']])
+          }
+        }
+      },
+      '/analyze': modelOperation({
+        tag: 'Analysis',
+        summary: 'Definitions and arguments of an article',
+        description: 'With `Accept: text/event-stream` the response is a stream of `definition` and `argument` ' +
+          'events as they are generated, then `complete` (the Analysis) or `error`.',
+        requestSchema: 'AnalyzeRequest',
+        responseSchema: 'Analysis',
+        cached: true,
+        extraContent: { 'text/event-stream': { schema: { type: 'string' } } }
+      }),
+      '/search': modelOperation({
+        tag: 'Analysis',
+        summary: 'Related articles found with search grounding',
+        requestSchema: 'SearchRequest',
+        responseSchema: 'SearchResult',
+        cached: true
+      }),
+      '/factcheck': modelOperation({
+        tag: 'Analysis',
+        summary: 'Check the main claims of an article against search results',
+        requestSchema: 'FactCheckRequest',
+        responseSchema: 'FactCheckResult'
+      }),
+      '/compare': modelOperation({
+        tag: 'Analysis',
+        summary: 'Shared facts, disagreements and framing across articles',
+        requestSchema: 'CompareRequest',
+        responseSchema: 'Comparison'
+      }),
+      '/ask': modelOperation({
+        tag: 'Analysis',
+        summary: 'Answer a follow-up question from the article',
+        requestSchema: 'AskRequest',
+        responseSchema: 'Answer'
+      }),
+      '/jobs': {
+        post: {
+          tags: ['Jobs'],
+          summary: 'Run an analyze, factcheck or compare request in the background',
+          security: [{ bearerAuth: [] }],
+          requestBody: { required: true, content: json(ref('JobRequest')) },
+          responses: {
+            202: {
+              description: 'Queued',
+              headers: { Location: { schema: { type: 'string' }, description: 'URL of the job' } },
+              content: json(ref('Job'))
+            },
+            ...MODEL_ROUTE_ERRORS
+          }
+        }
+      },
+      '/jobs/{id}': {
+        get: {
+          tags: ['Jobs'],
+          summary: 'Job status with partial and final results',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'OK', content: json(ref('Job')) },
+            ...errorRefs([['401', 'Unauthorized'], ['404', 'NotFound']])
+          }
+        }
+      },
+      '/jobs/{id}/events': {
+        get: {
+          tags: ['Jobs'],
+          summary: 'Job progress as Server-Sent Events',
+          description: 'Events: `status` (the Job), `progress`, `partial`, then `complete` (the result) or `error`.',
+          security: [{ bearerAuth: [] }],
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            ...errorRefs([['401', 'Unauthorized'], ['404', 'NotFound']])
+          }
+        }
+      }
+    },
+    components: {
+      schemas: { ...requestComponents, ...RESPONSE_SCHEMAS },
+      responses: ERROR_RESPONSES,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API key, or an install token from POST /auth/register'
+        }
+      }
+    }
+  };
+}
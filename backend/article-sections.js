@@ -0,0 +1,216 @@
+/**
+ * Map-reduce helpers for long articles
+ * Splits an article into prompt-sized sections and merges the per-section analyses
+ * back into the single { definitions, arguments } schema.
+ */
+
+/**
+ * Split article text into sections at paragraph or sentence boundaries
+ * @param {string} article - Full article text
+ * @param {Object} options
+ * @param {number} [options.sectionSize] - Target maximum characters per section (default: 10000)
+ * @param {number} [options.maxSections] - Maximum sections to return (default: 8)
+ * @returns {{sections: Array<{index: number, start: number, end: number, text: string}>, totalSections: number}}
+ */
+export function splitArticle(article, options = {}) {
+  const sectionSize = options.sectionSize || 10000;
+  const maxSections = options.maxSections || 8;
+  const sections = [];
+  let start = 0;
+
+  while (start < article.length) {
+    let end = Math.min(start + sectionSize, article.length);
+
+    if (end < article.length) {
+      // Look for a natural break in the last 20% of the window
+      const window = article.slice(start, end);
+      const minBreak = Math.floor(window.length * 0.8);
+      const candidates = [
+        window.lastIndexOf('\n\n'),
+        Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? ')),
+        window.lastIndexOf(' ')
+      ];
+      const breakAt = candidates.find(index => index >= minBreak);
+      if (breakAt !== undefined) {
+        end = start + breakAt + 1;
+      }
+    }
+
+    const text = article.slice(start, end);
+    if (text.trim().length > 0) {
+      sections.push({ index: sections.length, start, end, text });
+    }
+    start = end;
+  }
+
+  return {
+    sections: sections.slice(0, maxSections),
+    totalSections: sections.length
+  };
+}
+
+/**
+ * Normalize text for duplicate detection
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeForComparison(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Jaccard similarity of the word sets of two normalized strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Similarity between 0 and 1
+ */
+function wordSimilarity(a, b) {
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared++;
+  }
+  const union = wordsA.size + wordsB.size - shared;
+  return union === 0 ? 1 : shared / union;
+}
+
+/**
+ * Tracks accepted items and rejects duplicates across sections
+ * Definitions are keyed by normalized term; arguments are duplicates when their
+ * word sets overlap by at least `similarityThreshold`. Evidence spans of a rejected
+ * duplicate are folded into the item that was kept.
+ */
+export class AnalysisMerger {
+  /**
+   * @param {Object} options
+   * @param {number} [options.similarityThreshold] - Argument similarity treated as duplicate (default: 0.8)
+   * @param {number} [options.maxItems] - Maximum items kept per list (default: 20)
+   */
+  constructor(options = {}) {
+    this.similarityThreshold = options.similarityThreshold ?? 0.8;
+    this.maxItems = options.maxItems || 20;
+    this.definitions = [];
+    this.terms = new Map();
+    this.arguments = { main: [], counter: [] };
+    this.seenArguments = [];
+  }
+
+  /**
+   * Add a definition
+   * @param {{term: string, definition: string, evidence?: Array}} def
+   * @returns {boolean} True if the definition was new and kept
+   */
+  addDefinition(def) {
+    const key = normalizeForComparison(def.term);
+    const existing = this.terms.get(key);
+    if (existing) {
+      mergeEvidence(existing, def);
+      return false;
+    }
+    if (this.definitions.length >= this.maxItems) {
+      return false;
+    }
+    this.terms.set(key, def);
+    this.definitions.push(def);
+    return true;
+  }
+
+  /**
+   * Add an argument
+   * @param {string} kind - 'main' or 'counter'
+   * @param {{text: string, evidence?: Array}} arg - Argument item
+   * @returns {boolean} True if the argument was new and kept
+   */
+  addArgument(kind, arg) {
+    const list = this.arguments[kind];
+    if (!list) {
+      return false;
+    }
+    const normalized = normalizeForComparison(arg.text);
+    const duplicate = this.seenArguments.find(seen =>
+      seen.normalized === normalized || wordSimilarity(seen.normalized, normalized) >= this.similarityThreshold
+    );
+    if (duplicate) {
+      mergeEvidence(duplicate.item, arg);
+      return false;
+    }
+    if (list.length >= this.maxItems) {
+      return false;
+    }
+    this.seenArguments.push({ normalized, item: arg });
+    list.push(arg);
+    return true;
+  }
+
+  /**
+   * Add every item of a section analysis
+   * @param {{definitions: Array, arguments: {main: Array, counter: Array}}} analysis
+   */
+  addAnalysis(analysis) {
+    for (const def of analysis.definitions || []) {
+      this.addDefinition(def);
+    }
+    for (const arg of analysis.arguments?.main || []) {
+      this.addArgument('main', arg);
+    }
+    for (const arg of analysis.arguments?.counter || []) {
+      this.addArgument('counter', arg);
+    }
+  }
+
+  /**
+   * @returns {{definitions: Array, arguments: {main: Array, counter: Array}}} Merged analysis
+   */
+  result() {
+    return {
+      definitions: this.definitions,
+      arguments: {
+        main: this.arguments.main,
+        counter: this.arguments.counter
+      }
+    };
+  }
+}
+
+/**
+ * Copy evidence spans from a duplicate item onto the kept item
+ * @param {Object} kept - Item that stays in the analysis
+ * @param {Object} duplicate - Item being dropped
+ */
+function mergeEvidence(kept, duplicate) {
+  if (!Array.isArray(duplicate.evidence) || duplicate.evidence.length === 0) {
+    return;
+  }
+  kept.evidence = kept.evidence || [];
+  for (const span of duplicate.evidence) {
+    if (!kept.evidence.some(existing => existing.start === span.start)) {
+      kept.evidence.push(span);
+    }
+  }
+}
+
+/**
+ * Describe how much of the article the analysis covered
+ * @param {string} article - Full article text
+ * @param {Array} sections - Sections that were analyzed successfully
+ * @param {number} totalSections - Sections the article was split into
+ * @param {number} failedSections - Sections whose model call failed
+ * @returns {Object} Coverage metadata
+ */
+export function buildCoverage(article, sections, totalSections, failedSections = 0) {
+  const analyzedChars = sections.reduce((sum, section) => sum + section.text.length, 0);
+  return {
+    totalChars: article.length,
+    analyzedChars,
+    ratio: article.length === 0 ? 1 : Math.round((analyzedChars / article.length) * 1000) / 1000,
+    sectionsAnalyzed: sections.length,
+    sectionsFailed: failedSections,
+    totalSections,
+    complete: sections.length === totalSections
+  };
+}
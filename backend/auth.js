@@ -0,0 +1,175 @@
+/**
+ * Client authentication
+ * Callers identify themselves with `Authorization: Bearer <credential>`, where the credential is
+ * either an API key issued by the operator or an anonymous install token from POST /auth/register.
+ * Rate limits and token usage (see usage.js) are tracked per client rather than per Origin header, which any
+ * non-browser client can spoof.
+ *
+ * Install tokens are signed, not stored: "inst_<id>.<signature>", where the signature is an
+ * HMAC of the id. Any instance sharing AUTH_TOKEN_SECRET can verify them.
+ */
+
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { logger } from './logger.js';
+
+export const AUTH_MODES = ['off', 'optional', 'required'];
+
+const INSTALL_TOKEN_PREFIX = 'inst_';
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  // Hash first so both buffers have the same length
+  const hashA = createHash('sha256').update(a).digest();
+  const hashB = createHash('sha256').update(b).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Parse issued API keys from configuration
+ * Entries are comma separated, each "name:key" or "name:key:maxRequests" (requests per
+ * rate limit window for that key).
+ * @param {string} value - e.g. "newsroom:sk_abc123:120,qa:sk_def456"
+ * @returns {Array<{name: string, key: string, maxRequests: number|null}>}
+ */
+export function parseApiKeys(value) {
+  if (!value) return [];
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, key, limit] = entry.split(':').map(part => part.trim());
+    if (!name || !key) {
+      throw new Error(`Invalid API_KEYS entry "${name || entry}": expected name:key or name:key:maxRequests`);
+    }
+    const maxRequests = limit ? parseInt(limit, 10) : null;
+    if (limit && !(maxRequests > 0)) {
+      throw new Error(`Invalid API_KEYS entry "${name}": maxRequests must be a positive integer`);
+    }
+    return { name, key, maxRequests };
+  });
+}
+
+/**
+ * Extract the bearer credential from a request
+ * @param {Object} req - Express request
+ * @returns {string|null} Credential, '' for a malformed header, or null when none was sent
+ */
+export function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(header);
+  return match ? match[1] : '';
+}
+
+/**
+ * Verifies API keys and issues and verifies install tokens
+ */
+export class Authenticator {
+  /**
+   * @param {Object} options
+   * @param {Array<{name: string, key: string, maxRequests: number|null}>} [options.apiKeys] - Issued keys (see parseApiKeys)
+   * @param {string} [options.tokenSecret] - HMAC secret for install tokens (random per process when omitted)
+   */
+  constructor(options = {}) {
+    this.apiKeys = options.apiKeys || [];
+    this.tokenSecret = options.tokenSecret || randomBytes(32).toString('hex');
+    this.ephemeralSecret = !options.tokenSecret;
+  }
+
+  sign(id) {
+    return createHmac('sha256', this.tokenSecret).update(id).digest('base64url');
+  }
+
+  /**
+   * Issue an anonymous install token
+   * @returns {{token: string, clientId: string}}
+   */
+  issueInstallToken() {
+    const id = randomUUID();
+    return { token: `${INSTALL_TOKEN_PREFIX}${id}.${this.sign(id)}`, clientId: `install:${id}` };
+  }
+
+  /**
+   * Resolve a credential to a client
+   * @param {string} credential - API key or install token
+   * @returns {{id: string, type: 'key'|'install', name?: string, maxRequests?: number|null}|null} Null when invalid
+   */
+  verify(credential) {
+    if (!credential) return null;
+
+    if (credential.startsWith(INSTALL_TOKEN_PREFIX)) {
+      const [id, signature] = credential.slice(INSTALL_TOKEN_PREFIX.length).split('.');
+      if (!id || !signature || !safeEqual(signature, this.sign(id))) return null;
+      return { id: `install:${id}`, type: 'install' };
+    }
+
+    // Check every key so the time taken does not reveal which one matched
+    let match = null;
+    for (const apiKey of this.apiKeys) {
+      if (safeEqual(credential, apiKey.key) && !match) {
+        match = apiKey;
+      }
+    }
+    return match ? { id: `key:${match.name}`, type: 'key', name: match.name, maxRequests: match.maxRequests } : null;
+  }
+}
+
+/**
+ * Identity of a caller without credentials
+ * Keyed by IP only: the Origin header is set by the caller, so a new origin per request would
+ * otherwise get a new rate limit and budget. Behind a proxy, req.ip needs `trust proxy`.
+ * @param {Object} req - Express request
+ * @returns {{id: string, type: 'anonymous'}}
+ */
+export function anonymousClient(req) {
+  return { id: `anon:${req.ip || 'unknown'}`, type: 'anonymous' };
+}
+
+/**
+ * Express middleware factory that sets `req.client`
+ * - off: credentials are ignored; every caller is anonymous
+ * - optional: valid credentials identify the caller, invalid ones are rejected, none means anonymous
+ * - required: valid credentials are needed
+ * @param {Authenticator} authenticator
+ * @param {Object} options
+ * @param {string} [options.mode] - One of AUTH_MODES (default: optional)
+ * @returns {Function} Express middleware
+ */
+export function createAuthMiddleware(authenticator, options = {}) {
+  const mode = options.mode || 'optional';
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown auth mode "${mode}". Expected one of: ${AUTH_MODES.join(', ')}`);
+  }
+
+  const reject = (res, message) => {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      code: 'unauthorized',
+      message
+    });
+  };
+
+  return (req, res, next) => {
+    const credential = mode === 'off' ? null : getBearerToken(req);
+
+    if (credential === null) {
+      if (mode === 'required') {
+        return reject(res, 'An API key or install token is required. Send it as "Authorization: Bearer <key>".');
+      }
+      req.client = anonymousClient(req);
+      return next();
+    }
+
+    const client = authenticator.verify(credential);
+    if (!client) {
+      logger.warn('Rejected invalid credentials');
+      return reject(res, 'Invalid API key or install token');
+    }
+
+    req.client = client;
+    next();
+  };
+}
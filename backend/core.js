@@ -0,0 +1,1403 @@
+/**
+ * Analysis core
+ * Prompt building, model output parsing and normalization, grounding extraction and the
+ * model-backed route handlers. The Express server (server.js) and the Firebase function
+ * (deployment/firebase-functions) both mount createApiRouter(); each adds its own provider
+ * configuration, authentication and rate limiting around it.
+ */
+
+import express from 'express';
+import { AsyncLocalStorage } from 'async_hooks';
+import { IncrementalAnalysisParser, formatSSE } from './analysis-stream.js';
+import { splitArticle, AnalysisMerger, buildCoverage } from './article-sections.js';
+import { attachEvidence, attachEvidenceToAnalysis, relocateEvidence } from './evidence.js';
+import { SupportGuard } from './support-guard.js';
+import { runFactCheck } from './factcheck.js';
+import { runComparison, MIN_COMPARE_ARTICLES, MAX_COMPARE_ARTICLES } from './compare.js';
+import { answerQuestion } from './ask.js';
+import { JobManager } from './jobs.js';
+import { resolveLanguages, buildLanguageRequirements, languageName, sameLanguage } from './language.js';
+import { AnalysisCache, buildCacheKey, normalizeText, hashText } from './analysis-cache.js';
+import { ANALYSIS_SCHEMA, SEARCH_SCHEMA, ensureStructured, parseStructured } from './structured-output.js';
+import { logger, timeStage } from './logger.js';
+import { MetricsRegistry } from './metrics.js';
+import { createRequestSchemas } from './api-schema.js';
+import { PromptLibrary, DEFAULT_PROFILE, renderTemplate } from './prompt-templates.js';
+import { validateBody, validateRequest, sendValidationError } from './request-validation.js';
+import { readinessHandler } from './readiness.js';
+import { detectInjection, neutralizeFences } from './prompt-injection.js';
+import { LinkPipeline, linkOptionsFromEnv, parseSafeUrl, canonicalizeUrl, linkKey } from './link-safety.js';
+import { ModelError } from './providers/resilient.js';
+
+// Templates in prompts/; createAnalysisCore() loads its own when settings.promptsDir is set
+const defaultPrompts = PromptLibrary.load();
+
+// Provider-wide system instruction; analysis and search calls send their template's own
+export const SYSTEM_INSTRUCTION = defaultPrompts.analysis(DEFAULT_PROFILE).system;
+
+// Models that answered the calls of the response being computed (see answeredBy())
+const answeringModels = new AsyncLocalStorage();
+
+// Signal cancelling the model calls of the response being computed (see getOrComputeCached())
+const callSignal = new AsyncLocalStorage();
+
+/**
+ * The client closed the connection before its response was complete
+ */
+export class RequestCancelledError extends Error {
+  constructor() {
+    super('The client closed the request');
+    this.name = 'RequestCancelledError';
+    this.code = 'client_closed_request';
+  }
+}
+
+/**
+ * Signal that aborts, with a RequestCancelledError, when the client disconnects before the response is complete
+ * @param {Object} res - Express response
+ * @returns {AbortSignal}
+ */
+export function clientDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new RequestCancelledError());
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Stop work whose model calls were cancelled
+ * Throws the cancellation reason when the signal of the current computation has aborted.
+ */
+function throwIfCancelled() {
+  callSignal.getStore()?.throwIfAborted();
+}
+
+/**
+ * Provider wrapper that applies the computation's context to each call: it passes the
+ * cancellation signal (see getOrComputeCached()) and records which model answered (see answeredBy())
+ * @param {Object} provider - Provider, usually a ResilientProvider
+ * @returns {Object} Provider
+ */
+function contextualProvider(provider) {
+  const record = model => answeringModels.getStore()?.add(model);
+  const withSignal = request => ({ signal: callSignal.getStore(), ...request });
+  return {
+    get name() {
+      return provider.name;
+    },
+    get model() {
+      return provider.model;
+    },
+    // Preferred model first; a single provider has a chain of one
+    get models() {
+      return provider.models || [provider.model];
+    },
+    async generate(request) {
+      const result = await provider.generate(withSignal(request));
+      record(result.model || provider.model);
+      return result;
+    },
+    async *generateStream(request) {
+      let reported = false;
+      yield* provider.generateStream({
+        ...withSignal(request),
+        onModel: model => {
+          reported = true;
+          record(model);
+          request.onModel?.(model);
+        }
+      });
+      if (!reported) record(provider.model);
+    }
+  };
+}
+
+/**
+ * Core settings from the environment
+ * @param {Object} env - process.env, or the Firebase function's equivalent
+ * @returns {Object} Settings for createAnalysisCore()
+ */
+export function settingsFromEnv(env) {
+  return {
+    // Long articles are analyzed in sections of this size (map-reduce) instead of being truncated
+    sectionSize: parseInt(env.ANALYSIS_SECTION_SIZE, 10) || 10000,
+    maxSections: parseInt(env.ANALYSIS_MAX_SECTIONS, 10) || 8,
+    concurrency: 3,
+    // Maximum model calls spent repairing output that does not match the response schema
+    maxRepairs: parseInt(env.MAX_REPAIR_ATTEMPTS ?? '2', 10),
+    // Fact checking: claims checked per request (each claim is one grounded model call)
+    factCheckMaxClaims: parseInt(env.FACTCHECK_MAX_CLAIMS, 10) || 5,
+    // Support guard: items scoring below the drop threshold are removed, below the flag threshold marked lowSupport
+    supportDropThreshold: parseFloat(env.SUPPORT_DROP_THRESHOLD ?? '0.25'),
+    supportFlagThreshold: parseFloat(env.SUPPORT_FLAG_THRESHOLD ?? '0.5'),
+    // /analyze and /search responses are cached per article (or query), concepts and languages
+    // CACHE_TTL_SECONDS=0 disables caching; identical concurrent requests still share one model call
+    cache: {
+      ttlMs: parseInt(env.CACHE_TTL_SECONDS ?? '3600', 10) * 1000,
+      maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || 500,
+      dir: env.CACHE_DIR || undefined
+    },
+    // Directory of prompt templates (default: prompts/ in the backend)
+    promptsDir: env.PROMPTS_DIR || undefined,
+    // /search links: redirect unwrapping and the domain blocklist (see link-safety.js)
+    links: linkOptionsFromEnv(env)
+  };
+}
+
+/**
+ * Settings that parsed but make no sense (settingsFromEnv() reads bad numbers as NaN)
+ * The server still starts; GET /ready reports them (see readiness.js)
+ * @param {Object} settings - From settingsFromEnv()
+ * @returns {string[]} Problems, empty when the settings are sane
+ */
+export function settingsProblems(settings) {
+  const problems = [];
+  if (!(settings.maxRepairs >= 0)) {
+    problems.push('MAX_REPAIR_ATTEMPTS must be 0 or more');
+  }
+  const { supportDropThreshold: drop, supportFlagThreshold: flag } = settings;
+  if (!(drop >= 0 && drop <= 1) || !(flag >= 0 && flag <= 1)) {
+    problems.push('SUPPORT_DROP_THRESHOLD and SUPPORT_FLAG_THRESHOLD must be between 0 and 1');
+  } else if (drop > flag) {
+    problems.push('SUPPORT_DROP_THRESHOLD must not be above SUPPORT_FLAG_THRESHOLD');
+  }
+  if (!(settings.cache.ttlMs >= 0)) {
+    problems.push('CACHE_TTL_SECONDS must be 0 or more');
+  }
+  if (!(settings.links.timeoutMs > 0)) {
+    problems.push('LINK_UNWRAP_TIMEOUT_MS must be above 0');
+  }
+  return problems;
+}
+
+// Helper function to build analysis prompt
+// `section` ({index, total}) marks the text as one part of a longer article
+// `languages` (from resolveLanguages) sets the language of the output
+// `template` is the analysis template of the requested profile (see prompt-templates.js)
+export function buildAnalysisPrompt(article, concepts = [], section = null, languages = null, template = defaultPrompts.analysis()) {
+  const conceptsText = concepts.length > 0
+    ? concepts.join(', ')
+    : 'identify 3-5 key terms from the article';
+
+  const sectionNote = section && section.total > 1
+    ? `\nThis is part ${section.index + 1} of ${section.total} of a longer article. Analyze only this part.\n`
+    : '';
+
+  // The template fences the article (see prompt-injection.js)
+  return renderTemplate(template, {
+    article: neutralizeFences(article),
+    concepts: conceptsText,
+    sectionNote,
+    languageRequirements: buildLanguageRequirements(languages)
+  });
+}
+
+/**
+ * Prompt asking for related articles with Google Search grounding
+ * @param {string} searchQuery - Search query
+ * @param {Object} languages - Request languages from resolveLanguages()
+ * @param {Object} [template] - Search template (see prompt-templates.js)
+ * @returns {string}
+ */
+export function buildSearchPrompt(searchQuery, languages, template = defaultPrompts.search()) {
+  // Non-English readers get coverage in their language first, then in the article's
+  const preferredLanguages = [...new Set([languages.output, languages.article].filter(Boolean).map(languageName))];
+  const languageNote = preferredLanguages.length > 1 || !sameLanguage(languages.output, 'en')
+    ? `\nPrefer articles written in ${preferredLanguages.join(' or ')}.\n`
+    : '';
+
+  return renderTemplate(template, { searchQuery: neutralizeFences(searchQuery), languageNote });
+}
+
+// Helper to extract grounded links from Gemini response if available
+export function extractRelatedArticlesFromGrounding(geminiResponse) {
+  try {
+    const articles = [];
+    const urls = new Set();
+    const candidates = geminiResponse?.candidates || [];
+
+    for (const candidate of candidates) {
+      const metadata = candidate.groundingMetadata;
+      if (!metadata?.groundingChunks) {
+        logger.debug('No grounding metadata or chunks found in candidate');
+        continue;
+      }
+
+      logger.debug('Grounding chunks found', { chunks: metadata.groundingChunks.length });
+
+      // Extract from groundingChunks (correct structure per @google/generative-ai types)
+      for (const chunk of metadata.groundingChunks) {
+        if (chunk.web?.uri) {
+          const url = chunk.web.uri;
+          const title = chunk.web.title || 'Related Article';
+
+          // Only add unique URLs
+          if (!urls.has(url)) {
+            urls.add(url);
+            articles.push({ title, url });
+            logger.debug('Extracted grounded article', { title, url });
+          }
+        }
+      }
+
+      // If we found articles in this candidate, we're done
+      if (articles.length > 0) break;
+    }
+
+    logger.debug('Grounded articles extracted', { articles: articles.length });
+    return articles.slice(0, 10);
+  } catch (error) {
+    logger.error('Error extracting grounded articles', { error });
+    return [];
+  }
+}
+
+/**
+ * Parse the model's analysis output
+ * Output is validated against ANALYSIS_SCHEMA; invalid output goes through a bounded
+ * repair loop, and nothing is fabricated when that fails (status 'degraded')
+ * @param {Object} provider - LLM provider, for repair calls
+ * @param {string} text - Model output
+ * @param {Object} [options]
+ * @param {number} [options.maxRepairs] - Maximum repair calls (default: 2)
+ * @param {Function} [options.onOutcome] - Called with ok, repaired, partial, normalize_failed or degraded
+ * @param {AbortSignal} [options.signal] - Signal of the model calls (see ensureStructured())
+ * @returns {Promise<Object>} { relatedArticles, definitions, arguments, status }
+ */
+export async function parseGeminiResponse(provider, text, options = {}) {
+  const structured = await ensureStructured(provider, text, ANALYSIS_SCHEMA, { maxRepairs: options.maxRepairs, signal: options.signal });
+  logger.debug('Analysis output parsed', { status: structured.status, repairAttempts: structured.repairAttempts });
+
+  if (structured.status !== 'degraded') {
+    try {
+      const normalized = stripCitations(validateAndNormalizeResponse(structured.value));
+      options.onOutcome?.(structured.status);
+      return { ...normalized, status: structured.status };
+    } catch (error) {
+      logger.warn('Failed to normalize structured output', { error: error.message });
+      options.onOutcome?.('normalize_failed');
+    }
+  } else {
+    options.onOutcome?.('degraded');
+  }
+
+  logger.warn('Analysis output could not be parsed; returning degraded empty result');
+  return {
+    relatedArticles: [],
+    definitions: [],
+    arguments: {
+      main: [],
+      counter: []
+    },
+    status: 'degraded'
+  };
+}
+
+/**
+ * Combine per-section structured output statuses into response flags
+ * @param {string[]} statuses - Status of each analyzed section
+ * @returns {{partial: boolean, degraded: boolean}}
+ */
+export function summarizeOutputStatus(statuses) {
+  const degraded = statuses.length > 0 && statuses.every(status => status === 'degraded');
+  const partial = !degraded && statuses.some(status => status === 'partial' || status === 'degraded');
+  return { partial, degraded };
+}
+
+// Helper to normalize an item's supporting quotes (at most 3 non-empty strings)
+function normalizeQuotes(quotes) {
+  if (!Array.isArray(quotes)) return [];
+  return quotes
+    .filter(quote => typeof quote === 'string' && quote.trim().length > 0)
+    .map(quote => quote.trim())
+    .slice(0, 3);
+}
+
+// Helper to normalize an argument to {text, quotes}
+// Accepts the plain-string form older prompts produced
+function normalizeArgument(arg) {
+  if (typeof arg === 'string') {
+    return arg.trim().length > 0 ? { text: arg.trim(), quotes: [] } : null;
+  }
+  if (arg && typeof arg === 'object' && typeof arg.text === 'string' && arg.text.trim().length > 0) {
+    return { text: arg.text.trim(), quotes: normalizeQuotes(arg.quotes) };
+  }
+  return null;
+}
+
+// Helper function to validate and normalize response structure
+export function validateAndNormalizeResponse(data) {
+  // Ensure data is an object
+  if (typeof data !== 'object' || data === null) {
+    throw new Error('Response must be an object');
+  }
+
+  // Validate and normalize relatedArticles
+  let relatedArticles = [];
+  if (Array.isArray(data.relatedArticles)) {
+    relatedArticles = data.relatedArticles
+      .filter(article => 
+        article && 
+        typeof article === 'object' && 
+        typeof article.title === 'string' && 
+        typeof article.url === 'string' &&
+        article.title.trim().length > 0 &&
+        article.url.trim().length > 0
+      )
+      .map(article => ({
+        title: article.title.trim(),
+        url: article.url.trim()
+      }))
+      .slice(0, 10); // Limit to 10 articles
+
+    // Filter out obviously fake/suspicious domains
+    const suspiciousPatterns = [
+      'example.com',
+      'placeholder.com',
+      'yoursite.com',
+      'website.com',
+      'test.com',
+      'sample.com'
+    ];
+
+    relatedArticles = relatedArticles.filter(article => {
+      const url = article.url.toLowerCase();
+      const isSuspicious = suspiciousPatterns.some(pattern => url.includes(pattern));
+      if (isSuspicious) {
+        logger.warn('Filtered suspicious URL', { url: article.url });
+      }
+      return !isSuspicious;
+    });
+  }
+
+  // Validate and normalize definitions
+  let definitions = [];
+  if (Array.isArray(data.definitions)) {
+    definitions = data.definitions
+      .filter(def => 
+        def && 
+        typeof def === 'object' && 
+        typeof def.term === 'string' && 
+        typeof def.definition === 'string' &&
+        def.term.trim().length > 0 &&
+        def.definition.trim().length > 0
+      )
+      .map(def => ({
+        term: def.term.trim(),
+        definition: def.definition.trim(),
+        quotes: normalizeQuotes(def.quotes)
+      }))
+      .slice(0, 20); // Limit to 20 definitions
+  }
+
+  // Validate and normalize arguments
+  let mainArguments = [];
+  let counterArguments = [];
+
+  if (data.arguments && typeof data.arguments === 'object') {
+    if (Array.isArray(data.arguments.main)) {
+      mainArguments = data.arguments.main
+        .map(normalizeArgument)
+        .filter(Boolean)
+        .slice(0, 20); // Limit to 20 arguments
+    }
+
+    if (Array.isArray(data.arguments.counter)) {
+      counterArguments = data.arguments.counter
+        .map(normalizeArgument)
+        .filter(Boolean)
+        .slice(0, 20); // Limit to 20 counter-arguments
+    }
+  }
+
+  const normalized = {
+    relatedArticles,
+    definitions,
+    arguments: {
+      main: mainArguments,
+      counter: counterArguments
+    }
+  };
+
+  logger.debug('Response structure validated', {
+    relatedArticles: relatedArticles.length,
+    definitions: definitions.length,
+    mainArguments: mainArguments.length,
+    counterArguments: counterArguments.length
+  });
+
+  return normalized;
+}
+
+// Keys whose strings must match their source verbatim (article text or model output offsets),
+// so citations are left in place
+const VERBATIM_KEYS = new Set(['quotes', 'evidence', 'citations', 'groundingSupports']);
+
+/**
+ * Recursively strip citation numbers like [1], [2], [10] from all strings
+ * Values under VERBATIM_KEYS are left untouched
+ * @param {*} obj - Object, array, or string to clean
+ * @returns {*} Cleaned version without citations
+ */
+export function stripCitations(obj) {
+  if (typeof obj === 'string') {
+    // Remove citation numbers [1], [2], [10] etc and clean up whitespace
+    return obj.replace(/\s*\[\d+\]\s*/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  if (Array.isArray(obj)) {
+    return obj.map(item => stripCitations(item));
+  }
+
+  if (typeof obj === 'object' && obj !== null) {
+    const cleaned = {};
+    for (const [key, value] of Object.entries(obj)) {
+      cleaned[key] = VERBATIM_KEYS.has(key) ? value : stripCitations(value);
+    }
+    return cleaned;
+  }
+
+  return obj;
+}
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+};
+
+/**
+ * Start a Server-Sent Events response
+ * The headers are set on the response, not only passed to writeHead(), so errorHandler can
+ * still tell the response is a stream after it has started.
+ * @param {Object} res - Express response
+ */
+function startEventStream(res) {
+  res.set(SSE_HEADERS);
+  res.writeHead(200);
+}
+
+/**
+ * Only complete analyses are cached; partial or degraded ones should be retried
+ * @param {Object|null} result - Analysis result
+ * @returns {boolean}
+ */
+function isCacheableAnalysis(result) {
+  return Boolean(result) && !result.partial && !result.degraded && result.coverage.sectionsFailed === 0;
+}
+
+/**
+ * Prepare a (possibly cached) analysis for the article in this request
+ * Cached analyses may come from text that differs in whitespace, so evidence offsets are recomputed.
+ * @param {Object} result - Analysis result with `articleHash`
+ * @param {string} article - Submitted article text
+ * @returns {Object} Analysis without `articleHash`
+ */
+function analysisForArticle({ articleHash, ...result }, article) {
+  return articleHash === hashText(article) ? result : relocateEvidence(result, article);
+}
+
+/**
+ * Send a finished analysis (from the cache or a shared request) as an SSE stream
+ * @param {Object} res - Express response
+ * @param {Object|null} result - Analysis result, or null when the shared analysis failed
+ */
+export function replayAnalysis(res, result) {
+  startEventStream(res);
+
+  if (!result) {
+    res.write(formatSSE('error', { error: 'Analysis failed' }));
+  } else {
+    for (const definition of result.definitions) {
+      res.write(formatSSE('definition', definition));
+    }
+    for (const kind of ['main', 'counter']) {
+      for (const argument of result.arguments[kind]) {
+        res.write(formatSSE('argument', { kind, ...argument }));
+      }
+    }
+    res.write(formatSSE('complete', result));
+  }
+
+  res.end();
+}
+
+/**
+ * Create the analysis services for a provider
+ * @param {Object} options
+ * @param {Object} options.provider - LLM provider (see providers/index.js)
+ * @param {Object} [options.settings] - See settingsFromEnv()
+ * @param {AnalysisCache} [options.cache] - Response cache (default: one built from settings.cache)
+ * @param {MetricsRegistry} [options.registry] - Registry for the parsing, search and cache metrics
+ * @param {PromptLibrary} [options.prompts] - Prompt templates (default: loaded from settings.promptsDir)
+ * @param {LinkPipeline} [options.links] - Link pipeline for /search results and fact-check sources (default: one built from settings.links)
+ * @returns {Object} Services and request schemas, for createApiRouter()
+ */
+export function createAnalysisCore(options) {
+  const provider = contextualProvider(options.provider);
+  const settings = options.settings || settingsFromEnv({});
+  const analysisCache = options.cache || new AnalysisCache(settings.cache);
+  const registry = options.registry || new MetricsRegistry();
+  const links = options.links || new LinkPipeline(settings.links);
+  const prompts = options.prompts || (settings.promptsDir ? PromptLibrary.load(settings.promptsDir) : defaultPrompts);
+
+  const metrics = {
+    parseOutcomes: registry.counter({
+      name: 'deepdive_analysis_parse_outcomes_total',
+      help: 'Analysis output parsing: ok (valid as returned), repaired, partial, normalize_failed or degraded',
+      labelNames: ['outcome']
+    }),
+    searchSources: registry.counter({
+      name: 'deepdive_search_article_source_total',
+      help: 'Source of /search results: grounded_redirects, grounding_metadata or none (links only come from grounding)',
+      labelNames: ['source']
+    }),
+    linkOutcomes: registry.counter({
+      name: 'deepdive_search_link_outcomes_total',
+      help: 'Link pipeline of /search results: unwrapped, unwrap_failed, unsafe, blocked or duplicate',
+      labelNames: ['outcome']
+    }),
+    ungroundedUrls: registry.counter({
+      name: 'deepdive_search_ungrounded_urls_total',
+      help: 'URLs in /search model output that were not among the grounding results (dropped)'
+    }),
+    suspectedInjections: registry.counter({
+      name: 'deepdive_suspected_injection_total',
+      help: 'Articles that look like they contain instructions aimed at the model, by route',
+      labelNames: ['route']
+    }),
+    cacheLookups: registry.counter({
+      name: 'deepdive_cache_lookups_total',
+      help: 'Response cache lookups by result: hit, miss or coalesced (joined an identical request in flight)',
+      labelNames: ['cache', 'result']
+    })
+  };
+
+  // Request body schemas: validated by validateBody() and published at /openapi.json
+  const schemas = createRequestSchemas({
+    maxClaims: settings.factCheckMaxClaims,
+    minCompareArticles: MIN_COMPARE_ARTICLES,
+    maxCompareArticles: MAX_COMPARE_ARTICLES,
+    profiles: prompts.profiles(),
+    defaultProfile: DEFAULT_PROFILE
+  });
+
+  /**
+   * Run `compute` and report the model that answered its calls
+   * When fallbacks answered some of the calls, the one furthest down the chain is reported.
+   * @param {Function} compute - Async function making model calls
+   * @returns {Promise<{value: *, model: string}>}
+   */
+  async function answeredBy(compute) {
+    const models = new Set();
+    const value = await answeringModels.run(models, compute);
+    const chain = provider.models;
+    const model = [...models].sort((a, b) => chain.indexOf(b) - chain.indexOf(a))[0] || provider.model;
+    return { value, model };
+  }
+
+  /**
+   * Run `compute` and add the answering model to its result
+   * @param {Function} compute - Async function returning an object
+   * @returns {Promise<Object>}
+   */
+  async function withModel(compute) {
+    const { value, model } = await answeredBy(compute);
+    return { ...value, model };
+  }
+
+  // Answers from a fallback model are not cached, so the next request tries the preferred model again
+  const answeredByPreferredModel = result => result.model === provider.model;
+
+  const parseAnalysis = text => parseGeminiResponse(provider, text, {
+    maxRepairs: settings.maxRepairs,
+    signal: callSignal.getStore(),
+    onOutcome: outcome => metrics.parseOutcomes.inc({ outcome })
+  });
+
+  /**
+   * Run the injection heuristic over untrusted text (see prompt-injection.js)
+   * The result is only reported: the text is analyzed either way.
+   * @param {string|string[]} texts - Article text, or the texts of compared articles
+   * @param {string} route - Metric label: analyze, factcheck, compare or ask
+   * @returns {boolean} The `suspectedInjection` flag of the response
+   */
+  function screenForInjection(texts, route) {
+    const signals = [texts].flat().flatMap(text => detectInjection(text).signals);
+    if (signals.length === 0) {
+      return false;
+    }
+    metrics.suspectedInjections.inc({ route });
+    logger.warn('Suspected prompt injection in article', { route, rules: [...new Set(signals.map(signal => signal.rule))] });
+    logger.debug('Suspected prompt injection excerpts', { excerpts: signals.map(signal => signal.excerpt) });
+    return true;
+  }
+
+  /**
+   * Cache key of an /analyze request
+   * @param {string} article - Article text
+   * @param {string[]} concepts - Concepts to define
+   * @param {Object} languages - Request languages from resolveLanguages()
+   * @param {string} [profile] - Analysis profile
+   * @returns {string}
+   */
+  function analysisCacheKey(article, concepts = [], languages, profile = DEFAULT_PROFILE) {
+    return buildCacheKey('analyze', {
+      article: normalizeText(article),
+      concepts: [...new Set(concepts.map(concept => normalizeText(concept).toLowerCase()))].sort(),
+      languages: [languages.article, languages.output],
+      model: `${provider.name}:${provider.model || ''}`,
+      promptVersion: prompts.analysis(profile).id
+    });
+  }
+
+  /**
+   * Cache key of a /search request
+   * @param {string} searchQuery - Search query
+   * @param {Object} languages - Request languages from resolveLanguages()
+   * @returns {string}
+   */
+  function searchCacheKey(searchQuery, languages) {
+    return buildCacheKey('search', {
+      query: normalizeText(searchQuery).toLowerCase(),
+      languages: [languages.article, languages.output],
+      model: `${provider.name}:${provider.model || ''}`,
+      promptVersion: prompts.search().id,
+      // Cached links were filtered with the blocklist of their time
+      blocklist: links.blocklist
+    });
+  }
+
+  /**
+   * Look up a response in the cache or compute it, counting the lookup result
+   * Model calls made by `compute` are cancelled once every request waiting for it has
+   * disconnected (`options.signal`, see AnalysisCache.getOrCompute()).
+   * @param {string} cache - Metrics label: 'analyze' or 'search'
+   * @param {string} key - Cache key
+   * @param {Function} compute - Async function producing the value
+   * @param {Object} [options] - See AnalysisCache.getOrCompute()
+   * @returns {Promise<{value: *, status: string}>}
+   */
+  async function getOrComputeCached(cache, key, compute, options) {
+    const result = await analysisCache.getOrCompute(key, signal => callSignal.run(signal, compute), options);
+    metrics.cacheLookups.inc({ cache, result: result.status });
+    return result;
+  }
+
+  /**
+   * Create the support guard for one analysis request
+   * @param {string} article - Article text
+   * @param {string[]} concepts - Concepts the user asked to define
+   * @param {Object} [languages] - Request languages from resolveLanguages()
+   * @returns {SupportGuard}
+   */
+  function createSupportGuard(article, concepts = [], languages = null) {
+    return new SupportGuard(article, {
+      dropThreshold: settings.supportDropThreshold,
+      flagThreshold: settings.supportFlagThreshold,
+      concepts,
+      translated: languages?.translated === true
+    });
+  }
+
+  /**
+   * Analyze an article, splitting long articles into sections (map) and merging
+   * the per-section results (reduce)
+   * @param {string} article - Article text
+   * @param {string[]} concepts - Optional concepts to define
+   * @param {Object} [languages] - Request languages from resolveLanguages()
+   * @param {Object} template - Analysis template of the requested profile
+   * @param {Object} [hooks] - Optional job hooks: progress({stage, completed, total}) and partial(analysis)
+   * @returns {Promise<Object>} { definitions, arguments, partial, degraded, supportSummary, coverage }
+   */
+  async function runAnalysis(article, concepts = [], languages = null, template, hooks = {}) {
+    const { sections, totalSections } = splitArticle(article, {
+      sectionSize: settings.sectionSize,
+      maxSections: settings.maxSections
+    });
+    logger.info('Analyzing article', { sections: sections.length, totalSections, articleChars: article.length });
+
+    const guard = createSupportGuard(article, concepts, languages);
+    const results = new Array(sections.length);
+    let next = 0;
+    let completed = 0;
+
+    // Report each finished section, with the analysis of the sections done so far
+    function reportSection() {
+      completed++;
+      hooks.progress?.({ stage: 'analyze', completed, total: sections.length });
+      if (hooks.partial) {
+        const merger = new AnalysisMerger();
+        for (const result of results) {
+          if (result && !(result instanceof Error)) merger.addAnalysis(result);
+        }
+        hooks.partial(guard.apply(merger.result()));
+      }
+    }
+
+    // Analyze sections with bounded concurrency
+    async function worker() {
+      while (next < sections.length) {
+        throwIfCancelled();
+        const section = sections[next++];
+        const prompt = buildAnalysisPrompt(section.text, concepts, { index: section.index, total: sections.length }, languages, template);
+        try {
+          const result = await provider.generate({ task: 'analyze', prompt, systemInstruction: template.system, responseSchema: ANALYSIS_SCHEMA });
+          logger.debug('Section response received', { section: section.index + 1, preview: result.text.substring(0, 200) });
+          const parsed = await timeStage('parsing', () => parseAnalysis(result.text));
+          results[section.index] = attachEvidenceToAnalysis(parsed, article, section);
+        } catch (error) {
+          throwIfCancelled();
+          logger.error('Section analysis failed', { section: section.index + 1, error: error.message });
+          results[section.index] = error;
+        }
+        reportSection();
+      }
+    }
+    await Promise.all(Array.from({ length: Math.min(settings.concurrency, sections.length) }, worker));
+
+    const succeeded = sections.filter(section => !(results[section.index] instanceof Error));
+    if (succeeded.length === 0) {
+      // Every section failed - surface the first error to the error middleware
+      throw results[0];
+    }
+
+    const merger = new AnalysisMerger();
+    for (const section of succeeded) {
+      merger.addAnalysis(results[section.index]);
+    }
+
+    return {
+      ...guard.apply(merger.result()),
+      ...summarizeOutputStatus(succeeded.map(section => results[section.index].status)),
+      coverage: buildCoverage(article, succeeded, totalSections, sections.length - succeeded.length)
+    };
+  }
+
+  /**
+   * Stream an analysis to the client as Server-Sent Events
+   * Events: "definition" ({term, definition, evidence, support}), "argument" ({kind: 'main'|'counter', text, evidence, support}),
+   * then "complete" with the final merged analysis, output flags and coverage, or "error".
+   * Sections of long articles are streamed one after another; items already sent are not repeated.
+   * @param {Object} res - Express response
+   * @param {string} article - Article text
+   * @param {string[]} concepts - Optional concepts to define
+   * @param {Object} [languages] - Request languages from resolveLanguages()
+   * @param {string} [profile] - Analysis profile
+   * @returns {Promise<Object|null>} The `complete` payload, or null when every section failed
+   */
+  async function streamAnalysis(res, article, concepts = [], languages = null, profile = DEFAULT_PROFILE) {
+    startEventStream(res);
+
+    const template = prompts.analysis(profile);
+    const { sections, totalSections } = splitArticle(article, {
+      sectionSize: settings.sectionSize,
+      maxSections: settings.maxSections
+    });
+    const guard = createSupportGuard(article, concepts, languages);
+    const streamed = new AnalysisMerger();
+    const merged = new AnalysisMerger();
+    const succeeded = [];
+    const statuses = [];
+    let lastError = null;
+
+    const { model } = await answeredBy(async () => {
+      for (const section of sections) {
+        const prompt = buildAnalysisPrompt(section.text, concepts, { index: section.index, total: sections.length }, languages, template);
+        const parser = new IncrementalAnalysisParser();
+        let responseText = '';
+
+        try {
+          logger.debug('Streaming section', { section: section.index + 1, sections: sections.length });
+
+          for await (const chunk of provider.generateStream({ task: 'analyze', prompt, systemInstruction: template.system, responseSchema: ANALYSIS_SCHEMA })) {
+            responseText += chunk;
+            for (const event of parser.push(chunk)) {
+              const { kind, ...candidate } = attachEvidence(stripCitations(event.data), article, section);
+              const item = guard.check(candidate, event.type);
+              if (!item) continue; // Unsupported - the final result drops it too
+              const isNew = event.type === 'definition'
+                ? streamed.addDefinition(item)
+                : streamed.addArgument(kind, item);
+              if (isNew) {
+                res.write(formatSSE(event.type, event.type === 'argument' ? { kind, ...item } : item));
+              }
+            }
+          }
+
+          // The full-text parse is authoritative; streamed items are a preview of it
+          const parsed = attachEvidenceToAnalysis(await timeStage('parsing', () => parseAnalysis(responseText)), article, section);
+          merged.addAnalysis(parsed);
+          statuses.push(parsed.status);
+          succeeded.push(section);
+        } catch (error) {
+          throwIfCancelled();
+          logger.error('Streaming section failed', { section: section.index + 1, error });
+          lastError = error;
+        }
+      }
+    });
+
+    if (succeeded.length === 0) {
+      res.write(formatSSE('error', {
+        error: lastError?.message || 'Internal server error',
+        ...(lastError instanceof ModelError && { code: lastError.code })
+      }));
+      res.end();
+      return null;
+    }
+
+    const result = {
+      ...guard.apply(merged.result()),
+      ...summarizeOutputStatus(statuses),
+      coverage: buildCoverage(article, succeeded, totalSections, sections.length - succeeded.length),
+      language: { article: languages?.article ?? null, output: languages?.output ?? null },
+      profile: template.name,
+      promptVersion: template.id,
+      suspectedInjection: screenForInjection(article, 'analyze'),
+      model
+    };
+    res.write(formatSSE('complete', result));
+    res.end();
+    return result;
+  }
+
+  /**
+   * Analyze an article through the response cache (JSON mode and jobs)
+   * @param {string} article - Article text
+   * @param {string[]} concepts - Optional concepts to define
+   * @param {Object} languages - Request languages from resolveLanguages()
+   * @param {string} [profile] - Analysis profile
+   * @param {Object} [options]
+   * @param {Function} [options.progress] - Job hook, see runAnalysis()
+   * @param {Function} [options.partial] - Job hook, see runAnalysis()
+   * @param {AbortSignal} [options.signal] - Aborts when the requester no longer needs the analysis
+   * @returns {Promise<{value: Object, status: string}>} Response body and cache status
+   */
+  async function analyzeArticle(article, concepts = [], languages, profile = DEFAULT_PROFILE, options = {}) {
+    const { signal, ...hooks } = options;
+    const articleHash = hashText(article);
+    const template = prompts.analysis(profile);
+    const { value, status } = await getOrComputeCached('analyze', analysisCacheKey(article, concepts, languages, profile), async () => {
+      // Pure content analysis (no grounding tools), map-reduced over sections for long articles
+      const { value: parsedResponse, model } = await answeredBy(() => runAnalysis(article, concepts, languages, template, hooks));
+
+      // Return analysis only (no related articles - those come from /search endpoint)
+      return {
+        definitions: parsedResponse.definitions,
+        arguments: parsedResponse.arguments,
+        partial: parsedResponse.partial,
+        degraded: parsedResponse.degraded,
+        supportSummary: parsedResponse.supportSummary,
+        coverage: parsedResponse.coverage,
+        language: { article: languages.article, output: languages.output },
+        profile: template.name,
+        promptVersion: template.id,
+        suspectedInjection: screenForInjection(article, 'analyze'),
+        model,
+        articleHash
+      };
+    }, { shouldCache: result => isCacheableAnalysis(result) && answeredByPreferredModel(result), signal });
+
+    if (!value) {
+      // Shared with a streaming request whose analysis failed
+      throw new Error('Analysis failed');
+    }
+    return { value: analysisForArticle(value, article), status };
+  }
+
+  /**
+   * Find related articles with Google Search grounding
+   * @param {string} searchQuery - Search query
+   * @param {Object} languages - Request languages from resolveLanguages()
+   * @returns {Promise<Object>} { articles: [{title, url, domain}], degraded, promptVersion }
+   */
+  async function searchArticles(searchQuery, languages) {
+    const template = prompts.search();
+    const prompt = buildSearchPrompt(searchQuery, languages, template);
+
+    // Call the provider with Google Search grounding enabled
+    const result = await provider.generate({ task: 'search', prompt, systemInstruction: template.system, grounding: true, responseSchema: SEARCH_SCHEMA });
+
+    // Links come from grounding metadata only: URLs in the response text are whatever the model
+    // wrote, and the query comes from a web page that may have asked for its own links
+    const groundedArticles = timeStage('parsing', () => extractRelatedArticlesFromGrounding(result));
+
+    // Grounded redirect URLs are the most trustworthy; other grounded links only when there are none
+    const groundedRedirects = groundedArticles.filter(article =>
+      article.url.includes('vertexaisearch.cloud.google.com/grounding-api-redirect')
+    );
+    const selected = groundedRedirects.length > 0 ? groundedRedirects : groundedArticles;
+
+    // The JSON response only improves titles of grounded links (grounding titles are often domain
+    // names), matched by the grounded URL or by the destination of an unwrapped one
+    const structured = timeStage('parsing', () => parseStructured(result.text, SEARCH_SCHEMA));
+    const jsonArticles = Array.isArray(structured.value?.articles)
+      ? stripCitations(structured.value.articles.filter(article =>
+        article && typeof article.title === 'string' && typeof article.url === 'string'
+      ))
+      : [];
+    const keyOf = url => {
+      const safe = parseSafeUrl(url);
+      return safe ? linkKey(canonicalizeUrl(safe)) : url;
+    };
+    const titles = new Map(jsonArticles.map(article => [keyOf(article.url), article.title]));
+    const jsonTitles = new Map(jsonArticles.map(article => [article.url, article.title]));
+
+    // Scheme check, redirect unwrapping, canonical URLs, blocklist and duplicates (see link-safety.js)
+    // Grounding titles are usually the site's domain, which stands in for a redirect that cannot be unwrapped
+    const articles = (await links.process(
+      selected.map(article => ({ title: jsonTitles.get(article.url) || article.title, url: article.url, domainHint: article.title })),
+      { signal: callSignal.getStore(), onOutcome: outcome => metrics.linkOutcomes.inc({ outcome }) }
+    )).map(article => titles.has(linkKey(article.url)) ? { ...article, title: titles.get(linkKey(article.url)) } : article);
+
+    const groundedUrls = new Set(groundedArticles.map(article => article.url));
+    const keptUrls = new Set(articles.map(article => linkKey(article.url)));
+    const ungrounded = jsonArticles
+      .filter(article => !groundedUrls.has(article.url) && !keptUrls.has(keyOf(article.url)))
+      .map(article => article.url);
+    if (ungrounded.length > 0) {
+      metrics.ungroundedUrls.inc({}, ungrounded.length);
+      logger.debug('Search response URLs not in grounding results dropped', { urls: ungrounded });
+    }
+
+    // Log source for debugging
+    const source = groundedRedirects.length > 0 ? 'grounded_redirects' :
+                   groundedArticles.length > 0 ? 'grounding_metadata' : 'none';
+    metrics.searchSources.inc({ source });
+    logger.info('Search results selected', {
+      source,
+      articles: articles.length,
+      groundedArticles: groundedArticles.length,
+      ungroundedUrls: ungrounded.length
+    });
+    logger.debug('Search result details', { articles: articles.slice(0, 3) });
+
+    return {
+      articles,
+      // No grounded links: nothing trustworthy to show
+      degraded: groundedArticles.length === 0,
+      promptVersion: template.id
+    };
+  }
+
+  /**
+   * Find related articles, reporting the model that answered
+   * @param {string} searchQuery - Search query
+   * @param {Object} languages - Request languages from resolveLanguages()
+   * @returns {Promise<Object>} { articles, degraded, promptVersion, model }
+   */
+  function runSearch(searchQuery, languages) {
+    return withModel(() => searchArticles(searchQuery, languages));
+  }
+
+  return {
+    provider,
+    settings,
+    prompts,
+    schemas,
+    cache: analysisCache,
+    analysisCacheKey,
+    searchCacheKey,
+    getOrComputeCached,
+    answeredByPreferredModel,
+    withModel,
+    screenForInjection,
+    analyzeArticle,
+    streamAnalysis,
+    runSearch,
+    links
+  };
+}
+
+/**
+ * Express router with the health and readiness checks and the model-backed endpoints
+ * Request bodies are validated against `core.schemas`. Callers mount their own authentication,
+ * budgets and rate limits before it; `req.client`, when set, owns the jobs it creates.
+ * @param {Object} core - From createAnalysisCore()
+ * @param {Object} [options]
+ * @param {Object} [options.jobStore] - Job store; /jobs routes are only mounted when given
+ * @param {ReadinessProbe} [options.readiness] - Checks behind GET /ready; only mounted when given
+ * @returns {Object} Express router; with a job store, `router.jobManager` runs the jobs (drain it on shutdown)
+ */
+export function createApiRouter(core, options = {}) {
+  const {
+    provider, settings, schemas, analyzeArticle, streamAnalysis, runSearch, getOrComputeCached,
+    analysisCacheKey, searchCacheKey, answeredByPreferredModel, withModel, screenForInjection, links
+  } = core;
+  const router = express.Router();
+
+  // Health check endpoint
+  router.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  // Readiness: can this instance serve requests (provider, configuration, stores)
+  if (options.readiness) {
+    router.get('/ready', readinessHandler(options.readiness));
+  }
+
+  // Analyze endpoint
+  router.post('/analyze', validateBody(schemas.analyze), async (req, res, next) => {
+    try {
+      const { article, concepts, language, outputLanguage, profile = DEFAULT_PROFILE } = req.body;
+      const languages = resolveLanguages({ language, outputLanguage });
+
+      logger.info('Analysis requested', {
+        articleChars: article.length,
+        concepts,
+        articleLanguage: languages.article,
+        outputLanguage: languages.output,
+        profile
+      });
+
+      // Clients that accept SSE get definitions and arguments as they are generated
+      // (or all at once when the analysis is cached or already running for another client)
+      // Model calls stop when the client disconnects (e.g. the popup is closed mid-analysis)
+      const signal = clientDisconnectSignal(res);
+
+      if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+        const articleHash = hashText(article);
+        const { value, status } = await getOrComputeCached('analyze', analysisCacheKey(article, concepts, languages, profile), async () => {
+          res.set('X-Cache', 'MISS');
+          const result = await streamAnalysis(res, article, concepts, languages, profile);
+          return result && { ...result, articleHash };
+        }, { shouldCache: result => isCacheableAnalysis(result) && answeredByPreferredModel(result), signal });
+
+        if (status !== 'miss') {
+          res.set('X-Cache', status.toUpperCase());
+          replayAnalysis(res, value && analysisForArticle(value, article));
+        }
+        return;
+      }
+
+      const { value: response, status } = await analyzeArticle(article, concepts, languages, profile, { signal });
+      res.set('X-Cache', status.toUpperCase());
+
+      logger.info('Analysis complete', {
+        definitions: response.definitions.length,
+        mainArguments: response.arguments.main.length,
+        counterArguments: response.arguments.counter.length,
+        partial: response.partial,
+        degraded: response.degraded,
+        supportSummary: response.supportSummary,
+        coverage: response.coverage.ratio
+      });
+
+      res.json(response);
+
+    } catch (error) {
+      // Pass error to error handling middleware
+      next(error);
+    }
+  });
+
+  // Search endpoint - returns only related article URLs using Google Search grounding
+  router.post('/search', validateBody(schemas.search), async (req, res, next) => {
+    try {
+      const { searchQuery, language, outputLanguage } = req.body;
+      const languages = resolveLanguages({ language, outputLanguage });
+
+      logger.info('Search requested', { query: searchQuery, outputLanguage: languages.output });
+
+      const { value: result, status } = await getOrComputeCached(
+        'search',
+        searchCacheKey(searchQuery, languages),
+        () => runSearch(searchQuery, languages),
+        {
+          shouldCache: value => !value.degraded && value.articles.length > 0 && answeredByPreferredModel(value),
+          signal: clientDisconnectSignal(res)
+        }
+      );
+      res.set('X-Cache', status.toUpperCase());
+
+      logger.info('Search complete', { articles: result.articles.length, degraded: result.degraded });
+
+      res.json(result);
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Fact check endpoint
+  router.post('/factcheck', validateBody(schemas.factcheck), async (req, res, next) => {
+    try {
+      const { article, maxClaims } = req.body;
+
+      logger.info('Fact check requested', { articleChars: article.length, maxClaims });
+
+      const result = await withModel(() => runFactCheck(provider, article, {
+        links,
+        maxClaims: maxClaims || settings.factCheckMaxClaims,
+        concurrency: settings.concurrency,
+        maxRepairs: settings.maxRepairs
+      }));
+
+      logger.info('Fact check complete', { claims: result.claims.length, verdicts: result.claims.map(claim => claim.verdict) });
+
+      res.json(stripCitations({ ...result, suspectedInjection: screenForInjection(article, 'factcheck') }));
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Compare endpoint
+  router.post('/compare', validateBody(schemas.compare), async (req, res, next) => {
+    try {
+      const { articles } = req.body;
+
+      logger.info('Comparison requested', { articles: articles.length, articleChars: articles.map(article => article.text.length) });
+
+      const result = await withModel(() => runComparison(provider, articles, {
+        maxCharsPerArticle: settings.sectionSize,
+        maxRepairs: settings.maxRepairs
+      }));
+
+      logger.info('Comparison complete', {
+        sharedFacts: result.sharedFacts.length,
+        disagreements: result.disagreements.length,
+        uniqueClaims: result.uniqueClaims.length
+      });
+
+      res.json(stripCitations({ ...result, suspectedInjection: screenForInjection(articles.map(source => source.text), 'compare') }));
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Follow-up question endpoint
+  router.post('/ask', validateBody(schemas.ask), async (req, res, next) => {
+    try {
+      const { article, question, analysis, history } = req.body;
+
+      logger.info('Question asked', { articleChars: article.length, question, historyTurns: history?.length || 0 });
+
+      const result = await withModel(() => answerQuestion(provider, { article, question, analysis, history }, {
+        maxChars: settings.sectionSize * 2,
+        maxRepairs: settings.maxRepairs
+      }));
+
+      logger.info('Question answered', { answerable: result.answerable, citations: result.citations.length });
+
+      res.json(stripCitations({ ...result, suspectedInjection: screenForInjection(article, 'ask') }));
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Background jobs - the analyses above, for clients that cannot keep a request open
+  // Each runner takes the same input as its endpoint's request body
+  if (!options.jobStore) {
+    return router;
+  }
+
+  const jobManager = new JobManager({
+    store: options.jobStore,
+    runners: {
+      analyze: async ({ article, concepts, language, outputLanguage, profile }, { progress, partial, signal }) => {
+        const { value } = await analyzeArticle(article, concepts, resolveLanguages({ language, outputLanguage }), profile, {
+          signal,
+          progress,
+          partial: analysis => partial(stripCitations(analysis))
+        });
+        return stripCitations(value);
+      },
+      // Model calls stop when the job is interrupted (see JobManager.drain())
+      factcheck: async ({ article, maxClaims }, { progress, partial, signal }) => stripCitations({
+        ...await callSignal.run(signal, () => withModel(() => runFactCheck(provider, article, {
+          links,
+          signal,
+          maxClaims: maxClaims || settings.factCheckMaxClaims,
+          concurrency: settings.concurrency,
+          maxRepairs: settings.maxRepairs,
+          onProgress: ({ completed, total, claims }) => {
+            progress({ stage: 'factcheck', completed, total });
+            partial(stripCitations({ claims }));
+          }
+        }))),
+        suspectedInjection: screenForInjection(article, 'factcheck')
+      }),
+      compare: async ({ articles }, { signal }) => stripCitations({
+        ...await callSignal.run(signal, () => withModel(() => runComparison(provider, articles, {
+          signal,
+          maxCharsPerArticle: settings.sectionSize,
+          maxRepairs: settings.maxRepairs
+        }))),
+        suspectedInjection: screenForInjection(articles.map(source => source.text), 'compare')
+      })
+    }
+  });
+  router.jobManager = jobManager;
+
+  // Create a job - returns 202 with the job id immediately
+  // The input is validated against the request schema of the endpoint the job type runs
+  router.post('/jobs', validateBody(schemas.job), async (req, res, next) => {
+    try {
+      const { type, input } = req.body;
+      const inputErrors = timeStage('validation', () => validateRequest(input, schemas.jobInputs[type], 'input'));
+      if (inputErrors.length > 0) {
+        return sendValidationError(res, inputErrors);
+      }
+
+      const job = await jobManager.create(type, input, { owner: req.client?.id ?? null });
+      logger.info('Job created', { jobType: type, jobId: job.id });
+
+      res.status(202).location(`/jobs/${job.id}`).json(job);
+
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Jobs are only visible to the client that created them
+  async function getOwnJob(req) {
+    const job = await jobManager.get(req.params.id);
+    return job && job.owner === (req.client?.id ?? null) ? job : null;
+  }
+
+  // Job status with partial and final results
+  router.get('/jobs/:id', async (req, res, next) => {
+    try {
+      const job = await getOwnJob(req);
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found', code: 'not_found' });
+      }
+      res.json(job);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Job progress as Server-Sent Events
+  // Events: "status" (current job), "progress", "partial", then "complete" (result) or "error"
+  router.get('/jobs/:id/events', async (req, res, next) => {
+    try {
+      // Subscribe before reading the job so no update falls in between
+      const updates = [];
+      let send = (event, job) => updates.push([event, job]);
+      const unsubscribe = jobManager.subscribe(req.params.id, (event, job) => send(event, job));
+
+      const job = await getOwnJob(req);
+      if (!job) {
+        unsubscribe();
+        return res.status(404).json({ error: 'Job not found', code: 'not_found' });
+      }
+
+      startEventStream(res);
+      const finish = () => {
+        unsubscribe();
+        res.end();
+      };
+      send = (event, current) => {
+        if (event === 'progress') res.write(formatSSE('progress', current.progress));
+        else if (event === 'partial') res.write(formatSSE('partial', current.partial));
+        else if (event === 'complete') res.write(formatSSE('complete', current.result));
+        else if (event === 'error') res.write(formatSSE('error', { error: current.error, code: current.code, retryable: current.retryable }));
+        else res.write(formatSSE('status', { status: current.status }));
+
+        if (event === 'complete' || event === 'error') finish();
+      };
+
+      res.write(formatSSE('status', job));
+      if (job.status === 'completed') {
+        send('complete', job);
+      } else if (job.status === 'failed') {
+        send('error', job);
+      } else {
+        for (const [event, current] of updates) send(event, current);
+        req.on('close', unsubscribe);
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * 404 handler for unknown routes; mount after every route
+ */
+export function notFoundHandler(req, res) {
+  logger.warn('Route not found');
+  res.status(404).json({
+    error: 'Not found',
+    code: 'not_found',
+    message: `Route ${req.method} ${req.path} does not exist`
+  });
+}
+
+/**
+ * Error handling middleware; mount last
+ * Express recognizes error handlers by their four parameters, so `next` stays in the signature.
+ */
+export function errorHandler(err, req, res, next) {
+  // Nobody is left to answer; cancellations are expected and not errors
+  if (err instanceof RequestCancelledError) {
+    logger.info('Request cancelled by client', { code: err.code });
+    return;
+  }
+
+  // Client errors are logged without their message, which can quote the request body
+  const statusCode = err.statusCode || err.status || 500;
+  if (statusCode >= 500) {
+    logger.error('Request failed', { error: err });
+  } else {
+    logger.warn('Request rejected', { status: statusCode, errorType: err.type || err.name });
+  }
+
+  // The response has started (e.g. an SSE stream): the status can no longer change. Streams end
+  // with an error event; anything else goes to Express, which closes the connection
+  if (res.headersSent) {
+    if (!String(res.getHeader('Content-Type')).startsWith('text/event-stream')) {
+      return next(err);
+    }
+    if (!res.writableEnded) {
+      res.write(formatSSE('error', {
+        error: err instanceof ModelError ? err.message : 'Internal server error',
+        code: err instanceof ModelError ? err.code : 'internal_error'
+      }));
+      res.end();
+    }
+    return;
+  }
+
+  // Handle specific error types
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request body too large',
+      code: 'body_too_large',
+      message: 'Maximum request size is 1MB'
+    });
+  }
+
+  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+    return res.status(400).json({
+      error: 'Invalid JSON',
+      code: 'invalid_json',
+      message: 'Request body must be valid JSON'
+    });
+  }
+
+  // No model could answer: 503 (unavailable, with Retry-After when a circuit is open),
+  // 504 (timed out) or 502 (the model rejected the call)
+  if (err instanceof ModelError) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(err.status).json({ error: err.message, code: err.code });
+  }
+
+  // Generic error response
+  res.status(statusCode).json({
+    error: err.message || 'Internal server error',
+    code: statusCode >= 500 ? 'internal_error' : 'invalid_request'
+  });
+}
@@ -1,29 +1,30 @@
 import functions from 'firebase-functions';
 import express from 'express';
 import cors from 'cors';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import admin from 'firebase-admin';
+// The backend is copied into ./backend by `npm run sync-backend` (run before deploy and serve),
+// so this function serves the same prompts, parsing and routes as the Express server
+import { createProvider, ResilientProvider, resilienceOptionsFromEnv } from './backend/providers/index.js';
+import { SYSTEM_INSTRUCTION, createAnalysisCore, createApiRouter, settingsFromEnv, settingsProblems, notFoundHandler, errorHandler } from './backend/core.js';
+import { ReadinessProbe, modelCheck, configCheck } from './backend/readiness.js';
+import { Authenticator, createAuthMiddleware, parseApiKeys } from './backend/auth.js';
+import { createRouteRateLimiter, modelRoutePolicies } from './backend/rate-limiter.js';
+import { logger, createRequestLogging } from './backend/logger.js';
 
 // Initialize Firebase Admin
 admin.initializeApp();
 
 const app = express();
+// Requests arrive through Google's front end, which appends the caller's address to
+// X-Forwarded-For; anonymous callers are identified by it
+app.set('trust proxy', 1);
 
 // Get configuration from Firebase Functions config
 const GEMINI_API_KEY = functions.config().gemini?.api_key;
+const GEMINI_MODEL = functions.config().gemini?.model;
+const GEMINI_FALLBACK_MODELS = functions.config().gemini?.fallback_models;
 const ALLOWED_EXTENSION_ID = functions.config().extension?.id;
-
-if (!GEMINI_API_KEY) {
-  console.error('ERROR: GEMINI_API_KEY not configured. Run: firebase functions:config:set gemini.api_key="YOUR_KEY"');
-}
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-
-const model = genAI.getGenerativeModel({
-  model: 'gemini-1.5-flash',
-  systemInstruction: 'You are a research assistant that analyzes articles and provides structured insights. Your responses must be in valid JSON format. Provide accurate, relevant information based on the article content.'
-});
+const AUTH_CONFIG = functions.config().auth || {};
 
 // CORS configuration
 const corsOptions = {
@@ -43,261 +44,115 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Cache', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
   credentials: false
 };
 
+// Request ids and structured logs; Cloud Logging reads the `severity` field
+app.use(createRequestLogging(logger));
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '1mb' }));
 
-// Rate limiting using Firestore
-const rateLimit = async (req, res, next) => {
-  try {
-    const origin = req.headers.origin || 'unknown';
-    const now = Date.now();
-    const windowMs = 60000; // 1 minute
-    const maxRequests = 10; // 10 requests per minute
-    
-    const rateLimitRef = admin.firestore().collection('rateLimits').doc(origin);
-    const doc = await rateLimitRef.get();
-    
-    if (!doc.exists) {
-      await rateLimitRef.set({
-        requests: 1,
-        windowStart: now
-      });
-      next();
-      return;
-    }
-    
-    const data = doc.data();
-    const windowStart = data.windowStart;
-    const requests = data.requests;
-    
-    // Reset window if expired
-    if (now - windowStart > windowMs) {
-      await rateLimitRef.set({
-        requests: 1,
-        windowStart: now
-      });
-      next();
-      return;
-    }
-    
-    // Check if limit exceeded
-    if (requests >= maxRequests) {
-      res.status(429).json({
-        error: 'Too many requests',
-        message: 'Rate limit exceeded. Please try again later.',
-        retryAfter: Math.ceil((windowStart + windowMs - now) / 1000)
-      });
-      return;
-    }
-    
-    // Increment counter
-    await rateLimitRef.update({
-      requests: requests + 1
-    });
-    
-    next();
-  } catch (error) {
-    console.error('Rate limit error:', error);
-    next(); // Allow request on rate limit error
-  }
-};
-
-app.use(rateLimit);
-
-// Helper functions (same as server.js)
-function buildAnalysisPrompt(article, concepts = []) {
-  const conceptsText = concepts.length > 0 
-    ? concepts.join(', ') 
-    : 'identify 3-5 key terms from the article';
-  
-  return `Analyze the following article and provide a structured response in JSON format.
-
-Article:
-${article}
-
-Please provide:
-1. Three related articles (with realistic titles and URLs from reputable sources)
-2. Definitions for these key terms: ${conceptsText}
-3. Main arguments presented in the article
-4. Potential counter-arguments or alternative perspectives
-
-Format your response as valid JSON with this structure:
-{
-  "relatedArticles": [
-    {"title": "...", "url": "https://..."},
-    {"title": "...", "url": "https://..."},
-    {"title": "...", "url": "https://..."}
-  ],
-  "definitions": [
-    {"term": "...", "definition": "..."}
-  ],
-  "arguments": {
-    "main": ["argument 1", "argument 2", ...],
-    "counter": ["counter-argument 1", "counter-argument 2", ...]
+// Authentication, as in the Express server: issued API keys or anonymous install tokens from
+// /auth/register identify the caller, instead of the Origin header anyone can set
+// auth.mode: off, optional or required (default, like the server in production)
+const API_ROUTES = ['/analyze', '/search', '/factcheck', '/compare', '/ask', '/auth/me'];
+const AUTH_MODE = AUTH_CONFIG.mode || process.env.AUTH_MODE || 'required';
+let authenticator = null;
+try {
+  // Requests are spread over instances, so install tokens must verify on every one of them
+  if (AUTH_MODE !== 'off' && !AUTH_CONFIG.token_secret) {
+    throw new Error('auth.token_secret is required unless auth.mode is off');
   }
+  authenticator = new Authenticator({ apiKeys: parseApiKeys(AUTH_CONFIG.api_keys), tokenSecret: AUTH_CONFIG.token_secret });
+  app.use(API_ROUTES, createAuthMiddleware(authenticator, { mode: AUTH_MODE }));
+} catch (error) {
+  // firebase functions:config:set auth.token_secret="$(openssl rand -hex 32)"
+  logger.error('Invalid configuration', { error: error.message });
+  app.use((req, res) => {
+    res.status(503).json({ error: 'Service not configured', code: 'not_configured' });
+  });
 }
 
-Respond ONLY with the JSON object, no additional text or markdown formatting.`;
-}
-
-function parseGeminiResponse(text) {
-  const jsonCodeBlockMatch = text.match(/```json\s*\n([\s\S]*?)\n```/);
-  if (jsonCodeBlockMatch) {
-    try {
-      return validateAndNormalizeResponse(JSON.parse(jsonCodeBlockMatch[1]));
-    } catch (error) {
-      console.warn('Failed to parse JSON from code block');
-    }
+// Rate limiting: the Express server's per-route policies (burst and sustained limits on the model
+// routes, hourly per IP on /auth/register), kept in Firestore so every instance shares them
+const RATE_LIMIT_PER_MINUTE = parseInt(functions.config().rate_limit?.per_minute, 10) || 10;
+
+/**
+ * Rate limit store on Firestore, for createRouteRateLimiter()
+ * Each update runs in a transaction, so concurrent instances cannot both read the same state and
+ * let an extra request through. `expiresAt` can drive a Firestore TTL policy.
+ */
+class FirestoreRateLimitStore {
+  constructor(collection) {
+    this.collection = collection;
   }
-  
-  const jsonObjectMatch = text.match(/\{[\s\S]*\}/);
-  if (jsonObjectMatch) {
-    try {
-      return validateAndNormalizeResponse(JSON.parse(jsonObjectMatch[0]));
-    } catch (error) {
-      console.warn('Failed to parse extracted JSON object');
-    }
-  }
-  
-  try {
-    return validateAndNormalizeResponse(JSON.parse(text));
-  } catch (error) {
-    console.warn('Failed to parse entire response as JSON');
-  }
-  
-  return {
-    relatedArticles: [],
-    definitions: [],
-    arguments: {
-      main: [text.substring(0, 500) + (text.length > 500 ? '...' : '')],
-      counter: []
-    }
-  };
-}
 
-function validateAndNormalizeResponse(data) {
-  if (typeof data !== 'object' || data === null) {
-    throw new Error('Response must be an object');
-  }
-  
-  let relatedArticles = [];
-  if (Array.isArray(data.relatedArticles)) {
-    relatedArticles = data.relatedArticles
-      .filter(article => 
-        article && 
-        typeof article === 'object' && 
-        typeof article.title === 'string' && 
-        typeof article.url === 'string' &&
-        article.title.trim().length > 0 &&
-        article.url.trim().length > 0
-      )
-      .map(article => ({
-        title: article.title.trim(),
-        url: article.url.trim()
-      }))
-      .slice(0, 10);
-  }
-  
-  let definitions = [];
-  if (Array.isArray(data.definitions)) {
-    definitions = data.definitions
-      .filter(def => 
-        def && 
-        typeof def === 'object' && 
-        typeof def.term === 'string' && 
-        typeof def.definition === 'string' &&
-        def.term.trim().length > 0 &&
-        def.definition.trim().length > 0
-      )
-      .map(def => ({
-        term: def.term.trim(),
-        definition: def.definition.trim()
-      }))
-      .slice(0, 20);
-  }
-  
-  let mainArguments = [];
-  let counterArguments = [];
-  
-  if (data.arguments && typeof data.arguments === 'object') {
-    if (Array.isArray(data.arguments.main)) {
-      mainArguments = data.arguments.main
-        .filter(arg => typeof arg === 'string' && arg.trim().length > 0)
-        .map(arg => arg.trim())
-        .slice(0, 20);
-    }
-    
-    if (Array.isArray(data.arguments.counter)) {
-      counterArguments = data.arguments.counter
-        .filter(arg => typeof arg === 'string' && arg.trim().length > 0)
-        .map(arg => arg.trim())
-        .slice(0, 20);
-    }
+  async update(key, fn, ttlFor) {
+    // Document ids cannot contain "/", which route keys do
+    const ref = this.collection.doc(encodeURIComponent(key));
+    return admin.firestore().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const data = doc.exists ? doc.data() : null;
+      const state = data?.expiresAt?.toMillis() > Date.now() ? data.state : null;
+      const result = fn(state);
+      transaction.set(ref, { state: result.state, expiresAt: new Date(Date.now() + ttlFor(result)) });
+      return result;
+    });
   }
-  
-  return {
-    relatedArticles,
-    definitions,
-    arguments: {
-      main: mainArguments,
-      counter: counterArguments
-    }
-  };
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Jobs are not mounted here (see below), so POST /jobs has no policy
+app.use(createRouteRateLimiter(modelRoutePolicies(RATE_LIMIT_PER_MINUTE, { jobs: false }), {
+  store: new FirestoreRateLimitStore(admin.firestore().collection('rateLimits'))
+}));
+
+// Issue an anonymous install token - the extension registers once and keeps the token
+app.post('/auth/register', (req, res) => {
+  const { token, clientId } = authenticator.issueInstallToken();
+  logger.info('Issued install token', { client: clientId });
+  res.status(201).json({ token, clientId, type: 'install' });
 });
 
-// Analyze endpoint
-app.post('/analyze', async (req, res, next) => {
-  const startTime = Date.now();
-  
-  try {
-    const { article, concepts } = req.body;
-    
-    if (!article || typeof article !== 'string' || article.trim().length === 0) {
-      return res.status(400).json({ error: 'Missing or invalid article text' });
-    }
-    
-    if (article.length > 500000) {
-      return res.status(400).json({ error: 'Article text is too long. Maximum 500,000 characters allowed.' });
-    }
-    
-    if (concepts !== undefined && (!Array.isArray(concepts) || concepts.length > 20)) {
-      return res.status(400).json({ error: 'Invalid concepts parameter' });
-    }
-    
-    const prompt = buildAnalysisPrompt(article, concepts);
-    const result = await model.generateContent(prompt);
-    const responseText = result.response.text();
-    const parsedResponse = parseGeminiResponse(responseText);
-    
-    const duration = Date.now() - startTime;
-    console.log(`Analysis completed in ${duration}ms`);
-    
-    res.json(parsedResponse);
-    
-  } catch (error) {
-    console.error('Analysis error:', error);
-    next(error);
-  }
+// Identity of the calling client
+app.get('/auth/me', (req, res) => {
+  const { id, type, name } = req.client;
+  res.json({ client: { id, type, name } });
 });
 
-// Error handling
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  const statusCode = err.statusCode || err.status || 500;
-  res.status(statusCode).json({ 
-    error: err.message || 'Internal server error'
+// Health and readiness checks, /analyze, /search, /factcheck, /compare and /ask from the shared core
+// Jobs are not mounted: they run after the response, which function instances do not allow
+try {
+  const env = { LLM_PROVIDER: 'gemini', GEMINI_API_KEY, GEMINI_MODEL };
+  const { fallbackModels, ...resilience } = resilienceOptionsFromEnv({ ...process.env, LLM_FALLBACK_MODELS: GEMINI_FALLBACK_MODELS });
+  const chain = [undefined, ...fallbackModels].map(model => createProvider(env, { systemInstruction: SYSTEM_INSTRUCTION, model }));
+  const provider = new ResilientProvider(chain, {
+    ...resilience,
+    onEvent: ({ type, model, task, reason, error, from, state }) => {
+      if (type === 'failure') logger.warn('Model call failed', { model, task, reason, error });
+      else if (type === 'fallback') logger.warn('Falling back to the next model', { from, to: model, task });
+      else if (type === 'circuit') logger.warn('Model circuit breaker changed state', { model, state });
+      else if (type === 'cancelled') logger.info('Model call cancelled', { model, task });
+    }
   });
-});
+  const core = createAnalysisCore({ provider, settings: settingsFromEnv(process.env) });
+  // The model check reaches Gemini, so its result is reused for a minute per instance
+  const readiness = new ReadinessProbe()
+    .add('model', modelCheck(provider), { ttlMs: 60000, failureTtlMs: 10000 })
+    .add('config', configCheck(() => ({ errors: settingsProblems(core.settings) })));
+  app.use(createApiRouter(core, { readiness }));
+} catch (error) {
+  // Usually a missing key: firebase functions:config:set gemini.api_key="YOUR_KEY"
+  logger.error('Invalid configuration', { error: error.message });
+  app.use((req, res) => {
+    res.status(503).json({ error: 'Service not configured', code: 'not_configured' });
+  });
+}
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Export the Express app as a Firebase Function
 export const api = functions.https.onRequest(app);
@@ -0,0 +1,144 @@
+/**
+ * Evidence spans
+ * Ties definitions and arguments back to the article: quotes proposed by the model are
+ * located in the submitted text and kept only if they exist there verbatim.
+ */
+
+import { logger } from './logger.js';
+
+// Curly quotes and dashes the model tends to substitute for the article's characters
+const EQUIVALENT_CHARS = {
+  '‘': "'", '’': "'", '“': '"', '”': '"',
+  '–': '-', '—': '-', ' ': ' '
+};
+
+/**
+ * Build a whitespace-collapsed copy of text plus a map back to original offsets
+ * @param {string} text
+ * @returns {{normalized: string, offsets: number[]}}
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  let lastWasSpace = false;
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = EQUIVALENT_CHARS[text[i]] || text[i];
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      ch = ' ';
+      lastWasSpace = true;
+    } else {
+      lastWasSpace = false;
+    }
+    normalized += ch;
+    offsets.push(i);
+  }
+
+  return { normalized, offsets };
+}
+
+/**
+ * Locate a quote in the article
+ * Tries an exact match first, then a match that ignores whitespace runs and
+ * typographic quote/dash differences. The returned quote is always the article's own text.
+ * @param {string} article - Submitted article text
+ * @param {string} quote - Quote proposed by the model
+ * @param {Object} range - Optional {start, end} to search first (e.g. the analyzed section)
+ * @returns {{quote: string, start: number, end: number}|null} Verified span, or null if not found
+ */
+export function locateQuote(article, quote, range = null) {
+  const needle = typeof quote === 'string' ? quote.trim() : '';
+  if (needle.length < 8) {
+    return null; // Too short to be meaningful evidence
+  }
+
+  const windows = range ? [range, { start: 0, end: article.length }] : [{ start: 0, end: article.length }];
+
+  for (const window of windows) {
+    const haystack = article.slice(window.start, window.end);
+
+    const exact = haystack.indexOf(needle);
+    if (exact !== -1) {
+      const start = window.start + exact;
+      return { quote: article.slice(start, start + needle.length), start, end: start + needle.length };
+    }
+
+    const { normalized, offsets } = normalizeWithOffsets(haystack);
+    const normalizedNeedle = normalizeWithOffsets(needle).normalized;
+    const fuzzy = normalized.indexOf(normalizedNeedle);
+    if (fuzzy !== -1) {
+      const start = window.start + offsets[fuzzy];
+      const end = window.start + offsets[fuzzy + normalizedNeedle.length - 1] + 1;
+      return { quote: article.slice(start, end), start, end };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replace an item's model-proposed `quotes` with verified `evidence` spans
+ * @param {Object} item - Definition or argument with optional quotes array
+ * @param {string} article - Submitted article text
+ * @param {Object} range - Optional {start, end} to search first
+ * @returns {Object} Item with `evidence` (possibly empty) and without `quotes`
+ */
+export function attachEvidence(item, article, range = null) {
+  const { quotes = [], ...rest } = item;
+  const evidence = [];
+
+  for (const quote of quotes) {
+    const span = locateQuote(article, quote, range);
+    if (span && !evidence.some(existing => existing.start === span.start)) {
+      evidence.push(span);
+    } else if (!span) {
+      logger.warn('Dropped unverifiable quote', { quote });
+    }
+  }
+
+  return { ...rest, evidence };
+}
+
+/**
+ * Attach verified evidence to every definition and argument of an analysis
+ * @param {Object} analysis - { definitions, arguments: { main, counter } } with quotes
+ * @param {string} article - Submitted article text
+ * @param {Object} range - Optional {start, end} to search first
+ * @returns {Object} Analysis with evidence spans
+ */
+export function attachEvidenceToAnalysis(analysis, article, range = null) {
+  return {
+    ...analysis,
+    definitions: analysis.definitions.map(def => attachEvidence(def, article, range)),
+    arguments: {
+      main: analysis.arguments.main.map(arg => attachEvidence(arg, article, range)),
+      counter: analysis.arguments.counter.map(arg => attachEvidence(arg, article, range))
+    }
+  };
+}
+
+/**
+ * Re-anchor the evidence of an analysis to another copy of the article
+ * Used when a cached analysis is served for text that differs only in whitespace or
+ * Unicode form, so offsets stay valid for the submitted string.
+ * @param {Object} analysis - { definitions, arguments: { main, counter } } with evidence
+ * @param {string} article - Submitted article text
+ * @returns {Object} Analysis with evidence located in `article` (spans not found are dropped)
+ */
+export function relocateEvidence(analysis, article) {
+  const relocate = item => ({
+    ...item,
+    evidence: (item.evidence || [])
+      .map(span => locateQuote(article, span.quote))
+      .filter(Boolean)
+  });
+  return {
+    ...analysis,
+    definitions: analysis.definitions.map(relocate),
+    arguments: {
+      main: analysis.arguments.main.map(relocate),
+      counter: analysis.arguments.counter.map(relocate)
+    }
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Background jobs for long-running analyses
+ * A job is created, runs in the background and records its progress, partial results and
+ * final result in a job store, so clients can poll it, follow it as an event stream or come
+ * back to it later (e.g. after the extension popup was closed).
+ *
+ * Job stores implement: create(job), get(id), update(id, patch) and delete(id), all async.
+ * MemoryJobStore is the default; a shared store (database, Redis) lets several instances
+ * serve the same jobs.
+ *
+ * Failed jobs carry an error `code`: job_failed, or server_shutdown when the server stopped
+ * before the job finished. `retryable` tells clients whether creating the job again may work.
+ */
+
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+/**
+ * The server shut down while a job was running
+ */
+export class JobInterruptedError extends Error {
+  constructor() {
+    super('The server shut down before the job finished. Create it again.');
+    this.name = 'JobInterruptedError';
+    this.code = 'server_shutdown';
+  }
+}
+
+/**
+ * In-memory job store
+ * Finished jobs are removed `ttlMs` after their last update.
+ */
+export class MemoryJobStore {
+  /**
+   * @param {Object} options
+   * @param {number} [options.ttlMs] - Lifetime of finished jobs (default: 1 hour)
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || 3600000;
+    this.jobs = new Map();
+
+    // Clean up expired jobs every minute; unref so the timer never keeps the process alive
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    this.cleanupInterval.unref();
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  async get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async update(id, patch) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    const updated = { ...job, ...patch, updatedAt: new Date().toISOString() };
+    this.jobs.set(id, updated);
+    return updated;
+  }
+
+  async delete(id) {
+    this.jobs.delete(id);
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if ((job.status === 'completed' || job.status === 'failed') && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Stop the cleanup interval
+   */
+  destroy() {
+    clearInterval(this.cleanupInterval);
+  }
+}
+
+/**
+ * Creates jobs and runs them with registered runners
+ */
+export class JobManager {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.store] - Job store (default: MemoryJobStore)
+   * @param {Object<string, Function>} options.runners - Runner per job type:
+   *   async (input, { progress, partial, signal }) => result; `signal` aborts when the job is interrupted
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryJobStore();
+    this.runners = options.runners || {};
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    // Jobs running in this process: id -> { controller, done }
+    this.running = new Map();
+  }
+
+  /**
+   * Job types that can be created
+   * @returns {string[]}
+   */
+  get types() {
+    return Object.keys(this.runners);
+  }
+
+  /**
+   * Create a job and start it in the background
+   * @param {string} type - Registered job type
+   * @param {Object} input - Runner input (validated by the caller)
+   * @param {Object} [meta]
+   * @param {string} [meta.owner] - Id of the client that created the job
+   * @returns {Promise<Object>} The queued job
+   */
+  async create(type, input, meta = {}) {
+    const runner = this.runners[type];
+    if (!runner) {
+      throw new Error(`Unknown job type "${type}"`);
+    }
+
+    const now = new Date().toISOString();
+    const job = await this.store.create({
+      id: randomUUID(),
+      type,
+      owner: meta.owner || null,
+      status: 'queued',
+      progress: null,
+      partial: null,
+      result: null,
+      error: null,
+      code: null,
+      retryable: false,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    // Not awaited: the job outlives the request that created it
+    const controller = new AbortController();
+    const done = this.run(job.id, runner, input, controller.signal);
+    this.running.set(job.id, { controller, done });
+    done.then(() => this.running.delete(job.id));
+    return job;
+  }
+
+  /**
+   * Run a job to completion, recording every step in the store
+   * @param {string} id - Job id
+   * @param {Function} runner - Job runner
+   * @param {Object} input - Runner input
+   * @param {AbortSignal} signal - Aborted by interrupt()
+   */
+  async run(id, runner, input, signal) {
+    const record = async (event, patch) => {
+      // An interrupted job has its final state already; later updates would overwrite it
+      if (signal.aborted) return;
+      const job = await this.store.update(id, patch);
+      this.events.emit(id, event, job);
+    };
+
+    try {
+      await record('status', { status: 'running' });
+      const result = await runner(input, {
+        progress: progress => record('progress', { progress }).catch(() => {}),
+        partial: partial => record('partial', { partial }).catch(() => {}),
+        signal
+      });
+      await record('complete', { status: 'completed', result, partial: null });
+    } catch (error) {
+      if (signal.aborted) return;
+      logger.error('Job failed', { jobId: id, error: error.message });
+      await record('error', { status: 'failed', error: error.message || 'Job failed', code: 'job_failed', retryable: false }).catch(() => {});
+    }
+  }
+
+  /**
+   * Wait for the jobs running in this process, then interrupt those still running
+   * Interrupted jobs fail with code server_shutdown and retryable: true, and their model
+   * calls are cancelled. Jobs created while waiting are waited for too.
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - How long to wait (default: 8000)
+   * @returns {Promise<{finished: boolean, interrupted: number}>}
+   */
+  async drain(options = {}) {
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), options.timeoutMs ?? 8000);
+    });
+    let finished = true;
+    while (this.running.size > 0 && finished) {
+      const jobs = [...this.running.values()].map(({ done }) => done);
+      finished = await Promise.race([Promise.all(jobs).then(() => true), deadline]);
+    }
+    clearTimeout(timer);
+    return { finished, interrupted: finished ? 0 : await this.interrupt() };
+  }
+
+  /**
+   * Fail every job running in this process with a retryable server_shutdown error
+   * @returns {Promise<number>} Jobs interrupted
+   */
+  async interrupt() {
+    const jobs = [...this.running.entries()];
+    await Promise.all(jobs.map(async ([id, { controller }]) => {
+      const error = new JobInterruptedError();
+      controller.abort(error);
+      try {
+        const job = await this.store.update(id, { status: 'failed', error: error.message, code: error.code, retryable: true });
+        this.events.emit(id, 'error', job);
+      } catch (storeError) {
+        logger.warn('Could not record the interrupted job', { jobId: id, error: storeError.message });
+      }
+    }));
+    return jobs.length;
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Follow a job's updates
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with (event, job); event is status, progress, partial, complete or error
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(id, listener) {
+    this.events.on(id, listener);
+    return () => this.events.off(id, listener);
+  }
+}
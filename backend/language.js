@@ -0,0 +1,98 @@
+/**
+ * Article and output languages
+ * The extension detects the article language and sends it with the language the user
+ * wants results in. Languages are BCP 47 tags ("de", "pt-BR"); prompts use English names.
+ */
+
+// Output language used when neither the user nor the article says otherwise
+export const DEFAULT_OUTPUT_LANGUAGE = 'en';
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Canonicalize a language tag
+ * @param {*} tag - Candidate tag, e.g. "pt-br"
+ * @returns {string|null} Canonical tag ("pt-BR"), or null when the tag is not valid BCP 47
+ */
+export function normalizeLanguageTag(tag) {
+  if (typeof tag !== 'string' || tag.trim().length === 0 || tag.length > 35) return null;
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * English name of a language, for prompts
+ * @param {string} tag - Canonical tag
+ * @returns {string} e.g. "Brazilian Portuguese"; the tag itself when unknown
+ */
+export function languageName(tag) {
+  try {
+    return displayNames.of(tag) || tag;
+  } catch {
+    return tag;
+  }
+}
+
+/**
+ * Compare the primary subtags of two languages ("en-GB" and "en" are the same language)
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {boolean}
+ */
+export function sameLanguage(a, b) {
+  return Boolean(a && b) && a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+}
+
+/**
+ * Work out the languages of one request
+ * An output language of "auto" (or none) means "same as the article".
+ * @param {Object} params
+ * @param {*} [params.language] - Detected article language
+ * @param {*} [params.outputLanguage] - Requested output language or "auto"
+ * @returns {{article: string|null, output: string, translated: boolean}}
+ */
+export function resolveLanguages({ language, outputLanguage } = {}) {
+  const article = normalizeLanguageTag(language);
+  const output = (outputLanguage !== 'auto' && normalizeLanguageTag(outputLanguage)) || article || DEFAULT_OUTPUT_LANGUAGE;
+  return { article, output, translated: Boolean(article) && !sameLanguage(article, output) };
+}
+
+/**
+ * Prompt requirements telling the model which language to write in
+ * Quotes always stay in the article's language so they can be found in the text.
+ * @param {{article: string|null, output: string, translated: boolean}} languages - From resolveLanguages()
+ * @returns {string} Requirement lines (each starting with "- "), or an empty string for English-only requests
+ */
+export function buildLanguageRequirements(languages) {
+  if (!languages || (!languages.translated && sameLanguage(languages.output, DEFAULT_OUTPUT_LANGUAGE))) {
+    return '';
+  }
+  const lines = [];
+  if (languages.article) {
+    lines.push(`- The article is written in ${languageName(languages.article)}`);
+  }
+  lines.push(`- Write every term, definition and argument in ${languageName(languages.output)}`);
+  lines.push(languages.translated
+    ? `- Keep "quotes" in ${languageName(languages.article)}, copied word for word from the article; do NOT translate them`
+    : '- Keep "quotes" exactly as they appear in the article');
+  return lines.join('\n');
+}
+
+/**
+ * Validate the optional language fields of a request body
+ * @param {*} language - Article language
+ * @param {*} outputLanguage - Output language or "auto"
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLanguageFields(language, outputLanguage) {
+  if (language !== undefined && !normalizeLanguageTag(language)) {
+    return 'Invalid field: language must be a BCP 47 language tag (e.g. "de" or "pt-BR")';
+  }
+  if (outputLanguage !== undefined && outputLanguage !== 'auto' && !normalizeLanguageTag(outputLanguage)) {
+    return 'Invalid field: outputLanguage must be "auto" or a BCP 47 language tag';
+  }
+  return null;
+}
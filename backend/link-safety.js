@@ -0,0 +1,237 @@
+/**
+ * Link safety for related articles
+ * Links returned by /search end up in an href in the popup, so each one goes through the same
+ * pipeline before it is returned:
+ *
+ * 1. Only http(s) URLs without credentials are kept (no javascript:, data: or user@host tricks)
+ * 2. Links on a known redirector (Google's grounding-api-redirect) are unwrapped to their
+ *    destination. Only redirector hops are requested: the destination itself is never fetched,
+ *    so the server does not browse to whatever a redirect points at
+ * 3. The URL is canonicalized: no fragment, no tracking parameters
+ * 4. Links whose domain (or a parent domain) is on the blocklist are dropped
+ * 5. Duplicates by canonical URL (with or without "www.") are dropped; the first one keeps its title
+ *
+ * Each kept article carries its display domain.
+ */
+
+import { logger } from './logger.js';
+
+export const DEFAULT_REDIRECT_PREFIXES = ['https://vertexaisearch.cloud.google.com/grounding-api-redirect/'];
+
+// Query parameters that identify a campaign or a click, not the page
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'ttclid', 'li_fat_id',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+  'vero_id', 'vero_conv', 'ref_src', 'ref_url', 'spm', 'sr_share'
+]);
+
+// A bare domain name such as "nature.com"
+const DOMAIN_NAME = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+const isTrackingParam = name => /^utm_/i.test(name) || TRACKING_PARAMS.has(name.toLowerCase());
+
+/**
+ * Parse a link that is safe to put in an href
+ * @param {string} url
+ * @param {string} [base] - Base for relative URLs (a redirect's Location)
+ * @returns {URL|null} null unless http(s) without credentials
+ */
+export function parseSafeUrl(url, base) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+  if (parsed.username || parsed.password || !parsed.hostname) return null;
+  return parsed;
+}
+
+/**
+ * Canonical form of a safe URL: fragment and tracking parameters removed
+ * Host case and default ports are already normalized by URL.
+ * @param {URL} url - From parseSafeUrl()
+ * @returns {string}
+ */
+export function canonicalizeUrl(url) {
+  const canonical = new URL(url.href);
+  canonical.hash = '';
+  for (const name of [...canonical.searchParams.keys()]) {
+    if (isTrackingParam(name)) canonical.searchParams.delete(name);
+  }
+  // An emptied query leaves no trailing "?"
+  if (canonical.searchParams.size === 0) canonical.search = '';
+  return canonical.href;
+}
+
+/**
+ * Key under which links to the same page match: the canonical URL, ignoring "www."
+ * @param {string} url - Canonical URL
+ * @returns {string}
+ */
+export function linkKey(url) {
+  return url.replace(/^(https?:\/\/)www\./, '$1');
+}
+
+/**
+ * Domain to show next to a link
+ * Internationalized domains stay in punycode so look-alike characters cannot pass for another site.
+ * @param {URL} url
+ * @returns {string} Hostname without "www."
+ */
+export function displayDomain(url) {
+  return url.hostname.replace(/^www\./, '');
+}
+
+/**
+ * Whether a hostname is a blocked domain or one of its subdomains
+ * @param {string} hostname
+ * @param {string[]} blocklist - Lowercase domains
+ * @returns {boolean}
+ */
+export function isBlockedDomain(hostname, blocklist) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return blocklist.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Link pipeline settings from the environment
+ * @param {Object} env - process.env, or the Firebase function's equivalent
+ * @returns {Object} LinkPipeline options
+ */
+export function linkOptionsFromEnv(env) {
+  const list = value => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return {
+    // The mock provider's grounding links are not real redirects, and it stays offline
+    unwrapRedirects: env.LINK_UNWRAP_REDIRECTS ? env.LINK_UNWRAP_REDIRECTS !== 'false' : env.LLM_PROVIDER !== 'mock',
+    redirectPrefixes: env.LINK_REDIRECT_PREFIXES ? list(env.LINK_REDIRECT_PREFIXES) : DEFAULT_REDIRECT_PREFIXES,
+    blocklist: list(env.LINK_BLOCKLIST).map(domain => domain.toLowerCase()),
+    timeoutMs: parseInt(env.LINK_UNWRAP_TIMEOUT_MS ?? '3000', 10),
+    maxHops: 5
+  };
+}
+
+export class LinkPipeline {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.unwrapRedirects] - Resolve redirector links (default: true)
+   * @param {string[]} [options.redirectPrefixes] - URL prefixes of redirectors (default: Google grounding redirects)
+   * @param {string[]} [options.blocklist] - Blocked domains; subdomains are blocked too
+   * @param {number} [options.timeoutMs] - Time limit for unwrapping one link (default: 3000)
+   * @param {number} [options.maxHops] - Redirector hops followed per link (default: 5)
+   * @param {Function} [options.fetch] - fetch implementation, for tests
+   */
+  constructor(options = {}) {
+    this.unwrapRedirects = options.unwrapRedirects ?? true;
+    this.redirectPrefixes = options.redirectPrefixes || DEFAULT_REDIRECT_PREFIXES;
+    this.blocklist = (options.blocklist || []).map(domain => domain.toLowerCase());
+    this.timeoutMs = options.timeoutMs ?? 3000;
+    this.maxHops = options.maxHops ?? 5;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  isRedirector(url) {
+    return this.redirectPrefixes.some(prefix => url.href.startsWith(prefix));
+  }
+
+  /**
+   * Follow redirector hops to the link's destination, without requesting the destination
+   * @param {URL} url - Safe URL
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the requests (e.g. the client disconnected)
+   * @returns {Promise<URL>} Destination; rejects when a hop fails, leads to an unsafe URL or
+   *   the hops run out
+   */
+  async unwrap(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`No redirect within ${this.timeoutMs} ms`)), this.timeoutMs);
+    const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+    try {
+      let current = url;
+      for (let hop = 0; hop < this.maxHops && this.isRedirector(current); hop++) {
+        const response = await this.fetch(current.href, { method: 'GET', redirect: 'manual', signal });
+        // Only the status and Location header are needed
+        await response.body?.cancel();
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) {
+          throw new Error(`Redirector answered ${response.status} without a redirect`);
+        }
+        current = parseSafeUrl(location, current.href);
+        if (!current) {
+          throw Object.assign(new Error('Redirect to an unsafe URL'), { unsafe: true });
+        }
+      }
+      if (this.isRedirector(current)) {
+        throw new Error(`More than ${this.maxHops} redirects`);
+      }
+      return current;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run links through the pipeline
+   * A link that cannot be unwrapped (timeout, network, or unwrapping is off) is kept as the
+   * redirector link; its domain is then taken from `domainHint` (grounding titles are usually
+   * the site's domain).
+   * @param {Array<{title: string, url: string, domainHint?: string}>} articles
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.onOutcome] - Called with unwrapped, unwrap_failed, unsafe, blocked or duplicate
+   * @returns {Promise<Array<{title: string, url: string, domain: string}>>} Kept articles, in order
+   */
+  async process(articles, options = {}) {
+    const outcome = name => options.onOutcome?.(name);
+
+    const resolved = await Promise.all(articles.map(async ({ title, url, domainHint }) => {
+      const safe = parseSafeUrl(url);
+      if (!safe) {
+        outcome('unsafe');
+        logger.warn('Unsafe link dropped', { scheme: String(url).split(':')[0].slice(0, 20) });
+        return null;
+      }
+      if (!this.isRedirector(safe)) {
+        return { title, url: safe, domain: displayDomain(safe) };
+      }
+      if (this.unwrapRedirects) {
+        try {
+          const destination = await this.unwrap(safe, options);
+          outcome('unwrapped');
+          return { title, url: destination, domain: displayDomain(destination) };
+        } catch (error) {
+          options.signal?.throwIfAborted();
+          if (error.unsafe) {
+            outcome('unsafe');
+            logger.warn('Redirect to an unsafe link dropped');
+            return null;
+          }
+          outcome('unwrap_failed');
+          logger.warn('Link could not be unwrapped; keeping the redirect', { error: error.message });
+        }
+      }
+      const hint = DOMAIN_NAME.test(domainHint || '') && parseSafeUrl(`https://${domainHint}`);
+      return { title, url: safe, domain: hint ? displayDomain(hint) : displayDomain(safe) };
+    }));
+
+    const seen = new Set();
+    const kept = [];
+    for (const article of resolved) {
+      if (!article) continue;
+      if (isBlockedDomain(article.url.hostname, this.blocklist) || isBlockedDomain(article.domain, this.blocklist)) {
+        outcome('blocked');
+        logger.info('Blocked link dropped', { domain: article.domain });
+        continue;
+      }
+      const url = canonicalizeUrl(article.url);
+      if (seen.has(linkKey(url))) {
+        outcome('duplicate');
+        continue;
+      }
+      seen.add(linkKey(url));
+      kept.push({ title: article.title, url, domain: article.domain });
+    }
+    return kept;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Structured logging
+ * Every entry is one JSON object per line: { time, level, severity, msg, requestId, ...fields }.
+ * `severity` uses the Cloud Logging names so deployed logs are filtered by level without parsing.
+ *
+ * Requests get a correlation id (echoed in X-Request-Id) that every entry logged while handling
+ * them carries, including entries from modules that never see `req`. Fields that hold what users
+ * read or ask (article text, queries, questions, quotes, model output, related article titles and
+ * URLs) are redacted to their length unless debug mode is on.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const SEVERITY = { debug: 'DEBUG', info: 'INFO', warn: 'WARNING', error: 'ERROR' };
+
+// Field names whose values are user content, at any depth
+export const REDACTED_FIELDS = new Set([
+  'article', 'text', 'query', 'searchQuery', 'question', 'answer', 'history', 'concepts',
+  'quote', 'prompt', 'preview', 'title', 'url'
+]);
+
+// Incoming ids are reused only when they are safe to echo and log
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Request being handled: { requestId, fields, timings, startTime }
+export const requestContext = new AsyncLocalStorage();
+
+function writeLine(level, line) {
+  if (level === 'warn' || level === 'error') {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+/**
+ * Replace user content with its size
+ * @param {*} value
+ * @returns {string}
+ */
+function redactValue(value) {
+  if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+  return '[redacted]';
+}
+
+/**
+ * Copy of log fields that is safe to write
+ * @param {*} value
+ * @param {boolean} redact - Whether to redact user content
+ * @param {number} depth
+ * @returns {*}
+ */
+function serialize(value, redact, depth = 0) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, ...(value.code && { code: value.code }), stack: value.stack };
+  }
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 5) return '[nested]';
+  if (Array.isArray(value)) return value.map(item => serialize(item, redact, depth + 1));
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (field === undefined) continue;
+    copy[key] = redact && REDACTED_FIELDS.has(key) && field !== null
+      ? redactValue(field)
+      : serialize(field, redact, depth + 1);
+  }
+  return copy;
+}
+
+export class Logger {
+  /**
+   * @param {Object} [options] - See configure()
+   */
+  constructor(options = {}) {
+    this.settings = { level: 'info', debug: false, write: writeLine };
+    this.fields = {};
+    this.configure(options);
+  }
+
+  /**
+   * Change settings of this logger and every child
+   * @param {Object} options
+   * @param {string} [options.level] - Lowest level written: debug, info, warn or error
+   * @param {boolean} [options.debug] - Debug mode: user content is written unredacted
+   * @param {Function} [options.write] - Receives (level, line); for tests
+   */
+  configure(options) {
+    if (options.level !== undefined && !LOG_LEVELS.includes(options.level)) {
+      throw new Error(`Invalid LOG_LEVEL "${options.level}". Expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    for (const key of ['level', 'debug', 'write']) {
+      if (options[key] !== undefined) this.settings[key] = options[key];
+    }
+  }
+
+  /**
+   * Logger adding fields to every entry
+   * @param {Object} fields
+   * @returns {Logger}
+   */
+  child(fields) {
+    const child = Object.create(Logger.prototype);
+    child.settings = this.settings;
+    child.fields = { ...this.fields, ...fields };
+    return child;
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.settings.level);
+  }
+
+  log(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      severity: SEVERITY[level],
+      msg,
+      ...context?.fields,
+      ...this.fields,
+      ...fields
+    };
+    this.settings.write(level, JSON.stringify(serialize(entry, !this.settings.debug)));
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+}
+
+// Shared by all modules; server.js configures it from the environment
+export const logger = new Logger();
+
+/**
+ * Logger settings from the environment
+ * LOG_LEVEL=debug is debug mode: debug entries are written and user content is not redacted.
+ * @param {Object} env - process.env
+ * @returns {{level: string, debug: boolean}}
+ */
+export function loggerOptionsFromEnv(env) {
+  const level = env.LOG_LEVEL || 'info';
+  return { level, debug: level === 'debug' };
+}
+
+/**
+ * Add time spent in a stage to the current request
+ * @param {string} stage - e.g. 'validation', 'model', 'parsing'
+ * @param {number} ms
+ */
+export function recordStage(stage, ms) {
+  const context = requestContext.getStore();
+  if (context) {
+    context.timings[stage] = (context.timings[stage] || 0) + ms;
+  }
+}
+
+/**
+ * Run a function and add its duration to a stage of the current request
+ * @param {string} stage
+ * @param {Function} fn - Sync or async
+ * @returns {*} What fn returns
+ */
+export function timeStage(stage, fn) {
+  const start = performance.now();
+  const done = () => recordStage(stage, performance.now() - start);
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    done();
+    throw error;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.finally(done);
+  }
+  done();
+  return result;
+}
+
+/**
+ * Express middleware factory giving every request an id, a log context and a completion entry
+ * The completion entry has the status, duration and the time spent per stage. Stage times are
+ * summed over concurrent work (e.g. sections analyzed in parallel), so they can exceed the duration.
+ * @param {Logger} log
+ * @returns {Function} Express middleware
+ */
+export function createRequestLogging(log) {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const context = {
+      requestId,
+      fields: { requestId, method: req.method, path: req.path },
+      timings: {},
+      startTime: performance.now()
+    };
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    res.on('close', () => {
+      const timings = {};
+      for (const [stage, ms] of Object.entries(context.timings)) {
+        timings[stage] = Math.round(ms);
+      }
+      const entry = {
+        ...context.fields,
+        status: res.statusCode,
+        durationMs: Math.round(performance.now() - context.startTime),
+        timings,
+        cache: res.get('X-Cache'),
+        client: req.client?.id
+      };
+      if (!res.writableFinished) {
+        log.info('Request aborted by client', entry);
+      } else {
+        log.log(res.statusCode >= 500 ? 'error' : 'info', 'Request completed', entry);
+      }
+    });
+
+    requestContext.run(context, () => {
+      log.debug('Request received', { contentLength: req.get('Content-Length') });
+      next();
+    });
+  };
+}
@@ -0,0 +1,328 @@
+/**
+ * Prometheus metrics
+ * Counters, gauges and histograms rendered in the Prometheus text exposition format (0.0.4),
+ * without a client library dependency. Labels are fixed per metric; keep their values to a
+ * small set (route templates, not paths with ids).
+ */
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; analyses of long articles take tens of seconds
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Shared behaviour: name, help, label names and one series per label combination
+ */
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name, e.g. "http_requests_total"
+   * @param {string} options.help - Description shown by Prometheus
+   * @param {string[]} [options.labelNames] - Label names, in the order values are kept
+   */
+  constructor({ name, help, labelNames = [] }) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name "${name}"`);
+    }
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Series for a set of labels, created on first use
+   * @param {Object} labels
+   * @param {Function} create - Returns the initial series state
+   */
+  seriesFor(labels, create) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Metric ${this.name} has no label "${name}"`);
+      }
+    }
+    const values = this.labelNames.map(name => String(labels[name] ?? ''));
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { values, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Existing series for a set of labels
+   * @param {Object} labels
+   * @returns {Object|undefined}
+   */
+  find(labels) {
+    return this.series.get(JSON.stringify(this.labelNames.map(name => String(labels[name] ?? ''))));
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+export class Counter extends Metric {
+  type = 'counter';
+
+  constructor(options) {
+    super(options);
+    // Without labels there is one series, reported as 0 until first incremented
+    if (this.labelNames.length === 0) this.inc({}, 0);
+  }
+
+  /**
+   * @param {Object} [labels]
+   * @param {number} [value] - Non-negative increment (default: 1)
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      throw new Error(`Counter ${this.name} can only increase`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Current value, for tests
+   * @param {Object} [labels]
+   * @returns {number}
+   */
+  get(labels = {}) {
+    return this.find(labels)?.value ?? 0;
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Gauge extends Metric {
+  type = 'gauge';
+
+  /**
+   * @param {Object} options - See Metric, plus:
+   * @param {Function} [options.collect] - Called with the gauge before each scrape, to set current values
+   */
+  constructor(options) {
+    super(options);
+    this.collect = options.collect || null;
+    if (this.labelNames.length === 0) this.set({}, 0);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this.find(labels)?.value ?? 0;
+  }
+
+  render() {
+    this.collect?.(this);
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, series.values)} ${formatValue(series.value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Histogram extends Metric {
+  type = 'histogram';
+
+  /**
+   * @param {Object} options - See Metric, plus:
+   * @param {number[]} [options.buckets] - Upper bounds (default: DEFAULT_BUCKETS)
+   */
+  constructor(options) {
+    super(options);
+    if (options.labelNames?.includes('le')) {
+      throw new Error(`Histogram ${this.name} cannot use the reserved label "le"`);
+    }
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record one observation
+   * @param {Object} labels
+   * @param {number} value - e.g. seconds
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) series.counts[index]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the elapsed seconds
+   * @param {Object} labels
+   * @returns {Function} (extraLabels?) => seconds
+   */
+  startTimer(labels = {}) {
+    const start = performance.now();
+    return (extraLabels = {}) => {
+      const seconds = (performance.now() - start) / 1000;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, series.values, `le="${formatValue(bound)}"`)} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, series.values)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, series.values)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * All metrics in the text exposition format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Process metrics: start time and memory
+ * @param {MetricsRegistry} registry
+ */
+export function registerProcessMetrics(registry) {
+  registry.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since the Unix epoch in seconds',
+    collect: gauge => gauge.set({}, Math.round((Date.now() - process.uptime() * 1000) / 1000))
+  });
+  registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: gauge => gauge.set({}, process.memoryUsage.rss())
+  });
+  registry.gauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'V8 heap used in bytes',
+    collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+  });
+}
+
+/**
+ * Route label of a finished request: the Express route template, so ids in paths do not
+ * create a series each. Requests answered by middleware before reaching their route (401, 429)
+ * have no template; their path is used when it is one of `knownPaths`.
+ * @param {Object} req - Express request
+ * @param {Set<string>} [knownPaths] - Exact paths that may be used as labels
+ * @returns {string} e.g. "/jobs/:id", or "unmatched"
+ */
+export function routeLabel(req, knownPaths = new Set()) {
+  const template = req.route?.path;
+  if (typeof template === 'string') {
+    return `${req.baseUrl}${template}`;
+  }
+  // Routes declared for several paths at once match exactly one of them
+  const path = `${req.baseUrl}${req.path}`;
+  return Array.isArray(template) || knownPaths.has(path) ? path : 'unmatched';
+}
+
+/**
+ * Express middleware factory counting requests and their latency per route
+ * @param {Object} metrics
+ * @param {Counter} metrics.requests - Labels: method, route, status
+ * @param {Histogram} metrics.duration - Labels: method, route
+ * @param {Gauge} [metrics.inFlight] - No labels
+ * @param {Object} [options]
+ * @param {string[]} [options.knownPaths] - See routeLabel()
+ * @returns {Function} Express middleware
+ */
+export function createHttpMetrics({ requests, duration, inFlight }, options = {}) {
+  const knownPaths = new Set(options.knownPaths || []);
+  return (req, res, next) => {
+    const start = performance.now();
+    inFlight?.inc();
+    res.on('close', () => {
+      inFlight?.dec();
+      const route = routeLabel(req, knownPaths);
+      // Client disconnects have no status worth reporting; count them apart
+      const status = res.writableFinished ? String(res.statusCode) : 'aborted';
+      requests.inc({ method: req.method, route, status });
+      duration.observe({ method: req.method, route }, (performance.now() - start) / 1000);
+    });
+    next();
+  };
+}
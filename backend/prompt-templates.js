@@ -0,0 +1,165 @@
+/**
+ * Prompt templates
+ * The analysis and search prompts are versioned text files under prompts/:
+ *   prompts/analysis/<profile>/v<N>.txt - one directory per analysis profile (news, academic, ...)
+ *   prompts/search/v<N>.txt
+ * The highest version of each is used, and its id (e.g. "news/v2") is returned with results and
+ * is part of their cache keys. Published versions are not edited: changing a prompt means adding
+ * the next version, so an id always names the text that produced a result.
+ *
+ * A template file starts with a header of `key: value` lines between `---` lines (`system`,
+ * the system instruction, is required; `description` is shown in the API docs), followed by the
+ * prompt with {{name}} placeholders.
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_PROMPTS_DIR = join(dirname(fileURLToPath(import.meta.url)), 'prompts');
+
+export const DEFAULT_PROFILE = 'general';
+
+// Placeholders each kind of template may use; the first one is required
+const PLACEHOLDERS = {
+  analysis: ['article', 'concepts', 'sectionNote', 'languageRequirements'],
+  search: ['searchQuery', 'languageNote']
+};
+
+const VERSION_FILE = /^v(\d+)\.txt$/;
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+/**
+ * Parse the contents of a template file
+ * @param {string} source - File contents
+ * @param {string} id - Template id, for error messages
+ * @returns {{description: string, system: string, body: string}}
+ */
+export function parseTemplate(source, id) {
+  const match = source.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Prompt template ${id} must start with a header between --- lines`);
+  }
+
+  const header = {};
+  for (const line of match[1].split('\n')) {
+    if (!line.trim()) continue;
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      throw new Error(`Prompt template ${id} has an invalid header line: "${line}"`);
+    }
+    header[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  if (!header.system) {
+    throw new Error(`Prompt template ${id} has no system instruction`);
+  }
+
+  return { description: header.description || '', system: header.system, body: match[2] };
+}
+
+/**
+ * Fill in the placeholders of a template
+ * Trailing whitespace is removed, so an empty placeholder on the last line leaves no blank line.
+ * @param {Object} template - From PromptLibrary
+ * @param {Object} values - Text for each placeholder
+ * @returns {string} Prompt
+ */
+export function renderTemplate(template, values) {
+  return template.body.replace(PLACEHOLDER, (placeholder, name) => {
+    if (typeof values[name] !== 'string') {
+      throw new Error(`No value for ${placeholder} in prompt template ${template.id}`);
+    }
+    return values[name];
+  }).trimEnd();
+}
+
+/**
+ * Load the highest version in a template directory
+ * @param {string} dir - Directory with v<N>.txt files
+ * @param {string} name - Profile name, or "search"
+ * @param {string[]} placeholders - Allowed placeholders, the first one required
+ * @returns {Object} { id, name, version, description, system, body }
+ */
+function loadLatest(dir, name, placeholders) {
+  const versions = readdirSync(dir)
+    .map(file => Number(file.match(VERSION_FILE)?.[1]))
+    .filter(version => version > 0);
+  if (versions.length === 0) {
+    throw new Error(`No prompt template versions (v1.txt, v2.txt, ...) in ${dir}`);
+  }
+
+  const version = Math.max(...versions);
+  const id = `${name}/v${version}`;
+  const template = { id, name, version, ...parseTemplate(readFileSync(join(dir, `v${version}.txt`), 'utf8'), id) };
+
+  const used = new Set([...template.body.matchAll(PLACEHOLDER)].map(match => match[1]));
+  const unknown = [...used].filter(placeholder => !placeholders.includes(placeholder));
+  if (unknown.length > 0) {
+    throw new Error(`Prompt template ${id} uses unknown placeholders: ${unknown.join(', ')}`);
+  }
+  if (!used.has(placeholders[0])) {
+    throw new Error(`Prompt template ${id} must include {{${placeholders[0]}}}`);
+  }
+  return template;
+}
+
+export class PromptLibrary {
+  /**
+   * @param {Object} templates
+   * @param {Map<string, Object>} templates.analysis - Analysis template by profile name
+   * @param {Object} templates.search - Search template
+   */
+  constructor({ analysis, search }) {
+    if (!analysis.has(DEFAULT_PROFILE)) {
+      throw new Error(`The "${DEFAULT_PROFILE}" analysis profile is missing`);
+    }
+    this.analysisTemplates = analysis;
+    this.searchTemplate = search;
+  }
+
+  /**
+   * Load the latest version of every template
+   * @param {string} [dir] - Prompts directory (default: prompts/ next to this file)
+   * @returns {PromptLibrary}
+   */
+  static load(dir = DEFAULT_PROMPTS_DIR) {
+    const analysisDir = join(dir, 'analysis');
+    const analysis = new Map();
+    for (const entry of readdirSync(analysisDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        analysis.set(entry.name, loadLatest(join(analysisDir, entry.name), entry.name, PLACEHOLDERS.analysis));
+      }
+    }
+    return new PromptLibrary({ analysis, search: loadLatest(join(dir, 'search'), 'search', PLACEHOLDERS.search) });
+  }
+
+  /**
+   * Analysis profiles, the default first
+   * @returns {Array<{name: string, description: string, promptVersion: string}>}
+   */
+  profiles() {
+    return [...this.analysisTemplates.values()]
+      .sort((a, b) => (b.name === DEFAULT_PROFILE) - (a.name === DEFAULT_PROFILE) || a.name.localeCompare(b.name))
+      .map(({ name, description, id }) => ({ name, description, promptVersion: id }));
+  }
+
+  /**
+   * Analysis template of a profile
+   * @param {string} [profile] - Profile name (default: DEFAULT_PROFILE)
+   * @returns {Object} Template
+   */
+  analysis(profile = DEFAULT_PROFILE) {
+    const template = this.analysisTemplates.get(profile);
+    if (!template) {
+      throw new Error(`Unknown analysis profile "${profile}"`);
+    }
+    return template;
+  }
+
+  /**
+   * @returns {Object} Search template
+   */
+  search() {
+    return this.searchTemplate;
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Gemini provider
+ * Wraps @google/generative-ai and passes Gemini's response shape through unchanged
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+export class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} [options.model] - Model name (default: gemini-2.0-flash)
+   * @param {string} [options.systemInstruction] - System instruction applied to every call
+   */
+  constructor(options = {}) {
+    if (!options.apiKey) {
+      throw new Error('GEMINI_API_KEY is not set in environment variables');
+    }
+    
+    this.name = 'gemini';
+    this.model = options.model || 'gemini-2.0-flash';
+    this.client = new GoogleGenerativeAI(options.apiKey).getGenerativeModel({
+      model: this.model,
+      systemInstruction: options.systemInstruction
+    });
+  }
+  
+  /**
+   * Generate content for a prompt
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {Promise<Object>} GenerateResult
+   */
+  async generate(request) {
+    const result = await this.client.generateContent(this.buildParams(request), { signal: request.signal });
+    const response = result.response;
+    
+    return {
+      text: response.candidates?.[0]?.content?.parts?.[0]?.text || '',
+      candidates: response.candidates || [],
+      usageMetadata: response.usageMetadata || null
+    };
+  }
+  
+  /**
+   * Stream generated text for a prompt
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {AsyncIterable<string>} Text chunks
+   */
+  async *generateStream(request) {
+    const result = await this.client.generateContentStream(this.buildParams(request), { signal: request.signal });
+    
+    for await (const chunk of result.stream) {
+      const text = chunk.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (text) {
+        yield text;
+      }
+    }
+    
+    if (request.onUsage) {
+      const response = await result.response;
+      request.onUsage(response.usageMetadata || null);
+    }
+  }
+  
+  /**
+   * Check the API key and model with a token count, which is free and generates nothing
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<void>}
+   */
+  async check(options = {}) {
+    await this.client.countTokens('ping', { signal: options.signal });
+  }
+  
+  /**
+   * Build SDK request parameters
+   * @param {Object} request - GenerateRequest
+   * @returns {Object} GenerateContentRequest
+   */
+  buildParams(request) {
+    const params = {
+      contents: [{ role: 'user', parts: [{ text: request.prompt }] }]
+    };
+    
+    if (request.systemInstruction) {
+      params.systemInstruction = request.systemInstruction;
+    }
+    
+    if (request.grounding) {
+      params.tools = [{ google_search: {} }];
+    } else if (request.responseSchema) {
+      // Gemini cannot combine controlled generation with the search tool,
+      // so grounded calls rely on validation of the returned text instead
+      params.generationConfig = {
+        responseMimeType: 'application/json',
+        responseSchema: request.responseSchema
+      };
+    }
+    
+    return params;
+  }
+}
+
+export default GeminiProvider;
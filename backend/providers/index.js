@@ -0,0 +1,77 @@
+/**
+ * LLM provider layer
+ * Route handlers talk to a provider instead of a concrete SDK, so the backend can run
+ * against Gemini, an OpenAI-compatible server (llama.cpp, Ollama) or offline fixtures.
+ *
+ * Every provider exposes:
+ *   name: string
+ *   model: string
+ *   generate(request: GenerateRequest): Promise<GenerateResult>
+ *   generateStream(request: GenerateRequest): AsyncIterable<string>
+ *   check({ signal }): Promise - resolves when the provider is reachable and accepts the
+ *     credentials and model, without generating (for readiness checks)
+ *
+ * @typedef {Object} GenerateRequest
+ * @property {string} prompt - User prompt
+ * @property {string} [task] - What the call is for ('analyze', 'search', ...); used by the mock provider
+ * @property {string} [systemInstruction] - System instruction for this call, replacing the provider's
+ * @property {boolean} [grounding] - Ask for Google Search grounding (Gemini only)
+ * @property {Object} [responseSchema] - JSON schema to request as structured output (see structured-output.js)
+ * @property {AbortSignal} [signal] - Aborts the call (set per attempt by ResilientProvider)
+ * @property {Function} [onUsage] - Streaming only: called with the usageMetadata (or null) once the stream ends
+ * @property {Function} [onModel] - Streaming only: called by ResilientProvider with the model that answers
+ *
+ * @typedef {Object} GenerateResult
+ * @property {string} text - Text of the first candidate
+ * @property {Array} candidates - Candidates in Gemini's shape (groundingMetadata preserved when present)
+ * @property {Object|null} usageMetadata - Token counts, when the provider reports them
+ * @property {string} [model] - Model that answered (set by ResilientProvider)
+ */
+
+import { GeminiProvider } from './gemini.js';
+import { OpenAICompatibleProvider } from './openai-compatible.js';
+import { MockProvider } from './mock.js';
+import { ResilientProvider, ModelError, CircuitBreaker, isTransientError, resilienceOptionsFromEnv } from './resilient.js';
+
+export const PROVIDERS = ['gemini', 'openai', 'mock'];
+
+/**
+ * Create the provider selected by configuration
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @param {Object} options - Options shared by all providers
+ * @param {string} [options.systemInstruction] - System instruction applied to every call
+ * @param {string} [options.model] - Model to use instead of the configured one (for fallback models)
+ * @returns {Object} Provider instance
+ */
+export function createProvider(env = process.env, options = {}) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: options.model || env.GEMINI_MODEL,
+        systemInstruction: options.systemInstruction
+      });
+    
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        model: options.model || env.OPENAI_MODEL,
+        apiKey: env.OPENAI_API_KEY,
+        systemInstruction: options.systemInstruction
+      });
+    
+    case 'mock':
+      return new MockProvider({
+        fixturesDir: env.MOCK_FIXTURES_DIR,
+        model: options.model
+      });
+    
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+export { GeminiProvider, OpenAICompatibleProvider, MockProvider };
+export { ResilientProvider, ModelError, CircuitBreaker, isTransientError, resilienceOptionsFromEnv };
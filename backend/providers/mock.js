@@ -0,0 +1,163 @@
+/**
+ * Mock provider
+ * Deterministic, offline provider that replays JSON fixtures keyed by request task.
+ * Used for CI and local development without an API key.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'mock');
+
+/**
+ * Wait, rejecting with the signal's reason if it aborts first
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Throw the error described by a fault
+ * @param {Object} fault - { status?, code? }
+ */
+function throwFault(fault) {
+  const error = new Error(fault.code ? 'fetch failed' : `Mock provider failed with ${fault.status || 500}`);
+  if (fault.code) {
+    error.cause = Object.assign(new Error(fault.code), { code: fault.code });
+  } else {
+    error.status = fault.status || 500;
+  }
+  throw error;
+}
+
+export class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.fixturesDir] - Directory containing <task>.json fixtures
+   * @param {Object} [options.fixtures] - Inline fixtures keyed by task (take precedence over files)
+   * @param {number} [options.chunkSize] - Characters per chunk when streaming (default: 32)
+   * @param {string} [options.model] - Model name to report (default: mock)
+   * @param {Array<Object|null>} [options.faults] - Failures to inject, one entry per call in order
+   *   (see injectFault); null lets a call through. Calls past the end of the list succeed.
+   */
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.model = options.model || 'mock';
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.fixtures = options.fixtures || {};
+    this.chunkSize = options.chunkSize || 32;
+    this.faults = [...(options.faults || [])];
+    this.calls = [];
+  }
+  
+  /**
+   * Apply the next fault, if any, to a call
+   * A fault is { delayMs?, status?, code?, afterChunks? }: wait delayMs (cut short when the
+   * request's signal aborts), then throw an error with that status or network error code.
+   * Streams with afterChunks fail after yielding that many chunks instead.
+   * @param {Object} request - GenerateRequest
+   * @returns {Promise<Object|null>} The fault, or null
+   */
+  async injectFault(request) {
+    const fault = this.faults.shift() || null;
+    if (fault?.delayMs) {
+      await abortableDelay(fault.delayMs, request.signal);
+    }
+    if ((fault?.status || fault?.code) && fault.afterChunks === undefined) {
+      throwFault(fault);
+    }
+    return fault;
+  }
+  
+  /**
+   * Load the fixture for a task
+   * Fixture format: { "text": string, "groundingMetadata"?: Object, "usageMetadata"?: Object }
+   * @param {string} task - Request task (e.g. 'analyze', 'search')
+   * @returns {Object} Fixture
+   */
+  loadFixture(task) {
+    if (this.fixtures[task]) {
+      return this.fixtures[task];
+    }
+    
+    const file = join(this.fixturesDir, `${task}.json`);
+    if (!existsSync(file)) {
+      throw new Error(`Mock provider has no fixture for task "${task}" (looked in ${file})`);
+    }
+    
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  }
+  
+  /**
+   * Generate content for a prompt by replaying the task fixture
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {Promise<Object>} GenerateResult
+   */
+  async generate(request) {
+    this.calls.push(request);
+    await this.injectFault(request);
+    
+    const fixture = this.loadFixture(request.task || 'default');
+    const candidate = {
+      content: { role: 'model', parts: [{ text: fixture.text }] }
+    };
+    
+    if (request.grounding && fixture.groundingMetadata) {
+      candidate.groundingMetadata = fixture.groundingMetadata;
+    }
+    
+    return {
+      text: fixture.text,
+      candidates: [candidate],
+      usageMetadata: fixture.usageMetadata || null
+    };
+  }
+  
+  /**
+   * Stream the task fixture in fixed-size chunks
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {AsyncIterable<string>} Text chunks
+   */
+  async *generateStream(request) {
+    this.calls.push(request);
+    const fault = await this.injectFault(request);
+    
+    const { text, usageMetadata } = this.loadFixture(request.task || 'default');
+    for (let i = 0, chunks = 0; i < text.length; i += this.chunkSize, chunks++) {
+      if (fault?.afterChunks === chunks) {
+        throwFault(fault);
+      }
+      yield text.slice(i, i + this.chunkSize);
+    }
+    request.onUsage?.(usageMetadata || null);
+  }
+  
+  /**
+   * Readiness check; takes the next fault like a call does
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<void>}
+   */
+  async check(options = {}) {
+    await this.injectFault({ signal: options.signal });
+  }
+}
+
+export default MockProvider;
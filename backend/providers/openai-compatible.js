@@ -0,0 +1,175 @@
+/**
+ * OpenAI-compatible provider
+ * Talks to any server exposing POST /chat/completions (llama.cpp server, Ollama, vLLM, OpenAI)
+ */
+
+/**
+ * Map OpenAI token counts to Gemini's usageMetadata shape
+ * @param {Object} usage - { prompt_tokens, completion_tokens, total_tokens }
+ * @returns {Object} usageMetadata
+ */
+function toUsageMetadata(usage) {
+  return {
+    promptTokenCount: usage.prompt_tokens || 0,
+    candidatesTokenCount: usage.completion_tokens || 0,
+    totalTokenCount: usage.total_tokens || 0
+  };
+}
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL including version prefix (e.g. http://localhost:11434/v1)
+   * @param {string} options.model - Model name as known to the server
+   * @param {string} [options.apiKey] - Bearer token, if the server requires one
+   * @param {string} [options.systemInstruction] - System message prepended to every call
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error('OPENAI_BASE_URL is not set in environment variables');
+    }
+    
+    this.name = 'openai';
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.model = options.model || 'default';
+    this.apiKey = options.apiKey || null;
+    this.systemInstruction = options.systemInstruction || null;
+  }
+  
+  /**
+   * Generate content for a prompt
+   * Grounding is not available on these servers; requests asking for it get a plain completion
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {Promise<Object>} GenerateResult
+   */
+  async generate(request) {
+    const response = await this.request(request, false);
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content || '';
+    
+    return {
+      text,
+      // Present the completion in Gemini's candidate shape so callers stay provider-agnostic
+      candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+      usageMetadata: data.usage ? toUsageMetadata(data.usage) : null
+    };
+  }
+  
+  /**
+   * Stream generated text for a prompt
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {AsyncIterable<string>} Text chunks
+   */
+  async *generateStream(request) {
+    const response = await this.request(request, true);
+    const decoder = new TextDecoder();
+    let pending = '';
+    let usageMetadata = null;
+    
+    for await (const bytes of response.body) {
+      pending += decoder.decode(bytes, { stream: true });
+      const lines = pending.split('\n');
+      pending = lines.pop();
+      
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+          request.onUsage?.(usageMetadata);
+          return;
+        }
+        
+        let frame;
+        try {
+          frame = JSON.parse(payload);
+        } catch {
+          // Ignore keep-alive or malformed frames
+          continue;
+        }
+        if (frame.usage) {
+          usageMetadata = toUsageMetadata(frame.usage);
+        }
+        const text = frame.choices?.[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+      }
+    }
+    
+    // Stream ended without [DONE]
+    request.onUsage?.(usageMetadata);
+  }
+  
+  /**
+   * Check that the server answers and accepts the key by listing its models
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<void>}
+   */
+  async check(options = {}) {
+    const response = await fetch(`${this.baseUrl}/models`, {
+      headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+      signal: options.signal
+    });
+    
+    if (!response.ok) {
+      const error = new Error(`OpenAI-compatible provider returned ${response.status} for /models`);
+      error.status = 502;
+      error.upstreamStatus = response.status;
+      throw error;
+    }
+  }
+  
+  /**
+   * POST a chat completion request
+   * @param {Object} request - GenerateRequest
+   * @param {boolean} stream - Request a streamed (SSE) response
+   * @returns {Promise<Response>} OK fetch response
+   */
+  async request(request, stream) {
+    const messages = [];
+    const systemInstruction = request.systemInstruction || this.systemInstruction;
+    if (systemInstruction) {
+      messages.push({ role: 'system', content: systemInstruction });
+    }
+    messages.push({ role: 'user', content: request.prompt });
+    
+    const body = { model: this.model, messages, stream };
+    if (stream) {
+      // Ask for a final chunk with token counts (ignored by servers that do not support it)
+      body.stream_options = { include_usage: true };
+    }
+    if (request.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: request.task || 'response', schema: request.responseSchema }
+      };
+    }
+    
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: request.signal
+    });
+    
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible provider returned ${response.status}: ${body.substring(0, 200)}`);
+      error.status = 502;
+      error.upstreamStatus = response.status;
+      throw error;
+    }
+    
+    return response;
+  }
+}
+
+export default OpenAICompatibleProvider;
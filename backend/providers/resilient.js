@@ -0,0 +1,436 @@
+/**
+ * Resilient provider
+ * Wraps a chain of providers (the primary model first, then fallbacks) and gives every call:
+ *   - a timeout per attempt (streams: until the first chunk, then between chunks)
+ *   - retries with jittered exponential backoff for transient errors (timeouts, 408, 429, 5xx, network)
+ *   - a circuit breaker per model, so a provider that keeps failing is skipped until it cools down
+ *   - the next model in the chain once a model's retries are used up or its circuit is open
+ *
+ * Streams are only retried or moved to a fallback before their first chunk; after that the
+ * caller has used the output, so a failure ends the stream. Errors that leave the chain are
+ * ModelErrors carrying the HTTP status and code to answer with.
+ */
+
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+export const DEFAULT_RESILIENCE = {
+  timeoutMs: 60000,
+  maxRetries: 2,
+  retryBaseMs: 500,
+  retryMaxMs: 8000,
+  failureThreshold: 5,
+  cooldownMs: 30000
+};
+
+/**
+ * Resilience settings from the environment
+ * @param {Object} env - process.env, or the Firebase function's equivalent
+ * @returns {Object} ResilientProvider options, plus `fallbackModels`
+ */
+export function resilienceOptionsFromEnv(env) {
+  return {
+    // Per attempt; for streams, the wait for the first chunk and between chunks
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || DEFAULT_RESILIENCE.timeoutMs,
+    // Retries per model for transient errors, LLM_RETRY_BASE_MS doubling each time (with jitter)
+    maxRetries: parseInt(env.LLM_MAX_RETRIES ?? String(DEFAULT_RESILIENCE.maxRetries), 10),
+    retryBaseMs: parseInt(env.LLM_RETRY_BASE_MS, 10) || DEFAULT_RESILIENCE.retryBaseMs,
+    retryMaxMs: DEFAULT_RESILIENCE.retryMaxMs,
+    // A model that fails this many times in a row is skipped for the cooldown
+    failureThreshold: parseInt(env.LLM_BREAKER_THRESHOLD, 10) || DEFAULT_RESILIENCE.failureThreshold,
+    cooldownMs: (parseInt(env.LLM_BREAKER_COOLDOWN_SECONDS, 10) || DEFAULT_RESILIENCE.cooldownMs / 1000) * 1000,
+    // Models of the same provider to try, in order, when the configured one is unavailable
+    fallbackModels: (env.LLM_FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean)
+  };
+}
+
+/**
+ * Model call failure to report to the client
+ * The message is safe to show; the provider error is kept as `cause` for the logs.
+ */
+export class ModelError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} options
+   * @param {number} options.status - HTTP status to answer with (502, 503 or 504)
+   * @param {string} options.code - Error code: model_error, model_unavailable or model_timeout
+   * @param {number} [options.retryAfter] - Seconds until the model may be available again
+   * @param {Error} [options.cause] - Last provider error
+   */
+  constructor(message, { status, code, retryAfter = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ModelError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Whether a provider error is worth retrying
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+  if (error instanceof ModelError) {
+    return error.code === 'model_timeout';
+  }
+  const status = error.upstreamStatus ?? error.status;
+  if (TRANSIENT_STATUSES.has(status)) {
+    return true;
+  }
+  // fetch() rejects with "fetch failed" and the socket error as its cause
+  const code = error.code ?? error.cause?.code;
+  return NETWORK_ERROR_CODES.has(code) || /fetch failed|socket hang up/i.test(error.message);
+}
+
+/**
+ * Delay before retry `attempt` (0-based): full jitter over an exponential backoff
+ * @param {number} attempt
+ * @param {Object} options - { retryBaseMs, retryMaxMs }
+ * @param {Function} [random] - Returns [0, 1)
+ * @returns {number} Milliseconds
+ */
+export function backoffDelay(attempt, { retryBaseMs, retryMaxMs }, random = Math.random) {
+  return Math.round(random() * Math.min(retryMaxMs, retryBaseMs * 2 ** attempt));
+}
+
+/**
+ * Circuit breaker for one model
+ * closed: calls go through; `failureThreshold` transient failures in a row open it.
+ * open: calls are refused for `cooldownMs`, then one trial call is let through (half_open).
+ * half_open: the trial's success closes the circuit, its failure opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.cooldownMs - How long the circuit stays open
+   * @param {Function} [options.now] - Clock, for tests
+   * @param {Function} [options.onChange] - Called with the new state
+   */
+  constructor({ failureThreshold, cooldownMs, now = Date.now, onChange = () => {} }) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.onChange = onChange;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  setState(state) {
+    if (state !== this.state) {
+      this.state = state;
+      this.onChange(state);
+    }
+  }
+
+  /**
+   * Whether a call may go through now; in half_open, only the one trial call may
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldownMs) {
+      this.setState('half_open');
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) return false;
+      this.trialInFlight = true;
+      return true;
+    }
+    return this.state === 'closed';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInFlight = false;
+    this.setState('closed');
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+      this.setState('open');
+    }
+  }
+
+  /**
+   * Call that ended without a verdict on the provider (e.g. cancelled); frees the trial slot
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @returns {number} Seconds until an open circuit lets a trial call through (0 when not open)
+   */
+  retryAfterSeconds() {
+    if (this.state !== 'open') return 0;
+    return Math.max(1, Math.ceil((this.openedAt + this.cooldownMs - this.now()) / 1000));
+  }
+}
+
+/**
+ * Settle like `promise`, or reject with the signal's reason when it aborts first
+ * For providers that do not stop on their own when the signal aborts.
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise}
+ */
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class ResilientProvider {
+  /**
+   * @param {Object[]} providers - Primary provider first, then fallbacks in order of preference
+   * @param {Object} [options] - Overrides of DEFAULT_RESILIENCE, plus:
+   * @param {Function} [options.onEvent] - Called with { type, model, ... } for 'failure', 'retry',
+   *   'fallback', 'circuit' and 'cancelled' (the caller's signal aborted the call) events, for logs and metrics
+   * @param {Function} [options.random] - Returns [0, 1), for tests
+   * @param {Function} [options.sleep] - (ms) => Promise, for tests
+   * @param {Function} [options.now] - Clock for the circuit breakers, for tests
+   */
+  constructor(providers, options = {}) {
+    if (providers.length === 0) {
+      throw new Error('ResilientProvider needs at least one provider');
+    }
+    this.options = { ...DEFAULT_RESILIENCE, ...options };
+    this.onEvent = options.onEvent || (() => {});
+    this.random = options.random || Math.random;
+    this.sleep = options.sleep || sleep;
+    this.entries = providers.map(provider => ({
+      provider,
+      breaker: new CircuitBreaker({
+        failureThreshold: this.options.failureThreshold,
+        cooldownMs: this.options.cooldownMs,
+        now: options.now,
+        onChange: state => this.onEvent({ type: 'circuit', model: provider.model, state })
+      })
+    }));
+  }
+
+  get name() {
+    return this.entries[0].provider.name;
+  }
+
+  // The primary model; results report the model that actually answered
+  get model() {
+    return this.entries[0].provider.model;
+  }
+
+  /**
+   * Models in order of preference
+   * @returns {string[]}
+   */
+  get models() {
+    return this.entries.map(entry => entry.provider.model);
+  }
+
+  /**
+   * Circuit state of every model, e.g. for health checks and metrics
+   * @returns {Array<{model: string, state: string}>}
+   */
+  circuits() {
+    return this.entries.map(({ provider, breaker }) => ({ model: provider.model, state: breaker.state }));
+  }
+
+  /**
+   * Generate content, retrying and falling back as needed
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {Promise<Object>} GenerateResult, with `model` set to the model that answered
+   */
+  async generate(request) {
+    return this.run(request, async (entry, signal) => {
+      const result = await untilAborted(entry.provider.generate({ ...request, signal }), signal);
+      return { ...result, model: entry.provider.model };
+    });
+  }
+
+  /**
+   * Stream generated text; `request.onModel` is called with the answering model before the first chunk
+   * @param {Object} request - See GenerateRequest in providers/index.js
+   * @returns {AsyncIterable<string>} Text chunks
+   */
+  async *generateStream(request) {
+    // The attempt ends with the first chunk; the rest of the stream is read below, under an idle timeout
+    const { entry, iterator, first, controller } = await this.run(request, async (entry, signal, controller) => {
+      const iterator = entry.provider.generateStream({ ...request, signal })[Symbol.asyncIterator]();
+      const first = await untilAborted(iterator.next(), signal);
+      return { entry, iterator, first, controller };
+    });
+
+    request.onModel?.(entry.provider.model);
+    let next = first;
+    try {
+      while (!next.done) {
+        yield next.value;
+        next = await this.withTimeout(signal => untilAborted(iterator.next(), signal), request.signal, controller);
+      }
+    } catch (error) {
+      if (request.signal?.aborted) {
+        this.onEvent({ type: 'cancelled', model: entry.provider.model, task: request.task });
+      } else if (isTransientError(error)) {
+        entry.breaker.recordFailure();
+      }
+      controller.abort();
+      throw this.toModelError(error, request);
+    }
+  }
+
+  /**
+   * Check that a model of the chain is reachable and accepts the credentials, without generating
+   * Models are checked in order under the call timeout. Checks leave the circuit breakers alone,
+   * but fail when every circuit is open (e.g. the quota is used up), since calls are refused then.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{model: string, circuits: Object[]}>} The first model that passed
+   */
+  async check(options = {}) {
+    if (this.entries.every(entry => entry.breaker.state === 'open')) {
+      throw new ModelError('Every model is unavailable after repeated failures', {
+        status: 503,
+        code: 'model_unavailable',
+        retryAfter: Math.min(...this.entries.map(entry => entry.breaker.retryAfterSeconds()))
+      });
+    }
+
+    let firstError = null;
+    for (const { provider } of this.entries) {
+      try {
+        await this.withTimeout(signal => untilAborted(Promise.resolve(provider.check?.({ signal })), signal), options.signal);
+        return { model: provider.model, circuits: this.circuits() };
+      } catch (error) {
+        options.signal?.throwIfAborted();
+        firstError ??= error;
+      }
+    }
+    throw firstError;
+  }
+
+  /**
+   * Run one call of `attempt` under a timeout, aborting it when the timeout or `parentSignal` fires
+   * @param {Function} attempt - (signal, controller) => Promise
+   * @param {AbortSignal} [parentSignal] - Caller's signal
+   * @param {AbortController} [controller] - Reuse a controller (stream chunks after the first)
+   * @returns {Promise}
+   */
+  async withTimeout(attempt, parentSignal, controller = new AbortController()) {
+    const timeout = new ModelError('The model did not answer in time', { status: 504, code: 'model_timeout' });
+    const timer = setTimeout(() => controller.abort(timeout), this.options.timeoutMs);
+    const signal = parentSignal ? AbortSignal.any([parentSignal, controller.signal]) : controller.signal;
+    try {
+      return await attempt(signal, controller);
+    } catch (error) {
+      // Providers that honour the signal reject with their own AbortError
+      throw controller.signal.reason === timeout ? timeout : error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Try the chain: each model with retries, skipping models whose circuit is open
+   * @param {Object} request - GenerateRequest; its `signal` cancels everything
+   * @param {Function} call - (entry, signal, controller) => Promise of the result
+   * @returns {Promise} The first successful result
+   */
+  async run(request, call) {
+    let lastError = null;
+    let retryAfter = null;
+
+    for (const [index, entry] of this.entries.entries()) {
+      const model = entry.provider.model;
+      if (index > 0) {
+        this.onEvent({ type: 'fallback', model, from: this.entries[index - 1].provider.model, task: request.task });
+      }
+
+      for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+        // Cancelled while waiting to retry
+        request.signal?.throwIfAborted();
+        if (!entry.breaker.allowRequest()) {
+          retryAfter = Math.min(retryAfter ?? Infinity, entry.breaker.retryAfterSeconds());
+          lastError ??= new ModelError('The model is unavailable', { status: 503, code: 'model_unavailable' });
+          break;
+        }
+
+        try {
+          const result = await this.withTimeout((signal, controller) => call(entry, signal, controller), request.signal);
+          entry.breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          if (request.signal?.aborted) {
+            // Cancelled by the caller: not the provider's fault, and nobody is waiting for a retry
+            entry.breaker.release();
+            this.onEvent({ type: 'cancelled', model, task: request.task });
+            throw request.signal.reason;
+          }
+
+          const transient = isTransientError(error);
+          lastError = error;
+          this.onEvent({
+            type: 'failure',
+            model,
+            task: request.task,
+            attempt,
+            reason: error.code === 'model_timeout' ? 'timeout' : transient ? 'transient' : 'error',
+            error
+          });
+          if (!transient) {
+            // The request itself was rejected; another attempt or model would be rejected too
+            entry.breaker.release();
+            throw this.toModelError(error, request);
+          }
+          entry.breaker.recordFailure();
+
+          if (attempt < this.options.maxRetries && entry.breaker.state === 'closed') {
+            const delayMs = backoffDelay(attempt, this.options, this.random);
+            this.onEvent({ type: 'retry', model, task: request.task, attempt: attempt + 1, delayMs });
+            await this.sleep(delayMs);
+          } else {
+            break;
+          }
+        }
+      }
+    }
+
+    throw this.toModelError(lastError, request, retryAfter);
+  }
+
+  /**
+   * The error to report once no model could answer
+   * @param {Error} error - Last provider error
+   * @param {Object} request - GenerateRequest
+   * @param {number|null} [retryAfter] - Seconds until an open circuit lets calls through
+   * @returns {Error}
+   */
+  toModelError(error, request, retryAfter = null) {
+    if (request.signal?.aborted) {
+      return request.signal.reason;
+    }
+    if (error instanceof ModelError) {
+      if (retryAfter && error.code === 'model_unavailable') error.retryAfter = retryAfter;
+      return error;
+    }
+    if (isTransientError(error)) {
+      return new ModelError('The model is unavailable', { status: 503, code: 'model_unavailable', retryAfter, cause: error });
+    }
+    return new ModelError('The model could not process the request', { status: 502, code: 'model_error', cause: error });
+  }
+}
+
+export default ResilientProvider;
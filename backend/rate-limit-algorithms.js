@@ -0,0 +1,188 @@
+/**
+ * Rate limit algorithms
+ * Each algorithm is a pure function of the stored state and the current time, so every store
+ * (memory, file, Redis) can apply it the same way inside its own read-modify-write.
+ *
+ * Limits are plain objects:
+ *   { algorithm: 'sliding-window', limit: 100, windowMs: 3600000 }   - sustained rate
+ *   { algorithm: 'token-bucket', capacity: 5, refillPerSecond: 0.2 } - bursts of `capacity`, refilled steadily
+ *   { algorithm: 'fixed-window', limit: 10, windowMs: 60000 }        - counter reset every window
+ *
+ * @typedef {Object} ConsumeResult
+ * @property {Object} state - State to store
+ * @property {number} ttlMs - How long the state matters; stores may drop it afterwards
+ * @property {boolean} allowed - Whether the request fits the limit
+ * @property {number} limit - Requests allowed (window limit or bucket capacity)
+ * @property {number} remaining - Requests left right now
+ * @property {number} resetMs - Time until the limit is fully available again
+ * @property {number} retryAfterMs - Time until a rejected request would be allowed (0 when allowed)
+ */
+
+/**
+ * Counter that resets a window after the first request
+ * @param {Object} limit - { limit, windowMs }
+ * @param {Object|null} state - { windowStart, count }
+ * @param {number} now - Current time in ms
+ * @param {number} cost - Requests to consume
+ * @returns {ConsumeResult}
+ */
+export function fixedWindow(limit, state, now, cost = 1) {
+  const current = state && now < state.windowStart + limit.windowMs;
+  const windowStart = current ? state.windowStart : now;
+  const count = current ? state.count : 0;
+  const resetMs = windowStart + limit.windowMs - now;
+  const allowed = count + cost <= limit.limit;
+  const used = allowed ? count + cost : count;
+
+  return {
+    state: { windowStart, count: used },
+    ttlMs: resetMs,
+    allowed,
+    limit: limit.limit,
+    remaining: Math.max(0, limit.limit - used),
+    resetMs,
+    retryAfterMs: allowed ? 0 : resetMs
+  };
+}
+
+/**
+ * Sliding window counter: the previous window's count is weighted by how much of it still
+ * overlaps the sliding window, which avoids the double burst fixed windows allow at their edge
+ * @param {Object} limit - { limit, windowMs }
+ * @param {Object|null} state - { windowStart, count, previousCount }
+ * @param {number} now - Current time in ms
+ * @param {number} cost - Requests to consume
+ * @returns {ConsumeResult}
+ */
+export function slidingWindow(limit, state, now, cost = 1) {
+  const { windowMs } = limit;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+
+  let count = 0;
+  let previousCount = 0;
+  if (state && state.windowStart === windowStart) {
+    count = state.count;
+    previousCount = state.previousCount;
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previousCount = state.count;
+  }
+
+  const elapsed = now - windowStart;
+  const weight = (windowMs - elapsed) / windowMs;
+  const estimated = previousCount * weight + count;
+  const allowed = estimated + cost <= limit.limit;
+  if (allowed) count += cost;
+
+  const used = previousCount * weight + count;
+  let retryAfterMs = 0;
+  if (!allowed) {
+    if (count + cost > limit.limit) {
+      // This window alone is full: wait until it has slid far enough out of the next one
+      const nextWeight = count > 0 ? (limit.limit - cost) / count : 0;
+      retryAfterMs = windowMs - elapsed + Math.ceil(windowMs * (1 - Math.max(0, nextWeight)));
+    } else {
+      // The previous window's share has to shrink first
+      const neededWeight = (limit.limit - count - cost) / previousCount;
+      retryAfterMs = Math.max(0, Math.ceil(windowMs * (1 - neededWeight)) - elapsed);
+    }
+  }
+
+  return {
+    state: { windowStart, count, previousCount },
+    // The count is still needed as the previous window during the next one
+    ttlMs: 2 * windowMs - elapsed,
+    allowed,
+    limit: limit.limit,
+    remaining: Math.max(0, Math.floor(limit.limit - used)),
+    resetMs: count > 0 ? 2 * windowMs - elapsed : windowMs - elapsed,
+    retryAfterMs
+  };
+}
+
+/**
+ * Token bucket: up to `capacity` requests at once, refilled at `refillPerSecond`
+ * @param {Object} limit - { capacity, refillPerSecond }
+ * @param {Object|null} state - { tokens, updatedAt }
+ * @param {number} now - Current time in ms
+ * @param {number} cost - Tokens to consume
+ * @returns {ConsumeResult}
+ */
+export function tokenBucket(limit, state, now, cost = 1) {
+  const ratePerMs = limit.refillPerSecond / 1000;
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  let tokens = state ? Math.min(limit.capacity, state.tokens + elapsed * ratePerMs) : limit.capacity;
+
+  const allowed = tokens >= cost;
+  if (allowed) tokens -= cost;
+
+  const resetMs = Math.ceil((limit.capacity - tokens) / ratePerMs);
+  return {
+    state: { tokens, updatedAt: now },
+    ttlMs: resetMs,
+    allowed,
+    limit: limit.capacity,
+    remaining: Math.floor(tokens),
+    resetMs,
+    retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / ratePerMs)
+  };
+}
+
+/**
+ * Give back a request consumed from a limit, e.g. when another limit of the same policy rejected it
+ * @param {Object} limit - Limit definition
+ * @param {Object|null} state - Current state
+ * @param {Object} consumed - State the consuming request stored
+ * @param {number} cost - Requests to give back
+ * @returns {Object|null} State without the request
+ */
+export function refund(limit, state, consumed, cost = 1) {
+  if (!state) return state;
+  if (limit.algorithm === 'token-bucket') {
+    return { ...state, tokens: Math.min(limit.capacity, state.tokens + cost) };
+  }
+  if (state.windowStart === consumed.windowStart) {
+    return { ...state, count: Math.max(0, state.count - cost) };
+  }
+  // A sliding window has moved on: the request now counts in the previous window
+  if (limit.algorithm === 'sliding-window' && state.windowStart === consumed.windowStart + limit.windowMs) {
+    return { ...state, previousCount: Math.max(0, state.previousCount - cost) };
+  }
+  return state;
+}
+
+export const ALGORITHMS = {
+  'fixed-window': fixedWindow,
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket
+};
+
+/**
+ * Check a limit definition
+ * @param {Object} limit
+ * @returns {Object} The same limit
+ * @throws {Error} When the algorithm is unknown or a parameter is missing
+ */
+export function validateLimit(limit) {
+  const algorithm = limit && ALGORITHMS[limit.algorithm];
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm "${limit && limit.algorithm}". Expected one of: ${Object.keys(ALGORITHMS).join(', ')}`);
+  }
+  const required = limit.algorithm === 'token-bucket' ? ['capacity', 'refillPerSecond'] : ['limit', 'windowMs'];
+  for (const field of required) {
+    if (!(limit[field] > 0)) {
+      throw new Error(`Rate limit "${limit.name || limit.algorithm}" needs a positive ${field}`);
+    }
+  }
+  return limit;
+}
+
+/**
+ * Length of the window a limit is measured over, for the RateLimit-Policy header
+ * @param {Object} limit
+ * @returns {number} Seconds
+ */
+export function limitWindowSeconds(limit) {
+  return limit.algorithm === 'token-bucket'
+    ? Math.ceil(limit.capacity / limit.refillPerSecond)
+    : Math.ceil(limit.windowMs / 1000);
+}
@@ -1,136 +1,471 @@
 /**
- * Simple in-memory rate limiter
- * For production with multiple instances, use Redis or a distributed cache
+ * Rate limiting
+ * Routes declare their limits as policies; every request is checked against each limit of its
+ * route's policy (e.g. a token bucket for bursts and a sliding window for the sustained rate).
+ * Limit state lives in a store, so several instances can share it:
+ *
+ *   MemoryRateLimitStore - one process (default)
+ *   FileRateLimitStore   - survives restarts; one process per directory
+ *   RedisRateLimitStore  - shared by every instance that can reach the server
+ *
+ * Stores implement update(key, fn, ttlFor): read the state, call fn(state) => { state, ...result },
+ * save the new state for ttlFor(result) ms and return the result, atomically per key, and
+ * check(): resolve when the store is usable (for readiness checks).
  */
 
-class RateLimiter {
-  constructor(options = {}) {
-    this.windowMs = options.windowMs || 60000; // 1 minute default
-    this.maxRequests = options.maxRequests || 10; // 10 requests per window
-    this.store = new Map();
-    
-    // Clean up old entries every minute
-    this.cleanupInterval = setInterval(() => {
-      this.cleanup();
-    }, 60000);
-  }
-  
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile, readdir, rm, access, constants } from 'fs/promises';
+import path from 'path';
+import { ALGORITHMS, refund, validateLimit, limitWindowSeconds } from './rate-limit-algorithms.js';
+import { RedisClient } from './redis-client.js';
+import { logger } from './logger.js';
+
+export const RATE_LIMIT_STORES = ['memory', 'file', 'redis'];
+
+/**
+ * In-memory store
+ */
+export class MemoryRateLimitStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Clean up expired entries every minute; unref so the timer never keeps the process alive
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    this.cleanupInterval.unref();
+  }
+
   /**
-   * Check if request should be allowed
-   * @param {string} identifier - Unique identifier (IP, origin, etc.)
-   * @returns {Object} - { allowed: boolean, remaining: number, resetTime: number }
+   * Synchronous update (nothing else runs between the read and the write)
+   */
+  updateSync(key, fn, ttlFor) {
+    const entry = this.entries.get(key);
+    const state = entry && entry.expiresAt > Date.now() ? entry.state : null;
+    const result = fn(state);
+    this.entries.set(key, { state: result.state, expiresAt: Date.now() + ttlFor(result) });
+    return result;
+  }
+
+  async update(key, fn, ttlFor) {
+    return this.updateSync(key, fn, ttlFor);
+  }
+
+  /**
+   * Remove expired entries
    */
-  check(identifier) {
+  cleanup() {
     const now = Date.now();
-    const record = this.store.get(identifier);
-    
-    // No record exists, create new one
-    if (!record) {
-      this.store.set(identifier, {
-        count: 1,
-        resetTime: now + this.windowMs
-      });
-      return {
-        allowed: true,
-        remaining: this.maxRequests - 1,
-        resetTime: now + this.windowMs
-      };
-    }
-    
-    // Window has expired, reset
-    if (now >= record.resetTime) {
-      this.store.set(identifier, {
-        count: 1,
-        resetTime: now + this.windowMs
-      });
-      return {
-        allowed: true,
-        remaining: this.maxRequests - 1,
-        resetTime: now + this.windowMs
-      };
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
     }
-    
-    // Within window, check if limit exceeded
-    if (record.count >= this.maxRequests) {
-      return {
-        allowed: false,
-        remaining: 0,
-        resetTime: record.resetTime
-      };
+  }
+
+  reset() {
+    this.entries.clear();
+  }
+
+  async check() {}
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+  }
+}
+
+/**
+ * Directory of JSON files, one per key
+ * Updates are serialized per key within this process, so the directory must not be shared
+ * by several instances.
+ */
+export class FileRateLimitStore {
+  /**
+   * @param {string} dir - Directory for state files (created on first write)
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.locks = new Map();
+
+    // Remove expired files every ten minutes
+    this.cleanupInterval = setInterval(() => this.cleanup().catch(() => {}), 600000);
+    this.cleanupInterval.unref();
+  }
+
+  filePath(key) {
+    // Keys contain client ids; hash them into safe file names
+    return path.join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  async read(key) {
+    try {
+      const entry = JSON.parse(await readFile(this.filePath(key), 'utf8'));
+      return entry.expiresAt > Date.now() ? entry.state : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Unreadable rate limit file', { key, error: error.message });
+      }
+      return null;
     }
-    
-    // Increment counter
-    record.count++;
-    this.store.set(identifier, record);
-    
-    return {
-      allowed: true,
-      remaining: this.maxRequests - record.count,
-      resetTime: record.resetTime
-    };
   }
-  
+
+  async update(key, fn, ttlFor) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.then(async () => {
+      const result = fn(await this.read(key));
+      await mkdir(this.dir, { recursive: true });
+      await writeFile(this.filePath(key), JSON.stringify({ state: result.state, expiresAt: Date.now() + ttlFor(result) }));
+      return result;
+    });
+    // Later updates wait for this one whether or not it succeeds
+    const lock = run.catch(() => {});
+    this.locks.set(key, lock);
+    lock.then(() => {
+      if (this.locks.get(key) === lock) this.locks.delete(key);
+    });
+    return run;
+  }
+
   /**
-   * Clean up expired entries
+   * Remove expired files
    */
-  cleanup() {
+  async cleanup() {
     const now = Date.now();
-    for (const [identifier, record] of this.store.entries()) {
-      if (now >= record.resetTime) {
-        this.store.delete(identifier);
+    const files = await readdir(this.dir).catch(() => []);
+    for (const file of files) {
+      const filePath = path.join(this.dir, file);
+      try {
+        const entry = JSON.parse(await readFile(filePath, 'utf8'));
+        if (entry.expiresAt <= now) await rm(filePath, { force: true });
+      } catch {
+        await rm(filePath, { force: true });
       }
     }
   }
-  
+
   /**
-   * Clear all rate limit records
+   * The directory exists (or can be created) and is writable
    */
-  reset() {
-    this.store.clear();
+  async check() {
+    await mkdir(this.dir, { recursive: true });
+    await access(this.dir, constants.W_OK);
+  }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
   }
-  
+}
+
+/**
+ * Store on a Redis-protocol server
+ * Each update is an optimistic transaction (WATCH / GET / MULTI / SET / EXEC), retried when
+ * another instance changed the key in between. Transactions run one at a time per connection.
+ */
+export class RedisRateLimitStore {
   /**
-   * Stop the cleanup interval
+   * @param {Object} options
+   * @param {string} [options.url] - Server URL (default: redis://127.0.0.1:6379)
+   * @param {string} [options.prefix] - Key prefix (default: "ratelimit:")
+   * @param {number} [options.maxRetries] - Transaction retries under contention (default: 10)
+   * @param {number} [options.commandTimeoutMs] - Time for the server to answer a command (default: 2000)
+   * @param {RedisClient} [options.client] - Existing client
    */
-  destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
+  constructor(options = {}) {
+    this.client = options.client || new RedisClient({ url: options.url, commandTimeoutMs: options.commandTimeoutMs });
+    this.prefix = options.prefix ?? 'ratelimit:';
+    this.maxRetries = options.maxRetries ?? 10;
+    this.queue = Promise.resolve();
+  }
+
+  async transaction(key, fn, ttlFor) {
+    const redisKey = `${this.prefix}${key}`;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      await this.client.command('WATCH', redisKey);
+      const stored = await this.client.command('GET', redisKey);
+      const result = fn(stored ? JSON.parse(stored) : null);
+
+      await this.client.command('MULTI');
+      await this.client.command('SET', redisKey, JSON.stringify(result.state), 'PX', Math.max(1, Math.ceil(ttlFor(result))));
+      const committed = await this.client.command('EXEC');
+      if (committed !== null) {
+        return result;
+      }
+      // Back off a random few milliseconds so competing instances stop colliding
+      await new Promise(resolve => setTimeout(resolve, Math.random() * 5 * (attempt + 1)));
     }
+    throw new Error(`Rate limit update for ${key} kept conflicting`);
+  }
+
+  async update(key, fn, ttlFor) {
+    const run = this.queue.then(() => this.transaction(key, fn, ttlFor));
+    this.queue = run.catch(async () => {
+      // Leave no WATCH or MULTI behind for the next transaction
+      await this.client.command('DISCARD').catch(() => {});
+      await this.client.command('UNWATCH').catch(() => {});
+    });
+    return run;
+  }
+
+  /**
+   * PING the server, queued behind transactions so it never lands inside one
+   */
+  async check() {
+    const run = this.queue.then(() => this.client.command('PING'));
+    this.queue = run.catch(() => {});
+    await run;
+  }
+
+  async destroy() {
+    await this.client.quit();
   }
 }
 
 /**
- * Express middleware factory for rate limiting
- * @param {Object} options - Rate limiter options
- * @returns {Function} Express middleware
+ * Create the store selected by configuration
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @returns {Object} Store instance
+ */
+export function createRateLimitStore(env = process.env) {
+  const name = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+  switch (name) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+
+    case 'file':
+      return new FileRateLimitStore(env.RATE_LIMIT_DIR || './.ratelimit');
+
+    case 'redis':
+      return new RedisRateLimitStore({ url: env.REDIS_URL });
+
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Expected one of: ${RATE_LIMIT_STORES.join(', ')}`);
+  }
+}
+
+/**
+ * Identify the caller of a request
+ * @param {Object} req - Express request
+ * @param {string|Function} [identify] - 'ip', 'client' (default) or (req) => string
+ * @returns {string}
  */
-export function createRateLimitMiddleware(options = {}) {
-  const limiter = new RateLimiter(options);
-  
-  return (req, res, next) => {
-    // Use origin as identifier (could also use IP: req.ip)
-    const identifier = req.headers.origin || req.ip || 'unknown';
-    
-    const result = limiter.check(identifier);
-    
-    // Set rate limit headers
-    res.setHeader('X-RateLimit-Limit', options.maxRequests || 10);
-    res.setHeader('X-RateLimit-Remaining', result.remaining);
-    res.setHeader('X-RateLimit-Reset', new Date(result.resetTime).toISOString());
-    
+function identifyRequest(req, identify = 'client') {
+  if (typeof identify === 'function') return identify(req);
+  if (identify === 'ip') return `ip:${req.ip || 'unknown'}`;
+  // req.client is set by the auth middleware; without it only the IP identifies the caller
+  return req.client?.id || `ip:${req.ip || 'unknown'}`;
+}
+
+/**
+ * Check a request against every limit of a policy
+ * Limits are applied in order and checking stops at the first rejection, so put burst limits first.
+ * A rejected request consumes nothing: limits it already passed are refunded, so a client retrying
+ * against a full hourly window does not also drain its burst allowance.
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Policy and caller, e.g. "/analyze:install:1234"
+ * @param {Array<Object>} limits - Limit definitions
+ * @param {number} [now] - Current time in ms
+ * @returns {Promise<{allowed: boolean, results: Array<Object>}>}
+ */
+export async function consumeLimits(store, key, limits, now = Date.now()) {
+  const results = [];
+  for (const [index, limit] of limits.entries()) {
+    const algorithm = ALGORITHMS[limit.algorithm];
+    const result = await store.update(`${key}:${limit.name || index}`, state => algorithm(limit, state, now), result => result.ttlMs);
+    results.push({ ...result, definition: limit });
     if (!result.allowed) {
-      const retryAfter = Math.ceil((result.resetTime - Date.now()) / 1000);
+      await refundLimits(store, key, limits, results.slice(0, -1), now);
+      return { allowed: false, results };
+    }
+  }
+  return { allowed: true, results };
+}
+
+/**
+ * Refund the limits a rejected request passed, updating their results in place
+ * A failed refund is logged and leaves the request rejected.
+ */
+async function refundLimits(store, key, limits, passed, now) {
+  for (const [index, result] of passed.entries()) {
+    const limit = limits[index];
+    const algorithm = ALGORITHMS[limit.algorithm];
+    try {
+      const refunded = await store.update(
+        `${key}:${limit.name || index}`,
+        state => algorithm(limit, refund(limit, state, result.state), now, 0),
+        refunded => refunded.ttlMs
+      );
+      Object.assign(result, refunded);
+    } catch (error) {
+      logger.warn('Rate limit refund failed', { limit: limit.name || limit.algorithm, error: error.message });
+    }
+  }
+}
+
+/**
+ * Policies of the model-backed routes, shared by the Express server and the Firebase function
+ * Every model route allows a burst of requests, refilled at `perMinute`, within an hourly
+ * sustained limit; API keys with their own limit get that rate instead. Install tokens are
+ * handed out per IP, since the caller has no identity yet.
+ * @param {number} perMinute - Model calls per minute per client on each route
+ * @param {Object} [options]
+ * @param {boolean} [options.jobs] - Include POST /jobs (default: true)
+ * @returns {Object<string, Object>} Policies for createRouteRateLimiter()
+ */
+export function modelRoutePolicies(perMinute, options = {}) {
+  const limits = client => {
+    const rate = client?.maxRequests || perMinute;
+    return [
+      { name: 'burst', algorithm: 'token-bucket', capacity: Math.max(3, Math.ceil(rate / 2)), refillPerSecond: rate / 60 },
+      { name: 'sustained', algorithm: 'sliding-window', limit: rate * 10, windowMs: 3600000 }
+    ];
+  };
+  const routes = ['/analyze', '/search', '/factcheck', '/compare', '/ask'];
+  // Only creating jobs is limited; clients poll job status freely
+  if (options.jobs ?? true) routes.push('/jobs');
+
+  return {
+    ...Object.fromEntries(routes.map(route => [route, { methods: ['POST'], limits }])),
+    '/auth/register': {
+      methods: ['POST'],
+      identify: 'ip',
+      limits: [{ name: 'hourly', algorithm: 'sliding-window', limit: 10, windowMs: 3600000 }]
+    }
+  };
+}
+
+/**
+ * Set the RateLimit-* headers (IETF draft) for the most restrictive limit
+ * @param {Object} res - Express response
+ * @param {Array<Object>} results - From consumeLimits
+ */
+function setRateLimitHeaders(res, results) {
+  const tightest = results.reduce((min, result) => (!result.allowed || result.remaining < min.remaining ? result : min));
+  res.setHeader('RateLimit-Limit', tightest.limit);
+  res.setHeader('RateLimit-Remaining', tightest.remaining);
+  res.setHeader('RateLimit-Reset', Math.ceil(tightest.resetMs / 1000));
+  res.setHeader('RateLimit-Policy', results
+    .map(({ definition, limit }) => `${limit};w=${limitWindowSeconds(definition)}`)
+    .join(', '));
+}
+
+/**
+ * Express middleware factory applying declarative per-route policies
+ *
+ *   {
+ *     '/analyze': { methods: ['POST'], limits: [burst, sustained] },
+ *     '/auth/register': { identify: 'ip', limits: [...] }
+ *   }
+ *
+ * `limits` may also be a function of `req.client`, to give API keys their own allowance.
+ * Requests to routes without a policy pass through. When the store fails, requests are allowed.
+ * @param {Object<string, Object>} policies - Policy per exact request path
+ * @param {Object} options
+ * @param {Object} [options.store] - Rate limit store (default: MemoryRateLimitStore)
+ * @param {Function} [options.onReject] - Called with { route, limit } for every rejected request
+ * @param {Function} [options.onError] - Called with the error when the store fails
+ * @returns {Function} Express middleware
+ */
+export function createRouteRateLimiter(policies, options = {}) {
+  const store = options.store || new MemoryRateLimitStore();
+  for (const [route, policy] of Object.entries(policies)) {
+    if (!policy.limits) {
+      throw new Error(`Rate limit policy for ${route} has no limits`);
+    }
+    if (Array.isArray(policy.limits)) {
+      policy.limits.forEach(validateLimit);
+    }
+  }
+
+  return async (req, res, next) => {
+    const policy = policies[req.path];
+    if (!policy || (policy.methods && !policy.methods.includes(req.method))) {
+      return next();
+    }
+
+    let outcome;
+    try {
+      const limits = typeof policy.limits === 'function' ? policy.limits(req.client) : policy.limits;
+      outcome = await consumeLimits(store, `${req.path}:${identifyRequest(req, policy.identify)}`, limits);
+    } catch (error) {
+      logger.error('Rate limit store error', { error: error.message });
+      options.onError?.(error);
+      return next(); // Allow request on rate limit error
+    }
+
+    setRateLimitHeaders(res, outcome.results);
+
+    if (!outcome.allowed) {
+      const rejected = outcome.results[outcome.results.length - 1];
+      const retryAfter = Math.max(1, Math.ceil(rejected.retryAfterMs / 1000));
       res.setHeader('Retry-After', retryAfter);
-      
+      options.onReject?.({ route: req.path, limit: rejected.definition.name || rejected.definition.algorithm });
+
       return res.status(429).json({
         error: 'Too many requests',
+        code: 'rate_limited',
         message: 'Rate limit exceeded. Please try again later.',
         retryAfter: retryAfter
       });
     }
-    
+
     next();
   };
 }
 
+/**
+ * Synchronous in-memory limiter for scripts and tests
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} [options.windowMs] - Window length (default: 1 minute)
+   * @param {number} [options.maxRequests] - Requests per window (default: 10)
+   * @param {string} [options.algorithm] - fixed-window (default) or sliding-window
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 60000; // 1 minute default
+    this.maxRequests = options.maxRequests || 10; // 10 requests per window
+    this.algorithm = options.algorithm || 'fixed-window';
+    this.memory = new MemoryRateLimitStore();
+    this.store = this.memory.entries;
+  }
+
+  /**
+   * Check if request should be allowed
+   * @param {string} identifier - Unique identifier (client id, IP, origin, etc.)
+   * @param {number} [maxRequests] - Limit for this identifier (default: the limiter's)
+   * @returns {Object} - { allowed: boolean, remaining: number, resetTime: number }
+   */
+  check(identifier, maxRequests = this.maxRequests) {
+    const now = Date.now();
+    const limit = { algorithm: this.algorithm, limit: maxRequests, windowMs: this.windowMs };
+    const result = this.memory.updateSync(identifier, state => ALGORITHMS[this.algorithm](limit, state, now), r => r.ttlMs);
+    return {
+      allowed: result.allowed,
+      remaining: result.remaining,
+      resetTime: now + (result.allowed ? result.resetMs : result.retryAfterMs)
+    };
+  }
+
+  /**
+   * Clean up expired entries
+   */
+  cleanup() {
+    this.memory.cleanup();
+  }
+
+  /**
+   * Clear all rate limit records
+   */
+  reset() {
+    this.memory.reset();
+  }
+
+  /**
+   * Stop the cleanup interval
+   */
+  destroy() {
+    this.memory.destroy();
+  }
+}
+
 export default RateLimiter;
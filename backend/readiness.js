@@ -0,0 +1,213 @@
+/**
+ * Readiness and graceful shutdown
+ * GET /health only says the process is up. GET /ready says whether it can serve requests: the
+ * model provider answers and accepts the credentials, the configuration is sane and the stores
+ * are reachable. Each check resolves (optionally with details to report) when its dependency is
+ * usable and rejects when it is not. After SIGTERM the probe reports "draining" until the
+ * process exits, so load balancers stop sending new requests.
+ */
+
+/**
+ * Settle like `promise`, or reject with the signal's reason when it aborts first
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise}
+ */
+function untilAborted(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+export class ReadinessProbe {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Time limit of each check (default: 5000)
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? 5000;
+    this.now = options.now || Date.now;
+    this.checks = [];
+    this.results = new Map();
+    this.draining = false;
+  }
+
+  /**
+   * Add a check
+   * @param {string} name - Key of the check in the report
+   * @param {Function} run - (signal) => Promise of details to report; rejects when the dependency is not usable
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs] - How long a passed result is reused (default: 0, run on every probe)
+   * @param {number} [options.failureTtlMs] - How long a failed result is reused (default: ttlMs)
+   * @returns {ReadinessProbe} this
+   */
+  add(name, run, options = {}) {
+    const ttlMs = options.ttlMs ?? 0;
+    this.checks.push({ name, run, ttlMs, failureTtlMs: options.failureTtlMs ?? ttlMs });
+    return this;
+  }
+
+  /**
+   * Report "draining" from now on (the server is shutting down)
+   */
+  startDraining() {
+    this.draining = true;
+  }
+
+  /**
+   * Run every check; results still within their TTL are reused, and concurrent probes share a run
+   * @returns {Promise<{status: string, checks: Object}>} status 'ready', 'not_ready' or 'draining';
+   *   checks maps each name to { status: 'ok'|'failed', latencyMs, checkedAt, cached, error?, reason?, ...details }
+   */
+  async run() {
+    if (this.draining) {
+      return { status: 'draining', checks: {} };
+    }
+
+    const results = await Promise.all(this.checks.map(check => this.runCached(check)));
+    const checks = Object.fromEntries(this.checks.map((check, index) => [check.name, results[index]]));
+    const ready = results.every(result => result.status === 'ok');
+    return { status: ready ? 'ready' : 'not_ready', checks };
+  }
+
+  async runCached(check) {
+    const entry = this.results.get(check.name);
+    if (entry && (!entry.expiresAt || entry.expiresAt > this.now())) {
+      const cached = Boolean(entry.expiresAt);
+      return { ...(await entry.promise), cached };
+    }
+
+    const fresh = { expiresAt: 0 };
+    fresh.promise = this.runOnce(check).then(result => {
+      fresh.expiresAt = this.now() + (result.status === 'ok' ? check.ttlMs : check.failureTtlMs);
+      // A TTL of 0 keeps nothing once the run is over
+      if (fresh.expiresAt <= this.now() && this.results.get(check.name) === fresh) {
+        this.results.delete(check.name);
+      }
+      return result;
+    });
+    this.results.set(check.name, fresh);
+    return { ...(await fresh.promise), cached: false };
+  }
+
+  async runOnce(check) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`No answer within ${this.timeoutMs} ms`)), this.timeoutMs);
+    const start = performance.now();
+    const checkedAt = new Date(this.now()).toISOString();
+    try {
+      const details = await untilAborted(Promise.resolve().then(() => check.run(controller.signal)), controller.signal);
+      return { status: 'ok', latencyMs: Math.round(performance.now() - start), checkedAt, ...details };
+    } catch (error) {
+      return {
+        status: 'failed',
+        latencyMs: Math.round(performance.now() - start),
+        checkedAt,
+        error: error.message,
+        ...(error.reason && { reason: error.reason })
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+const NETWORK_ERROR_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT']);
+
+/**
+ * Classify a failed provider check
+ * @param {Error} error - From provider.check()
+ * @returns {string} credentials_rejected, model_not_found, quota_exhausted, unavailable, timeout, unreachable or error
+ */
+export function modelCheckFailureReason(error) {
+  const status = error.upstreamStatus ?? error.status;
+  if (error.code === 'model_timeout') return 'timeout';
+  if (error.code === 'model_unavailable') return 'unavailable';
+  if (status === 401 || status === 403 || (status === 400 && /api.?key/i.test(error.message))) return 'credentials_rejected';
+  if (status === 404) return 'model_not_found';
+  if (status === 429) return 'quota_exhausted';
+  if (status >= 500) return 'unavailable';
+  if (NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code)) return 'unreachable';
+  return 'error';
+}
+
+/**
+ * Readiness check of a provider (see check() in providers/index.js)
+ * @param {Object} provider - Usually a ResilientProvider
+ * @returns {Function} Check for ReadinessProbe.add()
+ */
+export function modelCheck(provider) {
+  return async signal => {
+    try {
+      const result = await provider.check({ signal });
+      return { provider: provider.name, model: result?.model || provider.model };
+    } catch (error) {
+      throw Object.assign(new Error(error.message), { reason: modelCheckFailureReason(error) });
+    }
+  };
+}
+
+/**
+ * Readiness check of configuration problems that do not stop the server from starting
+ * @param {Function} findProblems - () => { errors: string[], warnings: string[] }
+ * @returns {Function} Check for ReadinessProbe.add(); fails on errors and reports warnings
+ */
+export function configCheck(findProblems) {
+  return async () => {
+    const { errors = [], warnings = [] } = findProblems();
+    if (errors.length > 0) {
+      throw Object.assign(new Error(errors.join('; ')), { reason: 'invalid_config' });
+    }
+    return warnings.length > 0 ? { warnings } : {};
+  };
+}
+
+/**
+ * GET /ready handler: 200 when every check passes, 503 otherwise
+ * @param {ReadinessProbe} probe
+ * @returns {Function} Express handler
+ */
+export function readinessHandler(probe) {
+  return async (req, res, next) => {
+    try {
+      const { status, checks } = await probe.run();
+      res.set('Cache-Control', 'no-store');
+      res.status(status === 'ready' ? 200 : 503).json({ status, timestamp: new Date().toISOString(), checks });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Stop an HTTP server gracefully: report draining, stop accepting connections and wait for the
+ * requests in flight, closing whatever is left once the deadline passes
+ * @param {http.Server} server
+ * @param {Object} [options]
+ * @param {ReadinessProbe} [options.probe] - Switched to draining first
+ * @param {number} [options.timeoutMs] - Deadline for requests in flight (default: 8000)
+ * @returns {Promise<{drained: boolean}>} drained is false when requests were cut off at the deadline
+ */
+export async function drainServer(server, options = {}) {
+  options.probe?.startDraining();
+
+  const closed = new Promise(resolve => server.close(() => resolve(true)));
+  // Keep-alive connections hold close() open until they are idle; close them as they get there
+  server.closeIdleConnections();
+  const idleSweep = setInterval(() => server.closeIdleConnections(), 100);
+  let timer;
+  const deadline = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), options.timeoutMs ?? 8000);
+  });
+
+  const drained = await Promise.race([closed, deadline]);
+  clearInterval(idleSweep);
+  clearTimeout(timer);
+  if (!drained) {
+    server.closeAllConnections();
+  }
+  return { drained };
+}
@@ -0,0 +1,213 @@
+/**
+ * Minimal Redis client
+ * Speaks RESP2 over a single TCP connection: enough for the commands the rate limit store
+ * needs, without a driver dependency. Works with Redis, Valkey, KeyDB, Dragonfly and other
+ * servers that speak the Redis protocol.
+ */
+
+import net from 'net';
+
+/**
+ * Error returned by the server ("-ERR ...")
+ */
+export class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args
+ * @returns {Buffer}
+ */
+export function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer
+ * @param {number} offset - Where the reply starts
+ * @returns {{value: *, offset: number}|null} Reply and the offset after it, or null when incomplete
+ */
+export function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisReplyError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type "${type}"`);
+  }
+}
+
+export class RedisClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.url] - redis://[:password@]host[:port][/db] (default: redis://127.0.0.1:6379)
+   * @param {number} [options.connectTimeoutMs] - Connection timeout (default: 2000)
+   * @param {number} [options.commandTimeoutMs] - Time for the server to answer a command; when it
+   *   runs out the connection is dropped and every pending command fails (default: 2000)
+   */
+  constructor(options = {}) {
+    const url = new URL(options.url || 'redis://127.0.0.1:6379');
+    if (url.protocol !== 'redis:') {
+      throw new Error(`Unsupported Redis URL protocol "${url.protocol}" (TLS is not supported; use a local proxy)`);
+    }
+    this.host = url.hostname || '127.0.0.1';
+    this.port = parseInt(url.port, 10) || 6379;
+    this.username = decodeURIComponent(url.username);
+    this.password = decodeURIComponent(url.password);
+    this.db = parseInt(url.pathname.slice(1), 10) || 0;
+    this.connectTimeoutMs = options.connectTimeoutMs || 2000;
+    this.commandTimeoutMs = options.commandTimeoutMs || 2000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Open the connection (done automatically by the first command)
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+      socket.setTimeout(this.connectTimeoutMs, () => socket.destroy(new Error(`Redis connection to ${this.host}:${this.port} timed out`)));
+
+      socket.once('connect', async () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        this.connecting = null;
+        try {
+          if (this.password) {
+            await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.db) {
+            await this.send(['SELECT', this.db]);
+          }
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', error => this.onClose(socket, error));
+      socket.on('close', () => this.onClose(socket, new Error('Redis connection closed')));
+      socket.once('error', error => {
+        this.connecting = null;
+        reject(error);
+      });
+    });
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    let reply;
+    while (this.pending.length > 0 && (reply = parseReply(this.buffer, offset))) {
+      offset = reply.offset;
+      const { resolve, reject } = this.pending.shift();
+      if (reply.value instanceof RedisReplyError) reject(reply.value);
+      else resolve(reply.value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  onClose(socket, error) {
+    // A connection dropped after a timeout may close once its replacement is already open
+    if (this.socket && this.socket !== socket) return;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    // The next command reconnects; commands already sent cannot be answered any more
+    for (const { reject } of this.pending.splice(0)) {
+      reject(error);
+    }
+  }
+
+  send(args) {
+    const socket = this.socket;
+    return new Promise((resolve, reject) => {
+      // Replies arrive in order, so an unanswered command leaves every later one unanswered too:
+      // drop the connection, which fails them all, and let the next command reconnect
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis ${args[0]} got no reply within ${this.commandTimeoutMs} ms`));
+      }, this.commandTimeoutMs);
+      this.pending.push({
+        resolve: value => {
+          clearTimeout(timer);
+          resolve(value);
+        },
+        reject: error => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command
+   * @param {...(string|number)} args - Command and arguments, e.g. ('SET', 'key', 'value', 'PX', 1000)
+   * @returns {Promise<*>} Reply: string, number, null or array
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Close the connection
+   */
+  async quit() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    await this.send(['QUIT']).catch(() => {});
+    socket.destroy();
+  }
+}
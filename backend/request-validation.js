@@ -0,0 +1,170 @@
+/**
+ * Request validation
+ * Checks request bodies against the JSON schemas in api-schema.js, the same objects the
+ * OpenAPI document publishes, so the contract and the checks cannot drift apart.
+ *
+ * Supported keywords: type, properties, required, items, minItems, maxItems, minLength,
+ * maxLength, minimum, maximum, enum and format (see FORMATS). Every problem is reported as
+ * { field, code, message }, where `code` is one of VALIDATION_CODES.
+ */
+
+import { normalizeLanguageTag } from './language.js';
+import { logger, timeStage } from './logger.js';
+
+export const VALIDATION_CODES = [
+  'missing_field',
+  'invalid_type',
+  'empty',
+  'too_short',
+  'too_long',
+  'too_few_items',
+  'too_many_items',
+  'out_of_range',
+  'invalid_value',
+  'invalid_format'
+];
+
+// String formats beyond the JSON Schema built-ins; unknown formats are not checked
+export const FORMATS = {
+  'non-blank': {
+    code: 'empty',
+    test: value => value.trim().length > 0,
+    message: field => `${field} cannot be empty`
+  },
+  'language-tag': {
+    code: 'invalid_format',
+    test: value => normalizeLanguageTag(value) !== null,
+    message: field => `${field} must be a BCP 47 language tag (e.g. "de" or "pt-BR")`
+  },
+  'output-language': {
+    code: 'invalid_format',
+    test: value => value === 'auto' || normalizeLanguageTag(value) !== null,
+    message: field => `${field} must be "auto" or a BCP 47 language tag`
+  }
+};
+
+const formatNumber = value => value.toLocaleString('en-US');
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * Checks below a value of the wrong type are skipped, as are the items of an array that
+ * has too many, so the error list stays short for any input.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Field name of the value ('' for the request body)
+ * @returns {Array<{field: string, code: string, message: string}>} Empty when valid
+ */
+export function validateRequest(value, schema, path = '') {
+  const errors = [];
+  const field = path || 'Request body';
+  const fail = (code, message) => errors.push({ field: path, code, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    fail('invalid_type', `Invalid field type: ${field} must be ${article(schema.type)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('invalid_value', `${field} must be one of: ${schema.enum.join(', ')}`);
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('too_short', `${field} is too short. Minimum ${formatNumber(schema.minLength)} characters required.`);
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('too_long', `${field} is too long. Maximum ${formatNumber(schema.maxLength)} characters allowed.`);
+    } else if (FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(FORMATS[schema.format].code, FORMATS[schema.format].message(field));
+    }
+  }
+
+  if (typeof value === 'number') {
+    const belowMinimum = schema.minimum !== undefined && value < schema.minimum;
+    const aboveMaximum = schema.maximum !== undefined && value > schema.maximum;
+    if (belowMinimum || aboveMaximum) {
+      const range = schema.minimum !== undefined && schema.maximum !== undefined
+        ? `between ${schema.minimum} and ${schema.maximum}`
+        : belowMinimum ? `at least ${schema.minimum}` : `at most ${schema.maximum}`;
+      fail('out_of_range', `${field} must be ${range}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('too_few_items', `${field} has too few items. Minimum ${schema.minItems} required.`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('too_many_items', `${field} has too many items. Maximum ${schema.maxItems} allowed.`);
+      return errors;
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateRequest(item, schema.items, childPath(path, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: childPath(path, key), code: 'missing_field', message: `Missing required field: ${childPath(path, key)}` });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateRequest(value[key], propertySchema, childPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Send a 400 response for validation errors
+ * `error` repeats the first message for clients that only show one string.
+ * @param {Object} res - Express response
+ * @param {Array<{field: string, code: string, message: string}>} errors
+ */
+export function sendValidationError(res, errors) {
+  logger.warn('Validation failed', { errors: errors.map(({ field, code }) => ({ field, code })) });
+  return res.status(400).json({
+    error: errors[0].message,
+    code: 'validation_failed',
+    details: errors
+  });
+}
+
+/**
+ * Express middleware factory validating the JSON request body
+ * @param {Object} schema - Request body schema
+ * @returns {Function} Express middleware
+ */
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const errors = timeStage('validation', () => validateRequest(req.body, schema));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    next();
+  };
+}
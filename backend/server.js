@@ -1,29 +1,182 @@
 import express from 'express';
 import cors from 'cors';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
-import { createRateLimitMiddleware } from './rate-limiter.js';
+import { createRouteRateLimiter, createRateLimitStore, modelRoutePolicies } from './rate-limiter.js';
+import { createProvider, ResilientProvider, resilienceOptionsFromEnv } from './providers/index.js';
+import { MemoryJobStore } from './jobs.js';
+import { Authenticator, createAuthMiddleware, getBearerToken, parseApiKeys, safeEqual } from './auth.js';
+import { MeteredProvider, UsageLedger, createBudgetMiddleware, parseModelPrices, usageContext } from './usage.js';
+import { logger, loggerOptionsFromEnv, createRequestLogging, recordStage } from './logger.js';
+import { MetricsRegistry, METRICS_CONTENT_TYPE, createHttpMetrics, registerProcessMetrics } from './metrics.js';
+import { buildOpenApiDocument } from './api-schema.js';
+import { SYSTEM_INSTRUCTION, createAnalysisCore, createApiRouter, settingsFromEnv, settingsProblems, notFoundHandler, errorHandler } from './core.js';
+import { ReadinessProbe, modelCheck, configCheck, drainServer } from './readiness.js';
 
 // Load environment variables
 dotenv.config();
 
+// Structured JSON logs; LOG_LEVEL=debug is debug mode, which also logs article text and queries
+try {
+  logger.configure(loggerOptionsFromEnv(process.env));
+} catch (error) {
+  logger.error('Invalid configuration', { error: error.message });
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Validate required environment variables
-if (!process.env.GEMINI_API_KEY) {
-  console.error('ERROR: GEMINI_API_KEY is not set in environment variables');
+// Anonymous callers are identified (and rate limited) by req.ip. Behind a load balancer or Cloud
+// Run that is the proxy's address unless X-Forwarded-For is trusted for the proxies in front:
+// "1" (one hop, e.g. Cloud Run), "true", or their addresses and subnets
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY && TRUST_PROXY !== 'false') {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+}
+
+// Routes that identify their caller (see Authentication below)
+const API_ROUTES = ['/analyze', '/search', '/factcheck', '/compare', '/ask', '/jobs', '/auth/me', '/usage'];
+
+// Prometheus metrics, served at /metrics
+const metricsRegistry = new MetricsRegistry();
+registerProcessMetrics(metricsRegistry);
+const metrics = {
+  httpRequests: metricsRegistry.counter({
+    name: 'deepdive_http_requests_total',
+    help: 'HTTP requests by route and status (status "aborted" when the client disconnected)',
+    labelNames: ['method', 'route', 'status']
+  }),
+  httpDuration: metricsRegistry.histogram({
+    name: 'deepdive_http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route']
+  }),
+  httpInFlight: metricsRegistry.gauge({
+    name: 'deepdive_http_requests_in_flight',
+    help: 'HTTP requests being handled'
+  }),
+  modelCallDuration: metricsRegistry.histogram({
+    name: 'deepdive_model_call_duration_seconds',
+    help: 'Latency of successful model calls by task',
+    labelNames: ['provider', 'model', 'task']
+  }),
+  modelCallFailures: metricsRegistry.counter({
+    name: 'deepdive_model_call_failures_total',
+    help: 'Failed model call attempts by reason: timeout, transient (retried or sent to a fallback) or error',
+    labelNames: ['model', 'reason']
+  }),
+  modelCallsCancelled: metricsRegistry.counter({
+    name: 'deepdive_model_calls_cancelled_total',
+    help: 'Model calls cancelled because every client waiting for them disconnected (not counted as failures)',
+    labelNames: ['model', 'task']
+  }),
+  modelRetries: metricsRegistry.counter({
+    name: 'deepdive_model_retries_total',
+    help: 'Model calls retried after a transient failure',
+    labelNames: ['model']
+  }),
+  modelFallbacks: metricsRegistry.counter({
+    name: 'deepdive_model_fallbacks_total',
+    help: 'Model calls passed to the next model in the fallback chain',
+    labelNames: ['from', 'to']
+  }),
+  modelTokens: metricsRegistry.counter({
+    name: 'deepdive_model_tokens_total',
+    help: 'Tokens used by model calls',
+    labelNames: ['model', 'type']
+  }),
+  rateLimitRejections: metricsRegistry.counter({
+    name: 'deepdive_rate_limit_rejections_total',
+    help: 'Requests rejected by a rate limit',
+    labelNames: ['route', 'limit']
+  }),
+  rateLimitStoreErrors: metricsRegistry.counter({
+    name: 'deepdive_rate_limit_store_errors_total',
+    help: 'Rate limit store failures (requests are let through)'
+  }),
+  budgetRejections: metricsRegistry.counter({
+    name: 'deepdive_budget_rejections_total',
+    help: 'Requests rejected because the client used up a token budget',
+    labelNames: ['route', 'period']
+  })
+};
+
+// Token usage per client, with daily and monthly budgets (0 for no limit)
+// USAGE_LOG_FILE keeps every model call as JSON Lines for spend reports and restores totals on restart
+let usageLedger;
+try {
+  usageLedger = new UsageLedger({
+    prices: parseModelPrices(process.env.MODEL_PRICES),
+    dailyTokenBudget: parseInt(process.env.USAGE_DAILY_TOKEN_BUDGET ?? '250000', 10),
+    monthlyTokenBudget: parseInt(process.env.USAGE_MONTHLY_TOKEN_BUDGET ?? '5000000', 10),
+    logFile: process.env.USAGE_LOG_FILE || undefined
+  });
+  await usageLedger.load();
+} catch (error) {
+  logger.error('Invalid configuration', { error: error.message });
   process.exit(1);
 }
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Initialize the LLM provider selected by LLM_PROVIDER (gemini, openai, mock)
+// Every call is metered and charged to the client of the request that made it. Calls have a
+// timeout and are retried on transient errors; LLM_FALLBACK_MODELS are tried when the model is down
+let provider;
+try {
+  const { fallbackModels, ...resilience } = resilienceOptionsFromEnv(process.env);
+  const chain = [undefined, ...fallbackModels].map(model => {
+    const baseProvider = createProvider(process.env, { systemInstruction: SYSTEM_INSTRUCTION, model });
+    return new MeteredProvider(baseProvider, ({ request, usageMetadata, durationMs, estimated }) => {
+      recordStage('model', durationMs);
+      metrics.modelCallDuration.observe({ provider: baseProvider.name, model: baseProvider.model, task: request.task || 'default' }, durationMs / 1000);
+      const record = usageLedger.recordCall({
+        ...usageContext.getStore(),
+        request,
+        usageMetadata,
+        estimated,
+        provider: baseProvider.name,
+        model: baseProvider.model
+      });
+      metrics.modelTokens.inc({ model: baseProvider.model, type: 'prompt' }, record.promptTokens);
+      metrics.modelTokens.inc({ model: baseProvider.model, type: 'output' }, record.outputTokens);
+      logger.debug('Model call', { task: record.task, model: baseProvider.model, grounded: record.grounded, durationMs: Math.round(durationMs), totalTokens: record.totalTokens });
+    });
+  });
 
-// Configure Gemini model with system instructions
-const model = genAI.getGenerativeModel({
-  model: 'gemini-2.0-flash',
-  systemInstruction: 'You are a research assistant that analyzes articles and provides structured insights. Your responses must be in valid JSON format. Provide accurate, relevant information based on the article content.'
-});
+  provider = new ResilientProvider(chain, {
+    ...resilience,
+    onEvent: ({ type, model, task, reason, error, delayMs, attempt, from, state }) => {
+      if (type === 'failure') {
+        metrics.modelCallFailures.inc({ model, reason });
+        logger.warn('Model call failed', { model, task, reason, attempt, error });
+      } else if (type === 'retry') {
+        metrics.modelRetries.inc({ model });
+        logger.info('Retrying model call', { model, task, attempt, delayMs });
+      } else if (type === 'fallback') {
+        metrics.modelFallbacks.inc({ from, to: model });
+        logger.warn('Falling back to the next model', { from, to: model, task });
+      } else if (type === 'circuit') {
+        logger.warn('Model circuit breaker changed state', { model, state });
+      } else if (type === 'cancelled') {
+        metrics.modelCallsCancelled.inc({ model, task: task || 'default' });
+        logger.info('Model call cancelled', { model, task });
+      }
+    }
+  });
+
+  metricsRegistry.gauge({
+    name: 'deepdive_model_circuit_state',
+    help: 'Circuit breaker state by model: 0 closed, 1 half open (trial call), 2 open (calls refused)',
+    labelNames: ['model'],
+    collect: gauge => {
+      for (const { model, state } of provider.circuits()) {
+        gauge.set({ model }, { closed: 0, half_open: 1, open: 2 }[state]);
+      }
+    }
+  });
+} catch (error) {
+  logger.error('Invalid configuration', { error: error.message });
+  process.exit(1);
+}
 
 // CORS configuration for Chrome Extension
 const corsOptions = {
@@ -48,575 +201,229 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type'],
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Cache', 'X-Request-Id', 'Location', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
   credentials: false
 };
 
+// Request ids (X-Request-Id), log context and a completion entry with stage timings for every request
+app.use(createRequestLogging(logger));
+app.use(createHttpMetrics({
+  requests: metrics.httpRequests,
+  duration: metrics.httpDuration,
+  inFlight: metrics.httpInFlight
+}, { knownPaths: [...API_ROUTES, '/auth/register'] }));
 app.use(cors(corsOptions));
 app.use(express.json({ limit: '1mb' }));
 
-// Rate limiting middleware
-// 10 requests per minute per origin in production
-// 30 requests per minute in development for easier testing
-const rateLimitConfig = {
-  windowMs: 60000, // 1 minute
-  maxRequests: process.env.NODE_ENV === 'production' ? 10 : 30
-};
-
-app.use('/analyze', createRateLimitMiddleware(rateLimitConfig));
-
-// Helper function to build analysis prompt
-function buildAnalysisPrompt(article, concepts = []) {
-  const conceptsText = concepts.length > 0
-    ? concepts.join(', ')
-    : 'identify 3-5 key terms from the article';
-
-  // Truncate excessively long articles to keep prompt efficient
-  const ARTICLE_MAX = 10000;
-  const trimmedArticle = typeof article === 'string' && article.length > ARTICLE_MAX
-    ? `${article.slice(0, ARTICLE_MAX)}...`
-    : article;
-
-  return `Analyze the following article and extract key information.
-
-ARTICLE CONTENT:
-${trimmedArticle}
-
-Return ONLY a JSON object with this exact structure:
-{
-  "definitions": [
-    {"term": "term1", "definition": "definition1"},
-    {"term": "term2", "definition": "definition2"}
-  ],
-  "arguments": {
-    "main": ["argument1", "argument2"],
-    "counter": ["counter1", "counter2"]
-  }
+// Authentication: issued API keys (API_KEYS) or anonymous install tokens from /auth/register
+// AUTH_MODE: off, optional (credentials identify the caller when sent) or required
+// Production requires credentials unless configured otherwise
+const AUTH_MODE = process.env.AUTH_MODE || (process.env.NODE_ENV === 'production' ? 'required' : 'optional');
+let authenticator;
+let authenticate;
+try {
+  authenticator = new Authenticator({
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    tokenSecret: process.env.AUTH_TOKEN_SECRET
+  });
+  authenticate = createAuthMiddleware(authenticator, { mode: AUTH_MODE });
+} catch (error) {
+  logger.error('Invalid configuration', { error: error.message });
+  process.exit(1);
 }
 
-REQUIREMENTS:
-- Definitions should focus on: ${conceptsText}
-- Identify 3-5 key terms with clear, concise definitions
-- Extract 2-5 main arguments from the article
-- Extract 1-3 counter-arguments if present in the article
-- Base analysis ONLY on the article content provided above
-- Do NOT include citation numbers or references in your response`;
-}
-// Helper to extract grounded links from Gemini response if available
-function extractRelatedArticlesFromGrounding(geminiResponse) {
-  try {
-    const articles = [];
-    const urls = new Set();
-    const candidates = geminiResponse?.candidates || [];
-    
-    for (const candidate of candidates) {
-      const metadata = candidate.groundingMetadata;
-      if (!metadata?.groundingChunks) {
-        console.log('No grounding metadata or chunks found in candidate');
-        continue;
-      }
-      
-      console.log(`Found ${metadata.groundingChunks.length} grounding chunks`);
-      
-      // Extract from groundingChunks (correct structure per @google/generative-ai types)
-      for (const chunk of metadata.groundingChunks) {
-        if (chunk.web?.uri) {
-          const url = chunk.web.uri;
-          const title = chunk.web.title || 'Related Article';
-          
-          // Only add unique URLs
-          if (!urls.has(url)) {
-            urls.add(url);
-            articles.push({ title, url });
-            console.log(`Extracted grounded article: ${title} - ${url}`);
-          }
-        }
-      }
-      
-      // If we found articles in this candidate, we're done
-      if (articles.length > 0) break;
-    }
-    
-    console.log(`Total grounded articles extracted: ${articles.length}`);
-    return articles.slice(0, 10);
-  } catch (error) {
-    console.error('Error extracting grounded articles:', error);
-    return [];
-  }
-}
+app.use(API_ROUTES, authenticate);
 
-// Helper function to parse Gemini response
-function parseGeminiResponse(text) {
-  console.log('Parsing Gemini response...');
-  
-  // Try to extract JSON from markdown code blocks (```json...```)
-  const jsonCodeBlockMatch = text.match(/```json\s*\n([\s\S]*?)\n```/);
-  if (jsonCodeBlockMatch) {
-    console.log('Found JSON in markdown code block');
-    try {
-      const parsed = JSON.parse(jsonCodeBlockMatch[1]);
-      return stripCitations(validateAndNormalizeResponse(parsed));
-    } catch (error) {
-      console.warn('Failed to parse JSON from code block:', error.message);
-    }
-  }
-  
-  // Try to extract JSON from generic code blocks (```...```)
-  const codeBlockMatch = text.match(/```\s*\n([\s\S]*?)\n```/);
-  if (codeBlockMatch) {
-    console.log('Found content in generic code block');
-    try {
-      const parsed = JSON.parse(codeBlockMatch[1]);
-      return stripCitations(validateAndNormalizeResponse(parsed));
-    } catch (error) {
-      console.warn('Failed to parse JSON from generic code block:', error.message);
-    }
-  }
-  
-  // Try to find JSON object in the text (look for {...})
-  const jsonObjectMatch = text.match(/\{[\s\S]*\}/);
-  if (jsonObjectMatch) {
-    console.log('Found JSON object in text');
-    try {
-      const parsed = JSON.parse(jsonObjectMatch[0]);
-      return stripCitations(validateAndNormalizeResponse(parsed));
-    } catch (error) {
-      console.warn('Failed to parse extracted JSON object:', error.message);
-    }
-  }
-  
-  // Try to parse the entire text as JSON
-  try {
-    console.log('Attempting to parse entire response as JSON');
-    const parsed = JSON.parse(text);
-    return stripCitations(validateAndNormalizeResponse(parsed));
-  } catch (error) {
-    console.warn('Failed to parse entire response as JSON:', error.message);
-  }
-  
-  // Fallback: return structured response with raw text
-  console.log('Using fallback response structure');
-  return {
-    relatedArticles: [],
-    definitions: [],
-    arguments: {
-      main: [text.substring(0, 500) + (text.length > 500 ? '...' : '')],
-      counter: []
-    }
-  };
-}
+// Model-backed requests are refused once the client's token budget is used up, and the model
+// calls they make are charged to the client and route (including jobs they start)
+const MODEL_ROUTES = ['/analyze', '/search', '/factcheck', '/compare', '/ask', '/jobs'];
+const checkBudget = createBudgetMiddleware(usageLedger, {
+  onReject: ({ route, period }) => metrics.budgetRejections.inc({ route, period })
+});
+app.post(MODEL_ROUTES, checkBudget, (req, res, next) => {
+  usageContext.run({ client: req.client, route: req.path }, next);
+});
 
-// Helper function to validate and normalize response structure
-function validateAndNormalizeResponse(data) {
-  console.log('Validating response structure...');
-  
-  // Ensure data is an object
-  if (typeof data !== 'object' || data === null) {
-    throw new Error('Response must be an object');
-  }
-  
-  // Validate and normalize relatedArticles
-  let relatedArticles = [];
-  if (Array.isArray(data.relatedArticles)) {
-    relatedArticles = data.relatedArticles
-      .filter(article => 
-        article && 
-        typeof article === 'object' && 
-        typeof article.title === 'string' && 
-        typeof article.url === 'string' &&
-        article.title.trim().length > 0 &&
-        article.url.trim().length > 0
-      )
-      .map(article => ({
-        title: article.title.trim(),
-        url: article.url.trim()
-      }))
-      .slice(0, 10); // Limit to 10 articles
-    
-    // Filter out obviously fake/suspicious domains
-    const suspiciousPatterns = [
-      'example.com',
-      'placeholder.com',
-      'yoursite.com',
-      'website.com',
-      'test.com',
-      'sample.com'
-    ];
-    
-    relatedArticles = relatedArticles.filter(article => {
-      const url = article.url.toLowerCase();
-      const isSuspicious = suspiciousPatterns.some(pattern => url.includes(pattern));
-      if (isSuspicious) {
-        console.warn(`Filtered suspicious URL: ${article.url}`);
-      }
-      return !isSuspicious;
-    });
-  }
-  
-  // Validate and normalize definitions
-  let definitions = [];
-  if (Array.isArray(data.definitions)) {
-    definitions = data.definitions
-      .filter(def => 
-        def && 
-        typeof def === 'object' && 
-        typeof def.term === 'string' && 
-        typeof def.definition === 'string' &&
-        def.term.trim().length > 0 &&
-        def.definition.trim().length > 0
-      )
-      .map(def => ({
-        term: def.term.trim(),
-        definition: def.definition.trim()
-      }))
-      .slice(0, 20); // Limit to 20 definitions
-  }
-  
-  // Validate and normalize arguments
-  let mainArguments = [];
-  let counterArguments = [];
-  
-  if (data.arguments && typeof data.arguments === 'object') {
-    if (Array.isArray(data.arguments.main)) {
-      mainArguments = data.arguments.main
-        .filter(arg => typeof arg === 'string' && arg.trim().length > 0)
-        .map(arg => arg.trim())
-        .slice(0, 20); // Limit to 20 arguments
-    }
-    
-    if (Array.isArray(data.arguments.counter)) {
-      counterArguments = data.arguments.counter
-        .filter(arg => typeof arg === 'string' && arg.trim().length > 0)
-        .map(arg => arg.trim())
-        .slice(0, 20); // Limit to 20 counter-arguments
-    }
-  }
-  
-  const normalized = {
-    relatedArticles,
-    definitions,
-    arguments: {
-      main: mainArguments,
-      counter: counterArguments
-    }
-  };
-  
-  console.log(`Validation complete: ${relatedArticles.length} articles, ${definitions.length} definitions, ${mainArguments.length} main args, ${counterArguments.length} counter args`);
-  
-  return normalized;
+// Rate limiting - per client (see auth above), with state in RATE_LIMIT_STORE (memory, file, redis)
+// Every model-backed route allows a burst of requests, refilled at RATE_LIMIT_PER_MINUTE,
+// within an hourly sustained limit (see modelRoutePolicies()). API keys with their own limit get
+// that rate instead. Defaults: 10 per minute in production, 30 in development for easier testing
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || (process.env.NODE_ENV === 'production' ? 10 : 30);
+const RATE_LIMIT_POLICIES = modelRoutePolicies(RATE_LIMIT_PER_MINUTE);
+
+let rateLimitStore;
+try {
+  rateLimitStore = createRateLimitStore(process.env);
+} catch (error) {
+  logger.error('Invalid configuration', { error: error.message });
+  process.exit(1);
 }
+app.use(createRouteRateLimiter(RATE_LIMIT_POLICIES, {
+  store: rateLimitStore,
+  onReject: ({ route, limit }) => metrics.rateLimitRejections.inc({ route, limit }),
+  onError: () => metrics.rateLimitStoreErrors.inc()
+}));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Requests count towards usage once they pass the budget and rate limits, unless they turn out invalid (400)
+app.post(MODEL_ROUTES, (req, res, next) => {
+  res.on('close', () => {
+    if (res.statusCode !== 400) usageLedger.recordRequest(req.client.id);
+  });
+  next();
 });
 
-/**
- * Recursively strip citation numbers like [1], [2], [10] from all strings
- * @param {*} obj - Object, array, or string to clean
- * @returns {*} Cleaned version without citations
- */
-function stripCitations(obj) {
-  if (typeof obj === 'string') {
-    // Remove citation numbers [1], [2], [10] etc and clean up whitespace
-    return obj.replace(/\s*\[\d+\]\s*/g, ' ').replace(/\s+/g, ' ').trim();
-  }
-  
-  if (Array.isArray(obj)) {
-    return obj.map(item => stripCitations(item));
-  }
-  
-  if (typeof obj === 'object' && obj !== null) {
-    const cleaned = {};
-    for (const [key, value] of Object.entries(obj)) {
-      cleaned[key] = stripCitations(value);
-    }
-    return cleaned;
-  }
-  
-  return obj;
-}
+// Analysis, search, fact checking, comparison and questions (core.js); the response cache and
+// analysis limits are configured from the environment, see settingsFromEnv()
+const core = createAnalysisCore({
+  provider,
+  settings: settingsFromEnv(process.env),
+  registry: metricsRegistry
+});
+const openApiDocument = buildOpenApiDocument(core.schemas);
 
-// Analyze endpoint
-app.post('/analyze', async (req, res, next) => {
-  const startTime = Date.now();
-  
-  try {
-    // Log incoming request
-    console.log(`[${new Date().toISOString()}] POST /analyze - Request received`);
-    
-    // Validate request body
-    const { article, concepts } = req.body;
-    
-    if (!article) {
-      console.warn('Validation failed: Missing article text');
-      return res.status(400).json({ 
-        error: 'Missing required field: article'
-      });
-    }
-    
-    if (typeof article !== 'string') {
-      console.warn('Validation failed: Article is not a string');
-      return res.status(400).json({ 
-        error: 'Invalid field type: article must be a string'
-      });
-    }
-    
-    if (article.trim().length === 0) {
-      console.warn('Validation failed: Empty article text');
-      return res.status(400).json({ 
-        error: 'Article text cannot be empty'
-      });
-    }
-    
-    if (article.length > 500000) { // ~500KB text limit
-      console.warn(`Validation failed: Article too long (${article.length} chars)`);
-      return res.status(400).json({ 
-        error: 'Article text is too long. Maximum 500,000 characters allowed.'
-      });
+// Prometheus metrics - protected by METRICS_TOKEN (Authorization: Bearer) when it is set
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const credential = getBearerToken(req);
+    if (!credential || !safeEqual(credential, token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Unauthorized', code: 'unauthorized', message: 'Metrics require METRICS_TOKEN' });
     }
-    
-    // Validate concepts if provided
-    if (concepts !== undefined) {
-      if (!Array.isArray(concepts)) {
-        console.warn('Validation failed: Concepts is not an array');
-        return res.status(400).json({ 
-          error: 'Invalid field type: concepts must be an array'
-        });
-      }
-      
-      if (concepts.length > 20) {
-        console.warn(`Validation failed: Too many concepts (${concepts.length})`);
-        return res.status(400).json({ 
-          error: 'Too many concepts. Maximum 20 allowed.'
-        });
-      }
-      
-      // Validate each concept is a string
-      for (const concept of concepts) {
-        if (typeof concept !== 'string') {
-          console.warn('Validation failed: Concept is not a string');
-          return res.status(400).json({ 
-            error: 'Invalid concept type: all concepts must be strings'
-          });
-        }
-      }
-    }
-    
-    console.log(`Article length: ${article.length} chars`);
-    console.log(`Concepts: ${concepts ? concepts.join(', ') : 'auto-detect'}`);
-    
-    // Build prompt for Gemini (content analysis only, no search)
-    const prompt = buildAnalysisPrompt(article, concepts);
-    console.log('Calling Gemini API (content analysis only)...');
-    
-    // Call Gemini API for pure content analysis (no grounding tools)
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }]
-    });
-    const responseText = result.response.text();
-    
-    console.log('Gemini API response received');
-    console.log('Response preview:', responseText.substring(0, 200));
-    
-    // Parse and validate the response (JSON body only - no grounding)
-    const parsedResponse = parseGeminiResponse(responseText);
-    
-    const duration = Date.now() - startTime;
-    console.log(`[${new Date().toISOString()}] POST /analyze - Completed in ${duration}ms`);
-    
-    // Return analysis only (no related articles - those come from /search endpoint)
-    const response = {
-      definitions: parsedResponse.definitions,
-      arguments: parsedResponse.arguments
-    };
-    
-    // Log response summary for debugging
-    console.log('Response being sent:', JSON.stringify({
-      definitionsCount: parsedResponse.definitions.length,
-      mainArgsCount: parsedResponse.arguments.main.length,
-      counterArgsCount: parsedResponse.arguments.counter.length
-    }, null, 2));
-    
-    res.json(response);
-    
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error(`[${new Date().toISOString()}] POST /analyze - Error after ${duration}ms:`, error);
-    
-    // Pass error to error handling middleware
-    next(error);
   }
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metricsRegistry.render());
 });
 
-// Search endpoint - returns only related article URLs using Google Search grounding
-app.post('/search', async (req, res, next) => {
-  const startTime = Date.now();
-  
-  try {
-    console.log(`[${new Date().toISOString()}] POST /search - Request received`);
-    
-    // Validate request body
-    const { searchQuery } = req.body;
-    
-    if (!searchQuery || typeof searchQuery !== 'string') {
-      return res.status(400).json({ 
-        error: 'Missing or invalid searchQuery'
-      });
-    }
-    
-    console.log(`Search query: ${searchQuery}`);
-    
-    // Build optimized prompt that forces Gemini to include URLs in JSON
-    const prompt = `Use Google Search to find 3-5 real articles about: ${searchQuery}
-
-CRITICAL REQUIREMENTS:
-1. Use the Google Search tool to find actual, existing articles
-2. You MUST include the URLs you find in the JSON response below
-3. These URLs will be clickable links for users - they must be real URLs from your search
-4. Do NOT rely only on grounding metadata - put the search results in the JSON structure
-5. Do NOT fabricate, guess, or hallucinate URLs
-
-Return this exact JSON structure with articles you found through Google Search:
-{
-  "articles": [
-    {"title": "Actual article title from your search", "url": "https://real-url-from-search.com"},
-    {"title": "Second article from search results", "url": "https://another-real-url.com"},
-    {"title": "Third article from search results", "url": "https://third-url.com"}
-  ]
-}
+// OpenAPI document describing every route, request and response
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
 
-IMPORTANT: Users will click these links. Include the real URLs you discovered through Google Search in the JSON above.`;
-    
-    // Call Gemini with Google Search grounding tool
-    const result = await model.generateContent({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      tools: [{ google_search: {} }]
-    });
-    
-    const response = result.response;
-    const candidate = response.candidates?.[0];
-    const responseText = candidate?.content?.parts?.[0]?.text || '';
-    
-    // Extract from grounding metadata (most reliable if available)
-    const groundedArticles = extractRelatedArticlesFromGrounding(response);
-    console.log(`Grounding metadata: ${groundedArticles.length} articles`);
-    
-    // Parse JSON response (fallback when grounding is empty)
-    let jsonArticles = [];
-    try {
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        if (parsed.articles && Array.isArray(parsed.articles)) {
-          jsonArticles = stripCitations(parsed.articles); // Remove citation numbers
-        }
-      }
-    } catch (e) {
-      console.warn('Could not parse JSON from search response:', e.message);
-    }
-    console.log(`JSON response: ${jsonArticles.length} articles`);
-    
-    // Multi-tier fallback strategy
-    // Priority 1: Grounded redirect URLs (most trustworthy)
-    const allArticles = [...groundedArticles, ...jsonArticles];
-    const groundedRedirects = allArticles.filter(article => 
-      article.url && article.url.includes('vertexaisearch.cloud.google.com/grounding-api-redirect')
-    );
-    
-    // Priority 2: Any articles from grounding metadata
-    // Priority 3: Articles from JSON response (when grounding is empty)
-    let articles = groundedRedirects.length > 0 
-      ? groundedRedirects 
-      : (groundedArticles.length > 0 ? groundedArticles : jsonArticles);
-    
-    // Validate URLs
-    articles = articles.filter(article => {
-      try {
-        new URL(article.url);
-        return true;
-      } catch {
-        console.warn(`Invalid URL filtered: ${article.url}`);
-        return false;
-      }
-    });
-    
-    // Log source for debugging
-    const source = groundedRedirects.length > 0 ? 'grounded redirects' :
-                   groundedArticles.length > 0 ? 'grounding metadata' : 'JSON response';
-    console.log(`Articles source: ${source} (${articles.length} articles)`);
-    
-    // Log article details
-    for (const article of articles.slice(0, 3)) {
-      console.log(`  - ${article.title}: ${article.url.substring(0, 80)}...`);
-    }
-    
-    const duration = Date.now() - startTime;
-    console.log(`[${new Date().toISOString()}] POST /search - Completed in ${duration}ms`);
-    console.log(`Found ${articles.length} related articles`);
-    
-    res.json({ articles });
-    
-  } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error(`[${new Date().toISOString()}] POST /search - Error after ${duration}ms:`, error);
-    next(error);
-  }
+// Issue an anonymous install token - the extension registers once and keeps the token
+app.post('/auth/register', (req, res) => {
+  const { token, clientId } = authenticator.issueInstallToken();
+  logger.info('Issued install token', { client: clientId });
+  res.status(201).json({ token, clientId, type: 'install' });
 });
 
-// 404 handler for unknown routes
-app.use((req, res) => {
-  console.warn(`[${new Date().toISOString()}] 404 - ${req.method} ${req.path}`);
-  res.status(404).json({ 
-    error: 'Not found',
-    message: `Route ${req.method} ${req.path} does not exist`
-  });
+// Identity of the calling client
+app.get('/auth/me', (req, res) => {
+  const { id, type, name } = req.client;
+  res.json({ client: { id, type, name } });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  // Log detailed error information
-  console.error(`[${new Date().toISOString()}] Error Handler:`, {
-    message: err.message,
-    stack: err.stack,
-    path: req.path,
-    method: req.method
-  });
-  
-  // Handle specific error types
-  if (err.type === 'entity.too.large') {
-    return res.status(413).json({ 
-      error: 'Request body too large',
-      message: 'Maximum request size is 1MB'
-    });
-  }
-  
-  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    return res.status(400).json({ 
-      error: 'Invalid JSON',
-      message: 'Request body must be valid JSON'
-    });
-  }
-  
-  // Generic error response
-  const statusCode = err.statusCode || err.status || 500;
-  res.status(statusCode).json({ 
-    error: err.message || 'Internal server error'
-  });
+// Token usage, cost and remaining allowance of the calling client
+app.get('/usage', (req, res) => {
+  const { id, type, name } = req.client;
+  res.json({ client: { id, type, name }, ...usageLedger.getUsage(id) });
+});
+
+// Configuration that works but should not reach production as is
+function productionWarnings() {
+  if (process.env.NODE_ENV !== 'production') return [];
+  const warnings = [];
+  if (AUTH_MODE === 'off') warnings.push('AUTH_MODE is off: every caller is anonymous');
+  else if (!process.env.AUTH_TOKEN_SECRET) warnings.push('AUTH_TOKEN_SECRET is not set: install tokens stop working on restart and on other instances');
+  if (!process.env.ALLOWED_EXTENSION_ID) warnings.push('ALLOWED_EXTENSION_ID is not set: any extension may call the API');
+  if (!process.env.METRICS_TOKEN) warnings.push('METRICS_TOKEN is not set: /metrics is public');
+  return warnings;
+}
+
+// Readiness (GET /ready): provider, configuration and stores. Checking the provider reaches it,
+// so that result is reused for READY_MODEL_CHECK_TTL_SECONDS (a failure for 10 seconds at most)
+const modelCheckTtlMs = parseInt(process.env.READY_MODEL_CHECK_TTL_SECONDS ?? '60', 10) * 1000 || 0;
+const readiness = new ReadinessProbe()
+  .add('model', modelCheck(provider), { ttlMs: modelCheckTtlMs, failureTtlMs: Math.min(modelCheckTtlMs, 10000) })
+  .add('config', configCheck(() => ({ errors: settingsProblems(core.settings), warnings: productionWarnings() })))
+  .add('rateLimitStore', async () => {
+    await rateLimitStore.check();
+    return { store: process.env.RATE_LIMIT_STORE || 'memory' };
+  })
+  .add('cache', () => core.cache.check())
+  .add('usageLog', () => usageLedger.check());
+
+// Health and readiness checks and the model-backed endpoints; jobs live in memory for JOB_TTL_SECONDS
+const apiRouter = createApiRouter(core, {
+  jobStore: new MemoryJobStore({ ttlMs: (parseInt(process.env.JOB_TTL_SECONDS, 10) || 3600) * 1000 }),
+  readiness
 });
+app.use(apiRouter);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`DeepDive Assistant backend running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`CORS enabled for chrome-extension:// origins`);
+const server = app.listen(PORT, () => {
+  logger.info('DeepDive Assistant backend running', {
+    port: PORT,
+    environment: process.env.NODE_ENV || 'development',
+    provider: provider.name,
+    model: provider.model,
+    authMode: AUTH_MODE,
+    apiKeys: authenticator.apiKeys.length,
+    rateLimitPerMinute: RATE_LIMIT_PER_MINUTE,
+    rateLimitStore: process.env.RATE_LIMIT_STORE || 'memory',
+    tokenBudgets: usageLedger.budgets,
+    logLevel: logger.settings.level
+  });
+  for (const problem of settingsProblems(core.settings)) {
+    logger.error('Invalid configuration (GET /ready reports not_ready)', { problem });
+  }
+  if (authenticator.ephemeralSecret && AUTH_MODE !== 'off') {
+    logger.info('AUTH_TOKEN_SECRET not set: install tokens are only valid until the server restarts');
+  }
+  if (logger.settings.debug) {
+    logger.warn('Debug logging: article text, queries and model output are logged unredacted');
+  }
   
   // Security reminder for production deployment
   if (process.env.NODE_ENV === 'production') {
-    console.log('⚠️  SECURITY: Ensure this service is deployed with HTTPS enabled');
-    console.log('⚠️  The Chrome Extension requires HTTPS for all backend communication');
+    logger.warn('SECURITY: Ensure this service is deployed with HTTPS enabled; the Chrome Extension requires HTTPS for all backend communication');
   } else {
-    console.log('ℹ️  Development mode: HTTP is allowed for localhost testing');
+    logger.info('Development mode: HTTP is allowed for localhost testing');
   }
 });
+
+// Graceful shutdown on SIGTERM (Cloud Run, Kubernetes, docker stop) and SIGINT: /ready reports
+// draining, new connections are refused and requests in flight get SHUTDOWN_TIMEOUT_SECONDS to
+// finish before usage records are flushed and the process exits. Cloud Run kills the container
+// 10 seconds after SIGTERM, hence the default of 8. A second signal exits at once.
+// Background jobs get the same deadline minus a moment: those still running then fail with the
+// retryable server_shutdown code, which reaches clients following them before connections close.
+const SHUTDOWN_TIMEOUT_MS = (parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 8) * 1000;
+const JOB_DRAIN_MS = SHUTDOWN_TIMEOUT_MS - Math.min(1000, SHUTDOWN_TIMEOUT_MS / 4);
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn('Second shutdown signal, exiting without draining', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  logger.info('Shutting down: draining requests in flight', { signal, timeoutMs: SHUTDOWN_TIMEOUT_MS });
+
+  const [{ drained }, jobs] = await Promise.all([
+    drainServer(server, { probe: readiness, timeoutMs: SHUTDOWN_TIMEOUT_MS }),
+    apiRouter.jobManager.drain({ timeoutMs: JOB_DRAIN_MS })
+  ]);
+  if (jobs.interrupted > 0) {
+    logger.warn('Shutdown deadline reached: failed the jobs still running as retryable', { jobs: jobs.interrupted });
+  }
+  if (!drained) {
+    logger.warn('Shutdown deadline reached: closed the connections still open');
+  }
+  await usageLedger.flush();
+  try {
+    await rateLimitStore.destroy();
+  } catch (error) {
+    logger.warn('Closing the rate limit store failed', { error: error.message });
+  }
+  logger.info('Shutdown complete', { drained });
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,366 @@
+/**
+ * Structured output
+ * JSON schemas for model responses, a small validator for them, and a bounded
+ * repair loop for output that does not match.
+ *
+ * Schemas use the subset of JSON Schema that Gemini's `responseSchema` accepts
+ * (type, properties, required, items, maxItems, enum), so the same object is sent
+ * to the provider and used to validate what comes back.
+ */
+
+import { logger } from './logger.js';
+
+const ARGUMENT_ITEM_SCHEMA = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    quotes: { type: 'array', maxItems: 3, items: { type: 'string' } }
+  },
+  required: ['text', 'quotes']
+};
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    definitions: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          term: { type: 'string' },
+          definition: { type: 'string' },
+          quotes: { type: 'array', maxItems: 3, items: { type: 'string' } }
+        },
+        required: ['term', 'definition', 'quotes']
+      }
+    },
+    arguments: {
+      type: 'object',
+      properties: {
+        main: { type: 'array', maxItems: 20, items: ARGUMENT_ITEM_SCHEMA },
+        counter: { type: 'array', maxItems: 20, items: ARGUMENT_ITEM_SCHEMA }
+      },
+      required: ['main', 'counter']
+    }
+  },
+  required: ['definitions', 'arguments']
+};
+
+export const SEARCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    articles: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          url: { type: 'string' }
+        },
+        required: ['title', 'url']
+      }
+    }
+  },
+  required: ['articles']
+};
+
+export const CLAIMS_SCHEMA = {
+  type: 'object',
+  properties: {
+    claims: { type: 'array', maxItems: 10, items: ARGUMENT_ITEM_SCHEMA }
+  },
+  required: ['claims']
+};
+
+export const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    verdict: { type: 'string', enum: ['supported', 'disputed', 'unverifiable'] },
+    explanation: { type: 'string' }
+  },
+  required: ['verdict', 'explanation']
+};
+
+export const ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string' },
+    answerable: { type: 'boolean' },
+    quotes: { type: 'array', maxItems: 5, items: { type: 'string' } }
+  },
+  required: ['answer', 'answerable', 'quotes']
+};
+
+// Comparison items refer to articles by their zero-based index in the request
+export const COMPARE_SCHEMA = {
+  type: 'object',
+  properties: {
+    sharedFacts: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          sources: { type: 'array', items: { type: 'integer' } }
+        },
+        required: ['text', 'sources']
+      }
+    },
+    disagreements: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          topic: { type: 'string' },
+          positions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                source: { type: 'integer' },
+                position: { type: 'string' }
+              },
+              required: ['source', 'position']
+            }
+          }
+        },
+        required: ['topic', 'positions']
+      }
+    },
+    framing: {
+      type: 'array',
+      maxItems: 10,
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'integer' },
+          description: { type: 'string' }
+        },
+        required: ['source', 'description']
+      }
+    },
+    uniqueClaims: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        properties: {
+          source: { type: 'integer' },
+          text: { type: 'string' },
+          quotes: { type: 'array', maxItems: 3, items: { type: 'string' } }
+        },
+        required: ['source', 'text', 'quotes']
+      }
+    }
+  },
+  required: ['sharedFacts', 'disagreements', 'framing', 'uniqueClaims']
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (subset described above)
+ * @param {string} path - JSON path used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      for (const key of schema.required || []) {
+        if (!(key in value)) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (key in value) {
+          errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return [`${path} must be an array`];
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+      break;
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+      }
+      break;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || (schema.type === 'integer' && !Number.isInteger(value))) {
+        errors.push(`${path} must be a ${schema.type}`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path} must be a boolean`);
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Extract a JSON value from model text
+ * Tries, in order: ```json block, generic ``` block, outermost {...}, whole text.
+ * @param {string} text - Model output
+ * @returns {{value: *, strategy: string}|null} Parsed value and the strategy that worked
+ */
+export function extractJson(text) {
+  const strategies = [
+    ['json-code-block', () => text.match(/```json\s*\n([\s\S]*?)\n```/)?.[1]],
+    ['code-block', () => text.match(/```\s*\n([\s\S]*?)\n```/)?.[1]],
+    ['object', () => text.match(/\{[\s\S]*\}/)?.[0]],
+    ['whole-text', () => text]
+  ];
+
+  for (const [strategy, extract] of strategies) {
+    const candidate = extract();
+    if (candidate === undefined) continue;
+    try {
+      return { value: JSON.parse(candidate), strategy };
+    } catch {
+      // Continue to next parsing strategy
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build a prompt asking the model to fix output that failed validation
+ * @param {string} text - Invalid model output
+ * @param {string[]} errors - Validation or parse errors
+ * @param {Object} schema - Expected schema
+ * @returns {string} Repair prompt
+ */
+export function buildRepairPrompt(text, errors, schema) {
+  return `The following output was supposed to be JSON matching a schema, but it is invalid.
+
+ERRORS:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+SCHEMA:
+${JSON.stringify(schema)}
+
+INVALID OUTPUT:
+${text.substring(0, 20000)}
+
+Return ONLY the corrected JSON object. Keep the original content; do not invent new items.
+If an item cannot be corrected, remove it.`;
+}
+
+/**
+ * Parse model text and validate it against a schema
+ * @param {string} text - Model output
+ * @param {Object} schema - Expected schema
+ * @returns {{value: *, errors: string[], strategy: string|null}} Parsed value (null if unparseable) and errors
+ */
+export function parseStructured(text, schema) {
+  const extracted = extractJson(text);
+  if (!extracted) {
+    return { value: null, errors: ['Output is not valid JSON'], strategy: null };
+  }
+  return {
+    value: extracted.value,
+    errors: validateAgainstSchema(extracted.value, schema),
+    strategy: extracted.strategy
+  };
+}
+
+/**
+ * Validate model text against a schema, asking the provider to repair it when invalid
+ *
+ * Status:
+ *   'ok'       - first output matched the schema
+ *   'repaired' - a repair attempt produced valid output
+ *   'partial'  - still invalid after all attempts, but parseable JSON (caller keeps what validates)
+ *   'degraded' - no parseable JSON at all; caller must not present any content
+ *
+ * @param {Object} provider - LLM provider
+ * @param {string} text - Initial model output
+ * @param {Object} schema - Expected schema
+ * @param {Object} options
+ * @param {number} [options.maxRepairs] - Maximum repair calls (default: 2)
+ * @param {AbortSignal} [options.signal] - Signal of the model calls; once it has aborted, a failed repair is rethrown
+ * @returns {Promise<{value: *, status: string, errors: string[], repairAttempts: number}>}
+ * @throws {Error} When a repair call was cancelled (the client went away or the job was interrupted): there is nobody to degrade for
+ */
+export async function ensureStructured(provider, text, schema, options = {}) {
+  const maxRepairs = options.maxRepairs ?? 2;
+  let current = parseStructured(text, schema);
+  let lastParseable = current.value !== null ? current : null;
+  let currentText = text;
+  let repairAttempts = 0;
+
+  while (current.errors.length > 0 && repairAttempts < maxRepairs) {
+    repairAttempts++;
+    logger.warn('Structured output invalid; repairing', { validationError: current.errors[0], repairAttempt: repairAttempts, maxRepairs });
+
+    try {
+      const result = await provider.generate({
+        task: 'repair',
+        prompt: buildRepairPrompt(currentText, current.errors, schema),
+        responseSchema: schema
+      });
+      currentText = result.text;
+      current = parseStructured(currentText, schema);
+      if (current.value !== null) {
+        lastParseable = current;
+      }
+    } catch (error) {
+      // Cancellation reasons vary (RequestCancelledError, JobInterruptedError, ...); the signal tells
+      if (options.signal?.aborted || error.name === 'RequestCancelledError' || error.name === 'AbortError') {
+        throw error;
+      }
+      logger.warn('Repair attempt failed', { error: error.message });
+      break;
+    }
+  }
+
+  if (current.errors.length === 0) {
+    return {
+      value: current.value,
+      status: repairAttempts === 0 ? 'ok' : 'repaired',
+      errors: [],
+      repairAttempts
+    };
+  }
+
+  if (lastParseable) {
+    return { value: lastParseable.value, status: 'partial', errors: lastParseable.errors, repairAttempts };
+  }
+
+  return { value: null, status: 'degraded', errors: current.errors, repairAttempts };
+}
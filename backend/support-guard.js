@@ -0,0 +1,220 @@
+/**
+ * Support guard
+ * Deterministic post-processing that checks analysis items against the article text.
+ * Every definition and argument gets a `support` score between 0 and 1 from lexical
+ * overlap with the article's sentences; weakly supported items are flagged and
+ * unsupported ones dropped. No model calls are involved, so scores are reproducible.
+ */
+
+import { logger } from './logger.js';
+
+// Function words that carry no evidence of support
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+  'its', 'may', 'might', 'more', 'most', 'must', 'not', 'of', 'on', 'or', 'other', 'our', 'she', 'should',
+  'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'to', 'very', 'was', 'we', 'were', 'what', 'when', 'which', 'while', 'who', 'will', 'with',
+  'would', 'you', 'also', 'about', 'because', 'being', 'both', 'each', 'many', 'much', 'only', 'over'
+]);
+
+// Consecutive sentences an item may draw its support from
+const WINDOW_SIZE = 3;
+
+/**
+ * Reduce a word to a crude stem so inflections match ("regulations" ~ "regulation")
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+  return word
+    .replace(/ies$/, 'y')
+    .replace(/(ss|x|ch|sh)es$/, '$1')
+    .replace(/(?<=\p{L}{3})(ing|edly|ed|ly)$/u, '')
+    .replace(/(?<!s)s$/, '')
+    .replace(/(?<=\p{L}{3})e$/u, '');
+}
+
+/**
+ * Split text into content tokens (lowercased, stopwords removed, stemmed)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\p{N}/u.test(word)))
+    .map(stem);
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n{2,}/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Scores analysis items against one article
+ */
+export class SupportGuard {
+  /**
+   * @param {string} article - Article text the analysis was produced from
+   * @param {Object} options
+   * @param {number} [options.dropThreshold] - Items scoring below this are removed (default: 0.25)
+   * @param {number} [options.flagThreshold] - Items scoring below this are marked `lowSupport` (default: 0.5)
+   * @param {string[]} [options.concepts] - Terms the user asked to define; always count as supported terms
+   * @param {boolean} [options.translated] - Items are written in another language than the article,
+   *   so their wording cannot be compared; they are scored by their verified evidence instead
+   */
+  constructor(article, options = {}) {
+    this.dropThreshold = options.dropThreshold ?? 0.25;
+    this.flagThreshold = options.flagThreshold ?? 0.5;
+    this.translated = options.translated === true;
+    this.concepts = new Set((options.concepts || []).map(concept => tokenize(concept).join(' ')));
+
+    this.sentences = splitSentences(article).map(sentence => new Set(tokenize(sentence)));
+    this.documentTokens = new Set();
+    this.documentFrequency = new Map();
+    for (const tokens of this.sentences) {
+      for (const token of tokens) {
+        this.documentTokens.add(token);
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      }
+    }
+  }
+
+  /**
+   * Inverse sentence frequency - rare words count more; words absent from the article count most
+   * @param {string} token
+   * @returns {number}
+   */
+  weight(token) {
+    return Math.log(1 + this.sentences.length / (1 + (this.documentFrequency.get(token) || 0)));
+  }
+
+  /**
+   * Weighted share of `tokens` found by `has`
+   * @param {string[]} tokens
+   * @param {Function} has - Predicate telling whether a token is present
+   * @returns {number} Score between 0 and 1
+   */
+  recall(tokens, has) {
+    let total = 0;
+    let found = 0;
+    for (const token of new Set(tokens)) {
+      const weight = this.weight(token);
+      total += weight;
+      if (has(token)) found += weight;
+    }
+    return total === 0 ? 0 : found / total;
+  }
+
+  /**
+   * Best recall of `tokens` within any window of consecutive sentences
+   * @param {string[]} tokens
+   * @returns {number}
+   */
+  bestWindowRecall(tokens) {
+    let best = 0;
+    for (let i = 0; i < this.sentences.length && best < 1; i++) {
+      const window = this.sentences.slice(i, i + WINDOW_SIZE);
+      best = Math.max(best, this.recall(tokens, token => window.some(sentence => sentence.has(token))));
+    }
+    return best;
+  }
+
+  /**
+   * Score a text: mostly how well one passage supports it, partly the article as a whole
+   * @param {string} text
+   * @returns {number}
+   */
+  scoreText(text) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return 0;
+    const documentRecall = this.recall(tokens, token => this.documentTokens.has(token));
+    return 0.7 * this.bestWindowRecall(tokens) + 0.3 * documentRecall;
+  }
+
+  /**
+   * Score a definition - the term must come from the article (or the user's concepts);
+   * the explanation may legitimately use words the article does not
+   * @param {{term: string, definition: string}} def
+   * @returns {number}
+   */
+  scoreDefinition(def) {
+    const termTokens = tokenize(def.term);
+    const termScore = this.concepts.has(termTokens.join(' '))
+      ? 1
+      : this.recall(termTokens, token => this.documentTokens.has(token));
+    return 0.7 * termScore + 0.3 * this.scoreText(def.definition);
+  }
+
+  /**
+   * Score an argument
+   * @param {{text: string}|string} arg
+   * @returns {number}
+   */
+  scoreArgument(arg) {
+    return this.scoreText(typeof arg === 'string' ? arg : arg.text);
+  }
+
+  /**
+   * Score an item by its evidence spans - used when the item is a translation
+   * @param {{evidence?: Array<{quote: string}>}} item
+   * @returns {number} 0 when the item has no verified evidence
+   */
+  scoreEvidence(item) {
+    const quotes = (item.evidence || []).map(span => span.quote).join(' ');
+    return quotes ? this.scoreText(quotes) : 0;
+  }
+
+  /**
+   * Score one item and decide what to do with it
+   * @param {Object} item - Definition or argument item
+   * @param {string} type - 'definition' or 'argument'
+   * @returns {Object|null} Item with `support` (and `lowSupport` when flagged), or null when dropped
+   */
+  check(item, type) {
+    const score = this.translated
+      ? this.scoreEvidence(item)
+      : type === 'definition' ? this.scoreDefinition(item) : this.scoreArgument(item);
+    const support = Math.round(score * 100) / 100;
+    if (support < this.dropThreshold) {
+      logger.warn('Dropped unsupported item', { type, support, text: item.term || item.text || '' });
+      return null;
+    }
+    return support < this.flagThreshold ? { ...item, support, lowSupport: true } : { ...item, support };
+  }
+
+  /**
+   * Score every item of an analysis
+   * @param {Object} analysis - { definitions, arguments: { main, counter } }
+   * @returns {Object} Analysis with scored items and `supportSummary: {dropped, flagged}`
+   */
+  apply(analysis) {
+    const summary = { dropped: 0, flagged: 0 };
+    const checkAll = (items, type) => items
+      .map(item => this.check(item, type))
+      .filter(item => {
+        if (!item) summary.dropped++;
+        else if (item.lowSupport) summary.flagged++;
+        return item !== null;
+      });
+
+    return {
+      ...analysis,
+      definitions: checkAll(analysis.definitions, 'definition'),
+      arguments: {
+        main: checkAll(analysis.arguments.main, 'argument'),
+        counter: checkAll(analysis.arguments.counter, 'argument')
+      },
+      supportSummary: summary
+    };
+  }
+}
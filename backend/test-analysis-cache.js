@@ -0,0 +1,194 @@
+/**
+ * Unit tests for the analysis cache
+ * These tests don't require API calls
+ */
+
+import { mkdtemp, readdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { AnalysisCache, MemoryCacheStore, buildCacheKey, normalizeText } from './analysis-cache.js';
+
+console.log('=================================');
+console.log('Running Analysis Cache Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+await test('Keys ignore whitespace and Unicode form differences', async () => {
+  const a = buildCacheKey('analyze', { article: normalizeText('Café prices\n\nrose.  ') });
+  const b = buildCacheKey('analyze', { article: normalizeText('Café prices rose.') });
+  const c = buildCacheKey('analyze', { article: normalizeText('Cafe prices rose.') });
+  assert(a === b, 'Equivalent text produced different keys');
+  assert(a !== c, 'Different text produced the same key');
+  assert(a.startsWith('analyze-'), 'Namespace missing');
+});
+
+await test('Memory store evicts the least recently used entry', async () => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+  await store.set('a', 1);
+  await store.set('b', 2);
+  await store.get('a');
+  await store.set('c', 3);
+  assert(await store.get('a') === 1, 'Recently used entry evicted');
+  assert(await store.get('b') === undefined, 'Least recently used entry kept');
+});
+
+await test('Entries expire after the TTL', async () => {
+  let now = 1000;
+  const cache = new AnalysisCache({ ttlMs: 500, now: () => now });
+  await cache.set('key', { ok: true });
+  assert((await cache.get('key'))?.ok === true, 'Fresh entry missing');
+  now += 501;
+  assert(await cache.get('key') === undefined, 'Expired entry served');
+});
+
+await test('Concurrent identical requests share one computation', async () => {
+  const cache = new AnalysisCache();
+  let calls = 0;
+  const compute = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return { answer: 42 };
+  };
+  const results = await Promise.all([1, 2, 3].map(() => cache.getOrCompute('same', compute)));
+  assert(calls === 1, `Expected 1 upstream call, got ${calls}`);
+  assert(results.map(result => result.status).sort().join() === 'coalesced,coalesced,miss', 'Unexpected statuses');
+  assert((await cache.getOrCompute('same', compute)).status === 'hit', 'Second request should hit');
+});
+
+await test('Rejected values and failures are not cached', async () => {
+  const cache = new AnalysisCache();
+  await cache.getOrCompute('degraded', async () => ({ degraded: true }), { shouldCache: value => !value.degraded });
+  assert(await cache.get('degraded') === undefined, 'Rejected value cached');
+
+  let calls = 0;
+  const failing = async () => {
+    calls++;
+    throw new Error('Upstream timeout');
+  };
+  const outcomes = await Promise.allSettled([cache.getOrCompute('fail', failing), cache.getOrCompute('fail', failing)]);
+  assert(outcomes.every(outcome => outcome.status === 'rejected'), 'Failure not shared with the waiting request');
+  await cache.getOrCompute('fail', failing).catch(() => {});
+  assert(calls === 2, `Failure should be retried on the next request (calls: ${calls})`);
+});
+
+await test('A shared computation is cancelled only when every waiter has left', async () => {
+  const cache = new AnalysisCache();
+  let computeSignal;
+  const compute = signal => {
+    computeSignal = signal;
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+  };
+  const first = new AbortController();
+  const second = new AbortController();
+  const outcomes = Promise.allSettled([
+    cache.getOrCompute('shared', compute, { signal: first.signal }),
+    cache.getOrCompute('shared', compute, { signal: second.signal })
+  ]);
+  await new Promise(resolve => setImmediate(resolve));
+
+  first.abort(new Error('first left'));
+  assert(!computeSignal.aborted, 'Cancelled while a request was still waiting');
+  second.abort(new Error('second left'));
+  assert(computeSignal.aborted && computeSignal.reason.message === 'second left', 'Not cancelled when the last request left');
+  assert((await outcomes).every(outcome => outcome.status === 'rejected'), 'Cancelled computation resolved');
+
+  // A request arriving after the cancellation starts over instead of sharing the failure
+  let computations = 0;
+  const slow = async signal => {
+    computations++;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    signal.throwIfAborted();
+    return 'fresh';
+  };
+  const leaving = new AbortController();
+  const cancelled = cache.getOrCompute('late', slow, { signal: leaving.signal }).catch(error => error);
+  await new Promise(resolve => setImmediate(resolve));
+  leaving.abort(new Error('left'));
+  const late = await cache.getOrCompute('late', slow);
+  assert(late.status === 'miss' && late.value === 'fresh' && computations === 2, `Late request got ${late.status} ${late.value}`);
+  assert((await cancelled).message === 'left', 'Cancelled request did not fail');
+
+  // A waiter without a signal (a background job) keeps the computation alive
+  const third = new AbortController();
+  const kept = cache.getOrCompute('kept', async signal => {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return signal.aborted ? 'cancelled' : 'done';
+  }, { signal: third.signal });
+  const job = cache.getOrCompute('kept', compute);
+  await new Promise(resolve => setImmediate(resolve));
+  third.abort();
+  assert((await kept).value === 'done' && (await job).value === 'done', 'Computation cancelled under a waiter without a signal');
+});
+
+await test('A TTL of 0 disables storage but keeps single-flight', async () => {
+  const cache = new AnalysisCache({ ttlMs: 0 });
+  let calls = 0;
+  const compute = async () => {
+    calls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return 'value';
+  };
+  await Promise.all([cache.getOrCompute('k', compute), cache.getOrCompute('k', compute)]);
+  await cache.getOrCompute('k', compute);
+  assert(calls === 2, `Expected 2 calls, got ${calls}`);
+});
+
+await test('Disk store survives a new cache instance', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'deepdive-cache-'));
+  try {
+    await new AnalysisCache({ dir }).set('persisted', { definitions: [] });
+    const fresh = new AnalysisCache({ dir });
+    assert(Array.isArray((await fresh.get('persisted'))?.definitions), 'Entry not read back from disk');
+    assert(await fresh.get('missing') === undefined, 'Missing entry should be undefined');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await test('Expired disk entries are deleted without being read again', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'deepdive-cache-'));
+  let now = 1000;
+  const cache = new AnalysisCache({ dir, ttlMs: 100, now: () => now });
+  try {
+    await cache.set('old', { definitions: [] });
+    now += 50;
+    await cache.set('recent', { definitions: [] });
+    await writeFile(path.join(dir, 'torn.json'), '{"value":');
+    now += 60;
+    assert(await cache.disk.cleanup() === 2, 'Expected the expired and the unreadable file to be deleted');
+    assert((await readdir(dir)).join() === 'recent.json', `Left ${(await readdir(dir)).join()}`);
+  } finally {
+    cache.destroy();
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for incremental analysis stream parsing
+ * These tests don't require API calls
+ */
+
+import { IncrementalAnalysisParser, formatSSE } from './analysis-stream.js';
+import { MockProvider } from './providers/index.js';
+
+console.log('=================================');
+console.log('Running Analysis Stream Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function feed(text, chunkSize) {
+  const parser = new IncrementalAnalysisParser();
+  const events = [];
+  for (let i = 0; i < text.length; i += chunkSize) {
+    events.push(...parser.push(text.slice(i, i + chunkSize)));
+  }
+  return events;
+}
+
+const sample = `Sure, here you go:
+\`\`\`json
+{
+  "definitions": [
+    {"term": "Quantum {state}", "definition": "A \\"state\\" with [brackets]"},
+    {"term": "", "definition": "dropped"},
+    {"term": "Qubit", "definition": "Unit of quantum information"}
+  ],
+  "arguments": {
+    "main": ["First, point", "  Second point  ", ""],
+    "counter": ["A counter"]
+  },
+  "extra": {"main": ["not an argument"]}
+}
+\`\`\``;
+
+await test('Emits every item when fed character by character', async () => {
+  const events = feed(sample, 1);
+  const defs = events.filter(e => e.type === 'definition');
+  const args = events.filter(e => e.type === 'argument');
+  assert(defs.length === 2, `Expected 2 definitions, got ${defs.length}`);
+  assert(defs[0].data.term === 'Quantum {state}', `Unexpected term ${defs[0].data.term}`);
+  assert(defs[0].data.definition === 'A "state" with [brackets]', 'Escapes not decoded');
+  assert(args.length === 3, `Expected 3 arguments, got ${args.length}`);
+  assert(args[1].data.text === 'Second point', 'Argument not trimmed');
+  assert(args[2].data.kind === 'counter', 'Counter argument kind missing');
+});
+
+await test('Chunk size does not change the event sequence', async () => {
+  const reference = JSON.stringify(feed(sample, 1));
+  for (const size of [2, 7, 64, sample.length]) {
+    assert(JSON.stringify(feed(sample, size)) === reference, `Mismatch with chunk size ${size}`);
+  }
+});
+
+await test('Events are emitted before the document is complete', async () => {
+  const parser = new IncrementalAnalysisParser();
+  const events = parser.push('{"definitions": [{"term": "A", "definition": "B"}, {"term": "C"');
+  assert(events.length === 1 && events[0].type === 'definition', 'Expected first definition early');
+});
+
+await test('Emits argument objects with their quotes', async () => {
+  const text = '{"definitions": [{"term": "A", "definition": "B", "quotes": ["Quote {one}"]}], ' +
+    '"arguments": {"main": [{"text": " Point ", "quotes": ["Quote [two]", 3]}], "counter": [{"quotes": []}]}}';
+  const events = feed(text, 4);
+  assert(events.length === 2, `Expected 2 events, got ${events.length}`);
+  assert(events[0].data.quotes[0] === 'Quote {one}', 'Definition quotes missing');
+  assert(events[1].data.text === 'Point' && events[1].data.kind === 'main', 'Argument object not parsed');
+  assert(events[1].data.quotes.length === 1 && events[1].data.quotes[0] === 'Quote [two]', 'Argument quotes not filtered');
+});
+
+await test('Ignores text after the root object closes', async () => {
+  const events = feed('{"arguments": {"main": ["one"]}} {"arguments": {"main": ["two"]}}', 3);
+  assert(events.length === 1, `Expected 1 event, got ${events.length}`);
+});
+
+await test('Mock provider stream round-trips the analyze fixture', async () => {
+  const provider = new MockProvider({ chunkSize: 5 });
+  const parser = new IncrementalAnalysisParser();
+  const events = [];
+  for await (const chunk of provider.generateStream({ task: 'analyze', prompt: 'x' })) {
+    events.push(...parser.push(chunk));
+  }
+  assert(events.some(e => e.type === 'definition'), 'Expected definitions from fixture');
+  assert(events.some(e => e.type === 'argument'), 'Expected arguments from fixture');
+});
+
+await test('formatSSE produces a valid frame', async () => {
+  const frame = formatSSE('complete', { ok: true });
+  assert(frame === 'event: complete\ndata: {"ok":true}\n\n', `Unexpected frame ${JSON.stringify(frame)}`);
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
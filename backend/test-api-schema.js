@@ -0,0 +1,198 @@
+/**
+ * Unit tests for the API contract and request validation
+ * These tests don't require API calls
+ */
+
+import {
+  createRequestSchemas,
+  buildOpenApiDocument,
+  MAX_SEARCH_QUERY_CHARS,
+  MAX_HISTORY_TURNS,
+  MAX_HISTORY_TURN_CHARS,
+  MAX_ANALYSIS_ITEMS,
+  MAX_ANALYSIS_ITEM_CHARS
+} from './api-schema.js';
+import { validateRequest, validateBody, VALIDATION_CODES } from './request-validation.js';
+import { logger } from './logger.js';
+
+console.log('=================================');
+console.log('Running API Schema Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+// Validation failures are logged as warnings; keep them out of the test output
+logger.configure({ write: () => {} });
+
+const schemas = createRequestSchemas({
+  maxClaims: 5,
+  minCompareArticles: 2,
+  maxCompareArticles: 4,
+  profiles: [{ name: 'general', description: 'Any article' }, { name: 'legal', description: 'Statutes and contracts' }],
+  defaultProfile: 'general'
+});
+
+function codes(errors) {
+  return errors.map(error => `${error.field}:${error.code}`).join(',');
+}
+
+await test('Valid request bodies have no errors', () => {
+  const bodies = {
+    analyze: { article: 'Text', concepts: ['inflation'], language: 'de', outputLanguage: 'auto', profile: 'legal' },
+    search: { searchQuery: 'Central bank rates', outputLanguage: 'pt-br' },
+    factcheck: { article: 'Text', maxClaims: 3 },
+    compare: { articles: [{ text: 'One', url: 'https://a.example' }, { text: 'Two', title: 'B' }] },
+    ask: { article: 'Text', question: 'Why?', history: [{ role: 'user', content: 'Hi' }], analysis: {} },
+    job: { type: 'factcheck', input: { article: 'Text' } }
+  };
+  for (const [name, body] of Object.entries(bodies)) {
+    const errors = validateRequest(body, schemas[name]);
+    assert(errors.length === 0, `${name}: ${codes(errors)}`);
+  }
+});
+
+await test('Each problem gets a field, a code and a message', () => {
+  const errors = validateRequest({ article: '   ', concepts: ['a', 3], language: 'not a tag!' }, schemas.analyze);
+  assert(codes(errors) === 'article:empty,concepts[1]:invalid_type,language:invalid_format', `Got ${codes(errors)}`);
+  assert(errors.every(error => VALIDATION_CODES.includes(error.code) && error.message.length > 0), 'Unknown code or empty message');
+
+  assert(codes(validateRequest({}, schemas.analyze)) === 'article:missing_field', 'Missing article not reported');
+  assert(codes(validateRequest([], schemas.analyze)) === ':invalid_type', 'Non-object body not reported');
+  assert(codes(validateRequest({ article: 42 }, schemas.analyze)) === 'article:invalid_type', 'Wrong type not reported');
+});
+
+await test('Length, count and range limits are enforced', () => {
+  const longQuery = validateRequest({ searchQuery: 'q'.repeat(MAX_SEARCH_QUERY_CHARS + 1) }, schemas.search);
+  assert(codes(longQuery) === 'searchQuery:too_long', `Got ${codes(longQuery)}`);
+  assert(longQuery[0].message === 'searchQuery is too long. Maximum 500 characters allowed.', longQuery[0].message);
+
+  assert(codes(validateRequest({ article: 'x'.repeat(500001) }, schemas.analyze)) === 'article:too_long', 'Long article accepted');
+  assert(codes(validateRequest({ article: 'Text', concepts: new Array(21).fill('a') }, schemas.analyze)) === 'concepts:too_many_items', 'Too many concepts accepted');
+  assert(codes(validateRequest({ article: 'Text', maxClaims: 6 }, schemas.factcheck)) === 'maxClaims:out_of_range', 'maxClaims above limit accepted');
+  assert(codes(validateRequest({ article: 'Text', maxClaims: 1.5 }, schemas.factcheck)) === 'maxClaims:invalid_type', 'Fractional maxClaims accepted');
+  assert(codes(validateRequest({ articles: [{ text: 'One' }] }, schemas.compare)) === 'articles:too_few_items', 'Single article accepted');
+});
+
+await test('Nested fields are reported with their path', () => {
+  const compare = validateRequest({ articles: [{ text: 'One' }, { url: 5 }] }, schemas.compare);
+  assert(codes(compare) === 'articles[1].text:missing_field,articles[1].url:invalid_type', `Got ${codes(compare)}`);
+
+  const ask = validateRequest({ article: 'Text', question: 'Why?', history: [{ role: 'system', content: 'x' }] }, schemas.ask);
+  assert(codes(ask) === 'history[0].role:invalid_value', `Got ${codes(ask)}`);
+
+  const job = validateRequest({ articles: 'none' }, schemas.jobInputs.compare, 'input');
+  assert(codes(job) === 'input.articles:invalid_type', `Got ${codes(job)}`);
+});
+
+await test('/ask context is limited to what the prompt uses', () => {
+  const turn = { role: 'user', content: 'x'.repeat(MAX_HISTORY_TURN_CHARS + 1) };
+  const history = [...new Array(MAX_HISTORY_TURNS - 1).fill({ role: 'user', content: 'Hi' }), turn];
+  const analysis = {
+    definitions: [{ term: 'Rate', definition: 'd'.repeat(MAX_ANALYSIS_ITEM_CHARS + 1) }],
+    arguments: { main: ['m'.repeat(MAX_ANALYSIS_ITEM_CHARS + 1)], counter: new Array(MAX_ANALYSIS_ITEMS + 1).fill({ text: 'c' }) }
+  };
+  const errors = validateRequest({ article: 'Text', question: 'Why?', history, analysis }, schemas.ask);
+  const expected = [
+    `history[${MAX_HISTORY_TURNS - 1}].content:too_long`,
+    'analysis.definitions[0].definition:too_long',
+    'analysis.arguments.main[0]:too_long',
+    'analysis.arguments.counter:too_many_items'
+  ];
+  assert(codes(errors) === expected.join(), `Got ${codes(errors)}`);
+
+  const fits = { definitions: [{ term: 'Rate', definition: 'Price of money' }], arguments: { main: [{ text: 'Rates rose', quotes: [] }], counter: ['Older string item'] } };
+  assert(validateRequest({ article: 'Text', question: 'Why?', history: history.slice(0, -1), analysis: fits }, schemas.ask).length === 0, 'Valid context rejected');
+  assert(validateRequest({ article: 'Text', question: 'Why?', history: [...history, turn] }, schemas.ask)[0].code === 'too_many_items', 'Too many turns accepted');
+});
+
+await test('Items of an over-long array are not checked one by one', () => {
+  const history = new Array(500).fill(null);
+  const errors = validateRequest({ article: 'Text', question: 'Why?', history }, schemas.ask);
+  assert(codes(errors) === 'history:too_many_items', `Got ${errors.length} errors`);
+});
+
+await test('validateBody() answers 400 with the error details, or calls next', () => {
+  const middleware = validateBody(schemas.search);
+  let status = null;
+  let body = null;
+  const res = {
+    status(code) { status = code; return this; },
+    json(value) { body = value; return this; }
+  };
+  let calls = 0;
+  middleware({ body: { searchQuery: '' } }, res, () => calls++);
+  assert(status === 400 && calls === 0, `Expected 400, got ${status}`);
+  assert(body.code === 'validation_failed' && body.error === 'searchQuery cannot be empty', JSON.stringify(body));
+  assert(body.details.length === 1 && body.details[0].field === 'searchQuery' && body.details[0].code === 'empty', JSON.stringify(body.details));
+
+  middleware({ body: { searchQuery: 'Rates' } }, res, () => calls++);
+  assert(calls === 1, 'next() not called for a valid body');
+});
+
+await test('The OpenAPI document covers every route and resolves every reference', () => {
+  const document = buildOpenApiDocument(schemas);
+  assert(document.openapi === '3.1.0' && document.info.version, 'Missing version info');
+
+  const expected = {
+    '/health': ['get'], '/ready': ['get'], '/metrics': ['get'], '/openapi.json': ['get'],
+    '/auth/register': ['post'], '/auth/me': ['get'], '/usage': ['get'],
+    '/analyze': ['post'], '/search': ['post'], '/factcheck': ['post'], '/compare': ['post'], '/ask': ['post'],
+    '/jobs': ['post'], '/jobs/{id}': ['get'], '/jobs/{id}/events': ['get']
+  };
+  assert(JSON.stringify(Object.keys(document.paths).sort()) === JSON.stringify(Object.keys(expected).sort()), `Paths: ${Object.keys(document.paths)}`);
+  for (const [path, methods] of Object.entries(expected)) {
+    for (const method of methods) {
+      assert(document.paths[path][method]?.responses, `${method.toUpperCase()} ${path} has no responses`);
+    }
+  }
+
+  // Every $ref points at a component
+  const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g);
+  for (const ref of refs) {
+    const [, section, name] = ref.match(/#\/components\/(\w+)\/([\w]+)/);
+    assert(document.components[section]?.[name], `Unresolved ${ref}`);
+  }
+});
+
+await test('The document publishes the schemas requests are validated against', () => {
+  const document = buildOpenApiDocument(schemas);
+  assert(document.components.schemas.SearchRequest === schemas.search, 'SearchRequest is not the validated schema');
+  assert(document.components.schemas.SearchRequest.properties.searchQuery.maxLength === MAX_SEARCH_QUERY_CHARS, 'searchQuery limit not documented');
+  assert(document.components.schemas.FactCheckRequest.properties.maxClaims.maximum === 5, 'Configured maxClaims not documented');
+  const profile = document.components.schemas.AnalyzeRequest.properties.profile;
+  assert(JSON.stringify(profile.enum) === JSON.stringify(['general', 'legal']) && profile.description.includes('legal: Statutes and contracts'), 'Profiles not documented');
+  assert(document.paths['/search'].post.requestBody.content['application/json'].schema.$ref === '#/components/schemas/SearchRequest', 'Wrong request body');
+  assert(document.paths['/search'].post.responses['400'].$ref === '#/components/responses/BadRequest', 'No 400 response');
+  const jobInput = document.components.schemas.JobRequest.properties.input;
+  assert(jobInput.oneOf.length === Object.keys(schemas.jobInputs).length, 'Job inputs not documented');
+  assert(JSON.stringify(document.components.schemas.JobRequest.properties.type.enum) === JSON.stringify(['analyze', 'factcheck', 'compare']), 'Job types not documented');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
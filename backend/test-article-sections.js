@@ -0,0 +1,116 @@
+/**
+ * Unit tests for long-article sectioning and merging
+ * These tests don't require API calls
+ */
+
+import { splitArticle, AnalysisMerger, buildCoverage } from './article-sections.js';
+
+console.log('=================================');
+console.log('Running Article Sections Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const paragraph = 'The committee published its findings on Tuesday. ' +
+  'Members disagreed about the funding model. '.repeat(3);
+const longArticle = Array.from({ length: 40 }, (_, i) => `Paragraph ${i}. ${paragraph}`).join('\n\n');
+
+test('Short article is a single section', () => {
+  const { sections, totalSections } = splitArticle('Short text.', { sectionSize: 100 });
+  assert(sections.length === 1 && totalSections === 1, 'Expected one section');
+  assert(sections[0].text === 'Short text.', 'Section text changed');
+});
+
+test('Sections cover the article without gaps or overlap', () => {
+  const { sections } = splitArticle(longArticle, { sectionSize: 1000, maxSections: 100 });
+  assert(sections.length > 1, 'Expected multiple sections');
+  assert(sections[0].start === 0, 'First section must start at 0');
+  for (let i = 1; i < sections.length; i++) {
+    assert(sections[i].start === sections[i - 1].end, `Gap before section ${i}`);
+  }
+  assert(sections[sections.length - 1].end === longArticle.length, 'Last section must end at article end');
+  assert(sections.every(s => s.text.length <= 1000), 'Section exceeds sectionSize');
+  assert(sections.map(s => s.text).join('') === longArticle, 'Sections do not reassemble the article');
+});
+
+test('Sections break at paragraph boundaries when possible', () => {
+  const { sections } = splitArticle(longArticle, { sectionSize: 1000, maxSections: 100 });
+  for (const section of sections.slice(0, -1)) {
+    assert(section.text.endsWith('\n'), `Section ${section.index} does not end at a paragraph break`);
+  }
+});
+
+test('maxSections caps analyzed sections but reports the total', () => {
+  const { sections, totalSections } = splitArticle(longArticle, { sectionSize: 1000, maxSections: 2 });
+  assert(sections.length === 2, `Expected 2 sections, got ${sections.length}`);
+  assert(totalSections > 2, 'Expected totalSections to count all sections');
+  const coverage = buildCoverage(longArticle, sections, totalSections);
+  assert(coverage.ratio < 1 && !coverage.complete, 'Expected partial coverage');
+  assert(coverage.analyzedChars === sections[0].text.length + sections[1].text.length, 'analyzedChars mismatch');
+});
+
+test('Merger deduplicates definitions by term', () => {
+  const merger = new AnalysisMerger();
+  merger.addAnalysis({ definitions: [{ term: 'Inflation', definition: 'Rising prices' }], arguments: {} });
+  merger.addAnalysis({ definitions: [{ term: 'inflation.', definition: 'Other' }, { term: 'GDP', definition: 'Output' }], arguments: {} });
+  const result = merger.result();
+  assert(result.definitions.length === 2, `Expected 2 definitions, got ${result.definitions.length}`);
+  assert(result.definitions[0].definition === 'Rising prices', 'First definition should win');
+});
+
+test('Merger deduplicates near-identical arguments across kinds', () => {
+  const merger = new AnalysisMerger();
+  merger.addAnalysis({ arguments: { main: [{ text: 'The policy will reduce emissions significantly.' }], counter: [] } });
+  merger.addAnalysis({ arguments: {
+    main: [{ text: 'The policy will significantly reduce emissions' }, { text: 'Costs fall on households.' }],
+    counter: [{ text: 'The policy will reduce emissions significantly!' }]
+  } });
+  const result = merger.result();
+  assert(result.arguments.main.length === 2, `Expected 2 main arguments, got ${result.arguments.main.length}`);
+  assert(result.arguments.counter.length === 0, 'Duplicate counter argument kept');
+});
+
+test('Merger folds evidence of duplicates into the kept item', () => {
+  const merger = new AnalysisMerger();
+  merger.addArgument('main', { text: 'Prices rose sharply', evidence: [{ quote: 'a', start: 0, end: 1 }] });
+  merger.addArgument('main', { text: 'Prices rose sharply.', evidence: [{ quote: 'a', start: 0, end: 1 }, { quote: 'b', start: 50, end: 51 }] });
+  const [kept] = merger.result().arguments.main;
+  assert(kept.evidence.length === 2, `Expected 2 evidence spans, got ${kept.evidence.length}`);
+});
+
+test('Merger caps list sizes', () => {
+  const merger = new AnalysisMerger({ maxItems: 3 });
+  for (let i = 0; i < 10; i++) {
+    merger.addDefinition({ term: `Term ${i}`, definition: 'x' });
+  }
+  assert(merger.result().definitions.length === 3, 'Definitions not capped');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
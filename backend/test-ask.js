@@ -0,0 +1,114 @@
+/**
+ * Unit tests for follow-up questions
+ * Uses the mock provider - these tests don't require API calls
+ */
+
+import { answerQuestion, selectContext, summarizeAnalysis, formatHistory, MAX_HISTORY_TURNS } from './ask.js';
+import { MockProvider } from './providers/index.js';
+
+console.log('=================================');
+console.log('Running Ask Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const article = `The central bank raised interest rates by half a point on Wednesday.
+Officials said inflation had stayed above target for eighteen months.
+Economists expect mortgage costs to rise as a result.`;
+
+function answerFixture(value) {
+  return { ask: { text: JSON.stringify(value) } };
+}
+
+await test('Answers carry verified citations', async () => {
+  const provider = new MockProvider({
+    fixtures: answerFixture({
+      answer: 'Because inflation stayed above target.',
+      answerable: true,
+      quotes: ['inflation had stayed above target for eighteen months', 'A sentence the article never contained']
+    })
+  });
+  const result = await answerQuestion(provider, { article, question: 'Why did rates go up?' });
+  assert(result.answer === 'Because inflation stayed above target.', 'Answer missing');
+  assert(result.citations.length === 1, `Expected 1 verified citation, got ${result.citations.length}`);
+  assert(article.slice(result.citations[0].start, result.citations[0].end) === result.citations[0].quote, 'Citation offsets wrong');
+  assert(result.answerable === true && result.degraded === false, 'Unexpected flags');
+});
+
+await test('Prompt includes the analysis and recent history, in order', async () => {
+  const provider = new MockProvider({ fixtures: answerFixture({ answer: 'x', answerable: true, quotes: [] }) });
+  const history = Array.from({ length: MAX_HISTORY_TURNS + 4 }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `turn-${i}`
+  }));
+  await answerQuestion(provider, {
+    article,
+    question: 'And mortgages?',
+    analysis: { definitions: [{ term: 'Base rate', definition: 'Rate set by the bank' }], arguments: { main: ['Rates rose'], counter: [] } },
+    history
+  });
+  const { prompt } = provider.calls[0];
+  assert(prompt.includes('Base rate: Rate set by the bank') && prompt.includes('- Rates rose'), 'Analysis missing');
+  assert(!prompt.includes('turn-3\n') && prompt.includes('turn-4') && prompt.includes('turn-13'), 'History not limited to recent turns');
+  assert(prompt.indexOf('turn-12') < prompt.indexOf('turn-13'), 'History out of order');
+  assert(prompt.includes('QUESTION: And mortgages?'), 'Question missing');
+});
+
+await test('Unanswerable questions are reported as such', async () => {
+  const provider = new MockProvider({
+    fixtures: answerFixture({ answer: 'The article does not say.', answerable: false, quotes: [] })
+  });
+  const result = await answerQuestion(provider, { article, question: 'Who is the governor?' });
+  assert(result.answerable === false && result.citations.length === 0, 'Expected unanswerable with no citations');
+});
+
+await test('Unreadable output degrades instead of inventing an answer', async () => {
+  const provider = new MockProvider({ fixtures: { ask: { text: 'I think maybe' }, repair: { text: 'still prose' } } });
+  const result = await answerQuestion(provider, { article, question: 'Why?' }, { maxRepairs: 1 });
+  assert(result.degraded === true && result.answer === '', 'Expected degraded empty answer');
+});
+
+await test('Long articles send the sections most relevant to the question', async () => {
+  const filler = 'The weather was mild and the parks were busy with visitors. '.repeat(80);
+  const long = `${filler}\n\nThe tunnel project budget doubled after geological surveys.\n\n${filler}`;
+  const { text, excerpted } = selectContext(long, 'Why did the tunnel budget double?', { maxChars: 2000, sectionSize: 1000 });
+  assert(excerpted === true, 'Long article should be excerpted');
+  assert(text.length <= 2000 + 20, `Context over budget (${text.length})`);
+  assert(text.includes('tunnel project budget doubled'), 'Relevant section not selected');
+});
+
+await test('Analysis summary accepts legacy string arguments and ignores junk', async () => {
+  const summary = summarizeAnalysis({ definitions: [null, { term: 'A', definition: 'B' }], arguments: { main: ['Legacy'], counter: [{ text: 'Object' }] } });
+  assert(summary.includes('- A: B') && summary.includes('- Legacy') && summary.includes('- Object'), `Unexpected summary: ${summary}`);
+  assert(summarizeAnalysis(undefined) === '', 'Missing analysis should be empty');
+  assert(formatHistory([]) === '', 'Empty history should be empty');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,160 @@
+/**
+ * Unit tests for API key and install token authentication
+ * These tests don't require API calls
+ */
+
+import { Authenticator, createAuthMiddleware, parseApiKeys, getBearerToken } from './auth.js';
+import { createRouteRateLimiter } from './rate-limiter.js';
+
+console.log('=================================');
+console.log('Running Auth Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Run a middleware against a fake request
+ * @param {Function} middleware
+ * @param {Object} headers - Request headers
+ * @param {Object} [client] - req.client, as set by the auth middleware
+ * @returns {Promise<{nextCalled: boolean, status: number|null, body: Object|null, headers: Object, req: Object}>}
+ */
+async function runMiddleware(middleware, headers = {}, client = undefined) {
+  const req = { headers, ip: '203.0.113.7', method: 'POST', path: '/analyze', client };
+  const result = { nextCalled: false, status: null, body: null, headers: {}, req };
+  const res = {
+    setHeader: (name, value) => { result.headers[name] = value; },
+    status: code => { result.status = code; return res; },
+    json: body => { result.body = body; return res; }
+  };
+  await middleware(req, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+const authenticator = new Authenticator({
+  apiKeys: parseApiKeys('newsroom:sk_live_abc:120, qa:sk_live_def'),
+  tokenSecret: 'test-secret'
+});
+
+await test('API keys are parsed with optional per-key limits', () => {
+  const keys = parseApiKeys('newsroom:sk_live_abc:120, qa:sk_live_def');
+  assert(keys.length === 2, `Expected 2 keys, got ${keys.length}`);
+  assert(keys[0].name === 'newsroom' && keys[0].maxRequests === 120, 'First key wrong');
+  assert(keys[1].key === 'sk_live_def' && keys[1].maxRequests === null, 'Second key wrong');
+  assert(parseApiKeys('').length === 0, 'Empty config should give no keys');
+
+  let threw = false;
+  try {
+    parseApiKeys('broken');
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Entry without a key should be rejected');
+});
+
+await test('Issued API keys resolve to their named client', () => {
+  const client = authenticator.verify('sk_live_abc');
+  assert(client && client.id === 'key:newsroom' && client.type === 'key', `Unexpected client ${JSON.stringify(client)}`);
+  assert(client.maxRequests === 120, 'Per-key limit missing');
+  assert(authenticator.verify('sk_live_nope') === null, 'Unknown key accepted');
+});
+
+await test('Install tokens verify only with the secret that signed them', () => {
+  const { token, clientId } = authenticator.issueInstallToken();
+  const client = authenticator.verify(token);
+  assert(client && client.id === clientId && client.type === 'install', 'Own token rejected');
+
+  const other = new Authenticator({ tokenSecret: 'another-secret' });
+  assert(other.verify(token) === null, 'Token accepted with a different secret');
+
+  const [id] = token.split('.');
+  assert(authenticator.verify(`${id}.forged`) === null, 'Forged signature accepted');
+  assert(authenticator.verify(`inst_${'0'.repeat(36)}.${token.split('.')[1]}`) === null, 'Signature reused for another id');
+});
+
+await test('Bearer tokens are read from the Authorization header', () => {
+  assert(getBearerToken({ headers: { authorization: 'Bearer sk_live_abc' } }) === 'sk_live_abc', 'Token not read');
+  assert(getBearerToken({ headers: { authorization: 'bearer  sk_live_abc ' } }) === 'sk_live_abc', 'Case and spacing not tolerated');
+  assert(getBearerToken({ headers: { authorization: 'Basic abc' } }) === '', 'Other schemes should be malformed');
+  assert(getBearerToken({ headers: {} }) === null, 'Missing header should be null');
+});
+
+await test('Optional mode identifies callers and rejects bad credentials', async () => {
+  const middleware = createAuthMiddleware(authenticator, { mode: 'optional' });
+
+  const anonymous = await runMiddleware(middleware, { origin: 'chrome-extension://abc' });
+  assert(anonymous.nextCalled && anonymous.req.client.type === 'anonymous', 'Anonymous caller not let through');
+  assert(anonymous.req.client.id === 'anon:203.0.113.7', 'Anonymous id should use the IP');
+  const otherOrigin = await runMiddleware(middleware, { origin: 'chrome-extension://xyz' });
+  assert(otherOrigin.req.client.id === anonymous.req.client.id, 'A new Origin header gave a new identity');
+
+  const keyed = await runMiddleware(middleware, { authorization: 'Bearer sk_live_def' });
+  assert(keyed.nextCalled && keyed.req.client.id === 'key:qa', 'Key holder not identified');
+
+  const bad = await runMiddleware(middleware, { authorization: 'Bearer sk_live_nope' });
+  assert(!bad.nextCalled && bad.status === 401, 'Invalid key not rejected');
+  assert(bad.headers['WWW-Authenticate'] === 'Bearer', 'WWW-Authenticate header missing');
+});
+
+await test('Required mode rejects callers without credentials; off mode ignores them', async () => {
+  const required = await runMiddleware(createAuthMiddleware(authenticator, { mode: 'required' }));
+  assert(!required.nextCalled && required.status === 401, 'Missing credentials not rejected');
+
+  const off = await runMiddleware(createAuthMiddleware(authenticator, { mode: 'off' }), { authorization: 'Bearer sk_live_nope' });
+  assert(off.nextCalled && off.req.client.type === 'anonymous', 'Off mode should ignore credentials');
+
+  let threw = false;
+  try {
+    createAuthMiddleware(authenticator, { mode: 'strict' });
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Unknown mode should be rejected');
+});
+
+await test('Rate limits are tracked per client and honor per-key limits', async () => {
+  const limiter = createRouteRateLimiter({
+    '/analyze': { limits: client => [{ algorithm: 'fixed-window', limit: client.maxRequests || 1, windowMs: 60000 }] }
+  });
+  const call = client => runMiddleware(limiter, { origin: 'chrome-extension://shared' }, client);
+
+  const first = { id: 'install:a', type: 'install' };
+  const second = { id: 'install:b', type: 'install' };
+  assert((await call(first)).nextCalled, 'First request of client a blocked');
+  assert(!(await call(first)).nextCalled, 'Second request of client a allowed');
+  assert((await call(second)).nextCalled, 'Client b shares client a\'s limit despite the same origin');
+
+  const keyed = { id: 'key:newsroom', type: 'key', maxRequests: 3 };
+  const results = [await call(keyed), await call(keyed), await call(keyed), await call(keyed)];
+  assert(results.filter(r => r.nextCalled).length === 3, 'Per-key limit not applied');
+  assert(results[0].headers['RateLimit-Limit'] === 3, 'Limit header should show the key\'s limit');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,104 @@
+/**
+ * Unit tests for multi-article comparison
+ * Uses the mock provider - these tests don't require API calls
+ */
+
+import { runComparison, normalizeComparison, buildComparePrompt } from './compare.js';
+import { MockProvider } from './providers/index.js';
+
+console.log('=================================');
+console.log('Running Comparison Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const articles = [
+  { title: 'City paper', url: 'https://a.example/story', text: 'The council approved the bike lane plan on Tuesday by a vote of 7 to 2.' },
+  { title: 'Business weekly', url: 'https://b.example/story', text: 'Shop owners fear the bike lane plan approved on Tuesday will cost them customers.' }
+];
+
+await test('Prompt numbers every source with its title and URL', async () => {
+  const prompt = buildComparePrompt(articles);
+  assert(prompt.includes('--- SOURCE 0 ---') && prompt.includes('--- SOURCE 1 ---'), 'Sources not numbered');
+  assert(prompt.includes('https://b.example/story') && prompt.includes('Business weekly'), 'Metadata missing');
+});
+
+await test('Items referring to unknown sources are removed', async () => {
+  const result = normalizeComparison({
+    sharedFacts: [
+      { text: 'The plan was approved on Tuesday.', sources: [0, 1, 1] },
+      { text: 'Only one source', sources: [0, 5] }
+    ],
+    disagreements: [
+      { topic: 'Effect on shops', positions: [{ source: 0, position: 'Not mentioned' }, { source: 1, position: 'Harmful' }] },
+      { topic: 'One-sided', positions: [{ source: 1, position: 'x' }, { source: 1, position: 'y' }] }
+    ],
+    framing: [{ source: 0, description: 'Procedural' }, { source: 3, description: 'Ghost source' }],
+    uniqueClaims: [{ source: 0, text: 'The vote was 7 to 2.', quotes: ['by a vote of 7 to 2'] }]
+  }, articles);
+  assert(result.sharedFacts.length === 1 && result.sharedFacts[0].sources.join() === '0,1', 'Shared facts not cleaned');
+  assert(result.disagreements.length === 1, 'Single-source disagreement kept');
+  assert(result.framing.length === 1, 'Framing for unknown source kept');
+  assert(result.uniqueClaims[0].evidence.length === 1, 'Unique claim quote not verified against its source');
+});
+
+await test('Unique claim quotes are only verified against their own source', async () => {
+  const result = normalizeComparison({
+    sharedFacts: [], disagreements: [], framing: [],
+    uniqueClaims: [{ source: 0, text: 'Shops lose customers', quotes: ['will cost them customers'] }]
+  }, articles);
+  assert(result.uniqueClaims[0].evidence.length === 0, 'Quote from another source accepted');
+});
+
+await test('Full flow with the mock fixture', async () => {
+  const provider = new MockProvider();
+  const result = await runComparison(provider, articles);
+  assert(result.sources.length === 2 && result.sources[1].title === 'Business weekly', 'Sources not echoed');
+  assert(result.sharedFacts.length > 0 && result.framing.length === 2, 'Fixture content missing');
+  assert(result.partial === false && result.degraded === false, 'Unexpected flags');
+  assert(provider.calls[0].task === 'compare' && provider.calls[0].responseSchema, 'Structured compare call expected');
+});
+
+await test('Long articles are trimmed and reported as truncated', async () => {
+  const provider = new MockProvider();
+  const long = [{ ...articles[0], text: articles[0].text.repeat(50) }, articles[1]];
+  const result = await runComparison(provider, long, { maxCharsPerArticle: 200 });
+  assert(result.sources[0].truncated === true && result.sources[1].truncated === false, 'Truncation flags wrong');
+  assert(!provider.calls[0].prompt.includes(long[0].text), 'Full article sent despite budget');
+});
+
+await test('Unreadable output is degraded, not invented', async () => {
+  const provider = new MockProvider({ fixtures: { compare: { text: 'no json here' }, repair: { text: 'still none' } } });
+  const result = await runComparison(provider, articles, { maxRepairs: 1 });
+  assert(result.degraded === true, 'Expected degraded flag');
+  assert(result.sharedFacts.length === 0 && result.uniqueClaims.length === 0, 'Content invented');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,227 @@
+/**
+ * Unit tests for the shared analysis core (core.js)
+ * Mounts the same router the Express server and the Firebase function use, backed by the
+ * mock provider. These tests don't require API calls
+ */
+
+import express from 'express';
+import { MockProvider } from './providers/mock.js';
+import { createAnalysisCore, createApiRouter, settingsFromEnv, notFoundHandler, errorHandler, RequestCancelledError } from './core.js';
+import { MetricsRegistry } from './metrics.js';
+import { PromptLibrary } from './prompt-templates.js';
+import { logger } from './logger.js';
+
+console.log('=================================');
+console.log('Running Analysis Core Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+logger.configure({ write: () => {} });
+
+/**
+ * Serve the core router on an ephemeral port
+ * @param {Object} [options] - createApiRouter() options
+ * @returns {Promise<{provider: MockProvider, registry: MetricsRegistry, base: string, request: Function, close: Function}>}
+ */
+async function startApp(options = {}) {
+  const provider = new MockProvider();
+  const registry = new MetricsRegistry();
+  // Mock grounding links are not real redirects
+  const core = createAnalysisCore({ provider, settings: settingsFromEnv({ LINK_UNWRAP_REDIRECTS: 'false' }), registry });
+
+  const app = express();
+  app.use(express.json({ limit: '1mb' }));
+  app.use(createApiRouter(core, options));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (path, body, headers = {}) => {
+    const response = await fetch(`${base}${path}`, body === undefined ? { headers } : {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    const text = await response.text();
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, headers: response.headers, body: type.includes('json') ? JSON.parse(text) : text };
+  };
+
+  return { provider, registry, base, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const ARTICLE = 'Machine learning is a subset of artificial intelligence. It is changing industry and raising questions of ethics.';
+
+const app = await startApp();
+
+await test('/health answers ok', async () => {
+  const { status, body } = await app.request('/health');
+  assert(status === 200 && body.status === 'ok', `Got ${status}`);
+});
+
+await test('/search returns articles and caches them', async () => {
+  const first = await app.request('/search', { searchQuery: 'machine learning industry' });
+  assert(first.status === 200, `Got ${first.status}: ${JSON.stringify(first.body)}`);
+  assert(Array.isArray(first.body.articles) && first.body.articles.length > 0, 'No articles');
+  assert(first.body.articles.every(article => /^https?:\/\//.test(article.url)), 'Article without an http(s) URL');
+  assert(first.headers.get('x-cache') === 'MISS', `X-Cache ${first.headers.get('x-cache')}`);
+  assert(app.provider.calls.at(-1).grounding === true, 'Search was not grounded');
+
+  const calls = app.provider.calls.length;
+  const second = await app.request('/search', { searchQuery: 'machine learning industry' });
+  assert(second.headers.get('x-cache') === 'HIT' && app.provider.calls.length === calls, 'Second search was not served from cache');
+});
+
+await test('/analyze parses the model output with the shared parser', async () => {
+  const { status, body } = await app.request('/analyze', { article: ARTICLE });
+  assert(status === 200, `Got ${status}: ${JSON.stringify(body)}`);
+  assert(Array.isArray(body.definitions) && body.arguments && Array.isArray(body.arguments.main), 'Unexpected response shape');
+  assert(typeof body.partial === 'boolean' && typeof body.degraded === 'boolean', 'Missing output status');
+  assert(app.registry.metrics.get('deepdive_analysis_parse_outcomes_total').series.size > 0, 'Parse outcome not counted');
+});
+
+await test('/analyze streams events to SSE clients', async () => {
+  const { status, headers, body } = await app.request('/analyze', { article: `${ARTICLE} Streamed.` }, { Accept: 'text/event-stream' });
+  assert(status === 200 && headers.get('content-type').startsWith('text/event-stream'), `Got ${status} ${headers.get('content-type')}`);
+  assert(body.includes('event: complete'), 'No complete event');
+});
+
+await test('Errors after an SSE stream has started end it with an error event', async () => {
+  // The cache key reads the template, then the stream fails reading it again: the error reaches
+  // errorHandler after the SSE headers were sent
+  const library = PromptLibrary.load();
+  let reads = 0;
+  const prompts = {
+    profiles: () => library.profiles(),
+    search: () => library.search(),
+    analysis: profile => {
+      if (++reads > 1) throw new Error('Template unavailable');
+      return library.analysis(profile);
+    }
+  };
+  const core = createAnalysisCore({
+    provider: new MockProvider(),
+    settings: settingsFromEnv({ LINK_UNWRAP_REDIRECTS: 'false' }),
+    prompts
+  });
+  const broken = express();
+  broken.use(express.json());
+  broken.use(createApiRouter(core));
+  broken.use(errorHandler);
+  const server = await new Promise(resolve => {
+    const listening = broken.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      body: JSON.stringify({ article: `${ARTICLE} Broken cache.` }),
+      signal: AbortSignal.timeout(5000)
+    });
+    const body = await response.text();
+    assert(response.status === 200 && response.headers.get('content-type').startsWith('text/event-stream'), `Got ${response.status}`);
+    assert(body.startsWith('event: error') && body.includes('"code":"internal_error"'), `Stream did not end with an error event: ${body}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+await test('The profile selects the prompt and is part of the cache key', async () => {
+  const general = await app.request('/analyze', { article: `${ARTICLE} Profiles.` });
+  assert(general.body.profile === 'general' && general.body.promptVersion === 'general/v2', `Got ${general.body.profile} ${general.body.promptVersion}`);
+
+  const academic = await app.request('/analyze', { article: `${ARTICLE} Profiles.`, profile: 'academic' });
+  assert(academic.status === 200 && academic.headers.get('x-cache') === 'MISS', `Same article with another profile: ${academic.headers.get('x-cache')}`);
+  assert(academic.body.profile === 'academic' && academic.body.promptVersion === 'academic/v2', `Got ${academic.body.promptVersion}`);
+  const call = app.provider.calls.at(-1);
+  assert(call.prompt.includes('academic paper') && call.systemInstruction.includes('academic papers'), 'Academic template not sent');
+
+  const search = await app.request('/search', { searchQuery: 'machine learning industry' });
+  assert(search.body.promptVersion === 'search/v2', `Search version ${search.body.promptVersion}`);
+
+  const unknown = await app.request('/analyze', { article: ARTICLE, profile: 'poetry' });
+  assert(unknown.status === 400 && unknown.body.details[0].field === 'profile' && unknown.body.details[0].code === 'invalid_value', JSON.stringify(unknown.body));
+});
+
+await test('Model calls are cancelled when the client disconnects', async () => {
+  for (const [path, body] of [['/analyze', { article: `${ARTICLE} Cancelled.` }], ['/search', { searchQuery: 'cancelled query' }]]) {
+    app.provider.faults = [{ delayMs: 5000 }];
+    const calls = app.provider.calls.length;
+    const controller = new AbortController();
+    const pending = fetch(`${app.base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    }).catch(() => {});
+
+    await waitFor(() => app.provider.calls.length > calls);
+    controller.abort();
+    await pending;
+    const call = app.provider.calls.at(-1);
+    await waitFor(() => call.signal?.aborted);
+    assert(call.signal.reason instanceof RequestCancelledError, `${path}: aborted with ${call.signal.reason}`);
+  }
+
+  // The cancelled computation is not shared with the next identical request
+  const retry = await app.request('/search', { searchQuery: 'cancelled query' });
+  assert(retry.status === 200 && retry.headers.get('x-cache') === 'MISS', `Got ${retry.status} ${retry.headers.get('x-cache')}`);
+});
+
+await test('Invalid bodies are rejected before any model call', async () => {
+  const calls = app.provider.calls.length;
+  const { status, body } = await app.request('/search', { searchQuery: '' });
+  assert(status === 400 && body.code === 'validation_failed', `Got ${status} ${body.code}`);
+  assert(body.details[0].field === 'searchQuery', JSON.stringify(body.details));
+  assert(app.provider.calls.length === calls, 'Provider called for an invalid request');
+});
+
+await test('Jobs are only mounted with a job store', async () => {
+  const { status, body } = await app.request('/jobs', { type: 'factcheck', input: { article: ARTICLE } });
+  assert(status === 404 && body.code === 'not_found', `Got ${status}`);
+});
+
+await app.close();
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
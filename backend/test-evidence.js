@@ -0,0 +1,117 @@
+/**
+ * Unit tests for evidence span verification
+ * These tests don't require API calls
+ */
+
+import { locateQuote, attachEvidence, attachEvidenceToAnalysis, relocateEvidence } from './evidence.js';
+
+console.log('=================================');
+console.log('Running Evidence Span Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const article = `Budget Report
+
+The council approved a “modest” increase of 4% in property taxes.
+Critics said the   increase would hit
+renters hardest — especially in older districts.
+
+The council approved a “modest” increase of 4% in property taxes.`;
+
+test('Exact quotes are located with offsets', () => {
+  const span = locateQuote(article, 'The council approved');
+  assert(span !== null, 'Quote not found');
+  assert(article.slice(span.start, span.end) === span.quote, 'Offsets do not match quote');
+  assert(span.start === article.indexOf('The council approved'), 'Wrong start offset');
+});
+
+test('Whitespace and typographic differences still match, returning article text', () => {
+  const fuzzy = locateQuote(article, 'Critics said the increase would hit renters hardest - especially');
+  assert(fuzzy !== null, 'Normalized quote not found');
+  assert(fuzzy.quote === article.slice(fuzzy.start, fuzzy.end), 'Quote is not the article text');
+  assert(fuzzy.quote.includes('—') && fuzzy.quote.includes('\n'), 'Quote should keep original characters');
+});
+
+test('Straight quotes match curly quotes in the article', () => {
+  const span = locateQuote(article, 'approved a "modest" increase');
+  assert(span !== null && span.quote.includes('“'), 'Curly quote not matched');
+});
+
+test('Search range is preferred over earlier occurrences', () => {
+  const second = article.lastIndexOf('The council approved');
+  const span = locateQuote(article, 'The council approved', { start: second, end: article.length });
+  assert(span.start === second, `Expected ${second}, got ${span.start}`);
+});
+
+test('Invented and too-short quotes are rejected', () => {
+  assert(locateQuote(article, 'The mayor vetoed the budget') === null, 'Invented quote accepted');
+  assert(locateQuote(article, 'taxes') === null, 'Short quote accepted');
+  assert(locateQuote(article, null) === null, 'Non-string quote accepted');
+});
+
+test('attachEvidence replaces quotes with verified, deduplicated spans', () => {
+  const item = attachEvidence({
+    text: 'Taxes go up',
+    quotes: ['increase of 4% in property taxes', 'increase of 4% in property taxes', 'Not in the article at all']
+  }, article);
+  assert(!('quotes' in item), 'quotes should be removed');
+  assert(item.evidence.length === 1, `Expected 1 span, got ${item.evidence.length}`);
+  assert(item.text === 'Taxes go up', 'Item fields not preserved');
+});
+
+test('attachEvidenceToAnalysis covers definitions and both argument kinds', () => {
+  const result = attachEvidenceToAnalysis({
+    definitions: [{ term: 'Levy', definition: 'A tax', quotes: ['increase of 4% in property taxes'] }],
+    arguments: {
+      main: [{ text: 'Taxes rise', quotes: ['The council approved'] }],
+      counter: [{ text: 'Renters suffer', quotes: [] }]
+    },
+    status: 'ok'
+  }, article);
+  assert(result.definitions[0].evidence.length === 1, 'Definition evidence missing');
+  assert(result.arguments.main[0].evidence.length === 1, 'Main argument evidence missing');
+  assert(Array.isArray(result.arguments.counter[0].evidence), 'Counter argument evidence missing');
+  assert(result.status === 'ok', 'Other fields not preserved');
+});
+
+test('relocateEvidence re-anchors spans to a reformatted copy of the article', () => {
+  const original = 'Intro line.\n\nThe council approved the budget on Monday.';
+  const reformatted = 'Intro line. The council approved the budget on Monday.';
+  const analysis = attachEvidenceToAnalysis({
+    definitions: [],
+    arguments: { main: [{ text: 'Budget approved', quotes: ['The council approved the budget'] }], counter: [] }
+  }, original);
+  const [span] = relocateEvidence(analysis, reformatted).arguments.main[0].evidence;
+  assert(reformatted.slice(span.start, span.end) === span.quote, 'Offsets not valid for the new text');
+  assert(span.start === 12, `Expected start 12, got ${span.start}`);
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
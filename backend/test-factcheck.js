@@ -0,0 +1,195 @@
+/**
+ * Unit tests for fact checking
+ * Uses the mock provider - these tests don't require API calls
+ */
+
+import { runFactCheck, checkClaim, extractSources, extractGroundingSupports } from './factcheck.js';
+import { LinkPipeline } from './link-safety.js';
+import { MockProvider } from './providers/index.js';
+
+console.log('=================================');
+console.log('Running Fact Check Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const article = `The Eiffel Tower was completed in 1889 for the World's Fair.
+It is 330 metres tall and was the tallest structure in the world until 1930.`;
+
+const claimsFixture = {
+  text: JSON.stringify({
+    claims: [
+      { text: 'The Eiffel Tower was completed in 1889.', quotes: ['The Eiffel Tower was completed in 1889'] },
+      { text: 'The Eiffel Tower is 330 metres tall.', quotes: ['It is 330 metres tall'] }
+    ]
+  })
+};
+
+const groundedMetadata = {
+  groundingChunks: [
+    { web: { uri: 'https://example.org/a', title: 'example.org' } },
+    { web: { uri: 'https://example.org/b', title: 'example.org' } },
+    { web: { uri: 'https://example.org/a', title: 'example.org' } }
+  ],
+  groundingSupports: [
+    { segment: { startIndex: 40, endIndex: 60, text: 'Completed in 1889' }, groundingChunkIndices: [0, 2], confidenceScores: [0.7, 0.9] },
+    { segment: { startIndex: 61, endIndex: 70, text: 'Unsourced' }, groundingChunkIndices: [7] }
+  ]
+};
+
+await test('Sources are deduplicated and grounding supports point at them', async () => {
+  const result = { candidates: [{ groundingMetadata: groundedMetadata }] };
+  const { sources, chunkToSource } = extractSources(result);
+  assert(sources.length === 2, `Expected 2 sources, got ${sources.length}`);
+  const supports = extractGroundingSupports(result, chunkToSource);
+  assert(supports.length === 1, 'Support without known sources should be dropped');
+  assert(supports[0].sourceIndices.length === 1 && supports[0].sourceIndices[0] === 0, 'Chunk indices not mapped to sources');
+  assert(supports[0].confidence === 0.9, `Expected max confidence, got ${supports[0].confidence}`);
+});
+
+await test('Full flow returns a verdict, sources and supports per claim', async () => {
+  const provider = new MockProvider({
+    fixtures: {
+      claims: claimsFixture,
+      factcheck: { text: '{"verdict": "supported", "explanation": "Sources agree."}', groundingMetadata: groundedMetadata }
+    }
+  });
+  const result = await runFactCheck(provider, article);
+  assert(result.claims.length === 2, `Expected 2 claims, got ${result.claims.length}`);
+  for (const claim of result.claims) {
+    assert(claim.verdict === 'supported', `Unexpected verdict ${claim.verdict}`);
+    assert(claim.sources.length === 2, 'Sources missing');
+    assert(claim.groundingSupports.length === 1, 'Grounding supports missing');
+    assert(claim.evidence.length === 1, 'Claim not tied to the article');
+  }
+  assert(provider.calls.filter(call => call.task === 'factcheck').every(call => call.grounding), 'Verdict calls must be grounded');
+  assert(result.degraded === false && result.truncated === false, 'Unexpected flags');
+});
+
+await test('Sources go through the link pipeline and supports follow them', async () => {
+  const redirect = 'https://vertexaisearch.cloud.google.com/grounding-api-redirect/abc';
+  const provider = new MockProvider({
+    fixtures: {
+      factcheck: {
+        text: '{"verdict": "supported", "explanation": "Sources agree."}',
+        groundingMetadata: {
+          groundingChunks: [
+            { web: { uri: 'javascript:alert(1)', title: 'evil.example' } },
+            { web: { uri: redirect, title: 'news.example' } },
+            { web: { uri: 'https://www.news.example/story?utm_source=x#top', title: 'news.example' } },
+            { web: { uri: 'https://spam.example/page', title: 'spam.example' } }
+          ],
+          groundingSupports: [
+            { segment: { startIndex: 0, endIndex: 10, text: 'Sources agree' }, groundingChunkIndices: [0, 2] },
+            { segment: { startIndex: 11, endIndex: 20, text: 'Only unsafe' }, groundingChunkIndices: [0, 3] }
+          ]
+        }
+      }
+    }
+  });
+  // Redirects are answered without a network: only the redirector is requested
+  const requested = [];
+  const links = new LinkPipeline({
+    blocklist: ['spam.example'],
+    fetch: async url => {
+      requested.push(url);
+      return new Response(null, { status: 302, headers: { Location: 'https://news.example/story' } });
+    }
+  });
+
+  const result = await checkClaim(provider, { text: 'Claim', evidence: [] }, { links });
+  assert(requested.length === 1 && requested[0] === redirect, `Requested ${requested.join()}`);
+  assert(result.sources.length === 1, `Sources: ${JSON.stringify(result.sources)}`);
+  assert(result.sources[0].url === 'https://news.example/story' && result.sources[0].domain === 'news.example', JSON.stringify(result.sources[0]));
+  assert(result.groundingSupports.length === 1 && result.groundingSupports[0].sourceIndices.join() === '0', JSON.stringify(result.groundingSupports));
+
+  // Without a pipeline, unsafe sources are still dropped (redirects are kept as they are)
+  const unchecked = await checkClaim(provider, { text: 'Claim', evidence: [] });
+  assert(unchecked.sources.every(source => source.url.startsWith('https://')), 'Unsafe source returned');
+  assert(unchecked.sources.find(source => source.url === redirect)?.domain === 'news.example', 'Redirect not given its domain');
+});
+
+await test('Verdicts without grounding sources are reported as unverifiable', async () => {
+  const provider = new MockProvider({
+    fixtures: { factcheck: { text: '{"verdict": "disputed", "explanation": "I recall otherwise."}' } }
+  });
+  const result = await checkClaim(provider, { text: 'The Eiffel Tower is in Rome.', evidence: [] });
+  assert(result.verdict === 'unverifiable', `Expected unverifiable, got ${result.verdict}`);
+  assert(result.sources.length === 0, 'No sources expected');
+});
+
+await test('Unknown verdict values fall back to unverifiable', async () => {
+  const provider = new MockProvider({
+    fixtures: { factcheck: { text: '{"verdict": "probably true", "explanation": "x"}', groundingMetadata: groundedMetadata } }
+  });
+  const result = await checkClaim(provider, { text: 'Claim', evidence: [] });
+  assert(result.verdict === 'unverifiable', `Expected unverifiable, got ${result.verdict}`);
+});
+
+await test('A failing claim check does not fail the others', async () => {
+  const mock = new MockProvider({
+    fixtures: {
+      claims: claimsFixture,
+      factcheck: { text: '{"verdict": "disputed", "explanation": "Sources disagree."}', groundingMetadata: groundedMetadata }
+    }
+  });
+  const provider = {
+    name: 'flaky',
+    async generate(request) {
+      if (request.task === 'factcheck' && request.prompt.includes('330 metres')) {
+        throw new Error('Upstream timeout');
+      }
+      return mock.generate(request);
+    }
+  };
+  const result = await runFactCheck(provider, article);
+  assert(result.claims[0].verdict === 'disputed', 'First claim should be checked');
+  assert(result.claims[1].failed === true && result.claims[1].verdict === 'unverifiable', 'Failed claim not marked');
+});
+
+await test('maxClaims limits the claims checked', async () => {
+  const provider = new MockProvider({
+    fixtures: { claims: claimsFixture, factcheck: { text: '{"verdict": "supported", "explanation": "x"}' } }
+  });
+  const result = await runFactCheck(provider, article, { maxClaims: 1 });
+  assert(result.claims.length === 1, `Expected 1 claim, got ${result.claims.length}`);
+  assert(provider.calls.filter(call => call.task === 'factcheck').length === 1, 'Extra verdict calls made');
+});
+
+await test('Unreadable claim extraction degrades to no claims', async () => {
+  const provider = new MockProvider({
+    fixtures: { claims: { text: 'Sorry, I cannot help with that.' }, repair: { text: 'Still not JSON' } }
+  });
+  const result = await runFactCheck(provider, article, { maxRepairs: 1 });
+  assert(result.claims.length === 0, 'No claims expected');
+  assert(result.degraded === true, 'Expected degraded flag');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -1,60 +1,19 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { createProvider } from './providers/index.js';
+import { SYSTEM_INSTRUCTION, buildAnalysisPrompt, parseGeminiResponse } from './core.js';
 
 // Load environment variables
 dotenv.config();
 
-if (!process.env.GEMINI_API_KEY) {
+if (!process.env.GEMINI_API_KEY && (process.env.LLM_PROVIDER || 'gemini') === 'gemini') {
   console.error('ERROR: GEMINI_API_KEY is not set');
   process.exit(1);
 }
 
 console.log('Testing Gemini API integration...\n');
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Configure model
-const model = genAI.getGenerativeModel({
-  model: 'gemini-1.5-flash',
-  systemInstruction: 'You are a research assistant that analyzes articles and provides structured insights. Your responses must be in valid JSON format.'
-});
-
-// Build test prompt
-function buildAnalysisPrompt(article, concepts = []) {
-  const conceptsText = concepts.length > 0 
-    ? concepts.join(', ') 
-    : 'identify 3-5 key terms from the article';
-  
-  return `Analyze the following article and provide a structured response in JSON format.
-
-Article:
-${article}
-
-Please provide:
-1. Three related articles (with realistic titles and URLs from reputable sources)
-2. Definitions for these key terms: ${conceptsText}
-3. Main arguments presented in the article
-4. Potential counter-arguments or alternative perspectives
-
-Format your response as valid JSON with this structure:
-{
-  "relatedArticles": [
-    {"title": "...", "url": "https://..."},
-    {"title": "...", "url": "https://..."},
-    {"title": "...", "url": "https://..."}
-  ],
-  "definitions": [
-    {"term": "...", "definition": "..."}
-  ],
-  "arguments": {
-    "main": ["argument 1", "argument 2", ...],
-    "counter": ["counter-argument 1", "counter-argument 2", ...]
-  }
-}
-
-Respond ONLY with the JSON object, no additional text or markdown formatting.`;
-}
+// The server's provider, prompt and parser (core.js), so this checks what /analyze runs
+const provider = createProvider(process.env, { systemInstruction: SYSTEM_INSTRUCTION });
 
 // Test article
 const testArticle = `
@@ -74,30 +33,27 @@ async function testGeminiIntegration() {
     
     console.log('Calling Gemini API...');
     const startTime = Date.now();
-    const result = await model.generateContent(prompt);
+    const result = await provider.generate({ prompt, task: 'analyze' });
     const duration = Date.now() - startTime;
     
-    const responseText = result.response.text();
-    console.log(`\nAPI call completed in ${duration}ms\n`);
+    const responseText = result.text;
+    console.log(`\nAPI call completed in ${duration}ms (${provider.model})\n`);
     
     console.log('Raw response:');
     console.log(responseText);
     console.log('\n---\n');
     
-    // Try to parse as JSON
-    try {
-      const parsed = JSON.parse(responseText);
-      console.log('✓ Successfully parsed as JSON');
-      console.log('\nParsed structure:');
-      console.log('- Related Articles:', parsed.relatedArticles?.length || 0);
-      console.log('- Definitions:', parsed.definitions?.length || 0);
-      console.log('- Main Arguments:', parsed.arguments?.main?.length || 0);
-      console.log('- Counter Arguments:', parsed.arguments?.counter?.length || 0);
-      console.log('\nFull parsed response:');
-      console.log(JSON.stringify(parsed, null, 2));
-    } catch (parseError) {
-      console.log('✗ Failed to parse as JSON');
-      console.log('Parse error:', parseError.message);
+    // Parse as /analyze does: schema validation, then repair calls if needed
+    const parsed = await parseGeminiResponse(provider, responseText);
+    console.log(`${parsed.status === 'degraded' ? '✗' : '✓'} Parse status: ${parsed.status}`);
+    console.log('\nParsed structure:');
+    console.log('- Definitions:', parsed.definitions.length);
+    console.log('- Main Arguments:', parsed.arguments.main.length);
+    console.log('- Counter Arguments:', parsed.arguments.counter.length);
+    console.log('\nFull parsed response:');
+    console.log(JSON.stringify(parsed, null, 2));
+    if (parsed.status === 'degraded') {
+      process.exit(1);
     }
     
   } catch (error) {
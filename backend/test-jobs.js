@@ -0,0 +1,173 @@
+/**
+ * Unit tests for background jobs
+ * These tests don't require API calls
+ */
+
+import { JobManager, MemoryJobStore } from './jobs.js';
+
+console.log('=================================');
+console.log('Running Jobs Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const tick = (ms = 5) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a job has finished
+ */
+async function settle(manager, id) {
+  for (let i = 0; i < 100; i++) {
+    const job = await manager.get(id);
+    if (job.status === 'completed' || job.status === 'failed') return job;
+    await tick();
+  }
+  throw new Error('Job did not finish');
+}
+
+const stores = [];
+function createManager(runners) {
+  const store = new MemoryJobStore();
+  stores.push(store);
+  return new JobManager({ store, runners });
+}
+
+await test('Jobs are created queued and finish with a result', async () => {
+  const manager = createManager({ echo: async input => ({ echoed: input.value }) });
+  const job = await manager.create('echo', { value: 7 });
+  assert(job.status === 'queued' && typeof job.id === 'string', 'Job not queued');
+  const done = await settle(manager, job.id);
+  assert(done.status === 'completed' && done.result.echoed === 7, 'Result missing');
+});
+
+await test('Progress and partial results are recorded while running', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const manager = createManager({
+    slow: async (input, { progress, partial }) => {
+      await progress({ stage: 'analyze', completed: 1, total: 2 });
+      await partial({ definitions: ['first'] });
+      await gate;
+      return { definitions: ['first', 'second'] };
+    }
+  });
+  const job = await manager.create('slow', {});
+  await tick();
+  const running = await manager.get(job.id);
+  assert(running.status === 'running', `Expected running, got ${running.status}`);
+  assert(running.progress.completed === 1 && running.partial.definitions.length === 1, 'Progress or partial not stored');
+  release();
+  const done = await settle(manager, job.id);
+  assert(done.result.definitions.length === 2 && done.partial === null, 'Final result should replace the partial one');
+});
+
+await test('Failed runners mark the job failed with the error message', async () => {
+  const manager = createManager({ broken: async () => { throw new Error('Upstream timeout'); } });
+  const job = await manager.create('broken', {});
+  const done = await settle(manager, job.id);
+  assert(done.status === 'failed' && done.error === 'Upstream timeout', 'Failure not recorded');
+  assert(done.code === 'job_failed' && done.retryable === false, 'Failure marked retryable');
+});
+
+await test('Subscribers receive later updates in order', async () => {
+  const manager = createManager({
+    steps: async (input, { progress }) => {
+      await tick();
+      await progress({ completed: 1, total: 1 });
+      return 'done';
+    }
+  });
+  const job = await manager.create('steps', {});
+  const events = [];
+  const unsubscribe = manager.subscribe(job.id, event => events.push(event));
+  await settle(manager, job.id);
+  unsubscribe();
+  assert(events.join() === 'progress,complete', `Unexpected events: ${events.join()}`);
+});
+
+await test('Draining waits for running jobs and fails the rest as retryable', async () => {
+  let cancelled = null;
+  const manager = createManager({
+    quick: async () => {
+      await tick(20);
+      return 'done';
+    },
+    slow: (input, { signal, progress }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        cancelled = signal.reason;
+        // Updates after the interruption must not overwrite it
+        progress({ completed: 1, total: 2 });
+        reject(signal.reason);
+      });
+    })
+  });
+  const quick = await manager.create('quick', {});
+  const slow = await manager.create('slow', {});
+  const events = [];
+  manager.subscribe(slow.id, (event, job) => events.push([event, job]));
+
+  const { finished, interrupted } = await manager.drain({ timeoutMs: 100 });
+  assert(!finished && interrupted === 1, `Drain returned ${finished}, ${interrupted}`);
+  assert((await manager.get(quick.id)).status === 'completed', 'Running job not waited for');
+  await tick();
+  const job = await manager.get(slow.id);
+  assert(job.status === 'failed' && job.code === 'server_shutdown' && job.retryable === true, JSON.stringify(job));
+  assert(job.progress === null, 'Update recorded after the interruption');
+  assert(cancelled?.name === 'JobInterruptedError', 'Runner signal not aborted');
+  assert(events.length === 1 && events[0][0] === 'error' && events[0][1].code === 'server_shutdown', 'Followers not told');
+  assert(manager.running.size === 0, 'Interrupted job still tracked');
+  assert((await manager.drain({ timeoutMs: 100 })).finished, 'Idle manager did not drain at once');
+});
+
+await test('Unknown job types are rejected', async () => {
+  const manager = createManager({});
+  let threw = false;
+  try {
+    await manager.create('missing', {});
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Expected an error');
+});
+
+await test('Finished jobs expire from the memory store', async () => {
+  const store = new MemoryJobStore({ ttlMs: 1000 });
+  stores.push(store);
+  const old = new Date(Date.now() - 5000).toISOString();
+  await store.create({ id: 'old', status: 'completed', updatedAt: old });
+  await store.create({ id: 'running', status: 'running', updatedAt: old });
+  store.cleanup();
+  assert(await store.get('old') === null, 'Expired job kept');
+  assert(await store.get('running') !== null, 'Running job removed');
+});
+
+for (const store of stores) store.destroy();
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for article and output languages
+ * These tests don't require API calls
+ */
+
+import {
+  normalizeLanguageTag,
+  languageName,
+  resolveLanguages,
+  buildLanguageRequirements,
+  validateLanguageFields
+} from './language.js';
+
+console.log('=================================');
+console.log('Running Language Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+test('Tags are canonicalized and invalid ones rejected', () => {
+  assert(normalizeLanguageTag('pt-br') === 'pt-BR', 'Region not canonicalized');
+  assert(normalizeLanguageTag(' DE ') === 'de', 'Whitespace or case not handled');
+  assert(normalizeLanguageTag('not a language') === null, 'Invalid tag accepted');
+  assert(normalizeLanguageTag(42) === null, 'Non-string accepted');
+});
+
+test('Language names are English display names', () => {
+  assert(languageName('de') === 'German', `Unexpected name ${languageName('de')}`);
+  assert(languageName('ja') === 'Japanese', `Unexpected name ${languageName('ja')}`);
+});
+
+test('"auto" output follows the article language', () => {
+  const languages = resolveLanguages({ language: 'fr', outputLanguage: 'auto' });
+  assert(languages.article === 'fr' && languages.output === 'fr' && languages.translated === false, JSON.stringify(languages));
+  assert(resolveLanguages({}).output === 'en', 'Default output should be English');
+});
+
+test('A different output language marks the request as translated', () => {
+  const languages = resolveLanguages({ language: 'es', outputLanguage: 'en' });
+  assert(languages.translated === true, 'Expected translated');
+  assert(resolveLanguages({ language: 'en-GB', outputLanguage: 'en' }).translated === false, 'Regional variants are the same language');
+  assert(resolveLanguages({ outputLanguage: 'de' }).translated === false, 'Unknown article language cannot be translated');
+});
+
+test('Prompt requirements keep quotes in the article language', () => {
+  const text = buildLanguageRequirements(resolveLanguages({ language: 'es', outputLanguage: 'de' }));
+  assert(text.includes('written in Spanish') && text.includes('in German'), `Unexpected requirements: ${text}`);
+  assert(text.includes('Keep "quotes" in Spanish'), 'Quotes must stay in the article language');
+  assert(buildLanguageRequirements(resolveLanguages({ language: 'en' })) === '', 'English-only requests need no requirements');
+  assert(buildLanguageRequirements(resolveLanguages({ language: 'it' })).includes('in Italian'), 'Non-English output must be requested');
+});
+
+test('Language fields are validated', () => {
+  assert(validateLanguageFields(undefined, undefined) === null, 'Fields are optional');
+  assert(validateLanguageFields('de', 'auto') === null, 'Valid fields rejected');
+  assert(validateLanguageFields('??', undefined) !== null, 'Invalid language accepted');
+  assert(validateLanguageFields('de', 7) !== null, 'Invalid output language accepted');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for the /search link pipeline (link-safety.js)
+ * Redirects are unwrapped against a local redirect server. These tests don't require API calls
+ */
+
+import express from 'express';
+import { LinkPipeline, parseSafeUrl, canonicalizeUrl, displayDomain, isBlockedDomain } from './link-safety.js';
+import { MockProvider } from './providers/mock.js';
+import { createAnalysisCore, createApiRouter, settingsFromEnv, errorHandler } from './core.js';
+import { MetricsRegistry } from './metrics.js';
+import { logger } from './logger.js';
+
+console.log('=================================');
+console.log('Running Link Safety Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+logger.configure({ write: () => {} });
+
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Redirector under /r/; /destination counts requests so tests can check it is never fetched
+let destinationHits = 0;
+const redirects = express();
+redirects.get('/r/story', (req, res) => res.redirect(302, 'https://www.News.example:443/story?id=7&utm_source=grounding&fbclid=abc#comments'));
+redirects.get('/r/story-again', (req, res) => res.redirect(301, 'https://news.example/story?id=7&utm_medium=search'));
+redirects.get('/r/chain', (req, res) => res.redirect(302, '/r/story'));
+redirects.get('/r/local', (req, res) => res.redirect(302, '/destination'));
+redirects.get('/r/script', (req, res) => res.set('Location', 'javascript:alert(1)').status(302).end());
+redirects.get('/r/loop', (req, res) => res.redirect(302, '/r/loop'));
+redirects.get('/r/blocked', (req, res) => res.redirect(302, 'https://ads.spam.example/landing'));
+redirects.get('/r/missing', (req, res) => res.status(404).send('Not found'));
+redirects.get('/r/slow', () => {});
+redirects.get('/destination', (req, res) => {
+  destinationHits++;
+  res.send('Destination');
+});
+const { server: redirectServer, base } = await listen(redirects);
+const prefix = `${base}/r/`;
+
+const pipeline = (options = {}) => new LinkPipeline({ redirectPrefixes: [prefix], timeoutMs: 200, ...options });
+
+try {
+  await test('Only http(s) links without credentials are safe', () => {
+    for (const url of ['javascript:alert(1)', 'JavaScript:alert(1)', 'data:text/html,<script>1</script>', 'vbscript:x', 'ftp://files.example/a', 'https://trusted.example@evil.example/', '/relative', 'not a url']) {
+      assert(parseSafeUrl(url) === null, `${url} accepted`);
+    }
+    assert(parseSafeUrl('https://example.org/a')?.hostname === 'example.org', 'https rejected');
+    assert(parseSafeUrl('http://example.org/a') !== null, 'http rejected');
+    assert(parseSafeUrl('/next', 'https://example.org/a').href === 'https://example.org/next', 'Relative Location not resolved');
+  });
+
+  await test('Canonical URLs drop fragments and tracking parameters only', () => {
+    const canonical = url => canonicalizeUrl(parseSafeUrl(url));
+    assert(canonical('HTTPS://Example.ORG:443/a?utm_source=x&UTM_Campaign=y&gclid=1#top') === 'https://example.org/a', canonical('HTTPS://Example.ORG:443/a?utm_source=x&UTM_Campaign=y&gclid=1#top'));
+    assert(canonical('https://example.org/search?q=ai&fbclid=2&page=2') === 'https://example.org/search?q=ai&page=2', 'Meaningful parameters changed');
+    assert(canonical('https://example.org/a?ref=home') === 'https://example.org/a?ref=home', 'Unknown parameter removed');
+    assert(displayDomain(parseSafeUrl('https://www.example.co.uk/a')) === 'example.co.uk', 'www kept in display domain');
+    assert(displayDomain(parseSafeUrl('https://exаmple.com/')) === 'xn--exmple-4nf.com', 'Look-alike domain not shown in punycode');
+  });
+
+  await test('Blocked domains include their subdomains, not look-alikes', () => {
+    const blocklist = ['spam.example'];
+    assert(isBlockedDomain('spam.example', blocklist) && isBlockedDomain('ads.SPAM.example.', blocklist), 'Domain or subdomain not blocked');
+    assert(!isBlockedDomain('notspam.example', blocklist) && !isBlockedDomain('spam.example.org', blocklist), 'Look-alike blocked');
+  });
+
+  await test('Redirector links are unwrapped to their destination without fetching it', async () => {
+    const links = pipeline();
+    assert((await links.unwrap(parseSafeUrl(`${prefix}chain`))).hostname === 'www.news.example', 'Chain not followed');
+    assert((await links.unwrap(parseSafeUrl(`${prefix}local`))).href === `${base}/destination` && destinationHits === 0, 'Destination fetched');
+
+    const failure = async name => links.unwrap(parseSafeUrl(`${prefix}${name}`)).then(() => null, error => error);
+    assert((await failure('script'))?.unsafe === true, 'Redirect to javascript: not rejected');
+    assert(/More than 5 redirects/.test((await failure('loop'))?.message), 'Redirect loop not stopped');
+    assert(/404/.test((await failure('missing'))?.message), 'Missing redirect not reported');
+    assert(/No redirect within 200 ms/.test((await failure('slow'))?.message), 'Slow redirector not timed out');
+  });
+
+  await test('The pipeline drops unsafe, blocked and duplicate links and reports each outcome', async () => {
+    const outcomes = [];
+    const articles = await pipeline({ blocklist: ['spam.example'] }).process([
+      { title: 'Story', url: `${prefix}story` },
+      { title: 'Same story', url: `${prefix}story-again` },
+      { title: 'Script', url: 'javascript:alert(1)' },
+      { title: 'Redirect to script', url: `${prefix}script` },
+      { title: 'Ad', url: `${prefix}blocked` },
+      { title: 'Direct', url: 'https://spam.example/page' },
+      { title: 'Slow', url: `${prefix}slow`, domainHint: 'slow.example' },
+      { title: 'Journal', url: 'https://journal.example/paper?utm_source=x#abstract' }
+    ], { onOutcome: outcome => outcomes.push(outcome) });
+
+    assert(articles.length === 3, `Kept ${JSON.stringify(articles)}`);
+    assert(articles[0].url === 'https://www.news.example/story?id=7' && articles[0].title === 'Story' && articles[0].domain === 'news.example', JSON.stringify(articles[0]));
+    // Kept as the redirector link, shown with the grounding title's domain
+    assert(articles[1].url === `${prefix}slow` && articles[1].domain === 'slow.example', JSON.stringify(articles[1]));
+    assert(articles[2].url === 'https://journal.example/paper' && articles[2].domain === 'journal.example', JSON.stringify(articles[2]));
+    const count = name => outcomes.filter(outcome => outcome === name).length;
+    assert(count('unsafe') === 2 && count('blocked') === 2 && count('duplicate') === 1 && count('unwrap_failed') === 1 && count('unwrapped') === 3, outcomes.join());
+  });
+
+  await test('/search returns unwrapped, canonical links with their domain', async () => {
+    const registry = new MetricsRegistry();
+    const provider = new MockProvider({
+      fixtures: {
+        search: {
+          text: JSON.stringify({ articles: [{ title: 'Factory robots at work', url: 'https://news.example/story?id=7' }] }),
+          groundingMetadata: {
+            groundingChunks: [
+              { web: { uri: `${prefix}story`, title: 'news.example' } },
+              { web: { uri: `${prefix}story-again`, title: 'news.example' } },
+              { web: { uri: `${prefix}blocked`, title: 'spam.example' } }
+            ]
+          }
+        }
+      }
+    });
+    // Redirector links are only unwrapped under the configured prefixes
+    const settings = settingsFromEnv({ LINK_REDIRECT_PREFIXES: prefix, LINK_BLOCKLIST: 'Spam.example' });
+    const app = express();
+    app.use(express.json());
+    app.use(createApiRouter(createAnalysisCore({ provider, settings, registry })));
+    app.use(errorHandler);
+    const { server, base: appBase } = await listen(app);
+    try {
+      const response = await fetch(`${appBase}/search`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ searchQuery: 'factory robots' })
+      });
+      const { articles } = await response.json();
+      assert(articles.length === 1, `Got ${JSON.stringify(articles)}`);
+      assert(articles[0].url === 'https://www.news.example/story?id=7' && articles[0].domain === 'news.example', JSON.stringify(articles[0]));
+      assert(articles[0].title === 'Factory robots at work', 'Title not taken from the response for the unwrapped link');
+      const counter = registry.metrics.get('deepdive_search_link_outcomes_total');
+      assert(counter.get({ outcome: 'blocked' }) === 1 && counter.get({ outcome: 'duplicate' }) === 1, 'Outcomes not counted');
+      assert(registry.metrics.get('deepdive_search_ungrounded_urls_total').get() === 0, 'Unwrapped destination counted as ungrounded');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+} finally {
+  redirectServer.closeAllConnections();
+  await new Promise(resolve => redirectServer.close(resolve));
+}
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
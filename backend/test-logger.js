@@ -0,0 +1,195 @@
+/**
+ * Unit tests for structured logging, request ids and redaction
+ * These tests don't require API calls
+ */
+
+import { EventEmitter } from 'events';
+import { Logger, createRequestLogging, loggerOptionsFromEnv, requestContext, recordStage, timeStage } from './logger.js';
+
+console.log('=================================');
+console.log('Running Logger Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Logger writing parsed entries to an array
+ * @param {Object} [options] - Logger options
+ */
+function capture(options = {}) {
+  const entries = [];
+  const logger = new Logger({ ...options, write: (level, line) => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+}
+
+/**
+ * Fake Express request/response pair
+ * @param {Object} headers - Request headers
+ */
+function fakeExchange(headers = {}) {
+  const req = { method: 'POST', path: '/analyze', get: name => headers[name] };
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.writableFinished = false;
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.get = name => res.headers[name];
+  res.finish = status => {
+    res.statusCode = status;
+    res.writableFinished = true;
+    res.emit('close');
+  };
+  return { req, res };
+}
+
+await test('Entries are JSON with level, severity and message', () => {
+  const { logger, entries } = capture();
+  logger.info('Analysis complete', { definitions: 3 });
+  logger.warn('Careful');
+  const [info, warn] = entries;
+  assert(info.level === 'info' && info.severity === 'INFO' && info.msg === 'Analysis complete', `Unexpected entry ${JSON.stringify(info)}`);
+  assert(info.definitions === 3 && !Number.isNaN(Date.parse(info.time)), 'Fields or time missing');
+  assert(warn.severity === 'WARNING', 'warn should map to WARNING');
+});
+
+await test('Entries below the level are not written', () => {
+  const { logger, entries } = capture({ level: 'warn' });
+  logger.debug('d');
+  logger.info('i');
+  logger.warn('w');
+  logger.error('e');
+  assert(entries.map(entry => entry.level).join(',') === 'warn,error', `Unexpected levels ${entries.map(entry => entry.level)}`);
+
+  let error = null;
+  try { new Logger({ level: 'verbose' }); } catch (e) { error = e; }
+  assert(error && error.message.includes('LOG_LEVEL'), 'Unknown level accepted');
+});
+
+await test('User content is redacted unless debug mode is on', () => {
+  const { logger, entries } = capture();
+  logger.info('Search requested', {
+    query: 'what my neighbour reads',
+    articleChars: 5000,
+    nested: { quote: 'a sentence from the article', articles: [{ title: 'Private title', url: 'https://example.com/a' }] }
+  });
+  const [entry] = entries;
+  assert(entry.query === '[redacted 23 chars]', `Query not redacted: ${entry.query}`);
+  assert(entry.articleChars === 5000, 'Non-content fields should be kept');
+  assert(entry.nested.quote === '[redacted 27 chars]', 'Nested quote not redacted');
+  assert(entry.nested.articles[0].title.startsWith('[redacted') && entry.nested.articles[0].url.startsWith('[redacted'), 'Titles and URLs in arrays not redacted');
+  assert(!JSON.stringify(entry).includes('neighbour'), 'Content leaked');
+
+  const debug = capture(loggerOptionsFromEnv({ LOG_LEVEL: 'debug' }));
+  debug.logger.debug('Section response received', { preview: '{"definitions":[]}' });
+  assert(debug.entries[0].preview === '{"definitions":[]}', 'Debug mode should log content');
+  assert(loggerOptionsFromEnv({}).level === 'info' && !loggerOptionsFromEnv({}).debug, 'Default should be info without debug mode');
+});
+
+await test('Errors are serialized with name, message and stack', () => {
+  const { logger, entries } = capture();
+  const error = new Error('Provider unavailable');
+  error.code = 'ECONNRESET';
+  logger.error('Request failed', { error });
+  const logged = entries[0].error;
+  assert(logged.name === 'Error' && logged.message === 'Provider unavailable' && logged.code === 'ECONNRESET', `Unexpected error ${JSON.stringify(logged)}`);
+  assert(logged.stack.includes('test-logger.js'), 'Stack missing');
+});
+
+await test('Child loggers add fields and share settings', () => {
+  const { logger, entries } = capture();
+  const child = logger.child({ jobId: 'j1' });
+  logger.configure({ level: 'error' });
+  child.info('hidden');
+  child.error('Job failed');
+  assert(entries.length === 1 && entries[0].jobId === 'j1', `Unexpected entries ${JSON.stringify(entries)}`);
+});
+
+await test('Requests get an id, echoed in X-Request-Id and carried by their entries', async () => {
+  const { logger, entries } = capture({ level: 'debug' });
+  const middleware = createRequestLogging(logger);
+
+  const { req, res } = fakeExchange();
+  let nested = null;
+  await new Promise(resolve => middleware(req, res, async () => {
+    await new Promise(r => setTimeout(r, 1));
+    logger.info('From a module that never sees req');
+    nested = requestContext.getStore();
+    resolve();
+  }));
+  const id = res.headers['X-Request-Id'];
+  assert(/^[0-9a-f-]{36}$/.test(id) && req.id === id, `Unexpected id ${id}`);
+  assert(nested?.requestId === id, 'Context lost across await');
+  const entry = entries.find(e => e.msg === 'From a module that never sees req');
+  assert(entry.requestId === id && entry.method === 'POST' && entry.path === '/analyze', `Entry missing request fields ${JSON.stringify(entry)}`);
+
+  const reused = fakeExchange({ 'X-Request-Id': 'trace-42' });
+  middleware(reused.req, reused.res, () => {});
+  assert(reused.res.headers['X-Request-Id'] === 'trace-42', 'Valid incoming id not reused');
+  const unsafe = fakeExchange({ 'X-Request-Id': 'bad id\n{"level":"error"}' });
+  middleware(unsafe.req, unsafe.res, () => {});
+  assert(unsafe.res.headers['X-Request-Id'] !== 'bad id\n{"level":"error"}', 'Unsafe incoming id reused');
+});
+
+await test('Completion entries report status, duration and stage timings', async () => {
+  const { logger, entries } = capture();
+  const middleware = createRequestLogging(logger);
+  const { req, res } = fakeExchange();
+  await new Promise(resolve => middleware(req, res, async () => {
+    timeStage('validation', () => null);
+    await timeStage('model', () => new Promise(r => setTimeout(r, 20)));
+    recordStage('model', 5);
+    await timeStage('parsing', async () => 'parsed');
+    res.headers['X-Cache'] = 'MISS';
+    resolve();
+  }));
+  res.finish(200);
+
+  const done = entries.find(entry => entry.msg === 'Request completed');
+  assert(done && done.status === 200 && done.cache === 'MISS', `Unexpected completion entry ${JSON.stringify(done)}`);
+  assert(done.timings.model >= 24 && 'validation' in done.timings && 'parsing' in done.timings, `Unexpected timings ${JSON.stringify(done.timings)}`);
+  assert(done.durationMs >= done.timings.model - 5, 'Duration should cover the stages');
+
+  const aborted = fakeExchange();
+  middleware(aborted.req, aborted.res, () => {});
+  aborted.res.emit('close');
+  assert(entries.some(entry => entry.msg === 'Request aborted by client'), 'Aborted request not reported');
+});
+
+await test('Stage timing outside a request is a no-op and passes errors through', async () => {
+  assert(timeStage('parsing', () => 42) === 42, 'Sync result changed');
+  let error = null;
+  try { await timeStage('model', async () => { throw new Error('boom'); }); } catch (e) { error = e; }
+  assert(error?.message === 'boom', 'Async error swallowed');
+  error = null;
+  try { timeStage('validation', () => { throw new Error('sync boom'); }); } catch (e) { error = e; }
+  assert(error?.message === 'sync boom', 'Sync error swallowed');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,179 @@
+/**
+ * Unit tests for Prometheus metrics
+ * These tests don't require API calls
+ */
+
+import { EventEmitter } from 'events';
+import { MetricsRegistry, createHttpMetrics, routeLabel } from './metrics.js';
+import { createRouteRateLimiter } from './rate-limiter.js';
+import { UsageLedger, createBudgetMiddleware } from './usage.js';
+
+console.log('=================================');
+console.log('Running Metrics Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Fake Express request/response pair
+ * @param {Object} req - Request fields
+ */
+function fakeExchange(req) {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.writableFinished = false;
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name] = value; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = () => { res.writableFinished = true; return res; };
+  return { req: { method: 'POST', baseUrl: '', headers: {}, ip: '127.0.0.1', ...req }, res };
+}
+
+await test('Counters and gauges render in the text format', () => {
+  const registry = new MetricsRegistry();
+  const requests = registry.counter({ name: 'demo_requests_total', help: 'Requests', labelNames: ['route', 'status'] });
+  const idle = registry.counter({ name: 'demo_errors_total', help: 'Errors' });
+  const inFlight = registry.gauge({ name: 'demo_in_flight', help: 'In flight' });
+  requests.inc({ route: '/analyze', status: 200 });
+  requests.inc({ route: '/analyze', status: 200 }, 2);
+  inFlight.inc();
+  inFlight.inc();
+  inFlight.dec();
+
+  const text = registry.render();
+  assert(text.includes('# HELP demo_requests_total Requests\n# TYPE demo_requests_total counter\n'), 'Header missing');
+  assert(text.includes('demo_requests_total{route="/analyze",status="200"} 3\n'), `Counter line missing:\n${text}`);
+  assert(text.includes('demo_errors_total 0\n'), 'Unlabelled counter should start at 0');
+  assert(text.includes('demo_in_flight 1\n'), 'Gauge value wrong');
+  assert(text.endsWith('\n'), 'Output should end with a newline');
+  assert(requests.get({ route: '/analyze', status: '200' }) === 3, 'get() should find the series');
+});
+
+await test('Histograms have cumulative buckets, sum and count', () => {
+  const registry = new MetricsRegistry();
+  const latency = registry.histogram({ name: 'demo_seconds', help: 'Latency', labelNames: ['task'], buckets: [1, 0.1] });
+  latency.observe({ task: 'analyze' }, 0.05);
+  latency.observe({ task: 'analyze' }, 0.5);
+  latency.observe({ task: 'analyze' }, 3);
+
+  const text = registry.render();
+  for (const line of [
+    'demo_seconds_bucket{task="analyze",le="0.1"} 1',
+    'demo_seconds_bucket{task="analyze",le="1"} 2',
+    'demo_seconds_bucket{task="analyze",le="+Inf"} 3',
+    'demo_seconds_sum{task="analyze"} 3.55',
+    'demo_seconds_count{task="analyze"} 3'
+  ]) {
+    assert(text.includes(`${line}\n`), `Missing "${line}" in:\n${text}`);
+  }
+});
+
+await test('Label values are escaped and label names checked', () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter({ name: 'demo_total', help: 'Demo', labelNames: ['value'] });
+  counter.inc({ value: 'a "quoted"\\path\nline' });
+  assert(registry.render().includes('demo_total{value="a \\"quoted\\"\\\\path\\nline"} 1'), `Not escaped:\n${registry.render()}`);
+
+  const errors = [];
+  for (const fn of [
+    () => counter.inc({ other: 'x' }),
+    () => counter.inc({}, -1),
+    () => registry.counter({ name: 'demo_total', help: 'Duplicate' }),
+    () => registry.counter({ name: 'bad-name', help: 'Invalid' }),
+    () => registry.histogram({ name: 'demo_h', help: 'Reserved', labelNames: ['le'] })
+  ]) {
+    try { fn(); } catch (error) { errors.push(error); }
+  }
+  assert(errors.length === 5, `Expected 5 errors, got ${errors.length}`);
+});
+
+await test('Gauges with collect are refreshed on every scrape', () => {
+  const registry = new MetricsRegistry();
+  let value = 1;
+  registry.gauge({ name: 'demo_live', help: 'Live', collect: gauge => gauge.set({}, value) });
+  assert(registry.render().includes('demo_live 1\n'), 'First value wrong');
+  value = 7;
+  assert(registry.render().includes('demo_live 7\n'), 'Collect not called again');
+});
+
+await test('Routes are labelled by template, never by raw path', () => {
+  assert(routeLabel({ route: { path: '/jobs/:id' }, baseUrl: '', path: '/jobs/123' }) === '/jobs/:id', 'Template not used');
+  assert(routeLabel({ route: { path: ['/analyze', '/search'] }, baseUrl: '', path: '/search' }) === '/search', 'Multi-path route not resolved');
+  assert(routeLabel({ baseUrl: '', path: '/wp-login.php' }) === 'unmatched', 'Unknown path used as label');
+  assert(routeLabel({ baseUrl: '', path: '/auth/register' }, new Set(['/auth/register'])) === '/auth/register', 'Known path not used');
+});
+
+await test('HTTP middleware counts requests, latency and in-flight requests', () => {
+  const registry = new MetricsRegistry();
+  const metrics = {
+    requests: registry.counter({ name: 'http_requests_total', help: 'r', labelNames: ['method', 'route', 'status'] }),
+    duration: registry.histogram({ name: 'http_request_duration_seconds', help: 'd', labelNames: ['method', 'route'] }),
+    inFlight: registry.gauge({ name: 'http_requests_in_flight', help: 'f' })
+  };
+  const middleware = createHttpMetrics(metrics);
+
+  const done = fakeExchange({ path: '/jobs/42', route: { path: '/jobs/:id' }, method: 'GET' });
+  middleware(done.req, done.res, () => {});
+  assert(metrics.inFlight.get() === 1, 'Request not counted in flight');
+  done.res.statusCode = 404;
+  done.res.writableFinished = true;
+  done.res.emit('close');
+
+  const aborted = fakeExchange({ path: '/analyze', route: { path: '/analyze' } });
+  middleware(aborted.req, aborted.res, () => {});
+  aborted.res.emit('close');
+
+  assert(metrics.inFlight.get() === 0, 'In-flight gauge not decremented');
+  assert(metrics.requests.get({ method: 'GET', route: '/jobs/:id', status: '404' }) === 1, 'Finished request not counted');
+  assert(metrics.requests.get({ method: 'POST', route: '/analyze', status: 'aborted' }) === 1, 'Aborted request not counted');
+  assert(registry.render().includes('http_request_duration_seconds_count{method="GET",route="/jobs/:id"} 1'), 'Latency not observed');
+});
+
+await test('Rate limit and budget rejections are reported', async () => {
+  const rejections = [];
+  const limiter = createRouteRateLimiter({
+    '/analyze': { limits: [{ name: 'burst', algorithm: 'fixed-window', limit: 1, windowMs: 60000 }] }
+  }, { onReject: rejection => rejections.push(rejection) });
+  for (let i = 0; i < 2; i++) {
+    const { req, res } = fakeExchange({ path: '/analyze', client: { id: 'key:qa' } });
+    await limiter(req, res, () => {});
+  }
+  assert(rejections.length === 1 && rejections[0].route === '/analyze' && rejections[0].limit === 'burst', `Unexpected rejections ${JSON.stringify(rejections)}`);
+
+  const ledger = new UsageLedger({ dailyTokenBudget: 10 });
+  ledger.add({ client: 'key:qa', promptTokens: 10, outputTokens: 0, totalTokens: 10, costUsd: 0 });
+  const budgetRejections = [];
+  const checkBudget = createBudgetMiddleware(ledger, { onReject: rejection => budgetRejections.push(rejection) });
+  const { req, res } = fakeExchange({ path: '/search', client: { id: 'key:qa' } });
+  checkBudget(req, res, () => {});
+  assert(budgetRejections.length === 1 && budgetRejections[0].period === 'day' && budgetRejections[0].route === '/search', 'Budget rejection not reported');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
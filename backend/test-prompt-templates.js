@@ -0,0 +1,157 @@
+/**
+ * Unit tests for prompt templates and analysis profiles
+ * These tests don't require API calls
+ */
+
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PromptLibrary, DEFAULT_PROFILE, parseTemplate, renderTemplate } from './prompt-templates.js';
+import { buildAnalysisPrompt, buildSearchPrompt, SYSTEM_INSTRUCTION } from './core.js';
+import { resolveLanguages } from './language.js';
+
+console.log('=================================');
+console.log('Running Prompt Template Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function throwsWith(fn, text) {
+  try {
+    fn();
+  } catch (error) {
+    return error.message.includes(text);
+  }
+  return false;
+}
+
+/**
+ * Write a prompts directory
+ * @param {Object} files - Contents by path relative to the directory
+ * @returns {string} Directory
+ */
+function writePrompts(files) {
+  const dir = mkdtempSync(join(tmpdir(), 'deepdive-prompts-'));
+  for (const [path, contents] of Object.entries(files)) {
+    const file = join(dir, path);
+    mkdirSync(join(file, '..'), { recursive: true });
+    writeFileSync(file, contents);
+  }
+  return dir;
+}
+
+const header = (system = 'Be precise.') => `---\ndescription: Test\nsystem: ${system}\n---\n`;
+
+const library = PromptLibrary.load();
+
+await test('Every shipped profile loads, with the default first', () => {
+  const profiles = library.profiles();
+  const names = profiles.map(profile => profile.name);
+  assert(names[0] === DEFAULT_PROFILE, `First profile is ${names[0]}`);
+  for (const name of ['news', 'academic', 'legal', 'technical', 'opinion']) {
+    assert(names.includes(name), `Missing profile ${name}`);
+  }
+  for (const profile of profiles) {
+    assert(/^[a-z]+\/v\d+$/.test(profile.promptVersion), `Bad version ${profile.promptVersion}`);
+    assert(profile.description.length > 0, `${profile.name} has no description`);
+    assert(library.analysis(profile.name).system.length > 0, `${profile.name} has no system instruction`);
+  }
+  assert(library.search().id.startsWith('search/v'), `Search version ${library.search().id}`);
+  assert(SYSTEM_INSTRUCTION === library.analysis(DEFAULT_PROFILE).system, 'Provider system instruction is not the default profile\'s');
+});
+
+await test('Profiles change the instructions, not the output format', () => {
+  const languages = resolveLanguages({});
+  const general = buildAnalysisPrompt('Body text', [], null, languages, library.analysis('general'));
+  const academic = buildAnalysisPrompt('Body text', [], null, languages, library.analysis('academic'));
+  assert(general !== academic, 'Profiles produce the same prompt');
+  assert(academic.includes('limitations'), 'Academic prompt does not ask for limitations');
+  for (const prompt of [general, academic]) {
+    assert(prompt.includes('<untrusted_article>\nBody text\n</untrusted_article>'), 'Article missing');
+    assert(prompt.includes('"definitions"') && prompt.includes('"counter"'), 'Output structure missing');
+  }
+  assert(library.analysis('legal').system !== library.analysis('general').system, 'Profiles share a system instruction');
+  assert(buildAnalysisPrompt('Body text', [], null, languages) === general, 'Default template is not the general profile');
+});
+
+await test('Placeholders are filled once, and every one needs a value', () => {
+  const template = { id: 'test/v1', body: 'A {{article}} B {{concepts}}\n{{languageRequirements}}\n' };
+  const prompt = renderTemplate(template, { article: '{{concepts}} $&', concepts: 'c', languageRequirements: '' });
+  assert(prompt === 'A {{concepts}} $& B c', JSON.stringify(prompt));
+  assert(throwsWith(() => renderTemplate(template, { article: 'a' }), 'No value for {{concepts}}'), 'Missing value accepted');
+
+  const search = buildSearchPrompt('quantum sensors', resolveLanguages({ outputLanguage: 'de' }));
+  assert(search.includes('<untrusted_query>\nquantum sensors\n</untrusted_query>') && search.includes('Prefer articles written in German'), 'Search prompt not filled');
+});
+
+await test('Template files need a header with a system instruction', () => {
+  const parsed = parseTemplate(`${header('Read closely.')}Prompt {{article}}\n`, 'x/v1');
+  assert(parsed.system === 'Read closely.' && parsed.description === 'Test' && parsed.body === 'Prompt {{article}}\n', JSON.stringify(parsed));
+  assert(throwsWith(() => parseTemplate('Prompt {{article}}', 'x/v1'), 'header'), 'Missing header accepted');
+  assert(throwsWith(() => parseTemplate('---\ndescription: Test\n---\nPrompt', 'x/v1'), 'no system instruction'), 'Missing system accepted');
+});
+
+await test('The highest version of each template is used', () => {
+  const dir = writePrompts({
+    'analysis/general/v1.txt': `${header('Old.')}Old {{article}}`,
+    'analysis/general/v2.txt': `${header('New.')}New {{article}}`,
+    'analysis/general/notes.md': 'Not a template',
+    'analysis/news/v1.txt': `${header()}News {{article}}`,
+    'search/v3.txt': `${header()}Find {{searchQuery}}`
+  });
+  try {
+    const loaded = PromptLibrary.load(dir);
+    assert(loaded.analysis().id === 'general/v2' && loaded.analysis().system === 'New.', `Got ${loaded.analysis().id}`);
+    assert(loaded.analysis('news').id === 'news/v1', `Got ${loaded.analysis('news').id}`);
+    assert(loaded.search().id === 'search/v3', `Got ${loaded.search().id}`);
+    assert(throwsWith(() => loaded.analysis('poetry'), 'Unknown analysis profile'), 'Unknown profile accepted');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+await test('Broken template sets are rejected at load', () => {
+  const cases = [
+    [{ 'analysis/news/v1.txt': `${header()}{{article}}`, 'search/v1.txt': `${header()}{{searchQuery}}` }, 'profile is missing'],
+    [{ 'analysis/general/v1.txt': `${header()}{{article}} {{tone}}`, 'search/v1.txt': `${header()}{{searchQuery}}` }, 'unknown placeholders: tone'],
+    [{ 'analysis/general/v1.txt': `${header()}No article`, 'search/v1.txt': `${header()}{{searchQuery}}` }, 'must include {{article}}'],
+    [{ 'analysis/general/v1.txt': `${header()}{{article}}`, 'search/draft.txt': 'x' }, 'No prompt template versions']
+  ];
+  for (const [files, message] of cases) {
+    const dir = writePrompts(files);
+    try {
+      assert(throwsWith(() => PromptLibrary.load(dir), message), `Expected "${message}"`);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
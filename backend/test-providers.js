@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the LLM provider layer
+ * Runs offline: the mock provider replays fixtures and the OpenAI-compatible
+ * provider is exercised against a local stand-in server.
+ */
+
+import http from 'http';
+import { createProvider, MockProvider, OpenAICompatibleProvider } from './providers/index.js';
+
+console.log('=================================');
+console.log('Running Provider Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+await test('createProvider selects mock provider', async () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock' });
+  assert(provider instanceof MockProvider, 'Expected MockProvider instance');
+  assert(provider.name === 'mock', `Unexpected name ${provider.name}`);
+});
+
+await test('createProvider rejects unknown provider', async () => {
+  let threw = false;
+  try {
+    createProvider({ LLM_PROVIDER: 'nope' });
+  } catch (error) {
+    threw = error.message.includes('Unknown LLM_PROVIDER');
+  }
+  assert(threw, 'Expected unknown provider error');
+});
+
+await test('createProvider requires a Gemini key', async () => {
+  let threw = false;
+  try {
+    createProvider({ LLM_PROVIDER: 'gemini' });
+  } catch (error) {
+    threw = error.message.includes('GEMINI_API_KEY');
+  }
+  assert(threw, 'Expected missing key error');
+});
+
+await test('Mock provider replays analyze fixture deterministically', async () => {
+  const provider = new MockProvider();
+  const first = await provider.generate({ task: 'analyze', prompt: 'a' });
+  const second = await provider.generate({ task: 'analyze', prompt: 'b' });
+  assert(first.text.length > 0, 'Expected fixture text');
+  assert(first.text === second.text, 'Expected identical output for every call');
+  assert(first.candidates[0].content.parts[0].text === first.text, 'Candidate text mismatch');
+  assert(provider.calls.length === 2, 'Expected calls to be recorded');
+});
+
+await test('Mock provider only attaches grounding when requested', async () => {
+  const provider = new MockProvider();
+  const grounded = await provider.generate({ task: 'search', prompt: 'q', grounding: true });
+  const plain = await provider.generate({ task: 'search', prompt: 'q' });
+  assert(grounded.candidates[0].groundingMetadata?.groundingChunks?.length > 0, 'Expected grounding chunks');
+  assert(!plain.candidates[0].groundingMetadata, 'Did not expect grounding metadata');
+});
+
+await test('Mock provider accepts inline fixtures', async () => {
+  const provider = new MockProvider({ fixtures: { custom: { text: 'hello' } } });
+  const result = await provider.generate({ task: 'custom', prompt: 'x' });
+  assert(result.text === 'hello', `Unexpected text ${result.text}`);
+});
+
+await test('Mock provider fails clearly on missing fixture', async () => {
+  const provider = new MockProvider();
+  let threw = false;
+  try {
+    await provider.generate({ task: 'does-not-exist', prompt: 'x' });
+  } catch (error) {
+    threw = error.message.includes('no fixture');
+  }
+  assert(threw, 'Expected missing fixture error');
+});
+
+await test('OpenAI-compatible provider calls /chat/completions', async () => {
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = { url: req.url, auth: req.headers.authorization, body: JSON.parse(body) };
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        choices: [{ message: { role: 'assistant', content: '{"ok": true}' } }],
+        usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  try {
+    const provider = new OpenAICompatibleProvider({
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+      model: 'local-model',
+      apiKey: 'secret',
+      systemInstruction: 'be brief'
+    });
+    const result = await provider.generate({ task: 'analyze', prompt: 'hi' });
+    
+    assert(received.url === '/v1/chat/completions', `Unexpected path ${received.url}`);
+    assert(received.auth === 'Bearer secret', 'Missing bearer token');
+    assert(received.body.model === 'local-model', 'Model not forwarded');
+    assert(received.body.messages[0].role === 'system', 'System message missing');
+    assert(result.text === '{"ok": true}', `Unexpected text ${result.text}`);
+    assert(result.usageMetadata.totalTokenCount === 8, 'Usage not mapped');
+    
+    // A per-call system instruction replaces the provider's
+    await provider.generate({ task: 'analyze', prompt: 'hi', systemInstruction: 'cite the paper' });
+    const systemMessages = received.body.messages.filter(message => message.role === 'system');
+    assert(systemMessages.length === 1 && systemMessages[0].content === 'cite the paper', 'Per-call system instruction not used');
+  } finally {
+    server.close();
+  }
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
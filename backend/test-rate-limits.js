@@ -0,0 +1,413 @@
+/**
+ * Unit tests for rate limit algorithms, stores and route policies
+ * The Redis store runs against a small in-process stand-in - these tests don't require API calls
+ * or a Redis server
+ */
+
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { mkdtemp, rm } from 'fs/promises';
+import { fixedWindow, slidingWindow, tokenBucket, validateLimit } from './rate-limit-algorithms.js';
+import {
+  MemoryRateLimitStore,
+  FileRateLimitStore,
+  RedisRateLimitStore,
+  consumeLimits,
+  createRouteRateLimiter,
+  modelRoutePolicies
+} from './rate-limiter.js';
+import { RedisClient, encodeCommand, parseReply } from './redis-client.js';
+
+console.log('=================================');
+console.log('Running Rate Limit Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Apply an algorithm to a sequence of request times
+ * @returns {Array<Object>} Result per request
+ */
+function replay(algorithm, limit, times) {
+  let state = null;
+  return times.map(now => {
+    const result = algorithm(limit, state, now);
+    state = result.state;
+    return result;
+  });
+}
+
+/**
+ * Stand-in Redis server: strings with PX expiry and optimistic transactions
+ * (WATCH / MULTI / EXEC), which is all RedisRateLimitStore uses
+ */
+function startRedisStandIn() {
+  const data = new Map(); // key -> { value, expiresAt }
+  const versions = new Map(); // key -> write counter, for WATCH
+
+  const reply = {
+    ok: () => '+OK\r\n',
+    queued: () => '+QUEUED\r\n',
+    bulk: value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`),
+    error: message => `-ERR ${message}\r\n`
+  };
+
+  const read = key => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  };
+
+  const execute = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return '+PONG\r\n';
+      case 'GET':
+        return reply.bulk(read(args[0]));
+      case 'SET': {
+        const [key, value, option, ttl] = args;
+        data.set(key, { value, expiresAt: option && option.toUpperCase() === 'PX' ? Date.now() + parseInt(ttl, 10) : null });
+        versions.set(key, (versions.get(key) || 0) + 1);
+        return reply.ok();
+      }
+      default:
+        return reply.error(`unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let watched = new Map();
+    let queue = null;
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const args = parsed.value;
+        const name = args[0].toUpperCase();
+
+        if (name === 'QUIT') {
+          socket.end(reply.ok());
+          return;
+        } else if (name === 'WATCH') {
+          for (const key of args.slice(1)) watched.set(key, versions.get(key) || 0);
+          socket.write(reply.ok());
+        } else if (name === 'UNWATCH') {
+          watched = new Map();
+          socket.write(reply.ok());
+        } else if (name === 'MULTI') {
+          queue = [];
+          socket.write(reply.ok());
+        } else if (name === 'DISCARD') {
+          socket.write(queue ? reply.ok() : reply.error('DISCARD without MULTI'));
+          queue = null;
+          watched = new Map();
+        } else if (name === 'EXEC') {
+          const conflict = [...watched].some(([key, version]) => (versions.get(key) || 0) !== version);
+          if (conflict) {
+            socket.write('*-1\r\n');
+          } else {
+            const replies = queue.map(execute);
+            socket.write(`*${replies.length}\r\n${replies.join('')}`);
+          }
+          queue = null;
+          watched = new Map();
+        } else if (queue) {
+          queue.push(args);
+          socket.write(reply.queued());
+        } else {
+          socket.write(execute(args));
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, data, url: `redis://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+await test('Fixed windows reset a window after the first request', () => {
+  const limit = { limit: 3, windowMs: 1000 };
+  const results = replay(fixedWindow, limit, [0, 100, 200, 300, 1000]);
+  assert(results.map(r => r.allowed).join() === 'true,true,true,false,true', `Unexpected pattern ${results.map(r => r.allowed)}`);
+  assert(results[3].retryAfterMs === 700, `Expected retry after 700ms, got ${results[3].retryAfterMs}`);
+});
+
+await test('Sliding windows weight the previous window and close the edge burst', () => {
+  const limit = { limit: 10, windowMs: 60000 };
+  // 10 requests at the end of one window, 10 more at the start of the next
+  const times = [...Array(10).fill(59000), ...Array(10).fill(61000)];
+
+  const fixed = replay(fixedWindow, limit, times.map((t, i) => (i < 10 ? t : t + 59000)));
+  assert(fixed.filter(r => r.allowed).length === 20, 'Fixed window should allow the double burst');
+
+  const sliding = replay(slidingWindow, limit, times);
+  assert(sliding.filter(r => r.allowed).length === 10, `Sliding window allowed ${sliding.filter(r => r.allowed).length}`);
+
+  // Half way through the next window, the previous count weighs half
+  const later = replay(slidingWindow, limit, [...Array(10).fill(59000), ...Array(6).fill(90000)]);
+  assert(later.slice(10).filter(r => r.allowed).length === 5, 'Expected 5 requests with half the previous window left');
+});
+
+await test('Sliding window retry times are accurate', () => {
+  const limit = { limit: 10, windowMs: 60000 };
+  let state = null;
+  for (let i = 0; i < 10; i++) state = slidingWindow(limit, state, 30000).state;
+
+  const rejected = slidingWindow(limit, state, 30000);
+  assert(!rejected.allowed && rejected.retryAfterMs > 0, 'Expected rejection with a retry time');
+  const retryAt = 30000 + rejected.retryAfterMs;
+  assert(!slidingWindow(limit, state, retryAt - 1000).allowed, 'Allowed before the retry time');
+  assert(slidingWindow(limit, state, retryAt).allowed, `Not allowed at the retry time (${retryAt})`);
+});
+
+await test('Token buckets allow bursts up to capacity and refill steadily', () => {
+  const limit = { capacity: 3, refillPerSecond: 1 };
+  const results = replay(tokenBucket, limit, [0, 0, 0, 0, 1000, 1000, 5000]);
+  assert(results.map(r => r.allowed).join() === 'true,true,true,false,true,false,true', `Unexpected pattern ${results.map(r => r.allowed)}`);
+  assert(results[3].retryAfterMs === 1000, `Expected retry after 1000ms, got ${results[3].retryAfterMs}`);
+  assert(results[6].remaining === 2, 'Bucket should refill up to capacity only');
+});
+
+await test('Limit definitions are validated', () => {
+  validateLimit({ algorithm: 'token-bucket', capacity: 5, refillPerSecond: 0.5 });
+  for (const bad of [{ algorithm: 'leaky' }, { algorithm: 'sliding-window', limit: 10 }, { algorithm: 'token-bucket', capacity: 0, refillPerSecond: 1 }]) {
+    let threw = false;
+    try {
+      validateLimit(bad);
+    } catch {
+      threw = true;
+    }
+    assert(threw, `Accepted invalid limit ${JSON.stringify(bad)}`);
+  }
+});
+
+await test('Burst and sustained limits both apply', async () => {
+  const store = new MemoryRateLimitStore();
+  const limits = [
+    { name: 'burst', algorithm: 'token-bucket', capacity: 2, refillPerSecond: 1 },
+    { name: 'sustained', algorithm: 'sliding-window', limit: 3, windowMs: 60000 }
+  ];
+  const at = [0, 0, 0, 2000, 4000];
+  const allowed = [];
+  for (const now of at) {
+    allowed.push((await consumeLimits(store, 'client', limits, now)).allowed);
+  }
+  // Third request hits the burst limit; the fifth the sustained one
+  assert(allowed.join() === 'true,true,false,true,false', `Unexpected pattern ${allowed}`);
+  store.destroy();
+});
+
+await test('A rejected request does not consume the limits it passed', async () => {
+  const store = new MemoryRateLimitStore();
+  const limits = [
+    { name: 'burst', algorithm: 'token-bucket', capacity: 3, refillPerSecond: 0.001 },
+    { name: 'sustained', algorithm: 'sliding-window', limit: 1, windowMs: 60000 }
+  ];
+  assert((await consumeLimits(store, 'client', limits, 0)).allowed, 'First request rejected');
+  // Retries against the full window must leave the burst bucket alone
+  for (let i = 0; i < 5; i++) {
+    const outcome = await consumeLimits(store, 'client', limits, 10);
+    assert(!outcome.allowed && outcome.results[0].remaining === 2, `Burst allowance spent: ${outcome.results[0].remaining} left`);
+  }
+  // Once the window has passed, the burst allowance is still there
+  const later = await consumeLimits(store, 'client', limits, 120000);
+  assert(later.allowed && later.results[0].remaining === 1, `Expected 1 burst token left, got ${later.results[0].remaining}`);
+  store.destroy();
+});
+
+await test('File store keeps state across instances and serializes updates', async () => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ratelimit-'));
+  try {
+    const limits = [{ algorithm: 'fixed-window', limit: 15, windowMs: 60000 }];
+    const first = new FileRateLimitStore(dir);
+    const outcomes = await Promise.all(Array.from({ length: 10 }, () => consumeLimits(first, 'client', limits)));
+    assert(outcomes.every(o => o.allowed), 'Concurrent updates within the limit rejected');
+    first.destroy();
+
+    const second = new FileRateLimitStore(dir);
+    const results = [];
+    for (let i = 0; i < 6; i++) results.push((await consumeLimits(second, 'client', limits)).allowed);
+    assert(results.filter(Boolean).length === 5, `Expected 5 more requests after a restart, got ${results.filter(Boolean).length}`);
+    second.destroy();
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await test('RESP encoding and parsing round-trip', () => {
+  const encoded = encodeCommand(['SET', 'ключ', 'value', 'PX', 1000]);
+  const parsed = parseReply(encoded);
+  assert(parsed.value.join(' ') === 'SET ключ value PX 1000', `Unexpected parse ${parsed.value}`);
+  assert(parseReply(encoded.subarray(0, encoded.length - 3)) === null, 'Incomplete reply should parse as null');
+  assert(parseReply(Buffer.from('*2\r\n$-1\r\n:5\r\n')).value[1] === 5, 'Nil and integer replies wrong');
+  assert(parseReply(Buffer.from('*-1\r\n')).value === null, 'Nil array should be null');
+});
+
+await test('Redis store enforces one limit across instances', async () => {
+  const { server, data, url } = await startRedisStandIn();
+  const stores = [new RedisRateLimitStore({ url }), new RedisRateLimitStore({ url })];
+  try {
+    const limits = [{ algorithm: 'sliding-window', limit: 7, windowMs: 60000 }];
+    // Two instances race for the same client's requests
+    const outcomes = await Promise.all(Array.from({ length: 16 }, (_, i) => consumeLimits(stores[i % 2], 'client', limits)));
+    const allowed = outcomes.filter(o => o.allowed).length;
+    assert(allowed === 7, `Expected exactly 7 allowed across instances, got ${allowed}`);
+
+    const [key] = [...data.keys()];
+    assert(key.startsWith('ratelimit:client:'), `Unexpected key ${key}`);
+    assert(data.get(key).expiresAt > Date.now(), 'State stored without expiry');
+  } finally {
+    await Promise.all(stores.map(store => store.destroy()));
+    server.close();
+  }
+});
+
+await test('Redis client reports connection failures', async () => {
+  const client = new RedisClient({ url: 'redis://127.0.0.1:1', connectTimeoutMs: 500 });
+  let threw = false;
+  try {
+    await client.command('PING');
+  } catch {
+    threw = true;
+  }
+  assert(threw, 'Expected a connection error');
+});
+
+await test('Redis commands time out when the server stops answering', async () => {
+  // Accepts connections and reads commands, but never replies
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const store = new RedisRateLimitStore({ url: `redis://127.0.0.1:${server.address().port}`, commandTimeoutMs: 100 });
+  try {
+    const limits = [{ algorithm: 'fixed-window', limit: 5, windowMs: 60000 }];
+    const started = Date.now();
+    const error = await consumeLimits(store, 'client', limits).then(() => null, e => e);
+    assert(/no reply within 100 ms/.test(error?.message), `Unexpected outcome ${error?.message}`);
+
+    // The queue moves on: later updates and readiness checks fail too instead of hanging
+    const later = await consumeLimits(store, 'client', limits).then(() => null, e => e);
+    const ping = await store.check().then(() => null, e => e);
+    assert(later && ping, 'Expected later commands to fail');
+    assert(Date.now() - started < 2000, `Took ${Date.now() - started} ms`);
+
+    const limiter = createRouteRateLimiter({ '/analyze': { limits } }, { store });
+    const result = await callMiddleware(limiter);
+    assert(result.nextCalled, 'Request should be allowed when Redis does not answer');
+  } finally {
+    for (const socket of sockets) socket.destroy();
+    await store.destroy();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+/**
+ * Call a middleware with a fake request
+ */
+async function callMiddleware(middleware, { path: requestPath = '/analyze', method = 'POST', client = { id: 'install:a' } } = {}) {
+  const result = { nextCalled: false, status: null, body: null, headers: {} };
+  const res = {
+    setHeader: (name, value) => { result.headers[name] = value; },
+    status: code => { result.status = code; return res; },
+    json: body => { result.body = body; return res; }
+  };
+  await middleware({ path: requestPath, method, client, headers: {}, ip: '203.0.113.7' }, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+await test('Route policies set RateLimit headers and reject with Retry-After', async () => {
+  const limiter = createRouteRateLimiter({
+    '/analyze': {
+      methods: ['POST'],
+      limits: [
+        { name: 'burst', algorithm: 'token-bucket', capacity: 2, refillPerSecond: 0.1 },
+        { name: 'sustained', algorithm: 'sliding-window', limit: 100, windowMs: 3600000 }
+      ]
+    }
+  });
+
+  const first = await callMiddleware(limiter);
+  assert(first.nextCalled, 'First request blocked');
+  assert(first.headers['RateLimit-Limit'] === 2 && first.headers['RateLimit-Remaining'] === 1, 'Headers should describe the tightest limit');
+  assert(first.headers['RateLimit-Policy'] === '2;w=20, 100;w=3600', `Unexpected policy header ${first.headers['RateLimit-Policy']}`);
+
+  await callMiddleware(limiter);
+  const third = await callMiddleware(limiter);
+  assert(!third.nextCalled && third.status === 429, 'Third request not rejected');
+  assert(third.headers['Retry-After'] === 10 && third.body.retryAfter === 10, `Unexpected retry ${third.headers['Retry-After']}`);
+
+  assert((await callMiddleware(limiter, { method: 'GET' })).nextCalled, 'Methods outside the policy should pass');
+  assert((await callMiddleware(limiter, { path: '/health' })).nextCalled, 'Routes without a policy should pass');
+  assert((await callMiddleware(limiter, { client: { id: 'install:b' } })).nextCalled, 'Clients should not share limits');
+});
+
+await test('Shared model route policies limit bursts per route and registration per IP', async () => {
+  const policies = modelRoutePolicies(6, { jobs: false });
+  assert(!policies['/jobs'] && !policies['/health'] && modelRoutePolicies(6)['/jobs'], 'Unexpected routes');
+  const limiter = createRouteRateLimiter(policies);
+
+  const burst = [];
+  for (let i = 0; i < 4; i++) burst.push(await callMiddleware(limiter));
+  assert(burst.filter(result => result.nextCalled).length === 3, 'Burst of 3 not enforced');
+  assert(burst[0].headers['RateLimit-Policy'] === '3;w=30, 60;w=3600', `Unexpected policy header ${burst[0].headers['RateLimit-Policy']}`);
+  assert((await callMiddleware(limiter, { path: '/search' })).nextCalled, 'Routes should not share limits');
+  assert((await callMiddleware(limiter, { path: '/health', method: 'GET' })).headers['RateLimit-Limit'] === undefined, 'Health checks limited');
+
+  const keyed = { id: 'key:newsroom', maxRequests: 20 };
+  assert((await callMiddleware(limiter, { client: keyed })).headers['RateLimit-Limit'] === 10, 'Per-key rate not applied');
+
+  // Registration is per IP, whatever client the request claims
+  let registered = 0;
+  for (let i = 0; i < 11; i++) {
+    if ((await callMiddleware(limiter, { path: '/auth/register', client: { id: `anon:${i}` } })).nextCalled) registered++;
+  }
+  assert(registered === 10, `Registered ${registered} times`);
+});
+
+await test('Store failures let requests through', async () => {
+  const broken = { update: async () => { throw new Error('store down'); } };
+  const limiter = createRouteRateLimiter({ '/analyze': { limits: [{ algorithm: 'fixed-window', limit: 1, windowMs: 1000 }] } }, { store: broken });
+  const result = await callMiddleware(limiter);
+  assert(result.nextCalled, 'Request should be allowed when the store fails');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
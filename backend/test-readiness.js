@@ -0,0 +1,203 @@
+/**
+ * Unit tests for readiness checks and graceful shutdown
+ * These tests don't require API calls
+ */
+
+import express from 'express';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { ReadinessProbe, modelCheck, configCheck, drainServer } from './readiness.js';
+import { MockProvider } from './providers/mock.js';
+import { ResilientProvider } from './providers/resilient.js';
+import { createAnalysisCore, createApiRouter, settingsFromEnv, settingsProblems, notFoundHandler, errorHandler } from './core.js';
+import { FileRateLimitStore } from './rate-limiter.js';
+import { AnalysisCache } from './analysis-cache.js';
+import { UsageLedger } from './usage.js';
+import { logger } from './logger.js';
+
+console.log('=================================');
+console.log('Running Readiness Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+logger.configure({ write: () => {} });
+
+const resilient = (providers, options = {}) => new ResilientProvider(providers, { maxRetries: 0, ...options });
+
+async function listen(app) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+await test('Results are reused for their TTL and concurrent probes share a run', async () => {
+  let now = 0;
+  let runs = 0;
+  let healthy = true;
+  const probe = new ReadinessProbe({ now: () => now }).add('model', async () => {
+    runs++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    if (!healthy) throw new Error('down');
+    return { model: 'mock' };
+  }, { ttlMs: 60000, failureTtlMs: 10000 });
+
+  const [first, second] = await Promise.all([probe.run(), probe.run()]);
+  assert(runs === 1 && first.status === 'ready' && second.checks.model.model === 'mock', `Concurrent probes ran ${runs} checks`);
+  assert((await probe.run()).checks.model.cached === true, 'Passed result not reused');
+
+  healthy = false;
+  now += 60001;
+  const down = await probe.run();
+  assert(runs === 2 && down.status === 'not_ready' && down.checks.model.error === 'down', 'Expired result not checked again');
+  now += 5000;
+  await probe.run();
+  assert(runs === 2, 'Failure not reused for its TTL');
+  healthy = true;
+  now += 5001;
+  assert((await probe.run()).status === 'ready' && runs === 3, 'Recovery not noticed after the failure TTL');
+});
+
+await test('Checks that hang fail at the timeout; warnings do not fail a check', async () => {
+  const probe = new ReadinessProbe({ timeoutMs: 20 })
+    .add('stuck', () => new Promise(() => {}))
+    .add('config', configCheck(() => ({ errors: [], warnings: ['METRICS_TOKEN is not set'] })));
+  const { status, checks } = await probe.run();
+  assert(status === 'not_ready' && checks.stuck.error === 'No answer within 20 ms', `Stuck check: ${JSON.stringify(checks.stuck)}`);
+  assert(checks.config.status === 'ok' && checks.config.warnings[0] === 'METRICS_TOKEN is not set', 'Warnings not reported');
+
+  const invalid = await new ReadinessProbe()
+    .add('config', configCheck(() => ({ errors: settingsProblems(settingsFromEnv({ SUPPORT_DROP_THRESHOLD: '0.8', MAX_REPAIR_ATTEMPTS: 'two' })) })))
+    .run();
+  assert(invalid.checks.config.reason === 'invalid_config', 'Invalid settings passed');
+  assert(/MAX_REPAIR_ATTEMPTS/.test(invalid.checks.config.error) && /not be above/.test(invalid.checks.config.error), invalid.checks.config.error);
+  assert(settingsProblems(settingsFromEnv({})).length === 0, 'Default settings reported as invalid');
+});
+
+await test('Model check failures say why: rejected key, quota, network, open circuits', async () => {
+  const reasonFor = async fault => {
+    const probe = new ReadinessProbe().add('model', modelCheck(resilient([new MockProvider({ faults: [fault] })])));
+    return (await probe.run()).checks.model.reason;
+  };
+  assert(await reasonFor({ status: 401 }) === 'credentials_rejected', '401 not reported as a rejected key');
+  assert(await reasonFor({ status: 429 }) === 'quota_exhausted', '429 not reported as quota');
+  assert(await reasonFor({ code: 'ECONNREFUSED' }) === 'unreachable', 'Refused connection not reported as unreachable');
+
+  // The chain is ready when a fallback model passes
+  const fallback = resilient([new MockProvider({ faults: [{ status: 404 }] }), new MockProvider({ model: 'mock-backup' })]);
+  const passed = await new ReadinessProbe().add('model', modelCheck(fallback)).run();
+  assert(passed.status === 'ready' && passed.checks.model.model === 'mock-backup', 'Fallback model not checked');
+
+  // Calls are refused while every circuit is open, however well the key checks out
+  const failing = new MockProvider({ faults: [{ status: 503 }] });
+  const broken = resilient([failing], { failureThreshold: 1 });
+  await broken.generate({ prompt: 'x', task: 'analyze' }).catch(() => {});
+  const open = await new ReadinessProbe().add('model', modelCheck(broken)).run();
+  assert(open.checks.model.reason === 'unavailable', `Open circuit reported as ${open.checks.model.reason}`);
+});
+
+await test('Store checks fail on unusable directories and files', async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), 'deepdive-ready-'));
+  try {
+    const file = path.join(dir, 'not-a-dir');
+    await writeFile(file, '');
+    await new FileRateLimitStore(path.join(dir, 'ratelimit')).check();
+    const storeError = await new FileRateLimitStore(file).check().catch(error => error);
+    assert(storeError instanceof Error, 'Rate limit store under a file passed');
+
+    const usageError = await new UsageLedger({ logFile: path.join(file, 'usage.jsonl') }).check().catch(error => error);
+    assert(usageError instanceof Error, 'Usage log under a file passed');
+
+    // The disk cache is best effort: a warning, not a failure
+    const cache = await new AnalysisCache({ dir: file }).check();
+    assert(cache.store === 'file' && /CACHE_DIR/.test(cache.warnings?.[0]), 'Unusable cache directory not reported');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await test('GET /ready answers 503 until the provider accepts the key, then 503 draining', async () => {
+  const provider = resilient([new MockProvider({ faults: [{ status: 403 }] })]);
+  const readiness = new ReadinessProbe().add('model', modelCheck(provider));
+  const app = express();
+  app.use(createApiRouter(createAnalysisCore({ provider, settings: settingsFromEnv({}) }), { readiness }));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  const { server, base } = await listen(app);
+  try {
+    const rejected = await fetch(`${base}/ready`);
+    const body = await rejected.json();
+    assert(rejected.status === 503 && body.status === 'not_ready', `Expected 503 not_ready, got ${rejected.status}`);
+    assert(body.checks.model.reason === 'credentials_rejected', 'Reason missing from the response');
+    assert((await fetch(`${base}/health`)).status === 200, '/health should not depend on the provider');
+
+    assert((await fetch(`${base}/ready`)).status === 200, 'Not ready once the key is accepted');
+    readiness.startDraining();
+    const draining = await fetch(`${base}/ready`);
+    assert(draining.status === 503 && (await draining.json()).status === 'draining', 'Not reported as draining');
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+await test('Shutdown lets requests in flight finish and refuses new ones', async () => {
+  const app = express();
+  app.get('/fast', (req, res) => res.send('fast'));
+  app.get('/slow', (req, res) => setTimeout(() => res.send('slow'), Number(req.query.ms)));
+  const { server, base } = await listen(app);
+
+  // Leaves an idle keep-alive connection, which must not hold the shutdown open
+  await (await fetch(`${base}/fast`)).text();
+  const slow = fetch(`${base}/slow?ms=100`).then(response => response.text());
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const probe = new ReadinessProbe();
+  const started = Date.now();
+  const drain = drainServer(server, { probe, timeoutMs: 2000 });
+  assert(probe.draining, 'Probe not switched to draining');
+  const refused = await fetch(`${base}/fast`, { headers: { Connection: 'close' } }).then(() => false, () => true);
+  assert(refused, 'New connection accepted while draining');
+
+  assert(await slow === 'slow', 'Request in flight cut off');
+  const { drained } = await drain;
+  assert(drained && Date.now() - started < 1000, `Drain took ${Date.now() - started} ms (drained: ${drained})`);
+
+  // Requests still running at the deadline are cut off
+  const { server: stuckServer, base: stuckBase } = await listen(app);
+  const stuck = fetch(`${stuckBase}/slow?ms=5000`).then(() => 'answered', () => 'cut off');
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const result = await drainServer(stuckServer, { timeoutMs: 50 });
+  assert(result.drained === false && await stuck === 'cut off', 'Deadline not enforced');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
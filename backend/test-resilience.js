@@ -0,0 +1,261 @@
+/**
+ * Unit tests for resilient model calls (providers/resilient.js)
+ * Failures are injected with the mock provider's `faults`; backoff sleeps are recorded instead
+ * of waited. These tests don't require API calls
+ */
+
+import express from 'express';
+import { MockProvider } from './providers/mock.js';
+import { ResilientProvider, ModelError, CircuitBreaker, isTransientError, backoffDelay, resilienceOptionsFromEnv } from './providers/resilient.js';
+import { createAnalysisCore, createApiRouter, settingsFromEnv, notFoundHandler, errorHandler } from './core.js';
+import { logger } from './logger.js';
+
+console.log('=================================');
+console.log('Running Model Resilience Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function rejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to fail');
+}
+
+logger.configure({ write: () => {} });
+
+/**
+ * Resilient provider over mock models, with recorded sleeps and events
+ * @param {Array<Object>} models - MockProvider options per model, primary first
+ * @param {Object} [options] - ResilientProvider options
+ * @returns {{provider: ResilientProvider, mocks: MockProvider[], sleeps: number[], events: Object[]}}
+ */
+function resilient(models, options = {}) {
+  const mocks = models.map(model => new MockProvider(model));
+  const sleeps = [];
+  const events = [];
+  const provider = new ResilientProvider(mocks, {
+    timeoutMs: 200,
+    maxRetries: 2,
+    retryBaseMs: 100,
+    retryMaxMs: 1000,
+    failureThreshold: 5,
+    cooldownMs: 30000,
+    random: () => 0.5,
+    sleep: async ms => { sleeps.push(ms); },
+    onEvent: event => events.push(event),
+    ...options
+  });
+  return { provider, mocks, sleeps, events };
+}
+
+async function collect(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+await test('Transient errors are retried with jittered exponential backoff', async () => {
+  const { provider, mocks, sleeps, events } = resilient([{ faults: [{ status: 503 }, { code: 'ECONNRESET' }] }]);
+  const result = await provider.generate({ task: 'analyze', prompt: 'p' });
+  assert(result.model === 'mock' && result.text.length > 0, `Got ${result.model}`);
+  assert(mocks[0].calls.length === 3, `${mocks[0].calls.length} calls`);
+  assert(sleeps.join() === '50,100', `Slept ${sleeps.join()}`);
+  assert(events.filter(event => event.type === 'retry').length === 2, 'Retries not reported');
+
+  assert(backoffDelay(10, { retryBaseMs: 100, retryMaxMs: 1000 }, () => 0.999) <= 1000, 'Backoff not capped');
+  assert(isTransientError(Object.assign(new Error('x'), { status: 502, upstreamStatus: 400 })) === false, 'Upstream status ignored');
+  assert(isTransientError(Object.assign(new Error('x'), { status: 429 })), '429 not transient');
+});
+
+await test('Non-transient errors fail at once as 502 without a fallback', async () => {
+  const { provider, mocks } = resilient([{ faults: [{ status: 400 }] }, { model: 'backup' }]);
+  const error = await rejection(provider.generate({ task: 'analyze', prompt: 'p' }));
+  assert(error instanceof ModelError && error.status === 502 && error.code === 'model_error', `Got ${error.status} ${error.code}`);
+  assert(error.cause.status === 400, 'Provider error not kept as cause');
+  assert(mocks[0].calls.length === 1 && mocks[1].calls.length === 0, 'Rejected call was retried');
+});
+
+await test('Calls time out per attempt, aborting the provider call', async () => {
+  const { provider, mocks, events } = resilient([{ faults: [{ delayMs: 5000 }, { delayMs: 5000 }] }], { timeoutMs: 30, maxRetries: 1 });
+  const started = Date.now();
+  const error = await rejection(provider.generate({ task: 'analyze', prompt: 'p' }));
+  assert(Date.now() - started < 1000, `Took ${Date.now() - started}ms`);
+  assert(error.status === 504 && error.code === 'model_timeout', `Got ${error.status} ${error.code}`);
+  assert(mocks[0].calls.every(call => call.signal.aborted), 'Provider signal not aborted');
+  assert(events.filter(event => event.type === 'failure').every(event => event.reason === 'timeout'), 'Failures not reported as timeouts');
+});
+
+await test('The fallback chain answers when the primary is down, and reports the model', async () => {
+  const { provider, mocks, events } = resilient([
+    { model: 'primary', faults: [{ status: 503 }, { status: 503 }, { status: 503 }] },
+    { model: 'backup' }
+  ]);
+  assert(provider.models.join() === 'primary,backup', `Chain ${provider.models.join()}`);
+  const result = await provider.generate({ task: 'analyze', prompt: 'p' });
+  assert(result.model === 'backup', `Answered by ${result.model}`);
+  assert(mocks[0].calls.length === 3 && mocks[1].calls.length === 1, 'Wrong call counts');
+  assert(events.some(event => event.type === 'fallback' && event.from === 'primary' && event.model === 'backup'), 'Fallback not reported');
+});
+
+await test('The circuit opens after repeated failures and fails fast until the cooldown', async () => {
+  let now = 0;
+  const { provider, mocks, events } = resilient([{ faults: Array(5).fill({ status: 503 }) }], {
+    maxRetries: 0,
+    failureThreshold: 2,
+    cooldownMs: 10000,
+    now: () => now
+  });
+
+  for (let i = 0; i < 2; i++) {
+    await rejection(provider.generate({ task: 'analyze', prompt: 'p' }));
+  }
+  assert(provider.circuits()[0].state === 'open', `State ${provider.circuits()[0].state}`);
+
+  const error = await rejection(provider.generate({ task: 'analyze', prompt: 'p' }));
+  assert(mocks[0].calls.length === 2, 'Open circuit let a call through');
+  assert(error.status === 503 && error.code === 'model_unavailable' && error.retryAfter === 10, `Got ${error.status} ${error.code} ${error.retryAfter}`);
+
+  // After the cooldown one trial call goes through; its failure opens the circuit again
+  now = 10000;
+  await rejection(provider.generate({ task: 'analyze', prompt: 'p' }));
+  assert(mocks[0].calls.length === 3 && provider.circuits()[0].state === 'open', 'Half-open trial not made');
+
+  mocks[0].faults = [];
+  now = 20000;
+  const result = await provider.generate({ task: 'analyze', prompt: 'p' });
+  assert(result.model === 'mock' && provider.circuits()[0].state === 'closed', 'Successful trial did not close the circuit');
+  assert(events.filter(event => event.type === 'circuit').map(event => event.state).join() === 'open,half_open,open,half_open,closed', 'Circuit changes not reported');
+
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+  breaker.recordFailure();
+  assert(breaker.allowRequest() && !breaker.allowRequest(), 'Half-open allowed more than one trial');
+});
+
+await test('Streams retry and fall back before the first chunk only', async () => {
+  const { provider, mocks } = resilient([
+    { model: 'primary', chunkSize: 8, faults: [{ status: 503 }, { status: 503 }, { status: 503 }] },
+    { model: 'backup', chunkSize: 8 }
+  ]);
+  let answered = null;
+  const text = await collect(provider.generateStream({ task: 'analyze', prompt: 'p', onModel: model => { answered = model; } }));
+  assert(answered === 'backup' && text.length > 0, `Answered by ${answered}`);
+  assert(mocks[1].calls.length === 1, 'Backup not called once');
+
+  mocks[0].faults = [{ status: 503, afterChunks: 2 }];
+  const chunks = [];
+  const error = await rejection(collect({
+    async *[Symbol.asyncIterator]() {
+      for await (const chunk of provider.generateStream({ task: 'analyze', prompt: 'p' })) {
+        chunks.push(chunk);
+        yield chunk;
+      }
+    }
+  }));
+  assert(chunks.length === 2 && error.code === 'model_unavailable', `Got ${chunks.length} chunks, ${error.code}`);
+  assert(mocks[0].calls.length === 4 && mocks[1].calls.length === 1, 'Stream was retried after its first chunk');
+
+  const stalled = resilient([{ faults: [{ delayMs: 5000 }] }], { timeoutMs: 30, maxRetries: 0 });
+  const timeout = await rejection(collect(stalled.provider.generateStream({ task: 'analyze', prompt: 'p' })));
+  assert(timeout.code === 'model_timeout', `Got ${timeout.code}`);
+});
+
+await test('Calls cancelled by the caller are not retried', async () => {
+  const { provider, mocks, events } = resilient([{ faults: [{ delayMs: 5000 }] }], { timeoutMs: 5000 });
+  const controller = new AbortController();
+  const reason = new Error('Client went away');
+  setTimeout(() => controller.abort(reason), 20);
+  const error = await rejection(provider.generate({ task: 'analyze', prompt: 'p', signal: controller.signal }));
+  assert(error === reason, `Got ${error.message}`);
+  assert(mocks[0].calls.length === 1 && provider.circuits()[0].state === 'closed', 'Cancelled call was retried or counted');
+  assert(events.map(event => event.type).join() === 'cancelled', `Events ${events.map(event => event.type).join()}`);
+
+  const again = await rejection(provider.generate({ task: 'analyze', prompt: 'p', signal: controller.signal }));
+  assert(again === reason && mocks[0].calls.length === 1, 'Call made with an aborted signal');
+});
+
+await test('Settings come from the environment', () => {
+  const options = resilienceOptionsFromEnv({ LLM_TIMEOUT_MS: '1500', LLM_MAX_RETRIES: '0', LLM_BREAKER_COOLDOWN_SECONDS: '5', LLM_FALLBACK_MODELS: 'a, b,' });
+  assert(options.timeoutMs === 1500 && options.maxRetries === 0 && options.cooldownMs === 5000, JSON.stringify(options));
+  assert(options.fallbackModels.join() === 'a,b', `Fallbacks ${options.fallbackModels.join()}`);
+  assert(resilienceOptionsFromEnv({}).fallbackModels.length === 0, 'Fallbacks without configuration');
+});
+
+await test('Responses report the answering model; fallback answers are not cached', async () => {
+  const { provider, mocks } = resilient([{ model: 'primary' }, { model: 'backup' }], { maxRetries: 0 });
+  const app = express();
+  app.use(express.json());
+  // Mock grounding links are not real redirects
+  app.use(createApiRouter(createAnalysisCore({ provider, settings: settingsFromEnv({ LINK_UNWRAP_REDIRECTS: 'false' }) })));
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const post = async (path, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  try {
+    const article = 'Machine learning is a subset of artificial intelligence. It is changing industry.';
+    mocks[0].faults = [{ status: 503 }];
+    const fallback = await post('/analyze', { article });
+    assert(fallback.status === 200 && fallback.body.model === 'backup', `Got ${fallback.status} ${fallback.body.model}`);
+
+    const primary = await post('/analyze', { article });
+    assert(primary.headers.get('x-cache') === 'MISS' && primary.body.model === 'primary', 'Fallback answer was cached');
+    const cached = await post('/analyze', { article });
+    assert(cached.headers.get('x-cache') === 'HIT', 'Primary answer was not cached');
+
+    const search = await post('/search', { searchQuery: 'machine learning' });
+    assert(search.body.model === 'primary', `Search model ${search.body.model}`);
+
+    mocks[0].faults = [{ status: 503 }];
+    mocks[1].faults = [{ status: 503 }];
+    const down = await post('/factcheck', { article });
+    assert(down.status === 503 && down.body.code === 'model_unavailable', `Got ${down.status} ${JSON.stringify(down.body)}`);
+
+    mocks[0].faults = [{ status: 400 }];
+    const rejected = await post('/search', { searchQuery: 'quantum sensors' });
+    assert(rejected.status === 502 && rejected.body.code === 'model_error', `Upstream 400 answered ${rejected.status}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for schema validation and the JSON repair loop
+ * These tests don't require API calls
+ */
+
+import {
+  ANALYSIS_SCHEMA,
+  SEARCH_SCHEMA,
+  validateAgainstSchema,
+  extractJson,
+  ensureStructured
+} from './structured-output.js';
+import { MockProvider } from './providers/index.js';
+import { createAnalysisCore, createApiRouter, settingsFromEnv } from './core.js';
+import { MemoryJobStore } from './jobs.js';
+import { logger } from './logger.js';
+
+console.log('=================================');
+console.log('Running Structured Output Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const validAnalysis = {
+  definitions: [{ term: 'AI', definition: 'Artificial intelligence', quotes: [] }],
+  arguments: { main: [{ text: 'Point', quotes: ['A quoted sentence'] }], counter: [] }
+};
+
+await test('Valid analysis passes the schema', async () => {
+  const errors = validateAgainstSchema(validAnalysis, ANALYSIS_SCHEMA);
+  assert(errors.length === 0, `Unexpected errors: ${errors.join('; ')}`);
+});
+
+await test('Schema errors carry JSON paths', async () => {
+  const errors = validateAgainstSchema({
+    definitions: [{ term: 'AI' }],
+    arguments: { main: 'not an array', counter: [] }
+  }, ANALYSIS_SCHEMA);
+  assert(errors.includes('$.definitions[0].definition is required'), `Missing definition error: ${errors}`);
+  assert(errors.includes('$.arguments.main must be an array'), `Missing main error: ${errors}`);
+});
+
+await test('Search schema enforces maxItems', async () => {
+  const articles = Array.from({ length: 11 }, (_, i) => ({ title: `t${i}`, url: `https://x.org/${i}` }));
+  const errors = validateAgainstSchema({ articles }, SEARCH_SCHEMA);
+  assert(errors.some(error => error.includes('at most 10')), 'Expected maxItems error');
+});
+
+await test('extractJson reports which strategy succeeded', async () => {
+  assert(extractJson('```json\n{"a": 1}\n```').strategy === 'json-code-block', 'json block');
+  assert(extractJson('```\n{"a": 1}\n```').strategy === 'code-block', 'generic block');
+  assert(extractJson('text {"a": 1} text').strategy === 'object', 'embedded object');
+  assert(extractJson('[1, 2]').strategy === 'whole-text', 'whole text');
+  assert(extractJson('no json here') === null, 'Expected null for plain text');
+});
+
+await test('Valid output needs no repair', async () => {
+  const provider = new MockProvider({ fixtures: {} });
+  const result = await ensureStructured(provider, JSON.stringify(validAnalysis), ANALYSIS_SCHEMA);
+  assert(result.status === 'ok', `Unexpected status ${result.status}`);
+  assert(provider.calls.length === 0, 'Provider should not be called');
+});
+
+await test('Invalid output is repaired by the provider', async () => {
+  const provider = new MockProvider({ fixtures: { repair: { text: JSON.stringify(validAnalysis) } } });
+  const result = await ensureStructured(provider, 'Here are my thoughts: AI is great.', ANALYSIS_SCHEMA);
+  assert(result.status === 'repaired', `Unexpected status ${result.status}`);
+  assert(result.repairAttempts === 1, `Expected 1 repair attempt, got ${result.repairAttempts}`);
+  assert(provider.calls[0].task === 'repair', 'Repair call should use the repair task');
+  assert(provider.calls[0].responseSchema === ANALYSIS_SCHEMA, 'Repair call should request the schema');
+});
+
+await test('Repair loop is bounded and degrades without fabricating content', async () => {
+  const provider = new MockProvider({ fixtures: { repair: { text: 'still not json' } } });
+  const result = await ensureStructured(provider, 'plain text answer', ANALYSIS_SCHEMA, { maxRepairs: 2 });
+  assert(result.status === 'degraded', `Unexpected status ${result.status}`);
+  assert(result.value === null, 'Degraded result must not carry content');
+  assert(provider.calls.length === 2, `Expected 2 repair calls, got ${provider.calls.length}`);
+});
+
+await test('Parseable but invalid output is reported as partial', async () => {
+  const provider = new MockProvider({ fixtures: { repair: { text: 'not json' } } });
+  const invalid = JSON.stringify({ definitions: [{ term: 'AI' }], arguments: { main: [], counter: [] } });
+  const result = await ensureStructured(provider, invalid, ANALYSIS_SCHEMA, { maxRepairs: 1 });
+  assert(result.status === 'partial', `Unexpected status ${result.status}`);
+  assert(result.value.definitions.length === 1, 'Partial result should keep the parsed value');
+});
+
+await test('Provider errors during repair end the loop', async () => {
+  const provider = new MockProvider({ fixtures: {} });
+  const result = await ensureStructured(provider, 'nope', ANALYSIS_SCHEMA, { maxRepairs: 3 });
+  assert(result.status === 'degraded', `Unexpected status ${result.status}`);
+  assert(provider.calls.length === 1, 'Expected loop to stop after the failing call');
+});
+
+await test('Cancelled repair calls are rethrown, not degraded', async () => {
+  for (const name of ['RequestCancelledError', 'AbortError']) {
+    const cancelled = Object.assign(new Error('cancelled'), { name });
+    const provider = { generate: async () => { throw cancelled; } };
+    const error = await ensureStructured(provider, 'nope', ANALYSIS_SCHEMA).then(() => null, e => e);
+    assert(error === cancelled, `${name} swallowed`);
+  }
+});
+
+await test('A job interrupted during a repair fails instead of degrading', async () => {
+  let repairStarted;
+  const repairing = new Promise(resolve => { repairStarted = resolve; });
+  const provider = {
+    name: 'stub',
+    model: 'stub-model',
+    generate: async request => {
+      if (request.task !== 'repair') {
+        return { text: 'not json', candidates: [], usageMetadata: null };
+      }
+      repairStarted();
+      // Like ResilientProvider, a cancelled call rejects with whatever the signal was aborted with
+      return new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(request.signal.reason));
+      });
+    }
+  };
+  const store = new MemoryJobStore();
+  const { jobManager } = createApiRouter(createAnalysisCore({ provider, settings: settingsFromEnv({}) }), { jobStore: store });
+  const { write } = logger.settings;
+  const warnings = [];
+  logger.configure({ write: (level, line) => warnings.push(line) });
+  try {
+    const job = await jobManager.create('compare', {
+      articles: [{ title: 'A', url: 'https://a.example/', text: 'One account.' }, { title: 'B', url: 'https://b.example/', text: 'Another.' }]
+    });
+    const { done } = jobManager.running.get(job.id);
+    await repairing;
+    const { interrupted } = await jobManager.drain({ timeoutMs: 10 });
+    await done;
+
+    assert(interrupted === 1, 'Job not interrupted');
+    assert(!warnings.some(line => line.includes('Repair attempt failed')), 'Interrupted repair treated as a failed repair');
+    const failedJob = await jobManager.get(job.id);
+    assert(failedJob.status === 'failed' && failedJob.code === 'server_shutdown' && failedJob.result === null, JSON.stringify(failedJob));
+  } finally {
+    logger.configure({ write });
+    store.destroy();
+  }
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
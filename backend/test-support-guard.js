@@ -0,0 +1,126 @@
+/**
+ * Unit tests for the support guard
+ * These tests don't require API calls
+ */
+
+import { SupportGuard, tokenize, splitSentences } from './support-guard.js';
+
+console.log('=================================');
+console.log('Running Support Guard Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const article = `The city council voted on Tuesday to expand the bike lane network by 40 kilometres.
+Supporters argued that protected lanes reduce traffic injuries and encourage commuting by bicycle.
+Local shop owners worried that removing parking spaces would hurt their business.
+
+The project will be funded through a regional transport grant. Construction starts next spring.`;
+
+const analysis = {
+  definitions: [
+    { term: 'Protected bike lane', definition: 'A cycling lane physically separated from car traffic.' },
+    { term: 'Cryptocurrency mining', definition: 'Validating blockchain transactions for rewards.' }
+  ],
+  arguments: {
+    main: [
+      { text: 'Protected lanes reduce traffic injuries and encourage cycling to work.' },
+      { text: 'The moon landing footage was produced in a film studio.' }
+    ],
+    counter: [
+      { text: 'Removing parking spaces could hurt local shops.' }
+    ]
+  }
+};
+
+test('Tokenizer drops stopwords and folds simple inflections', () => {
+  const tokens = tokenize('The lanes are reducing injuries');
+  assert(!tokens.includes('the') && !tokens.includes('are'), `Stopwords kept: ${tokens}`);
+  assert(tokens.includes(tokenize('lane')[0]), 'Plural not folded');
+  assert(tokens.includes(tokenize('reduce')[0]), `Inflection not folded: ${tokens}`);
+});
+
+test('Sentences split on terminal punctuation and blank lines', () => {
+  const sentences = splitSentences(article);
+  assert(sentences.length === 5, `Expected 5 sentences, got ${sentences.length}`);
+});
+
+test('Supported items score high, fabricated items are dropped', () => {
+  const result = new SupportGuard(article).apply(analysis);
+  const terms = result.definitions.map(def => def.term);
+  assert(terms.includes('Protected bike lane'), 'Supported definition dropped');
+  assert(!terms.includes('Cryptocurrency mining'), 'Unsupported definition kept');
+  assert(result.arguments.main.length === 1, `Expected 1 main argument, got ${result.arguments.main.length}`);
+  assert(result.arguments.main[0].support >= 0.5, `Supported argument scored ${result.arguments.main[0].support}`);
+  assert(result.arguments.counter.length === 1, 'Paraphrased counter argument dropped');
+  assert(result.supportSummary.dropped === 2, `Expected 2 dropped, got ${result.supportSummary.dropped}`);
+});
+
+test('Every kept item carries a support score between 0 and 1', () => {
+  const result = new SupportGuard(article).apply(analysis);
+  const items = [...result.definitions, ...result.arguments.main, ...result.arguments.counter];
+  assert(items.every(item => typeof item.support === 'number' && item.support >= 0 && item.support <= 1),
+    'Missing or out-of-range support score');
+});
+
+test('Weakly supported items are flagged, not dropped', () => {
+  const guard = new SupportGuard(article, { dropThreshold: 0.1, flagThreshold: 0.9 });
+  const item = guard.check({ text: 'Bike lanes are funded by a national lottery.' }, 'argument');
+  assert(item !== null, 'Item dropped');
+  assert(item.lowSupport === true, 'Item not flagged');
+});
+
+test('Requested concepts count as supported terms', () => {
+  const guard = new SupportGuard(article, { concepts: ['Cryptocurrency mining'] });
+  const item = guard.check(analysis.definitions[1], 'definition');
+  assert(item !== null, 'Definition of a requested concept dropped');
+});
+
+test('Scores are deterministic', () => {
+  const first = JSON.stringify(new SupportGuard(article).apply(analysis));
+  const second = JSON.stringify(new SupportGuard(article).apply(analysis));
+  assert(first === second, 'Repeated runs differ');
+});
+
+test('Plain-string arguments are accepted', () => {
+  const guard = new SupportGuard(article);
+  assert(guard.scoreArgument('Construction starts next spring.') > 0.9, 'String argument not scored');
+});
+
+test('Translated items are scored by their evidence', () => {
+  const guard = new SupportGuard(article, { translated: true });
+  const quote = 'Construction starts next spring.';
+  const start = article.indexOf(quote);
+  const withEvidence = guard.check({ text: 'Die Bauarbeiten beginnen im Frühjahr.', evidence: [{ quote, start, end: start + quote.length }] }, 'argument');
+  assert(withEvidence && withEvidence.support > 0.9, 'Translated item with evidence should be supported');
+  assert(guard.check({ text: 'Die Bauarbeiten beginnen im Frühjahr.', evidence: [] }, 'argument') === null, 'Translated item without evidence should be dropped');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
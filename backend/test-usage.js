@@ -0,0 +1,280 @@
+/**
+ * Unit tests for token usage accounting and budgets
+ * These tests don't require API calls
+ */
+
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { MockProvider } from './providers/mock.js';
+import {
+  MeteredProvider,
+  UsageLedger,
+  createBudgetMiddleware,
+  parseModelPrices,
+  countTokens,
+  costOf,
+  summarizeUsage,
+  estimateUsage,
+  usageContext
+} from './usage.js';
+
+console.log('=================================');
+console.log('Running Usage Unit Tests');
+console.log('=================================\n');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  console.log(`Test: ${name}`);
+  try {
+    await fn();
+    console.log('  ✅ PASSED\n');
+    passed++;
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const FIXTURES = {
+  analyze: { text: '{"summary":"ok"}', usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 200, totalTokenCount: 1200 } },
+  search: { text: '{"articles":[]}', usageMetadata: { promptTokenCount: 300, candidatesTokenCount: 100, totalTokenCount: 400 } }
+};
+
+const QA = { id: 'key:qa', type: 'key', name: 'qa' };
+
+/**
+ * Ledger and provider metered into it, as wired in server.js
+ * @param {Object} [options] - UsageLedger options
+ */
+function setup(options = {}, providerOptions = {}) {
+  const ledger = new UsageLedger({ prices: { mock: { input: 0.5, output: 2 } }, ...options });
+  const mock = new MockProvider({ fixtures: FIXTURES, chunkSize: 4, ...providerOptions });
+  const provider = new MeteredProvider(mock, ({ request, usageMetadata, estimated }) => ledger.recordCall({
+    ...usageContext.getStore(),
+    request,
+    usageMetadata,
+    estimated,
+    provider: mock.name,
+    model: mock.model
+  }));
+  return { ledger, provider };
+}
+
+/**
+ * Run a middleware against a fake request
+ * @returns {{nextCalled: boolean, status: number|null, body: Object|null, headers: Object}}
+ */
+function runMiddleware(middleware, client) {
+  const result = { nextCalled: false, status: null, body: null, headers: {} };
+  const res = {
+    setHeader: (name, value) => { result.headers[name] = value; },
+    status(code) { result.status = code; return this; },
+    json(body) { result.body = body; return this; }
+  };
+  middleware({ client }, res, () => { result.nextCalled = true; });
+  return result;
+}
+
+await test('Tokens and cost are counted from usage metadata', () => {
+  const tokens = countTokens(FIXTURES.analyze.usageMetadata);
+  assert(tokens.promptTokens === 1000 && tokens.outputTokens === 200 && tokens.totalTokens === 1200, `Unexpected tokens ${JSON.stringify(tokens)}`);
+  assert(countTokens(null).totalTokens === 0, 'Missing metadata should count as zero');
+  assert(countTokens({ promptTokenCount: 5, candidatesTokenCount: 7 }).totalTokens === 12, 'Total should default to prompt + output');
+  assert(Math.abs(costOf(tokens, { input: 0.5, output: 2 }) - 0.0009) < 1e-12, 'Wrong cost');
+  assert(costOf(tokens, undefined) === null, 'Unpriced model should have no cost');
+});
+
+await test('Calls are charged to the client and route in context', async () => {
+  const { ledger, provider } = setup();
+  await usageContext.run({ client: QA, route: '/analyze' }, async () => {
+    ledger.recordRequest(QA.id);
+    await provider.generate({ task: 'analyze', prompt: 'p' });
+    await provider.generate({ task: 'search', prompt: 'p', grounding: true });
+  });
+  await provider.generate({ task: 'analyze', prompt: 'p' });
+
+  const { day, month } = ledger.getUsage(QA.id);
+  assert(day.requests === 1 && day.calls === 2, `Unexpected counts ${JSON.stringify(day)}`);
+  assert(day.promptTokens === 1300 && day.outputTokens === 300 && day.totalTokens === 1600, `Unexpected tokens ${JSON.stringify(day)}`);
+  assert(Math.abs(day.costUsd - 0.00125) < 1e-9, `Unexpected cost ${day.costUsd}`);
+  assert(month.totalTokens === 1600, 'Month should include the day');
+  assert(ledger.getUsage('unattributed').day.calls === 1, 'Call outside a request should be unattributed');
+});
+
+await test('Streamed calls are metered when the stream ends', async () => {
+  const { ledger, provider } = setup();
+  let reported = null;
+  await usageContext.run({ client: QA, route: '/analyze' }, async () => {
+    let text = '';
+    for await (const chunk of provider.generateStream({ task: 'analyze', prompt: 'p', onUsage: usage => { reported = usage; } })) {
+      text += chunk;
+      assert(ledger.getUsage(QA.id).day.calls === 0, 'Call recorded before the stream ended');
+    }
+    assert(text === FIXTURES.analyze.text, 'Stream text changed');
+  });
+  assert(ledger.getUsage(QA.id).day.totalTokens === 1200, 'Streamed call not metered');
+  assert(reported?.totalTokenCount === 1200, 'Caller onUsage not called');
+});
+
+await test('Cancelled and failed streams are charged an estimate', async () => {
+  const prompt = 'p'.repeat(400);
+  const { ledger, provider } = setup({}, { faults: [{ status: 500, afterChunks: 2 }, { status: 503 }] });
+  const records = [];
+  const recordCall = ledger.recordCall.bind(ledger);
+  ledger.recordCall = call => records[records.push(recordCall(call)) - 1];
+  const consume = async (stop = Infinity) => {
+    let chunks = 0;
+    for await (const chunk of provider.generateStream({ task: 'analyze', prompt })) {
+      if (++chunks >= stop || !chunk) break;
+    }
+  };
+
+  await usageContext.run({ client: QA, route: '/analyze' }, async () => {
+    // Fails after two chunks
+    const error = await consume().then(() => null, e => e);
+    assert(error?.status === 500, 'Stream did not fail');
+    assert(records.length === 1 && records[0].estimated === true, 'Failed stream not metered');
+    assert(records[0].totalTokens === estimateUsage(prompt, '{"summar').totalTokenCount, `Unexpected tokens ${records[0].totalTokens}`);
+
+    // Refused before any output: nothing was generated
+    await consume().catch(() => {});
+    assert(records.length === 1, 'Refused stream charged');
+
+    // The client goes away after the first chunk
+    await consume(1);
+    assert(records.length === 2 && records[1].estimated && records[1].outputTokens === 1, 'Cancelled stream not metered');
+  });
+  assert(ledger.getUsage(QA.id).day.calls === 2, 'Estimates not added to the totals');
+  assert(estimateUsage('abcdefgh', 'abcde').totalTokenCount === 4, 'Estimate should be about four characters per token');
+});
+
+await test('Budgets reject with budget_exhausted until the period resets', async () => {
+  let now = Date.parse('2026-03-10T23:00:00Z');
+  const { ledger, provider } = setup({ dailyTokenBudget: 2000, monthlyTokenBudget: 3000, now: () => now });
+  const checkBudget = createBudgetMiddleware(ledger);
+
+  await usageContext.run({ client: QA, route: '/analyze' }, async () => {
+    await provider.generate({ task: 'analyze', prompt: 'p' });
+    assert(runMiddleware(checkBudget, QA).nextCalled, 'Request under budget rejected');
+    await provider.generate({ task: 'analyze', prompt: 'p' });
+  });
+
+  const rejected = runMiddleware(checkBudget, QA);
+  assert(!rejected.nextCalled && rejected.status === 429, 'Exhausted daily budget not rejected');
+  assert(rejected.body.code === 'budget_exhausted' && rejected.body.period === 'day', `Unexpected body ${JSON.stringify(rejected.body)}`);
+  assert(rejected.body.resetsAt === '2026-03-11T00:00:00.000Z', `Wrong reset ${rejected.body.resetsAt}`);
+  assert(rejected.headers['Retry-After'] === 3600, `Wrong Retry-After ${rejected.headers['Retry-After']}`);
+  assert(ledger.getUsage(QA.id).day.remainingTokens === 0, 'Remaining should not go below zero');
+  assert(runMiddleware(checkBudget, { id: 'key:other' }).nextCalled, 'Other clients should not share the budget');
+
+  // Next day: the daily budget is fresh, the monthly one is not
+  now = Date.parse('2026-03-11T08:00:00Z');
+  const usage = ledger.getUsage(QA.id);
+  assert(usage.day.totalTokens === 0 && usage.day.remainingTokens === 2000, 'Day did not roll over');
+  assert(usage.month.remainingTokens === 600, `Unexpected monthly remainder ${usage.month.remainingTokens}`);
+  await usageContext.run({ client: QA, route: '/search' }, () => provider.generate({ task: 'search', prompt: 'p' }));
+  await usageContext.run({ client: QA, route: '/search' }, () => provider.generate({ task: 'search', prompt: 'p' }));
+  const monthly = runMiddleware(checkBudget, QA);
+  assert(monthly.status === 429 && monthly.body.period === 'month' && monthly.body.resetsAt === '2026-04-01T00:00:00.000Z', 'Exhausted monthly budget not rejected');
+
+  now = Date.parse('2026-04-01T00:00:01Z');
+  assert(runMiddleware(checkBudget, QA).nextCalled, 'Month did not roll over');
+});
+
+await test('Clients are forgotten once their month is over or beyond maxClients', () => {
+  let now = Date.parse('2026-03-31T12:00:00Z');
+  const ledger = new UsageLedger({ maxClients: 3, now: () => now });
+  ['a', 'b', 'c'].forEach(id => ledger.recordRequest(id));
+  ledger.recordRequest('a');
+  ledger.recordRequest('d');
+  assert([...ledger.clients.keys()].join() === 'c,a,d', `Least recently seen not evicted: ${[...ledger.clients.keys()]}`);
+
+  now = Date.parse('2026-04-01T00:30:00Z');
+  ledger.recordRequest('e');
+  ledger.cleanup();
+  assert([...ledger.clients.keys()].join() === 'e', `Last month's clients kept: ${[...ledger.clients.keys()]}`);
+  ledger.destroy();
+});
+
+await test('No budget means no limit', async () => {
+  const { ledger, provider } = setup();
+  await usageContext.run({ client: QA }, () => provider.generate({ task: 'analyze', prompt: 'p' }));
+  const { day } = ledger.getUsage(QA.id);
+  assert(day.budgetTokens === null && day.remainingTokens === null, 'Unlimited budget should report null');
+  assert(runMiddleware(createBudgetMiddleware(ledger), QA).nextCalled, 'Unlimited client rejected');
+});
+
+await test('Usage log is written and restores totals after a restart', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'usage-test-'));
+  const logFile = join(dir, 'usage.jsonl');
+  try {
+    let now = Date.parse('2026-05-02T12:00:00Z');
+    const first = setup({ logFile, now: () => now });
+    await usageContext.run({ client: QA, route: '/analyze' }, () => first.provider.generate({ task: 'analyze', prompt: 'p' }));
+    now = Date.parse('2026-05-03T12:00:00Z');
+    await usageContext.run({ client: QA, route: '/search' }, () => first.provider.generate({ task: 'search', prompt: 'p', grounding: true }));
+    await first.ledger.flush();
+
+    const records = (await readFile(logFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert(records.length === 2, `Expected 2 log records, got ${records.length}`);
+    assert(records[1].client === 'key:qa' && records[1].route === '/search' && records[1].grounded === true, `Unexpected record ${JSON.stringify(records[1])}`);
+    assert(records[0].model === 'mock' && records[0].costUsd > 0, 'Record should carry model and cost');
+
+    const restarted = new UsageLedger({ logFile, now: () => now });
+    assert(await restarted.load() === 2, 'Records not loaded');
+    const usage = restarted.getUsage(QA.id);
+    assert(usage.day.totalTokens === 400, `Only today's calls should count for the day, got ${usage.day.totalTokens}`);
+    assert(usage.month.totalTokens === 1600, `Whole month should be restored, got ${usage.month.totalTokens}`);
+
+    const nextMonth = new UsageLedger({ logFile, now: () => Date.parse('2026-06-01T00:00:00Z') });
+    await nextMonth.load();
+    assert(nextMonth.getUsage(QA.id).month.totalTokens === 0, 'Earlier months should not be loaded');
+    assert(await new UsageLedger({ logFile: join(dir, 'missing.jsonl') }).load() === 0, 'Missing log should load nothing');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await test('Spend is summarized per month, client and model', () => {
+  const record = (time, client, model, totalTokens, costUsd) => ({ time, client, model, promptTokens: totalTokens, outputTokens: 0, totalTokens, costUsd });
+  const rows = summarizeUsage([
+    record('2026-01-05T00:00:00Z', 'key:a', 'gemini-2.0-flash', 100, 0.01),
+    record('2026-01-06T00:00:00Z', 'key:a', 'gemini-2.0-flash', 50, 0.02),
+    record('2026-01-06T00:00:00Z', 'key:b', 'local-model', 10, null),
+    record('2026-02-01T00:00:00Z', 'key:a', 'gemini-2.0-flash', 1, 0.001)
+  ]);
+  assert(rows.length === 3, `Expected 3 rows, got ${rows.length}`);
+  assert(rows[0].client === 'key:a' && rows[0].calls === 2 && rows[0].totalTokens === 150 && Math.abs(rows[0].costUsd - 0.03) < 1e-9, `Unexpected row ${JSON.stringify(rows[0])}`);
+  assert(rows[1].unpricedCalls === 1 && rows[1].costUsd === 0, 'Unpriced calls should be counted, not costed');
+  assert(summarizeUsage([record('2026-02-01T00:00:00Z', 'key:a', 'm', 1, 0)], { month: '2026-01' }).length === 0, 'Month filter not applied');
+});
+
+await test('MODEL_PRICES is validated and merged over the defaults', () => {
+  const prices = parseModelPrices('{"gemini-2.5-flash": {"input": 0.3, "output": 2.5}}');
+  assert(prices['gemini-2.5-flash'].output === 2.5 && prices['gemini-2.0-flash'], 'Prices not merged');
+  let error = null;
+  try { parseModelPrices('not json'); } catch (e) { error = e; }
+  assert(error, 'Invalid JSON accepted');
+  error = null;
+  try { parseModelPrices('{"x": {"input": -1, "output": 1}}'); } catch (e) { error = e; }
+  assert(error && error.message.includes('"x"'), 'Negative price accepted');
+});
+
+console.log('=================================');
+console.log(`Results: ${passed} passed, ${failed} failed`);
+console.log('=================================\n');
+
+if (failed > 0) {
+  process.exit(1);
+} else {
+  console.log('✅ All tests passed!');
+}
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Report
+ * Sums the usage log (USAGE_LOG_FILE) per month, client and model, for attributing model spend
+ *
+ * Usage: node usage-report.js <usage-log> [YYYY-MM] [--csv]
+ */
+
+import { readFile } from 'fs/promises';
+import { summarizeUsage } from './usage.js';
+
+const args = process.argv.slice(2);
+const csv = args.includes('--csv');
+const [logFile, month] = args.filter(arg => arg !== '--csv');
+
+if (!logFile) {
+  console.error('Usage: node usage-report.js <usage-log> [YYYY-MM] [--csv]');
+  console.error('Example: node usage-report.js ./usage.jsonl 2026-01 --csv > usage-2026-01.csv');
+  process.exit(1);
+}
+
+let text;
+try {
+  text = await readFile(logFile, 'utf8');
+} catch (error) {
+  console.error(`ERROR: Cannot read ${logFile}: ${error.message}`);
+  process.exit(1);
+}
+
+const records = [];
+for (const line of text.split('\n')) {
+  if (!line.trim()) continue;
+  try {
+    records.push(JSON.parse(line));
+  } catch {
+    console.warn(`Skipping malformed line: ${line.substring(0, 80)}`);
+  }
+}
+
+const rows = summarizeUsage(records, { month });
+const columns = ['month', 'client', 'model', 'calls', 'promptTokens', 'outputTokens', 'totalTokens', 'costUsd', 'unpricedCalls'];
+
+if (csv) {
+  console.log(columns.join(','));
+  for (const row of rows) {
+    console.log(columns.map(column => JSON.stringify(column === 'costUsd' ? row.costUsd.toFixed(6) : row[column])).join(','));
+  }
+} else {
+  console.table(rows.map(row => ({ ...row, costUsd: row.costUsd.toFixed(4) })), columns);
+  const totalCost = rows.reduce((sum, row) => sum + row.costUsd, 0);
+  const unpriced = rows.reduce((sum, row) => sum + row.unpricedCalls, 0);
+  console.log(`Total: $${totalCost.toFixed(4)} over ${rows.reduce((sum, row) => sum + row.calls, 0)} calls${unpriced ? ` (${unpriced} calls to unpriced models not included)` : ''}`);
+}
@@ -0,0 +1,462 @@
+/**
+ * Token usage accounting and budgets
+ * Every model call is metered: its token counts and cost are attributed to the client and
+ * route of the request that caused it, added to the client's daily and monthly totals, and
+ * optionally appended to a JSON Lines log for spend reports (see usage-report.js).
+ *
+ * Attribution uses AsyncLocalStorage, so code between the route handler and the provider
+ * does not need to pass the client along. Calls made for a request that joined an identical
+ * computation in flight (see analysis-cache.js) are charged to the request that started it.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { appendFile, readFile } from 'fs/promises';
+import { logger } from './logger.js';
+
+// USD per million tokens as published for the paid tier; prices change, so check them and
+// override or extend this table with MODEL_PRICES
+export const DEFAULT_MODEL_PRICES = {
+  'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+  mock: { input: 0, output: 0 }
+};
+
+export const BUDGET_PERIODS = ['day', 'month'];
+
+// Client and route of the request being handled: { client, route }
+export const usageContext = new AsyncLocalStorage();
+
+/**
+ * Parse MODEL_PRICES
+ * @param {string} value - JSON object, e.g. {"gemini-2.5-flash": {"input": 0.3, "output": 2.5}}
+ * @returns {Object} Prices merged over the defaults
+ */
+export function parseModelPrices(value) {
+  if (!value) return { ...DEFAULT_MODEL_PRICES };
+  let prices;
+  try {
+    prices = JSON.parse(value);
+  } catch {
+    throw new Error('MODEL_PRICES must be a JSON object of { "<model>": { "input": <USD>, "output": <USD> } } per million tokens');
+  }
+  for (const [model, price] of Object.entries(prices)) {
+    if (!(price?.input >= 0) || !(price?.output >= 0)) {
+      throw new Error(`MODEL_PRICES entry for "${model}" needs non-negative input and output prices`);
+    }
+  }
+  return { ...DEFAULT_MODEL_PRICES, ...prices };
+}
+
+/**
+ * Token counts of one call
+ * @param {Object|null} usageMetadata - As reported by the provider
+ * @returns {{promptTokens: number, outputTokens: number, totalTokens: number}}
+ */
+export function countTokens(usageMetadata) {
+  const promptTokens = usageMetadata?.promptTokenCount || 0;
+  const outputTokens = usageMetadata?.candidatesTokenCount || 0;
+  return { promptTokens, outputTokens, totalTokens: usageMetadata?.totalTokenCount || promptTokens + outputTokens };
+}
+
+/**
+ * Cost of one call
+ * @param {{promptTokens: number, outputTokens: number}} tokens
+ * @param {{input: number, output: number}|undefined} price - USD per million tokens
+ * @returns {number|null} USD, or null when the model has no price
+ */
+export function costOf(tokens, price) {
+  if (!price) return null;
+  return (tokens.promptTokens * price.input + tokens.outputTokens * price.output) / 1e6;
+}
+
+/**
+ * Rough usage of a call whose provider did not report any, at about four characters per token
+ * @param {string} prompt - Prompt sent
+ * @param {string} output - Text received
+ * @returns {Object} usageMetadata
+ */
+export function estimateUsage(prompt, output) {
+  const promptTokenCount = Math.ceil((prompt || '').length / 4);
+  const candidatesTokenCount = Math.ceil((output || '').length / 4);
+  return { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+}
+
+/**
+ * Provider wrapper that reports the usage of every call
+ */
+export class MeteredProvider {
+  /**
+   * @param {Object} provider - Provider to wrap
+   * @param {Function} onCall - Called with { request, usageMetadata, durationMs, estimated } after each call
+   */
+  constructor(provider, onCall) {
+    this.provider = provider;
+    this.onCall = onCall;
+  }
+
+  get name() {
+    return this.provider.name;
+  }
+
+  get model() {
+    return this.provider.model;
+  }
+
+  async generate(request) {
+    const start = performance.now();
+    const result = await this.provider.generate(request);
+    this.onCall({ request, usageMetadata: result.usageMetadata, durationMs: performance.now() - start });
+    return result;
+  }
+
+  async *generateStream(request) {
+    const start = performance.now();
+    let metered = false;
+    let output = '';
+    const meter = usageMetadata => {
+      metered = true;
+      const estimated = !usageMetadata;
+      this.onCall({ request, usageMetadata: usageMetadata || estimateUsage(request.prompt, output), durationMs: performance.now() - start, estimated });
+    };
+
+    try {
+      for await (const chunk of this.provider.generateStream({
+        ...request,
+        onUsage: usageMetadata => {
+          request.onUsage?.(usageMetadata);
+          meter(usageMetadata);
+        }
+      })) {
+        output += chunk;
+        yield chunk;
+      }
+    } finally {
+      // Streams that are cancelled or fail midway never report usage, but their tokens are billed.
+      // One that failed before any output or cancellation (e.g. refused with a 503) cost nothing
+      if (!metered && (output || request.signal?.aborted)) {
+        meter(null);
+      }
+    }
+  }
+
+  // Readiness checks generate nothing, so there is nothing to meter
+  async check(options) {
+    await this.provider.check?.(options);
+  }
+}
+
+/**
+ * UTC period ids
+ * @param {number} time - ms since epoch
+ * @returns {{day: string, month: string}} e.g. { day: "2026-01-31", month: "2026-01" }
+ */
+function periodsOf(time) {
+  const iso = new Date(time).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+/**
+ * Start of the next period
+ * @param {string} period - 'day' or 'month'
+ * @param {number} time - ms since epoch
+ * @returns {string} ISO timestamp
+ */
+function nextPeriodStart(period, time) {
+  const date = new Date(time);
+  const next = period === 'day'
+    ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)
+    : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return new Date(next).toISOString();
+}
+
+function emptyTotals(id) {
+  return { id, requests: 0, calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+/**
+ * Per-client usage totals and budgets
+ */
+export class UsageLedger {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.prices] - USD per million tokens per model (default: DEFAULT_MODEL_PRICES)
+   * @param {number} [options.dailyTokenBudget] - Tokens per client per UTC day; 0 for no limit
+   * @param {number} [options.monthlyTokenBudget] - Tokens per client per UTC month; 0 for no limit
+   * @param {string} [options.logFile] - JSON Lines file every call is appended to (none when omitted)
+   * @param {number} [options.maxClients] - Clients whose totals are kept; the least recently seen
+   *   are forgotten beyond this (default: 100000)
+   * @param {Function} [options.now] - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.prices = options.prices || DEFAULT_MODEL_PRICES;
+    this.budgets = { day: options.dailyTokenBudget || 0, month: options.monthlyTokenBudget || 0 };
+    this.logFile = options.logFile || null;
+    this.maxClients = options.maxClients || 100000;
+    this.now = options.now || Date.now;
+    // Least recently seen first; anyone can register an install token, so this must not grow forever
+    this.clients = new Map();
+    this.writes = Promise.resolve();
+
+    // Drop clients last seen in an earlier month every hour; unref so the timer never keeps the process alive
+    this.cleanupInterval = setInterval(() => this.cleanup(), 3600000);
+    this.cleanupInterval.unref();
+  }
+
+  /**
+   * Totals of a client for the current periods, starting new periods as time passes
+   * @param {string} clientId
+   * @returns {{day: Object, month: Object}}
+   */
+  totalsFor(clientId) {
+    const periods = periodsOf(this.now());
+    let totals = this.clients.get(clientId);
+    if (totals) {
+      this.clients.delete(clientId);
+    } else {
+      totals = { day: emptyTotals(periods.day), month: emptyTotals(periods.month) };
+      if (this.clients.size >= this.maxClients) {
+        const [oldest] = this.clients.keys();
+        this.clients.delete(oldest);
+      }
+    }
+    this.clients.set(clientId, totals);
+    for (const period of BUDGET_PERIODS) {
+      if (totals[period].id !== periods[period]) {
+        totals[period] = emptyTotals(periods[period]);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Forget clients whose totals are all from earlier periods
+   * Nothing is lost: their day and month totals would start from zero on their next request.
+   */
+  cleanup() {
+    const { month } = periodsOf(this.now());
+    for (const [clientId, totals] of this.clients) {
+      if (totals.month.id !== month) {
+        this.clients.delete(clientId);
+      }
+    }
+  }
+
+  destroy() {
+    clearInterval(this.cleanupInterval);
+  }
+
+  /**
+   * Count a request to a model-backed route
+   * @param {string} clientId
+   */
+  recordRequest(clientId) {
+    const totals = this.totalsFor(clientId);
+    totals.day.requests++;
+    totals.month.requests++;
+  }
+
+  /**
+   * Record one model call
+   * @param {Object} call
+   * @param {Object} [call.client] - req.client of the request that made the call
+   * @param {string} [call.route] - Route of that request
+   * @param {Object} call.request - GenerateRequest
+   * @param {Object|null} call.usageMetadata - Provider token counts
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model name
+   * @param {boolean} [call.estimated] - Token counts are estimated (the provider reported none)
+   * @returns {Object} The usage record
+   */
+  recordCall({ client, route, request, usageMetadata, provider, model, estimated = false }) {
+    const tokens = countTokens(usageMetadata);
+    const costUsd = costOf(tokens, this.prices[model]);
+    const record = {
+      time: new Date(this.now()).toISOString(),
+      client: client?.id || 'unattributed',
+      clientType: client?.type || null,
+      route: route || null,
+      task: request.task || null,
+      provider,
+      model,
+      grounded: Boolean(request.grounding),
+      ...tokens,
+      estimated,
+      costUsd
+    };
+
+    this.add(record);
+    if (this.logFile) {
+      // Best effort: a failed write loses the record from the log, not from the totals
+      this.writes = this.writes
+        .then(() => appendFile(this.logFile, `${JSON.stringify(record)}\n`))
+        .catch(error => logger.warn('Usage log write failed', { error: error.message }));
+    }
+    return record;
+  }
+
+  /**
+   * Add a record to a client's totals
+   * @param {Object} record
+   * @param {string[]} [periods] - Periods the record falls in (default: the current day and month)
+   */
+  add(record, periods = BUDGET_PERIODS) {
+    const totals = this.totalsFor(record.client);
+    for (const period of periods) {
+      const current = totals[period];
+      current.calls++;
+      current.promptTokens += record.promptTokens;
+      current.outputTokens += record.outputTokens;
+      current.totalTokens += record.totalTokens;
+      if (record.costUsd === null) current.unpricedCalls++;
+      else current.costUsd += record.costUsd;
+    }
+  }
+
+  /**
+   * Rebuild this month's totals from the log file, so budgets survive restarts
+   * @returns {Promise<number>} Records loaded
+   */
+  async load() {
+    if (!this.logFile) return 0;
+    let text;
+    try {
+      text = await readFile(this.logFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const { day, month } = periodsOf(this.now());
+    let loaded = 0;
+    for (const line of text.split('\n')) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        // Skip blank and torn lines
+        continue;
+      }
+      if (record.time.slice(0, 7) !== month) continue;
+      // Earlier days of the month only count towards the month
+      this.add(record, record.time.slice(0, 10) === day ? BUDGET_PERIODS : ['month']);
+      loaded++;
+    }
+    return loaded;
+  }
+
+  /**
+   * Usage of a client with budgets and what is left of them
+   * @param {string} clientId
+   * @returns {{day: Object, month: Object}}
+   */
+  getUsage(clientId) {
+    const totals = this.totalsFor(clientId);
+    const now = this.now();
+    const usage = {};
+    for (const period of BUDGET_PERIODS) {
+      const { id, ...current } = totals[period];
+      const budget = this.budgets[period] || null;
+      usage[period] = {
+        period: id,
+        ...current,
+        costUsd: Math.round(current.costUsd * 1e6) / 1e6,
+        budgetTokens: budget,
+        remainingTokens: budget === null ? null : Math.max(0, budget - current.totalTokens),
+        resetsAt: nextPeriodStart(period, now)
+      };
+    }
+    return usage;
+  }
+
+  /**
+   * Find an exhausted budget
+   * @param {string} clientId
+   * @returns {{period: string, budgetTokens: number, usedTokens: number, resetsAt: string}|null}
+   */
+  exhaustedBudget(clientId) {
+    const totals = this.totalsFor(clientId);
+    for (const period of BUDGET_PERIODS) {
+      const budget = this.budgets[period];
+      if (budget && totals[period].totalTokens >= budget) {
+        return { period, budgetTokens: budget, usedTokens: totals[period].totalTokens, resetsAt: nextPeriodStart(period, this.now()) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The log file, when there is one, can be appended to (it is created if missing)
+   */
+  async check() {
+    if (this.logFile) {
+      await appendFile(this.logFile, '');
+    }
+  }
+
+  /**
+   * Wait for pending log writes
+   */
+  async flush() {
+    await this.writes;
+  }
+}
+
+/**
+ * Spend per month, client and model from usage log records
+ * @param {Object[]} records - Parsed USAGE_LOG_FILE lines
+ * @param {Object} [options]
+ * @param {string} [options.month] - Only this month, e.g. "2026-01"
+ * @returns {Array<{month: string, client: string, model: string, calls: number, promptTokens: number, outputTokens: number, totalTokens: number, costUsd: number, unpricedCalls: number}>}
+ */
+export function summarizeUsage(records, options = {}) {
+  const rows = new Map();
+  for (const record of records) {
+    const month = record.time.slice(0, 7);
+    if (options.month && month !== options.month) continue;
+    const key = `${month}\t${record.client}\t${record.model}`;
+    let row = rows.get(key);
+    if (!row) {
+      row = { month, client: record.client, model: record.model, calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 };
+      rows.set(key, row);
+    }
+    row.calls++;
+    row.promptTokens += record.promptTokens;
+    row.outputTokens += record.outputTokens;
+    row.totalTokens += record.totalTokens;
+    if (record.costUsd === null) row.unpricedCalls++;
+    else row.costUsd += record.costUsd;
+  }
+  return [...rows.values()].sort((a, b) => a.month.localeCompare(b.month) || b.costUsd - a.costUsd || a.client.localeCompare(b.client));
+}
+
+/**
+ * Express middleware factory rejecting clients whose budget is used up
+ * Budgets are checked before the request, so the call that crosses a budget still completes.
+ * @param {UsageLedger} ledger
+ * @param {Object} [options]
+ * @param {Function} [options.onReject] - Called with { route, period } for every rejected request
+ * @returns {Function} Express middleware
+ */
+export function createBudgetMiddleware(ledger, options = {}) {
+  return (req, res, next) => {
+    const exhausted = ledger.exhaustedBudget(req.client.id);
+    if (!exhausted) {
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((Date.parse(exhausted.resetsAt) - ledger.now()) / 1000));
+    res.setHeader('Retry-After', retryAfter);
+    options.onReject?.({ route: req.path, period: exhausted.period });
+    logger.warn('Token budget exhausted', { client: req.client.id, period: exhausted.period, budgetTokens: exhausted.budgetTokens });
+    return res.status(429).json({
+      error: 'Usage budget exhausted',
+      code: 'budget_exhausted',
+      message: `This client has used its ${exhausted.period === 'day' ? 'daily' : 'monthly'} allowance of ${exhausted.budgetTokens} tokens.`,
+      period: exhausted.period,
+      budgetTokens: exhausted.budgetTokens,
+      usedTokens: exhausted.usedTokens,
+      resetsAt: exhausted.resetsAt,
+      retryAfter
+    });
+  };
+}
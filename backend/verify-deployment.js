@@ -17,6 +17,9 @@ if (!backendUrl) {
   process.exit(1);
 }
 
+// Deployments with AUTH_MODE=required need an API key (API_KEY=... node verify-deployment.js <url>)
+const authHeaders = process.env.API_KEY ? { 'Authorization': `Bearer ${process.env.API_KEY}` } : {};
+
 const isHttps = backendUrl.startsWith('https://');
 const httpModule = isHttps ? https : http;
 
@@ -61,11 +64,62 @@ async function testHealthCheck() {
   });
 }
 
-// Test 2: CORS Headers
+// Test 2: Readiness (provider reachable and key accepted, configuration, stores)
+async function testReadiness() {
+  return new Promise((resolve, reject) => {
+    const url = `${backendUrl}/ready`;
+    console.log('Test 2: Readiness');
+    console.log(`GET ${url}`);
+    
+    httpModule.get(url, (res) => {
+      let data = '';
+      
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      
+      res.on('end', () => {
+        if (res.statusCode === 404) {
+          console.log('⚠️  No /ready endpoint: this backend predates readiness checks\n');
+          resolve(true);
+          return;
+        }
+        
+        let json;
+        try {
+          json = JSON.parse(data);
+        } catch (error) {
+          console.log(`❌ Readiness check failed: Status ${res.statusCode}, invalid JSON response\n`);
+          resolve(false);
+          return;
+        }
+        
+        const ready = res.statusCode === 200 && json.status === 'ready';
+        console.log(ready ? '✅ Backend is ready' : `❌ Backend is not ready: ${json.status}`);
+        for (const [name, check] of Object.entries(json.checks || {})) {
+          const details = check.status === 'ok'
+            ? [check.model, check.store].filter(Boolean).join(', ')
+            : `${check.reason ? `${check.reason}: ` : ''}${check.error}`;
+          console.log(`   ${check.status === 'ok' ? 'ok    ' : 'FAILED'} ${name}${details ? ` (${details})` : ''}`);
+          for (const warning of check.warnings || []) {
+            console.log(`   ⚠️  ${warning}`);
+          }
+        }
+        console.log('');
+        resolve(ready);
+      });
+    }).on('error', (error) => {
+      console.log(`❌ Readiness check failed: ${error.message}\n`);
+      resolve(false);
+    });
+  });
+}
+
+// Test 3: CORS Headers
 async function testCORS() {
   return new Promise((resolve, reject) => {
     const url = new URL(`${backendUrl}/analyze`);
-    console.log('Test 2: CORS Configuration');
+    console.log('Test 3: CORS Configuration');
     console.log(`OPTIONS ${url.href}`);
     
     const options = {
@@ -104,11 +158,11 @@ async function testCORS() {
   });
 }
 
-// Test 3: Analyze Endpoint (Basic)
+// Test 4: Analyze Endpoint (Basic)
 async function testAnalyzeEndpoint() {
   return new Promise((resolve, reject) => {
     const url = new URL(`${backendUrl}/analyze`);
-    console.log('Test 3: Analyze Endpoint');
+    console.log('Test 4: Analyze Endpoint');
     console.log(`POST ${url.href}`);
     
     const testData = JSON.stringify({
@@ -123,7 +177,8 @@ async function testAnalyzeEndpoint() {
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(testData),
-        'Origin': 'chrome-extension://test-extension-id'
+        'Origin': 'chrome-extension://test-extension-id',
+        ...authHeaders
       }
     };
     
@@ -139,16 +194,15 @@ async function testAnalyzeEndpoint() {
           try {
             const json = JSON.parse(data);
             
-            // Validate response structure
-            const hasRelatedArticles = Array.isArray(json.relatedArticles);
+            // Validate response structure (related articles come from /search)
             const hasDefinitions = Array.isArray(json.definitions);
             const hasArguments = json.arguments && 
                                  Array.isArray(json.arguments.main) && 
                                  Array.isArray(json.arguments.counter);
             
-            if (hasRelatedArticles && hasDefinitions && hasArguments) {
+            if (hasDefinitions && hasArguments) {
               console.log('✅ Analyze endpoint working');
-              console.log(`   Related Articles: ${json.relatedArticles.length}`);
+              console.log(`   Model: ${json.model}`);
               console.log(`   Definitions: ${json.definitions.length}`);
               console.log(`   Main Arguments: ${json.arguments.main.length}`);
               console.log(`   Counter Arguments: ${json.arguments.counter.length}\n`);
@@ -181,10 +235,10 @@ async function testAnalyzeEndpoint() {
   });
 }
 
-// Test 4: Rate Limiting
+// Test 5: Rate Limiting
 async function testRateLimiting() {
   return new Promise((resolve, reject) => {
-    console.log('Test 4: Rate Limiting');
+    console.log('Test 5: Rate Limiting');
     console.log('Sending multiple requests to test rate limiting...');
     
     let completed = 0;
@@ -205,7 +259,8 @@ async function testRateLimiting() {
         headers: {
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(testData),
-          'Origin': 'chrome-extension://test-extension-id'
+          'Origin': 'chrome-extension://test-extension-id',
+          ...authHeaders
         }
       };
       
@@ -251,11 +306,11 @@ async function testRateLimiting() {
   });
 }
 
-// Test 5: Error Handling
+// Test 6: Error Handling
 async function testErrorHandling() {
   return new Promise((resolve, reject) => {
     const url = new URL(`${backendUrl}/analyze`);
-    console.log('Test 5: Error Handling');
+    console.log('Test 6: Error Handling');
     console.log(`POST ${url.href} (with invalid data)`);
     
     const testData = JSON.stringify({
@@ -271,7 +326,8 @@ async function testErrorHandling() {
       headers: {
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(testData),
-        'Origin': 'chrome-extension://test-extension-id'
+        'Origin': 'chrome-extension://test-extension-id',
+        ...authHeaders
       }
     };
     
@@ -310,6 +366,7 @@ async function runTests() {
   const results = [];
   
   results.push(await testHealthCheck());
+  results.push(await testReadiness());
   results.push(await testCORS());
   results.push(await testAnalyzeEndpoint());
   results.push(await testRateLimiting());
@@ -333,7 +390,7 @@ async function runTests() {
     console.log('⚠️  Some tests failed. Please review the issues above.');
     console.log('\nCommon issues:');
     console.log('- CORS not configured for chrome-extension:// origins');
-    console.log('- Gemini API key not set or invalid');
+    console.log('- Gemini API key not set or invalid (see the model check under Readiness)');
     console.log('- Rate limiting not enabled');
     process.exit(1);
   }
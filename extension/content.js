@@ -148,6 +148,122 @@ function setupDynamicContentObserver() {
 // Set up observer for dynamic content
 setupDynamicContentObserver();
 
+const EVIDENCE_HIGHLIGHT = 'deepdive-evidence';
+
+/**
+ * Collapse whitespace and typographic quotes/dashes, keeping a map to original positions
+ * Mirrors the backend's quote matching so evidence found there is found on the page too
+ * @param {string} text
+ * @returns {{normalized: string, offsets: number[]}}
+ */
+function normalizeForMatch(text) {
+  const equivalents = { '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-' };
+  let normalized = '';
+  const offsets = [];
+  let lastWasSpace = false;
+  for (let i = 0; i < text.length; i++) {
+    let ch = equivalents[text[i]] || text[i];
+    if (/\s/.test(ch)) {
+      if (lastWasSpace) continue;
+      ch = ' ';
+      lastWasSpace = true;
+    } else {
+      lastWasSpace = false;
+    }
+    normalized += ch;
+    offsets.push(i);
+  }
+  return { normalized, offsets };
+}
+
+/**
+ * Find the nth occurrence of a quote in the page and return it as a DOM Range
+ * Falls back to the first occurrence when the page has fewer matches than the article text
+ * @param {string} quote - Evidence quote from the analysis
+ * @param {number} occurrence - Zero-based occurrence within the extracted article text
+ * @returns {Range|null}
+ */
+function findQuoteRange(quote, occurrence = 0) {
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => {
+      const parent = node.parentElement;
+      if (!parent || parent.closest('script, style, noscript')) return NodeFilter.FILTER_REJECT;
+      return NodeFilter.FILTER_ACCEPT;
+    }
+  });
+
+  // Concatenate text nodes, remembering where each one starts
+  const nodes = [];
+  let pageText = '';
+  while (walker.nextNode()) {
+    nodes.push({ node: walker.currentNode, start: pageText.length });
+    pageText += walker.currentNode.nodeValue;
+  }
+
+  const page = normalizeForMatch(pageText);
+  const needle = normalizeForMatch(quote.trim()).normalized;
+  if (!needle) return null;
+
+  const matches = [];
+  for (let index = page.normalized.indexOf(needle); index !== -1; index = page.normalized.indexOf(needle, index + 1)) {
+    matches.push(index);
+  }
+  if (matches.length === 0) return null;
+
+  const matchIndex = matches[occurrence] ?? matches[0];
+  const start = page.offsets[matchIndex];
+  const end = page.offsets[matchIndex + needle.length - 1] + 1;
+
+  const locate = (position) => {
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      if (nodes[i].start <= position) {
+        return { node: nodes[i].node, offset: position - nodes[i].start };
+      }
+    }
+    return null;
+  };
+
+  const from = locate(start);
+  const to = locate(end - 1);
+  if (!from || !to) return null;
+
+  const range = document.createRange();
+  range.setStart(from.node, from.offset);
+  range.setEnd(to.node, to.offset + 1);
+  return range;
+}
+
+/**
+ * Highlight a range and scroll it into view
+ * Uses the CSS Custom Highlight API so the page DOM is left untouched; older browsers get a <mark>
+ * @param {Range} range
+ */
+function highlightRange(range) {
+  if (window.CSS?.highlights && typeof Highlight === 'function') {
+    if (!document.getElementById(`${EVIDENCE_HIGHLIGHT}-style`)) {
+      const style = document.createElement('style');
+      style.id = `${EVIDENCE_HIGHLIGHT}-style`;
+      style.textContent = `::highlight(${EVIDENCE_HIGHLIGHT}) { background-color: #fde68a; color: inherit; }`;
+      document.head.appendChild(style);
+    }
+    CSS.highlights.set(EVIDENCE_HIGHLIGHT, new Highlight(range));
+  } else {
+    document.querySelectorAll(`mark.${EVIDENCE_HIGHLIGHT}`).forEach(mark => mark.replaceWith(...mark.childNodes));
+    const mark = document.createElement('mark');
+    mark.className = EVIDENCE_HIGHLIGHT;
+    try {
+      range.surroundContents(mark);
+    } catch {
+      // Range spans several elements - scrolling to it is the best we can do
+    }
+  }
+
+  const target = range.startContainer.parentElement;
+  if (target) {
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+}
+
 /**
  * Message listener for communication with popup
  */
@@ -159,6 +275,8 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       const pageTitle = document.title || '';
       const h1 = document.querySelector('h1');
       const heading = h1 ? (h1.innerText || '').trim() : '';
+      // Declared page language - a hint for the popup's language detection
+      const lang = document.documentElement.lang || '';
       
       // Validate minimum text length
       if (text.length < MIN_TEXT_LENGTH) {
@@ -168,7 +286,8 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           text: '',
           url: url,
           title: pageTitle,
-          heading
+          heading,
+          lang
         });
       } else {
         lastExtractedText = text;
@@ -177,7 +296,8 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           text: text,
           url: url,
           title: pageTitle,
-          heading
+          heading,
+          lang
         });
       }
     } catch (error) {
@@ -188,6 +308,18 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         url: window.location.href
       });
     }
+  } else if (message.type === 'HIGHLIGHT_TEXT') {
+    try {
+      const range = findQuoteRange(message.quote || '', message.occurrence || 0);
+      if (range) {
+        highlightRange(range);
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'Quote not found on this page.' });
+      }
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
   }
   
   // Return true to indicate async response
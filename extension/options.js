@@ -1,5 +1,7 @@
 // DeepDive Assistant - Options Page Script
 
+const BACKEND_URL = 'http://localhost:3001';
+
 /**
  * SettingsManager handles user preferences
  */
@@ -8,7 +10,9 @@ class SettingsManager {
     this.storage = chrome.storage.sync;
     this.defaults = {
       queryGenerationMode: 'immediate', // 'immediate' or 'on-demand'
-      preSummarize: true // Pre-generate summary on page load
+      preSummarize: true, // Pre-generate summary on page load
+      outputLanguage: 'auto', // Language of summaries and analysis ('auto' = same as the article)
+      analysisProfile: 'general' // Kind of text the backend analyzes the article as (see backend/prompts/analysis)
     };
   }
   
@@ -31,7 +35,12 @@ class SettingsManager {
 const settings = new SettingsManager();
 const checkbox = document.getElementById('immediateQueryGen');
 const preSummarizeCheckbox = document.getElementById('preSummarize');
+const outputLanguageSelect = document.getElementById('outputLanguage');
+const analysisProfileSelect = document.getElementById('analysisProfile');
+const apiKeyInput = document.getElementById('apiKey');
 const statusDiv = document.getElementById('status');
+const usageDay = document.getElementById('usageDay');
+const usageMonth = document.getElementById('usageMonth');
 
 // Load current settings
 async function loadSettings() {
@@ -42,7 +51,17 @@ async function loadSettings() {
     const preSummarize = await settings.get('preSummarize');
     preSummarizeCheckbox.checked = (preSummarize !== false); // Default true
     
-    console.log('Loaded settings:', { mode, preSummarize });
+    const outputLanguage = await settings.get('outputLanguage');
+    outputLanguageSelect.value = outputLanguage;
+    
+    const analysisProfile = await settings.get('analysisProfile');
+    analysisProfileSelect.value = analysisProfile;
+    
+    // The API key is a secret, so it stays in local storage instead of syncing across devices
+    const { apiKey } = await chrome.storage.local.get('apiKey');
+    apiKeyInput.value = apiKey || '';
+    
+    console.log('Loaded settings:', { mode, preSummarize, outputLanguage, analysisProfile });
   } catch (error) {
     console.error('Failed to load settings:', error);
     showStatus('Failed to load settings', 'error');
@@ -50,7 +69,7 @@ async function loadSettings() {
 }
 
 // Save settings on change
-async function saveSettings() {
+async function saveSettings(event) {
   try {
     const mode = checkbox.checked ? 'immediate' : 'on-demand';
     await settings.set('queryGenerationMode', mode);
@@ -58,14 +77,69 @@ async function saveSettings() {
     const preSummarize = preSummarizeCheckbox.checked;
     await settings.set('preSummarize', preSummarize);
     
-    console.log('Saved settings:', { mode, preSummarize });
+    const outputLanguage = outputLanguageSelect.value;
+    await settings.set('outputLanguage', outputLanguage);
+    
+    const analysisProfile = analysisProfileSelect.value;
+    await settings.set('analysisProfile', analysisProfile);
+    
+    const apiKey = apiKeyInput.value.trim();
+    if (apiKey) {
+      await chrome.storage.local.set({ apiKey });
+    } else {
+      await chrome.storage.local.remove('apiKey');
+    }
+    
+    console.log('Saved settings:', { mode, preSummarize, outputLanguage, analysisProfile, apiKey: apiKey ? 'set' : 'none' });
     showStatus('Settings saved!', 'success');
+    
+    // The allowance belongs to the key, so show the new key's
+    if (event?.target === apiKeyInput) {
+      loadUsage();
+    }
   } catch (error) {
     console.error('Failed to save settings:', error);
     showStatus('Failed to save settings', 'error');
   }
 }
 
+// Describe what is left of one budget period from GET /usage
+function formatAllowance(usage) {
+  const resets = new Date(usage.resetsAt).toLocaleString();
+  if (usage.budgetTokens === null) {
+    return `No limit (${usage.totalTokens.toLocaleString()} tokens used)`;
+  }
+  return `${usage.remainingTokens.toLocaleString()} of ${usage.budgetTokens.toLocaleString()} tokens left (resets ${resets})`;
+}
+
+// Load the remaining allowance with the same credential the popup uses
+async function loadUsage() {
+  try {
+    const { apiKey, installToken } = await chrome.storage.local.get(['apiKey', 'installToken']);
+    const credential = apiKey || installToken;
+    const response = await fetch(`${BACKEND_URL}/usage`, {
+      headers: credential ? { 'Authorization': `Bearer ${credential}` } : {}
+    });
+    if (response.status === 401) {
+      const message = apiKey ? 'API key not accepted' : 'Open the extension once to register this browser';
+      usageDay.textContent = message;
+      usageMonth.textContent = message;
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Usage request failed: ${response.status}`);
+    }
+    
+    const usage = await response.json();
+    usageDay.textContent = formatAllowance(usage.day);
+    usageMonth.textContent = formatAllowance(usage.month);
+  } catch (error) {
+    console.error('Failed to load usage:', error);
+    usageDay.textContent = 'Unavailable (is the analysis service running?)';
+    usageMonth.textContent = '';
+  }
+}
+
 // Show status message
 function showStatus(message, type = 'success') {
   statusDiv.textContent = message;
@@ -82,7 +156,13 @@ function showStatus(message, type = 'success') {
 // Event listeners
 checkbox.addEventListener('change', saveSettings);
 preSummarizeCheckbox.addEventListener('change', saveSettings);
+outputLanguageSelect.addEventListener('change', saveSettings);
+analysisProfileSelect.addEventListener('change', saveSettings);
+apiKeyInput.addEventListener('change', saveSettings);
 
 // Load settings when page loads
-document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  loadUsage();
+});
 
@@ -74,6 +74,15 @@ class CacheManager {
     if (!entry) return false;
     return (Date.now() - entry.timestamp) < entry.ttl;
   }
+  
+  /**
+   * Remove a cached entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    await this.storage.remove(key);
+  }
 }
 
 /**
@@ -84,7 +93,9 @@ class SettingsManager {
     this.storage = chrome.storage.sync;
     this.defaults = {
       queryGenerationMode: 'immediate', // 'immediate' or 'on-demand'
-      preSummarize: true // Pre-generate summary on page load
+      preSummarize: true, // Pre-generate summary on page load
+      outputLanguage: 'auto', // Language of summaries and analysis ('auto' = same as the article)
+      analysisProfile: 'general' // Kind of text the backend analyzes the article as (see backend/prompts/analysis)
     };
   }
   
@@ -103,6 +114,29 @@ class SettingsManager {
   }
 }
 
+/**
+ * Create a Summarizer that writes in the requested language
+ * Falls back to English when the on-device model does not support the language.
+ * @param {Object} options - Summarizer.create() options (without languages)
+ * @param {Object} languages - { inputLanguage, outputLanguage } as BCP 47 tags (may be null)
+ * @returns {Promise<Object>} Summarizer instance
+ */
+async function createSummarizer(options, { inputLanguage = null, outputLanguage = 'en' } = {}) {
+  const primary = tag => (tag ? tag.split('-')[0].toLowerCase() : null);
+  const output = primary(outputLanguage) || 'en';
+  try {
+    return await Summarizer.create({
+      ...options,
+      outputLanguage: output,
+      ...(inputLanguage ? { expectedInputLanguages: [primary(inputLanguage)] } : {})
+    });
+  } catch (error) {
+    if (output === 'en' && !inputLanguage) throw error;
+    console.warn(`Summarizer does not support ${inputLanguage || 'unknown'} -> ${output}, falling back to English:`, error.message);
+    return await Summarizer.create({ ...options, outputLanguage: 'en' });
+  }
+}
+
 /**
  * SummarizerService handles Chrome's built-in Summarizer API
  * Must run in popup context (top-level window), not service worker
@@ -116,6 +150,19 @@ class SummarizerService {
       format: options.format || 'markdown',
       length: options.length || 'short'
     };
+    this.languages = { inputLanguage: null, outputLanguage: 'en' };
+  }
+  
+  /**
+   * Set the article and output languages; recreates the summarizer when they change
+   * @param {Object} languages - { inputLanguage, outputLanguage } as BCP 47 tags
+   */
+  setLanguages({ inputLanguage = null, outputLanguage = 'en' }) {
+    if (inputLanguage === this.languages.inputLanguage && outputLanguage === this.languages.outputLanguage) {
+      return;
+    }
+    this.languages = { inputLanguage, outputLanguage };
+    this.destroy();
   }
   
   /**
@@ -202,8 +249,7 @@ class SummarizerService {
     try {
       const createOptions = {
         ...this.options,
-        sharedContext: 'This is a web article or blog post intended for general readers.',
-        outputLanguage: 'en'
+        sharedContext: 'This is a web article or blog post intended for general readers.'
       };
       
       // Only add monitor if progress callback provided AND model not yet initialized
@@ -216,7 +262,7 @@ class SummarizerService {
         };
       }
       
-      this.summarizer = await Summarizer.create(createOptions);
+      this.summarizer = await createSummarizer(createOptions, this.languages);
       return this.summarizer;
     } catch (error) {
       throw new Error(`Failed to initialize summarizer: ${error.message}`);
@@ -299,6 +345,76 @@ class SummarizerService {
   }
 }
 
+// Detections below this confidence are ignored
+const MIN_LANGUAGE_CONFIDENCE = 0.5;
+
+/**
+ * Normalize a language tag reported by a detector or a page's lang attribute
+ * @param {string} tag - e.g. "en_US", "pt-br"
+ * @returns {string|null} Tag such as "en-US", or null when it is not a language tag
+ */
+function normalizeLanguageTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const [language, ...rest] = tag.trim().replace(/_/g, '-').split('-');
+  if (!/^[a-z]{2,3}$/i.test(language) || language.toLowerCase() === 'und') return null;
+  return [language.toLowerCase(), ...rest.map(part => (part.length === 2 ? part.toUpperCase() : part))].join('-');
+}
+
+/**
+ * LanguageDetectionService detects the language an article is written in
+ * Tries Chrome's built-in Language Detector API, then chrome.i18n, then the page's lang attribute
+ */
+class LanguageDetectionService {
+  constructor() {
+    this.detector = null;
+  }
+  
+  /**
+   * Detect with the built-in Language Detector API (on-device model)
+   * @param {string} text - Sample text
+   * @returns {Promise<string|null>}
+   */
+  async detectWithBuiltIn(text) {
+    if (!('LanguageDetector' in self)) return null;
+    if (!this.detector) {
+      this.detector = await LanguageDetector.create();
+    }
+    const [top] = await this.detector.detect(text);
+    return top && top.confidence >= MIN_LANGUAGE_CONFIDENCE ? top.detectedLanguage : null;
+  }
+  
+  /**
+   * Detect with chrome.i18n (CLD, available in every extension page)
+   * @param {string} text - Sample text
+   * @returns {Promise<string|null>}
+   */
+  async detectWithI18n(text) {
+    if (!chrome.i18n?.detectLanguage) return null;
+    const result = await chrome.i18n.detectLanguage(text);
+    const [top] = result?.languages || [];
+    return result?.isReliable && top ? top.language : null;
+  }
+  
+  /**
+   * Detect the language of an article
+   * @param {string} text - Article text
+   * @param {string} hint - The page's lang attribute, used when detection is inconclusive
+   * @returns {Promise<string|null>} BCP 47 tag, or null when unknown
+   */
+  async detect(text, hint = '') {
+    const sample = text.substring(0, 2000);
+    for (const detector of [this.detectWithBuiltIn, this.detectWithI18n]) {
+      try {
+        const language = normalizeLanguageTag(await detector.call(this, sample));
+        if (language) return language;
+      } catch (error) {
+        console.warn('Language detection failed:', error.message);
+      }
+    }
+    return normalizeLanguageTag(hint);
+  }
+}
+
 /**
  * ErrorHandler provides user-friendly error messages and handling
  */
@@ -334,6 +450,16 @@ class ErrorHandler {
       action: 'retry',
       recoverable: true
     },
+    'AuthError': {
+      message: 'The analysis service did not accept your credentials. Check the API key in the extension options.',
+      action: 'none',
+      recoverable: false
+    },
+    'BudgetExceededError': {
+      message: 'Your analysis allowance is used up. The extension options show when it resets.',
+      action: 'none',
+      recoverable: false
+    },
     'TypeError': {
       message: 'An unexpected error occurred. Please try again.',
       action: 'reload',
@@ -496,6 +622,26 @@ class ErrorHandler {
   }
 }
 
+// Other tabs that can be compared with the current page (the backend accepts 4 articles)
+const COMPARE_MAX_OTHER_TABS = 3;
+
+// Follow-up chat threads are kept for a week per article
+const CHAT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// /ask accepts this many earlier turns, each up to this many characters (see the backend's api-schema.js)
+const CHAT_HISTORY_TURNS = 10;
+const CHAT_TURN_CHARS = 2000;
+// ...and analysis context of this many definitions and arguments, each up to this many characters
+const CHAT_ANALYSIS_ITEMS = 20;
+const CHAT_ANALYSIS_ITEM_CHARS = 1000;
+
+// Articles longer than one backend analysis section run as background jobs, which survive
+// the popup closing; shorter ones are streamed directly
+const JOB_MIN_ARTICLE_CHARS = 10000;
+const JOB_POLL_INTERVAL_MS = 1500;
+// Matches the backend's default job lifetime
+const JOB_TTL_MS = 60 * 60 * 1000;
+
 /**
  * DeepDiveAssistant - Main application class
  * Coordinates UI, content extraction, summarization, and analysis
@@ -508,11 +654,13 @@ class DeepDiveAssistant {
       this.cache = new CacheManager();
       this.settings = new SettingsManager();
       this.summarizerService = new SummarizerService();
+      this.languageService = new LanguageDetectionService();
       console.log('Services initialized');
       
       // UI elements
       console.log('Looking for UI elements...');
       this.analyzeBtn = document.getElementById('analyzeBtn');
+      this.compareBtn = document.getElementById('compareBtn');
       this.spinner = document.getElementById('spinner');
       this.output = document.getElementById('output');
       this.error = document.getElementById('error');
@@ -521,6 +669,16 @@ class DeepDiveAssistant {
       this.isProcessing = false;
       this.preGeneratedSearchQuery = null;
       this.isGeneratingQuery = false; // Track if query generation is in progress
+      this.languagesPromise = null; // Detected article language and chosen output language
+      this.languagesUrl = null; // Page the languages were detected on
+      this.articleText = ''; // Text the current analysis was run on (for evidence highlighting)
+      this.evidenceItems = []; // Evidence spans referenced by rendered "Show in page" buttons
+      this.cacheKeyBase = null; // Cache key of the current article (url:hash)
+      this.analysisProfile = 'general'; // Analysis profile setting, read when an analysis starts
+      this.currentAnalysis = null; // Latest Deep Dive analysis, sent as context with follow-up questions
+      this.chatThread = []; // Follow-up Q&A turns for the current article
+      this.isAsking = false; // Track if a follow-up question is in flight
+      this.installTokenPromise = null; // Pending /auth/register call, shared by parallel requests
       this.renderState = {
         headerRendered: false,
         articlesRendered: false,
@@ -529,6 +687,10 @@ class DeepDiveAssistant {
       
       // Bind methods
       this.handleDeepDiveAnalysis = this.handleDeepDiveAnalysis.bind(this);
+      this.handleEvidenceClick = this.handleEvidenceClick.bind(this);
+      this.handleFactCheckClick = this.handleFactCheckClick.bind(this);
+      this.handleCompareClick = this.handleCompareClick.bind(this);
+      this.handleChatSubmit = this.handleChatSubmit.bind(this);
       console.log('Methods bound');
       
       // Initialize
@@ -548,31 +710,135 @@ class DeepDiveAssistant {
   }
 
   /**
-   * Perform a quick health check against the backend to surface actionable errors
+   * Credential sent to the backend: the API key from the options page, or else an anonymous
+   * install token registered on first use
+   * @returns {Promise<{value: string, type: 'key'|'install'}|null>} Null when the backend has no auth endpoints
+   */
+  async getCredential() {
+    const { apiKey, installToken } = await chrome.storage.local.get(['apiKey', 'installToken']);
+    if (apiKey) return { value: apiKey, type: 'key' };
+    if (installToken) return { value: installToken, type: 'install' };
+    
+    if (!this.installTokenPromise) {
+      this.installTokenPromise = (async () => {
+        const response = await fetch(`${this.getBackendUrl()}/auth/register`, { method: 'POST' });
+        if (!response.ok) {
+          console.warn(`Install token registration failed: ${response.status}`);
+          return null;
+        }
+        const { token } = await response.json();
+        await chrome.storage.local.set({ installToken: token });
+        return token;
+      })().finally(() => {
+        this.installTokenPromise = null;
+      });
+    }
+    
+    const token = await this.installTokenPromise;
+    return token ? { value: token, type: 'install' } : null;
+  }
+  
+  /**
+   * fetch() against the backend with the client's credential attached
+   * An install token the backend no longer accepts (e.g. after a secret rotation) is replaced once.
+   * @param {string} url - Backend URL
+   * @param {Object} options - fetch options
+   * @param {boolean} retried - Internal: whether the token was already replaced
+   * @returns {Promise<Response>}
+   * @throws {Error} AuthError when credentials are refused, BudgetExceededError when the allowance is used up
+   */
+  async backendFetch(url, options = {}, retried = false) {
+    const credential = await this.getCredential();
+    const headers = { ...options.headers };
+    if (credential) {
+      headers['Authorization'] = `Bearer ${credential.value}`;
+    }
+    
+    const response = await fetch(url, { ...options, headers });
+    if (response.status === 429) {
+      // Used-up token budgets are not worth retrying, unlike rate limits
+      const body = await response.clone().json().catch(() => ({}));
+      if (body.code === 'budget_exhausted') {
+        const error = new Error(`${body.message} It resets at ${new Date(body.resetsAt).toLocaleString()}.`);
+        error.name = 'BudgetExceededError';
+        throw error;
+      }
+    }
+    if (response.status !== 401) {
+      return response;
+    }
+    
+    if (credential?.type === 'install' && !retried) {
+      await chrome.storage.local.remove('installToken');
+      return this.backendFetch(url, options, true);
+    }
+    
+    const error = new Error(credential?.type === 'key'
+      ? 'The backend rejected your API key. Check it in the extension options.'
+      : 'The backend requires an API key. Add one in the extension options.');
+    error.name = 'AuthError';
+    throw error;
+  }
+  
+  /**
+   * Check that the backend can serve requests before firing them, to surface actionable errors
+   * Asks /ready (model provider, configuration, stores); backends without it are asked /health
    * @param {number} timeoutMs
-   * @returns {Promise<{ok: boolean, error?: Error}>}
+   * @returns {Promise<{ok: boolean, reachable: boolean, message?: string, error?: Error}>}
    */
-  async checkBackendHealth(timeoutMs = 4000) {
+  async checkBackendHealth(timeoutMs = 6000) {
     const backendUrl = this.getBackendUrl();
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
 
     try {
-      const response = await fetch(`${backendUrl}/health`, { signal: controller.signal });
-      if (!response.ok) {
-        return {
-          ok: false,
-          error: new Error(`Health check failed with status ${response.status}`)
-        };
+      let response = await fetch(`${backendUrl}/ready`, { signal: controller.signal });
+      if (response.status === 404) {
+        response = await fetch(`${backendUrl}/health`, { signal: controller.signal });
       }
-      return { ok: true };
+      if (response.ok) {
+        return { ok: true, reachable: true };
+      }
+      const body = await response.json().catch(() => null);
+      return {
+        ok: false,
+        reachable: true,
+        message: this.describeNotReady(body),
+        error: new Error(`Readiness check failed with status ${response.status}`)
+      };
     } catch (error) {
-      return { ok: false, error };
+      return { ok: false, reachable: false, error };
     } finally {
       clearTimeout(timeoutId);
     }
   }
   
+  /**
+   * Explain a /ready report whose status is not "ready"
+   * @param {Object|null} report - Response body of /ready
+   * @returns {string}
+   */
+  describeNotReady(report) {
+    if (report?.status === 'draining') {
+      return 'The Deep Dive backend is restarting. Try again in a moment.';
+    }
+    const model = report?.checks?.model;
+    if (model?.status === 'failed') {
+      switch (model.reason) {
+        case 'credentials_rejected':
+          return 'The Deep Dive backend is running, but its model provider rejected the API key (check GEMINI_API_KEY on the backend).';
+        case 'quota_exhausted':
+          return 'The Deep Dive backend has used up its model quota. Try again later.';
+        default:
+          return 'The Deep Dive backend is running, but cannot reach its model provider right now. Try again in a moment.';
+      }
+    }
+    const failed = Object.entries(report?.checks || {})
+      .filter(([, check]) => check.status === 'failed')
+      .map(([name]) => name);
+    return `The Deep Dive backend is running, but not ready${failed.length ? ` (failed checks: ${failed.join(', ')})` : ''}. Check the backend logs.`;
+  }
+  
   /**
    * Initialize event listeners and settings
    */
@@ -595,6 +861,12 @@ class DeepDiveAssistant {
     
     // Attach event listeners
     this.analyzeBtn.addEventListener('click', this.handleDeepDiveAnalysis);
+    if (this.compareBtn) {
+      this.compareBtn.addEventListener('click', this.handleCompareClick);
+    }
+    this.output.addEventListener('click', this.handleEvidenceClick);
+    this.output.addEventListener('click', this.handleFactCheckClick);
+    this.output.addEventListener('submit', this.handleChatSubmit);
     console.log('Event listeners attached successfully');
     
     // Pre-generate search query if immediate mode is enabled
@@ -609,6 +881,13 @@ class DeepDiveAssistant {
       // Fail silently - will initialize on first use
     });
 
+    // A Deep Dive still running from an earlier popup takes precedence over the summary
+    if (await this.hasPendingJob()) {
+      console.log('Resuming Deep Dive job from a previous session');
+      this.handleDeepDiveAnalysis();
+      return;
+    }
+    
     // Auto-summarize if enabled (default: true)
     // This will show the summary immediately with streaming for real-time display
     const preSummarize = await this.settings.get('preSummarize');
@@ -633,8 +912,9 @@ class DeepDiveAssistant {
       // Get page text + meta
       const page = await this.getPageText();
       
-      // Generate search query using local Summarizer API
-      const searchQuery = await this.generateSearchQuery(page.text, { title: page.title, heading: page.heading });
+      // Generate search query using local Summarizer API, in the output language
+      const languages = await this.getLanguages(page);
+      const searchQuery = await this.generateSearchQuery(page.text, { title: page.title, heading: page.heading }, languages);
       
       if (searchQuery) {
         this.preGeneratedSearchQuery = searchQuery;
@@ -671,11 +951,16 @@ class DeepDiveAssistant {
       ErrorHandler.clearError(this.error);
       
       // Get page text
-      const { text, url } = await this.getPageText();
+      const page = await this.getPageText();
+      const { text, url } = page;
       console.log(`[AUTO-SUM] Got page text: ${text.length} chars from ${url}`);
       
+      // Summaries are written in the output language
+      const { language, outputLanguage } = await this.getLanguages(page);
+      this.summarizerService.setLanguages({ inputLanguage: language, outputLanguage });
+      
       // Generate cache key
-      const cacheKey = await this.cache.generateCacheKey(url, text);
+      const cacheKey = `${await this.cache.generateCacheKey(url, text)}:summary:${outputLanguage}`;
       console.log(`[AUTO-SUM] Cache key: ${cacheKey}`);
       
       // Check cache first (instant if hit)
@@ -835,6 +1120,26 @@ class DeepDiveAssistant {
     }
   }
   
+  /**
+   * Detect the article language and pair it with the output language setting
+   * Detection runs once per page.
+   * @param {Object} page - Result of getPageText()
+   * @returns {Promise<Object>} { language, outputLanguage } - language is null when unknown
+   */
+  async getLanguages(page) {
+    if (!this.languagesPromise || this.languagesUrl !== page.url) {
+      this.languagesUrl = page.url;
+      this.languagesPromise = (async () => {
+        const language = await this.languageService.detect(page.text, page.lang);
+        const setting = await this.settings.get('outputLanguage');
+        const outputLanguage = setting && setting !== 'auto' ? setting : (language || 'en');
+        console.log(`Article language: ${language || 'unknown'}, output language: ${outputLanguage}`);
+        return { language, outputLanguage };
+      })();
+    }
+    return this.languagesPromise;
+  }
+  
   /**
    * Get page text from content script
    * @returns {Promise<Object>} Object with text and url properties
@@ -853,57 +1158,67 @@ class DeepDiveAssistant {
         
         const activeTab = tabs[0];
         console.log('Active tab:', activeTab.id, activeTab.url);
-        
-        // Check if we're on a restricted page where content scripts can't run
-        const restrictedProtocols = ['chrome:', 'chrome-extension:', 'edge:', 'about:', 'moz-extension:', 'safari-extension:'];
-        const isRestrictedPage = restrictedProtocols.some(protocol => activeTab.url.startsWith(protocol));
-        
-        if (isRestrictedPage) {
-          console.error('Extension cannot run on restricted page:', activeTab.url);
-          const error = new Error('This extension cannot analyze Chrome internal pages or extension pages. Please navigate to a regular website (like a news article, blog post, or documentation site) to use this feature.');
-          error.name = 'NoContentError';
-          reject(error);
-          return;
-        }
-        // Send message to content script
-        console.log('Sending GET_TEXT message to content script...');
-        chrome.tabs.sendMessage(
-          activeTab.id,
-          { type: 'GET_TEXT' },
-          (response) => {
-            if (chrome.runtime.lastError) {
-              console.error('Chrome runtime error:', chrome.runtime.lastError);
-              reject(new Error(chrome.runtime.lastError.message));
-              return;
-            }
-            
-            console.log('Received response from content script:', response ? 'valid' : 'null');
-            
-            if (!response || !response.text) {
-              console.error('No text in response');
-              const error = new Error('No article content found on this page.');
-              error.name = 'NoContentError';
-              reject(error);
-              return;
-            }
-            
-            // Validate minimum text length
-            if (response.text.trim().length < 100) {
-              console.error('Text too short:', response.text.trim().length, 'characters');
-              const error = new Error('Article content is too short to analyze.');
-              error.name = 'NoContentError';
-              reject(error);
-              return;
-            }
-            
-            console.log('Page text validation passed');
-            resolve(response);
-          }
-        );
+        this.getTabText(activeTab).then(resolve, reject);
       });
     });
   }
   
+  /**
+   * Extract article text from a tab through its content script
+   * @param {chrome.tabs.Tab} tab - Tab to read
+   * @returns {Promise<Object>} Object with text, url, title and heading properties
+   */
+  async getTabText(tab) {
+    return new Promise((resolve, reject) => {
+      // Check if we're on a restricted page where content scripts can't run
+      const restrictedProtocols = ['chrome:', 'chrome-extension:', 'edge:', 'about:', 'moz-extension:', 'safari-extension:'];
+      const isRestrictedPage = restrictedProtocols.some(protocol => tab.url.startsWith(protocol));
+      
+      if (isRestrictedPage) {
+        console.error('Extension cannot run on restricted page:', tab.url);
+        const error = new Error('This extension cannot analyze Chrome internal pages or extension pages. Please navigate to a regular website (like a news article, blog post, or documentation site) to use this feature.');
+        error.name = 'NoContentError';
+        reject(error);
+        return;
+      }
+      // Send message to content script
+      console.log('Sending GET_TEXT message to content script...');
+      chrome.tabs.sendMessage(
+        tab.id,
+        { type: 'GET_TEXT' },
+        (response) => {
+          if (chrome.runtime.lastError) {
+            console.error('Chrome runtime error:', chrome.runtime.lastError);
+            reject(new Error(chrome.runtime.lastError.message));
+            return;
+          }
+          
+          console.log('Received response from content script:', response ? 'valid' : 'null');
+          
+          if (!response || !response.text) {
+            console.error('No text in response');
+            const error = new Error('No article content found on this page.');
+            error.name = 'NoContentError';
+            reject(error);
+            return;
+          }
+          
+          // Validate minimum text length
+          if (response.text.trim().length < 100) {
+            console.error('Text too short:', response.text.trim().length, 'characters');
+            const error = new Error('Article content is too short to analyze.');
+            error.name = 'NoContentError';
+            reject(error);
+            return;
+          }
+          
+          console.log('Page text validation passed');
+          resolve(response);
+        }
+      );
+    });
+  }
+  
   /**
    * Show loading spinner and disable buttons
    */
@@ -924,6 +1239,9 @@ class DeepDiveAssistant {
     if (this.analyzeBtn) {
       this.analyzeBtn.disabled = true;
     }
+    if (this.compareBtn) {
+      this.compareBtn.disabled = true;
+    }
   }
   
   /**
@@ -937,6 +1255,9 @@ class DeepDiveAssistant {
     if (this.analyzeBtn) {
       this.analyzeBtn.disabled = false;
     }
+    if (this.compareBtn) {
+      this.compareBtn.disabled = false;
+    }
   }
   
   /**
@@ -1002,25 +1323,25 @@ class DeepDiveAssistant {
   /**
    * Generate search query using local Summarizer API
    * @param {string} articleText - Article text to analyze
+   * @param {Object} meta - Page title and heading, used when the query looks generic
+   * @param {Object} languages - { language, outputLanguage } from getLanguages()
    * @returns {Promise<string>} Generated search query
    */
-  async generateSearchQuery(articleText, meta = {}) {
+  async generateSearchQuery(articleText, meta = {}, languages = {}) {
     try {
       console.log('Generating search query using local Summarizer API...');
       
       // Create a specialized summarizer for key points extraction (optimistic approach)
-      const querySummarizer = await Summarizer.create({
+      const querySummarizer = await createSummarizer({
         // Produce a single-line, query-like headline
         type: 'headline',
         length: 'short',
-        sharedContext: 'Produce a concise headline suitable as a web search query (no markdown).',
-        outputLanguage: 'en'
-      });
+        sharedContext: 'Produce a concise headline suitable as a web search query (no markdown).'
+      }, { inputLanguage: languages.language, outputLanguage: languages.outputLanguage });
       
       // Generate key points with proper input truncation (limit to 5000 chars)
       const truncatedText = articleText.substring(0, 5000);
-      // Pass output language explicitly to avoid API warnings and ensure consistent output
-      const keyPoints = await querySummarizer.summarize(truncatedText, { outputLanguage: 'en', context: 'Return concise, comma-separated search keyphrases without markdown.' });
+      const keyPoints = await querySummarizer.summarize(truncatedText, { context: 'Return concise, comma-separated search keyphrases without markdown.' });
       
       // Clean up the summarizer
       querySummarizer.destroy();
@@ -1073,7 +1394,7 @@ class DeepDiveAssistant {
     
     try {
       // Send POST request to backend
-      const response = await fetch(`${BACKEND_URL}/analyze`, {
+      const response = await this.backendFetch(`${BACKEND_URL}/analyze`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -1154,8 +1475,7 @@ class DeepDiveAssistant {
       html += '<ul class="related-articles">';
       
       for (const article of analysis.relatedArticles) {
-        // Ensure links open in new tabs with target="_blank" and rel="noopener noreferrer"
-        html += `<li><a href="${this.escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(article.title)}</a></li>`;
+        html += this.renderArticleLink(article);
       }
       
       html += '</ul></div>';
@@ -1174,8 +1494,7 @@ class DeepDiveAssistant {
       html += '<dl class="definitions">';
       
       for (const def of analysis.definitions) {
-        html += `<dt>${this.escapeHtml(def.term)}</dt>`;
-        html += `<dd>${this.escapeHtml(def.definition)}</dd>`;
+        html += this.renderDefinitionItem(def);
       }
       
       html += '</dl></div>';
@@ -1190,7 +1509,7 @@ class DeepDiveAssistant {
         html += '<ul class="arguments">';
         
         for (const arg of analysis.arguments.main) {
-          html += `<li>${this.escapeHtml(arg)}</li>`;
+          html += this.renderArgumentItem(arg);
         }
         
         html += '</ul></div>';
@@ -1203,7 +1522,7 @@ class DeepDiveAssistant {
         html += '<ul class="arguments counter">';
         
         for (const arg of analysis.arguments.counter) {
-          html += `<li>${this.escapeHtml(arg)}</li>`;
+          html += this.renderArgumentItem(arg);
         }
         
         html += '</ul></div>';
@@ -1217,6 +1536,9 @@ class DeepDiveAssistant {
       html += '</div>';
     }
     
+    html += this.renderFactCheckSection();
+    html += this.renderChatSection();
+    
     return html;
   }
   
@@ -1231,6 +1553,152 @@ class DeepDiveAssistant {
     return div.innerHTML;
   }
   
+  /**
+   * Escape text for a quoted HTML attribute value
+   * escapeHtml() leaves quotes as they are, which is only safe between tags.
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+  
+  /**
+   * Render a definition as a <dt>/<dd> pair
+   * @param {Object} def - Definition with term, definition and optional evidence
+   * @returns {string} HTML string
+   */
+  renderDefinitionItem(def) {
+    return `<dt>${this.escapeHtml(def.term)}${this.renderSupportBadge(def)}</dt>` +
+      `<dd>${this.escapeHtml(def.definition)}${this.renderEvidenceButton(def.evidence)}</dd>`;
+  }
+  
+  /**
+   * Render an argument as a list item
+   * Accepts plain strings as stored by older versions of the extension
+   * @param {string|Object} arg - Argument text or {text, evidence}
+   * @returns {string} HTML string
+   */
+  renderArgumentItem(arg) {
+    if (typeof arg === 'string') {
+      return `<li>${this.escapeHtml(arg)}</li>`;
+    }
+    return `<li>${this.escapeHtml(arg.text)}${this.renderSupportBadge(arg)}${this.renderEvidenceButton(arg.evidence)}</li>`;
+  }
+  
+  /**
+   * Render a marker for items the backend found only weakly supported by the article
+   * @param {Object} item - Definition or argument with optional support/lowSupport
+   * @returns {string} HTML string (empty unless flagged)
+   */
+  renderSupportBadge(item) {
+    if (!item.lowSupport) {
+      return '';
+    }
+    const percent = Math.round((item.support || 0) * 100);
+    return ` <span class="low-support" title="Only weakly supported by the article text (support ${percent}%)">⚠ weak support</span>`;
+  }
+  
+  /**
+   * Escaped href for a link, or null unless it is http(s)
+   * escapeHtml() alone lets javascript: and data: URLs through, and leaves quotes as they are
+   * (the serialized URL percent-encodes them).
+   * @param {string} url
+   * @returns {string|null}
+   */
+  safeHref(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? this.escapeHtml(parsed.href) : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Render a related article or source as a list item, with its domain
+   * The backend already filters links (see link-safety.js); unsafe ones are shown as text here too.
+   * Links open in new tabs with target="_blank" and rel="noopener noreferrer".
+   * @param {Object} article - { title, url, domain? }
+   * @returns {string} HTML string
+   */
+  renderArticleLink(article) {
+    const href = this.safeHref(article.url);
+    const title = this.escapeHtml(article.title || article.domain || article.url);
+    const domain = article.domain ? ` <span class="link-domain">${this.escapeHtml(article.domain)}</span>` : '';
+    return href
+      ? `<li><a href="${href}" target="_blank" rel="noopener noreferrer">${title}</a>${domain}</li>`
+      : `<li>${title}${domain}</li>`;
+  }
+  
+  /**
+   * Render a warning for results whose article text looks like it addresses the model
+   * The backend still answers; the page may have tried to steer what it says.
+   * @param {Object} result - Response with optional suspectedInjection
+   * @returns {string} HTML string (empty unless flagged)
+   */
+  renderInjectionWarning(result) {
+    if (!result.suspectedInjection) {
+      return '';
+    }
+    return '<p class="info-text injection-warning">⚠ This page contains text that looks like instructions aimed at AI tools. It may have tried to steer these results; read them with care.</p>';
+  }
+  
+  /**
+   * Render a "Show in page" button for an item's evidence spans
+   * @param {Array} evidence - Verified spans ({quote, start, end})
+   * @returns {string} HTML string (empty when there is no evidence)
+   */
+  renderEvidenceButton(evidence) {
+    if (!Array.isArray(evidence) || evidence.length === 0) {
+      return '';
+    }
+    const index = this.evidenceItems.push(evidence) - 1;
+    const title = evidence.length > 1 ? `Show in page (${evidence.length} passages)` : 'Show in page';
+    return ` <button type="button" class="evidence-btn" data-evidence="${index}" title="${title}">📍 Show in page</button>`;
+  }
+  
+  /**
+   * Handle clicks on evidence buttons (delegated from the output container)
+   * Repeated clicks cycle through an item's evidence spans
+   * @param {MouseEvent} event
+   */
+  handleEvidenceClick(event) {
+    const button = event.target.closest('.evidence-btn');
+    if (!button) return;
+    
+    const evidence = this.evidenceItems[Number(button.dataset.evidence)];
+    if (!evidence) return;
+    
+    const next = Number(button.dataset.next || 0);
+    button.dataset.next = String((next + 1) % evidence.length);
+    this.highlightEvidence(evidence[next]);
+  }
+  
+  /**
+   * Ask the content script to highlight an evidence span in the page
+   * @param {{quote: string, start: number}} span - Evidence span
+   */
+  highlightEvidence(span) {
+    // The quote may appear more than once; count earlier occurrences in the analyzed text
+    let occurrence = 0;
+    if (this.articleText) {
+      for (let index = this.articleText.indexOf(span.quote); index !== -1 && index < span.start;
+        index = this.articleText.indexOf(span.quote, index + 1)) {
+        occurrence++;
+      }
+    }
+    
+    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+      if (!tabs || tabs.length === 0) return;
+      chrome.tabs.sendMessage(tabs[0].id, { type: 'HIGHLIGHT_TEXT', quote: span.quote, occurrence }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          console.warn('Could not highlight evidence:', chrome.runtime.lastError?.message || response?.error);
+        }
+      });
+    });
+  }
+  
   /**
    * Handle Deep Dive Analysis button click
    * 
@@ -1256,18 +1724,27 @@ class DeepDiveAssistant {
       
       // Get page text
       console.log('Getting page text from content script...');
-      const { text, url } = await this.getPageText();
+      const page = await this.getPageText();
+      const { text, url } = page;
+      this.articleText = text;
+      this.evidenceItems = [];
+      const languages = await this.getLanguages(page);
+      this.analysisProfile = await this.settings.get('analysisProfile');
 
-      // Generate cache key
+      // Generate cache key (analyses are cached per output language and analysis profile)
       const baseKey = await this.cache.generateCacheKey(url, text);
-      const cacheKey = `${baseKey}:deep-dive`;
+      const cacheKey = `${baseKey}:deep-dive:${languages.outputLanguage}:${this.analysisProfile}`;
+      this.cacheKeyBase = baseKey;
+      this.currentAnalysis = null;
 
       // Check cache
       if (await this.cache.isValid(cacheKey)) {
         const cached = await this.cache.get(cacheKey);
         if (cached?.value) {
           console.log('Using cached deep dive analysis');
+          this.currentAnalysis = cached.value;
           this.displayCachedResults(cached.value);
+          this.loadChatThread();
           return;
         }
       }
@@ -1282,7 +1759,9 @@ class DeepDiveAssistant {
         const backendUrl = this.getBackendUrl();
         console.warn('Backend health check failed:', backendStatus.error?.message || backendStatus.error);
         ErrorHandler.displayError(
-          `The Deep Dive backend is not reachable at ${backendUrl}. Start it locally with \`PORT=3001 npm start\` and try again.`,
+          backendStatus.reachable
+            ? backendStatus.message
+            : `The Deep Dive backend is not reachable at ${backendUrl}. Start it locally with \`PORT=3001 npm start\` and try again.`,
           this.error,
           this.output,
           {
@@ -1297,8 +1776,11 @@ class DeepDiveAssistant {
       console.log(`Search query: ${searchQuery || 'none'}`);
       
       // Start both API calls in parallel
-      const searchPromise = this.fetchRelatedArticles(searchQuery);
-      const analysisPromise = this.fetchAnalysis(text, []);
+      const searchPromise = this.fetchRelatedArticles(searchQuery, languages);
+      const onPartial = partial => this.displayAnalysis(partial, false);
+      const analysisPromise = text.length > JOB_MIN_ARTICLE_CHARS
+        ? this.runAnalysisJob(text, languages, onPartial)
+        : this.fetchAnalysisStream(text, [], onPartial, languages);
       
       // Immediately render header and placeholders to establish order
       this.output.innerHTML = `
@@ -1311,9 +1793,12 @@ class DeepDiveAssistant {
           <div class="spinner-small"></div>
           <p>Finding related articles...</p>
         </div>
+        ${this.renderFactCheckSection()}
+        ${this.renderChatSection()}
       `;
       this.output.hidden = false;
       this.renderState.headerRendered = true;
+      this.loadChatThread();
       
       // Replace placeholders as each API call completes
       analysisPromise.then(analysis => {
@@ -1322,6 +1807,7 @@ class DeepDiveAssistant {
           mainArgs: analysis.arguments?.main?.length || 0,
           counterArgs: analysis.arguments?.counter?.length || 0
         });
+        this.currentAnalysis = analysis;
         this.displayAnalysis(analysis);
       }).catch(error => {
         console.warn('Analysis failed:', error.message);
@@ -1393,9 +1879,10 @@ class DeepDiveAssistant {
   /**
    * Fetch related articles from /search endpoint
    * @param {string} searchQuery - Search query
+   * @param {Object} languages - { language, outputLanguage } from getLanguages()
    * @returns {Promise<Array>} Related articles
    */
-  async fetchRelatedArticles(searchQuery) {
+  async fetchRelatedArticles(searchQuery, languages = {}) {
     if (!searchQuery) {
       console.warn('No search query available');
       return [];
@@ -1407,10 +1894,14 @@ class DeepDiveAssistant {
       throw new Error('Backend URL must use HTTPS for security');
     }
     
-    const response = await fetch(`${BACKEND_URL}/search`, {
+    const response = await this.backendFetch(`${BACKEND_URL}/search`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ searchQuery })
+      body: JSON.stringify({
+        searchQuery,
+        language: languages.language || undefined,
+        outputLanguage: languages.outputLanguage
+      })
     });
 
     if (!response.ok) {
@@ -1423,28 +1914,26 @@ class DeepDiveAssistant {
   }
   
   /**
-   * Fetch analysis from /analyze endpoint
+   * Fetch claim verdicts from /factcheck endpoint
    * @param {string} text - Article text
-   * @param {Array} concepts - Optional concepts
-   * @returns {Promise<Object>} Analysis with definitions and arguments
+   * @returns {Promise<Object>} { claims, degraded, truncated }
    */
-  async fetchAnalysis(text, concepts = []) {
+  async fetchFactCheck(text) {
     const BACKEND_URL = this.getBackendUrl();
     const url = new URL(BACKEND_URL);
     if (url.hostname !== 'localhost' && url.hostname !== '127.0.0.1' && url.protocol !== 'https:') {
       throw new Error('Backend URL must use HTTPS for security');
     }
     
-    const response = await fetch(`${BACKEND_URL}/analyze`, {
+    const response = await this.backendFetch(`${BACKEND_URL}/factcheck`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ article: text, concepts })
+      body: JSON.stringify({ article: text })
     });
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error || errorData.message || `Analysis failed: ${response.status}`;
-      const error = new Error(errorMessage);
+      const error = new Error(errorData.error || errorData.message || `Fact check failed: ${response.status}`);
       if (response.status === 429) error.name = 'RateLimitError';
       else if (response.status >= 500) error.name = 'ServerError';
       else error.name = 'NetworkError';
@@ -1455,56 +1944,417 @@ class DeepDiveAssistant {
   }
   
   /**
-   * Display related articles immediately
-   * @param {Array} articles - Related articles
+   * Fetch a comparison of several articles from /compare endpoint
+   * @param {Array<{text: string, url: string, title: string}>} articles - Current article first
+   * @returns {Promise<Object>} { sources, sharedFacts, disagreements, framing, uniqueClaims }
    */
-  displayRelatedArticles(articles) {
-    console.log('displayRelatedArticles called');
-    
-    let html = '';
-    
-    // Add articles section
-    html += '<div class="analysis-section"><h4>📚 Related Articles</h4>';
-    
-    if (articles.length > 0) {
-      html += '<ul class="related-articles">';
-      for (const article of articles) {
-        html += `<li><a href="${this.escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(article.title)}</a></li>`;
-      }
-      html += '</ul>';
-    } else {
-      html += '<p class="info-text">No related articles found at this time. This can happen when the search grounding service is temporarily unavailable.</p>';
+  async fetchComparison(articles) {
+    const BACKEND_URL = this.getBackendUrl();
+    const url = new URL(BACKEND_URL);
+    if (url.hostname !== 'localhost' && url.hostname !== '127.0.0.1' && url.protocol !== 'https:') {
+      throw new Error('Backend URL must use HTTPS for security');
     }
-    html += '</div>';
     
-    // Replace placeholder with articles content
-    const placeholder = document.getElementById('articles-placeholder');
-    if (placeholder) {
-      placeholder.outerHTML = html;
-      console.log('Articles placeholder replaced');
-    } else {
-      // Fallback: append if placeholder doesn't exist
-      this.output.innerHTML += html;
-      console.log('Articles appended (no placeholder found)');
+    const response = await this.backendFetch(`${BACKEND_URL}/compare`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ articles })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.error || errorData.message || `Comparison failed: ${response.status}`);
+      if (response.status === 429) error.name = 'RateLimitError';
+      else if (response.status >= 500) error.name = 'ServerError';
+      else error.name = 'NetworkError';
+      throw error;
     }
-    
-    this.renderState.articlesRendered = true;
+
+    return await response.json();
   }
   
   /**
-   * Display analysis (definitions & arguments)
-   * @param {Object} analysis - Analysis with definitions and arguments
+   * Ask a follow-up question about the article via /ask endpoint
+   * @param {string} question - User question
+   * @param {Array<{role: string, content: string}>} history - Earlier turns, oldest first
+   * @returns {Promise<Object>} { answer, answerable, citations }
    */
-  displayAnalysis(analysis) {
-    console.log('displayAnalysis called');
+  async fetchAnswer(question, history) {
+    const BACKEND_URL = this.getBackendUrl();
+    const url = new URL(BACKEND_URL);
+    if (url.hostname !== 'localhost' && url.hostname !== '127.0.0.1' && url.protocol !== 'https:') {
+      throw new Error('Backend URL must use HTTPS for security');
+    }
     
-    let html = '';
+    const body = { article: this.articleText, question, history };
+    if (this.currentAnalysis) {
+      // Only what /ask reads, within its limits
+      const clip = text => String(text || '').substring(0, CHAT_ANALYSIS_ITEM_CHARS);
+      const items = list => (Array.isArray(list) ? list : []).slice(0, CHAT_ANALYSIS_ITEMS);
+      const args = this.currentAnalysis.arguments || {};
+      body.analysis = {
+        definitions: items(this.currentAnalysis.definitions).map(def => ({ term: clip(def.term), definition: clip(def.definition) })),
+        arguments: {
+          main: items(args.main).map(arg => ({ text: clip(typeof arg === 'string' ? arg : arg.text) })),
+          counter: items(args.counter).map(arg => ({ text: clip(typeof arg === 'string' ? arg : arg.text) }))
+        }
+      };
+    }
+    
+    const response = await this.backendFetch(`${BACKEND_URL}/ask`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.error || errorData.message || `Question failed: ${response.status}`);
+      if (response.status === 429) error.name = 'RateLimitError';
+      else if (response.status >= 500) error.name = 'ServerError';
+      else error.name = 'NetworkError';
+      throw error;
+    }
+
+    return await response.json();
+  }
+  
+  /**
+   * Storage key of the background job for the current article, output language and analysis profile
+   * @param {string} outputLanguage - Output language the job was created with
+   * @returns {string}
+   */
+  getJobKey(outputLanguage) {
+    return `${this.cacheKeyBase}:job:${outputLanguage}:${this.analysisProfile}`;
+  }
+  
+  /**
+   * Check whether a Deep Dive job for the current page was left running by an earlier popup
+   * @returns {Promise<boolean>}
+   */
+  async hasPendingJob() {
+    try {
+      const page = await this.getPageText();
+      const { outputLanguage } = await this.getLanguages(page);
+      this.analysisProfile = await this.settings.get('analysisProfile');
+      this.cacheKeyBase = await this.cache.generateCacheKey(page.url, page.text);
+      return await this.cache.isValid(this.getJobKey(outputLanguage));
+    } catch (error) {
+      // Restricted or empty pages have no jobs
+      return false;
+    }
+  }
+  
+  /**
+   * Create a background job via /jobs endpoint
+   * @param {string} type - Job type (analyze, factcheck, compare)
+   * @param {Object} input - Same body as the matching endpoint
+   * @returns {Promise<string|null>} Job id, or null when the backend has no jobs API
+   */
+  async createJob(type, input) {
+    const BACKEND_URL = this.getBackendUrl();
+    const url = new URL(BACKEND_URL);
+    if (url.hostname !== 'localhost' && url.hostname !== '127.0.0.1' && url.protocol !== 'https:') {
+      throw new Error('Backend URL must use HTTPS for security');
+    }
+    
+    const response = await this.backendFetch(`${BACKEND_URL}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type, input })
+    });
+    
+    if (response.status === 404) {
+      return null;
+    }
+    
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.error || errorData.message || `Job creation failed: ${response.status}`);
+      if (response.status === 429) error.name = 'RateLimitError';
+      else if (response.status >= 500) error.name = 'ServerError';
+      else error.name = 'NetworkError';
+      throw error;
+    }
+    
+    const job = await response.json();
+    return job.id;
+  }
+  
+  /**
+   * Poll a background job until it finishes
+   * @param {string} jobId - Job id
+   * @param {Function} onPartial - Called with each new partial result
+   * @param {Function} onProgress - Called with { stage, completed, total }
+   * @returns {Promise<Object>} Job result
+   */
+  async pollJob(jobId, onPartial = null, onProgress = null) {
+    const BACKEND_URL = this.getBackendUrl();
+    let lastUpdate = null;
+    
+    while (true) {
+      const response = await this.backendFetch(`${BACKEND_URL}/jobs/${encodeURIComponent(jobId)}`);
+      
+      if (response.status === 404) {
+        // Expired, or the backend restarted and lost it
+        const error = new Error('Analysis job no longer exists');
+        error.name = 'JobNotFoundError';
+        throw error;
+      }
+      if (!response.ok) {
+        const error = new Error(`Job status failed: ${response.status}`);
+        error.name = response.status >= 500 ? 'ServerError' : 'NetworkError';
+        throw error;
+      }
+      
+      const job = await response.json();
+      if (job.status === 'completed') {
+        return job.result;
+      }
+      if (job.status === 'failed') {
+        const error = new Error(job.error || 'Analysis failed');
+        // Retryable: the backend shut down before the job finished
+        error.name = job.retryable ? 'JobInterruptedError' : 'ServerError';
+        throw error;
+      }
+      
+      if (job.updatedAt !== lastUpdate) {
+        lastUpdate = job.updatedAt;
+        if (job.progress && onProgress) onProgress(job.progress);
+        if (job.partial && onPartial) onPartial(job.partial);
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+  }
+  
+  /**
+   * Analyze a long article as a background job, resuming the job of an earlier popup if there is one
+   * Falls back to streaming when the backend has no jobs API.
+   * @param {string} text - Article text
+   * @param {Object} languages - { language, outputLanguage } from getLanguages()
+   * @param {Function} onPartial - Called with the analysis of the sections finished so far
+   * @param {boolean} restarted - The job was already created again once
+   * @returns {Promise<Object>} Final analysis
+   */
+  async runAnalysisJob(text, languages, onPartial = null, restarted = false) {
+    const jobKey = this.getJobKey(languages.outputLanguage);
+    const saved = await this.cache.isValid(jobKey) ? (await this.cache.get(jobKey)).value : null;
+    
+    let jobId = saved;
+    if (!jobId) {
+      jobId = await this.createJob('analyze', {
+        article: text,
+        language: languages.language || undefined,
+        outputLanguage: languages.outputLanguage,
+        profile: this.analysisProfile
+      });
+      if (!jobId) {
+        console.log('Backend has no jobs API, streaming instead');
+        return this.fetchAnalysisStream(text, [], onPartial, languages);
+      }
+      // Remember the job so a reopened popup can pick it up
+      await this.cache.set(jobKey, jobId, JOB_TTL_MS);
+    }
+    
+    const onProgress = ({ completed, total }) => {
+      const status = document.querySelector('#analysis-placeholder p');
+      if (status) status.textContent = `Analyzing article content (${completed} of ${total} parts)...`;
+    };
+    
+    try {
+      return await this.pollJob(jobId, onPartial, onProgress);
+    } catch (error) {
+      if (error.name === 'JobNotFoundError' && saved) {
+        // The saved job is gone - start over with a new one
+        await this.cache.remove(jobKey);
+        return this.runAnalysisJob(text, languages, onPartial, restarted);
+      }
+      if ((error.name === 'JobNotFoundError' || error.name === 'JobInterruptedError') && !restarted) {
+        // The backend restarted while the job ran - start it once more
+        await this.cache.remove(jobKey);
+        return this.runAnalysisJob(text, languages, onPartial, true);
+      }
+      throw error;
+    } finally {
+      await this.cache.remove(jobKey);
+    }
+  }
+  
+  /**
+   * Fetch analysis from /analyze endpoint
+   * @param {string} text - Article text
+   * @param {Array} concepts - Optional concepts
+   * @returns {Promise<Object>} Analysis with definitions and arguments
+   */
+  async fetchAnalysis(text, concepts = []) {
+    const BACKEND_URL = this.getBackendUrl();
+    const url = new URL(BACKEND_URL);
+    if (url.hostname !== 'localhost' && url.hostname !== '127.0.0.1' && url.protocol !== 'https:') {
+      throw new Error('Backend URL must use HTTPS for security');
+    }
+    
+    const response = await this.backendFetch(`${BACKEND_URL}/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ article: text, concepts })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.error || errorData.message || `Analysis failed: ${response.status}`;
+      const error = new Error(errorMessage);
+      if (response.status === 429) error.name = 'RateLimitError';
+      else if (response.status >= 500) error.name = 'ServerError';
+      else error.name = 'NetworkError';
+      throw error;
+    }
+
+    return await response.json();
+  }
+  
+  /**
+   * Fetch analysis from /analyze as a Server-Sent Events stream
+   * Definitions and arguments are reported through onPartial as soon as the backend emits them.
+   * Falls back to a plain JSON body when the backend does not stream.
+   * @param {string} text - Article text
+   * @param {Array} concepts - Optional concepts
+   * @param {Function} onPartial - Called with the accumulated partial analysis after each item
+   * @param {Object} languages - { language, outputLanguage } from getLanguages()
+   * @returns {Promise<Object>} Final analysis with definitions and arguments
+   */
+  async fetchAnalysisStream(text, concepts = [], onPartial = null, languages = {}) {
+    const BACKEND_URL = this.getBackendUrl();
+    const url = new URL(BACKEND_URL);
+    if (url.hostname !== 'localhost' && url.hostname !== '127.0.0.1' && url.protocol !== 'https:') {
+      throw new Error('Backend URL must use HTTPS for security');
+    }
+    
+    const response = await this.backendFetch(`${BACKEND_URL}/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+      body: JSON.stringify({
+        article: text,
+        concepts,
+        language: languages.language || undefined,
+        outputLanguage: languages.outputLanguage,
+        profile: this.analysisProfile
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const errorMessage = errorData.error || errorData.message || `Analysis failed: ${response.status}`;
+      const error = new Error(errorMessage);
+      if (response.status === 429) error.name = 'RateLimitError';
+      else if (response.status >= 500) error.name = 'ServerError';
+      else error.name = 'NetworkError';
+      throw error;
+    }
+    
+    // Older backends ignore the Accept header and answer with JSON
+    if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+      return await response.json();
+    }
+    
+    const partial = { definitions: [], arguments: { main: [], counter: [] } };
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      buffer += decoder.decode(value, { stream: true });
+      
+      // SSE frames are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        
+        const event = frame.match(/^event: (.+)$/m)?.[1];
+        const data = frame.match(/^data: (.+)$/m)?.[1];
+        if (!event || !data) continue;
+        
+        const payload = JSON.parse(data);
+        
+        if (event === 'definition') {
+          partial.definitions.push(payload);
+        } else if (event === 'argument') {
+          const { kind, ...item } = payload;
+          partial.arguments[kind]?.push(item);
+        } else if (event === 'complete') {
+          return payload;
+        } else if (event === 'error') {
+          const error = new Error(payload.error || 'Analysis failed');
+          error.name = 'ServerError';
+          throw error;
+        }
+        
+        if (onPartial) {
+          onPartial(partial);
+        }
+      }
+    }
+    
+    throw new Error('Analysis stream ended before completion');
+  }
+  
+  /**
+   * Display related articles immediately
+   * @param {Array} articles - Related articles
+   */
+  displayRelatedArticles(articles) {
+    console.log('displayRelatedArticles called');
+    
+    let html = '';
+    
+    // Add articles section
+    html += '<div class="analysis-section"><h4>📚 Related Articles</h4>';
+    
+    if (articles.length > 0) {
+      html += '<ul class="related-articles">';
+      for (const article of articles) {
+        html += this.renderArticleLink(article);
+      }
+      html += '</ul>';
+    } else {
+      html += '<p class="info-text">No related articles found at this time. This can happen when the search grounding service is temporarily unavailable.</p>';
+    }
+    html += '</div>';
+    
+    // Replace placeholder with articles content
+    const placeholder = document.getElementById('articles-placeholder');
+    if (placeholder) {
+      placeholder.outerHTML = html;
+      console.log('Articles placeholder replaced');
+    } else {
+      // Fallback: append if placeholder doesn't exist
+      this.output.innerHTML += html;
+      console.log('Articles appended (no placeholder found)');
+    }
+    
+    this.renderState.articlesRendered = true;
+  }
+  
+  /**
+   * Display analysis (definitions & arguments)
+   * Can be called repeatedly with a growing partial analysis while streaming
+   * @param {Object} analysis - Analysis with definitions and arguments
+   * @param {boolean} isComplete - Whether this is the final analysis (removes the loading placeholder)
+   */
+  displayAnalysis(analysis, isComplete = true) {
+    console.log(`displayAnalysis called (${isComplete ? 'complete' : 'partial'})`);
+    
+    let html = '';
     
     // Definitions
     if (analysis.definitions?.length > 0) {
       html += '<div class="analysis-section"><h4>📖 Key Terms</h4><dl class="definitions">';
       for (const def of analysis.definitions) {
-        html += `<dt>${this.escapeHtml(def.term)}</dt><dd>${this.escapeHtml(def.definition)}</dd>`;
+        html += this.renderDefinitionItem(def);
       }
       html += '</dl></div>';
     }
@@ -1513,7 +2363,7 @@ class DeepDiveAssistant {
     if (analysis.arguments?.main?.length > 0) {
       html += '<div class="analysis-section"><h4>✅ Main Arguments</h4><ul class="arguments">';
       for (const arg of analysis.arguments.main) {
-        html += `<li>${this.escapeHtml(arg)}</li>`;
+        html += this.renderArgumentItem(arg);
       }
       html += '</ul></div>';
     }
@@ -1522,23 +2372,426 @@ class DeepDiveAssistant {
     if (analysis.arguments?.counter?.length > 0) {
       html += '<div class="analysis-section"><h4>⚖️ Counter Arguments</h4><ul class="arguments counter">';
       for (const arg of analysis.arguments.counter) {
-        html += `<li>${this.escapeHtml(arg)}</li>`;
+        html += this.renderArgumentItem(arg);
       }
       html += '</ul></div>';
     }
     
-    // Replace placeholder with analysis content
+    html += this.renderInjectionWarning(analysis);
+    
+    // The backend flags output it could not fully validate instead of inventing content
+    if (analysis.degraded) {
+      html += '<p class="info-text">The analysis service returned output that could not be read. Please try again.</p>';
+    } else if (analysis.partial) {
+      html += '<p class="info-text">Some items were left out because the analysis output was incomplete.</p>';
+    }
+    
+    if (analysis.supportSummary?.dropped > 0) {
+      html += `<p class="info-text">${analysis.supportSummary.dropped} item(s) were left out because the article does not support them.</p>`;
+    }
+    
+    // Long articles may only be partially analyzed (section cap or failed sections)
+    if (analysis.coverage && !analysis.coverage.complete) {
+      const percent = Math.round(analysis.coverage.ratio * 100);
+      html += `<p class="info-text">Analysis covers ${percent}% of this article (${analysis.coverage.sectionsAnalyzed} of ${analysis.coverage.totalSections} sections).</p>`;
+    }
+    
+    // Render into a results container placed just before the loading placeholder
     const placeholder = document.getElementById('analysis-placeholder');
-    if (placeholder) {
-      placeholder.outerHTML = html;
-      console.log('Analysis placeholder replaced');
+    let container = document.getElementById('analysis-results');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'analysis-results';
+      if (placeholder) {
+        placeholder.before(container);
+      } else {
+        // Fallback: append if placeholder doesn't exist
+        this.output.appendChild(container);
+        console.log('Analysis appended (no placeholder found)');
+      }
+    }
+    container.innerHTML = html;
+    
+    if (isComplete) {
+      if (placeholder) {
+        placeholder.remove();
+        console.log('Analysis placeholder replaced');
+      }
+      this.renderState.analysisRendered = true;
+    }
+  }
+  
+  /**
+   * Render the Fact Check section with its start button
+   * Fact checking runs one web search per claim, so it only starts on request
+   * @returns {string} HTML string
+   */
+  renderFactCheckSection() {
+    return `
+      <div id="factcheck-section" class="analysis-section">
+        <h4>🔎 Fact Check</h4>
+        <div id="factcheck-results">
+          <p class="info-text">Check the article's key factual claims against web sources.</p>
+          <button type="button" id="factcheck-btn" class="btn btn-secondary">Check claims</button>
+        </div>
+      </div>
+    `;
+  }
+  
+  /**
+   * Handle clicks on the "Check claims" button (delegated from the output container)
+   * @param {MouseEvent} event
+   */
+  async handleFactCheckClick(event) {
+    const button = event.target.closest('#factcheck-btn');
+    if (!button || !this.articleText) return;
+    
+    const container = document.getElementById('factcheck-results');
+    container.innerHTML = `
+      <div class="loading-placeholder">
+        <div class="spinner-small"></div>
+        <p>Checking claims against web sources...</p>
+      </div>
+    `;
+    
+    try {
+      const result = await this.fetchFactCheck(this.articleText);
+      console.log(`Fact check completed: ${result.claims?.length || 0} claims`);
+      this.displayFactCheck(result);
+    } catch (error) {
+      console.warn('Fact check failed:', error.message);
+      const errorInfo = ErrorHandler.handle(error, 'factCheck');
+      container.innerHTML = `<p class="error-text">${this.escapeHtml(errorInfo.message)}</p>` +
+        '<button type="button" id="factcheck-btn" class="btn btn-secondary">Try again</button>';
+    }
+  }
+  
+  /**
+   * Display fact check verdicts
+   * @param {Object} result - { claims, degraded, truncated } from /factcheck
+   */
+  displayFactCheck(result) {
+    const container = document.getElementById('factcheck-results');
+    if (!container) return;
+    
+    const labels = {
+      supported: '✅ Supported',
+      disputed: '❌ Disputed',
+      unverifiable: '❔ Unverifiable'
+    };
+    
+    let html = '';
+    const claims = result.claims || [];
+    
+    if (claims.length === 0) {
+      html += '<p class="info-text">No checkable factual claims were found in this article.</p>';
     } else {
-      // Fallback: append if placeholder doesn't exist
-      this.output.innerHTML += html;
-      console.log('Analysis appended (no placeholder found)');
+      html += '<ul class="factcheck-claims">';
+      for (const claim of claims) {
+        const verdict = labels[claim.verdict] ? claim.verdict : 'unverifiable';
+        html += '<li>';
+        html += `<span class="verdict verdict-${verdict}">${labels[verdict]}</span> `;
+        html += `${this.escapeHtml(claim.claim)}${this.renderEvidenceButton(claim.evidence)}`;
+        if (claim.explanation) {
+          html += `<p class="verdict-explanation">${this.escapeHtml(claim.explanation)}</p>`;
+        }
+        if (claim.sources?.length > 0) {
+          html += '<ul class="related-articles">';
+          for (const source of claim.sources) {
+            html += this.renderArticleLink(source);
+          }
+          html += '</ul>';
+        }
+        html += '</li>';
+      }
+      html += '</ul>';
     }
     
-    this.renderState.analysisRendered = true;
+    if (result.truncated) {
+      html += '<p class="info-text">Only the beginning of this long article was checked.</p>';
+    }
+    
+    html += this.renderInjectionWarning(result);
+    
+    container.innerHTML = html;
+  }
+  
+  /**
+   * Render the follow-up chat panel
+   * @returns {string} HTML string
+   */
+  renderChatSection() {
+    return `
+      <div id="chat-section" class="analysis-section">
+        <h4>💬 Ask About This Article</h4>
+        <div id="chat-messages" class="chat-messages"></div>
+        <form id="chat-form" class="chat-form">
+          <input id="chat-input" type="text" maxlength="1000" placeholder="What does the author mean by...?" autocomplete="off">
+          <button type="submit" class="btn btn-primary">Ask</button>
+        </form>
+      </div>
+    `;
+  }
+  
+  /**
+   * Load the saved chat thread for the current article and render it
+   */
+  async loadChatThread() {
+    this.chatThread = [];
+    const key = this.cacheKeyBase && `${this.cacheKeyBase}:chat`;
+    if (key && await this.cache.isValid(key)) {
+      const cached = await this.cache.get(key);
+      this.chatThread = Array.isArray(cached?.value) ? cached.value : [];
+    }
+    this.renderChatMessages();
+  }
+  
+  /**
+   * Persist the chat thread for the current article
+   */
+  async saveChatThread() {
+    if (this.cacheKeyBase) {
+      await this.cache.set(`${this.cacheKeyBase}:chat`, this.chatThread, CHAT_TTL_MS);
+    }
+  }
+  
+  /**
+   * Render the chat thread into the chat panel
+   * @param {string} status - Optional HTML shown after the last message (pending or error state)
+   */
+  renderChatMessages(status = '') {
+    const container = document.getElementById('chat-messages');
+    if (!container) return;
+    
+    let html = '';
+    for (const turn of this.chatThread) {
+      html += `<div class="chat-message chat-${turn.role}">${this.escapeHtml(turn.content)}`;
+      if (turn.role === 'assistant' && turn.citations?.length > 0) {
+        html += this.renderEvidenceButton(turn.citations);
+      }
+      html += '</div>';
+    }
+    container.innerHTML = html + status;
+    container.scrollTop = container.scrollHeight;
+  }
+  
+  /**
+   * Handle submission of the chat form (delegated from the output container)
+   * @param {SubmitEvent} event
+   */
+  async handleChatSubmit(event) {
+    if (event.target.id !== 'chat-form') return;
+    event.preventDefault();
+    
+    const input = document.getElementById('chat-input');
+    const question = input.value.trim();
+    if (!question || !this.articleText || this.isAsking) return;
+    
+    this.isAsking = true;
+    const history = this.chatThread
+      .slice(-CHAT_HISTORY_TURNS)
+      .map(({ role, content }) => ({ role, content: content.substring(0, CHAT_TURN_CHARS) }));
+    this.chatThread.push({ role: 'user', content: question });
+    input.value = '';
+    this.renderChatMessages('<div class="chat-message chat-pending"><div class="spinner-small"></div></div>');
+    
+    try {
+      const result = await this.fetchAnswer(question, history);
+      this.chatThread.push({
+        role: 'assistant',
+        content: result.degraded ? 'Sorry, I could not answer that. Please try again.' : result.answer,
+        citations: result.citations || []
+      });
+      await this.saveChatThread();
+      this.renderChatMessages();
+    } catch (error) {
+      console.warn('Question failed:', error.message);
+      // Drop the unanswered question so the saved thread stays consistent
+      this.chatThread.pop();
+      input.value = question;
+      const errorInfo = ErrorHandler.handle(error, 'ask');
+      this.renderChatMessages(`<p class="error-text">${this.escapeHtml(errorInfo.message)}</p>`);
+    } finally {
+      this.isAsking = false;
+    }
+  }
+  
+  /**
+   * Show a picker of other open tabs to compare with the current one
+   */
+  async handleCompareClick() {
+    if (this.isProcessing) return;
+    ErrorHandler.clearError(this.error);
+    
+    const tabs = await chrome.tabs.query({ currentWindow: true });
+    const candidates = tabs.filter(tab => !tab.active && /^https?:/.test(tab.url || ''));
+    
+    let html = '<div class="result-header"><h3>⚖️ Compare Coverage</h3></div>';
+    html += '<div class="analysis-section">';
+    
+    if (candidates.length === 0) {
+      html += '<p class="info-text">Open other articles about the same story in this window to compare them with this page.</p>';
+      html += '</div>';
+      this.displayOutput(html);
+      return;
+    }
+    
+    html += `<p class="info-text">Pick up to ${COMPARE_MAX_OTHER_TABS} other tabs to compare with this page.</p>`;
+    html += '<ul class="tab-picker">';
+    for (const tab of candidates) {
+      html += `<li><label><input type="checkbox" class="compare-tab" value="${tab.id}"> ${this.escapeHtml(tab.title || tab.url)}</label></li>`;
+    }
+    html += '</ul>';
+    html += '<button type="button" id="compare-run-btn" class="btn btn-primary" disabled>Compare</button>';
+    html += '</div>';
+    this.displayOutput(html);
+    
+    const checkboxes = [...this.output.querySelectorAll('.compare-tab')];
+    const runButton = document.getElementById('compare-run-btn');
+    
+    // Keep the selection within the backend's article limit
+    const updateSelection = () => {
+      const selected = checkboxes.filter(box => box.checked).length;
+      runButton.disabled = selected === 0;
+      for (const box of checkboxes) {
+        box.disabled = !box.checked && selected >= COMPARE_MAX_OTHER_TABS;
+      }
+    };
+    checkboxes.forEach(box => box.addEventListener('change', updateSelection));
+    
+    runButton.addEventListener('click', () => {
+      const selectedIds = checkboxes.filter(box => box.checked).map(box => Number(box.value));
+      this.runComparison(candidates.filter(tab => selectedIds.includes(tab.id)));
+    });
+  }
+  
+  /**
+   * Extract text from the current and selected tabs and compare them
+   * @param {Array<chrome.tabs.Tab>} tabs - Other tabs picked by the user
+   */
+  async runComparison(tabs) {
+    this.showLoading('Comparing articles...');
+    
+    try {
+      const current = await this.getPageText();
+      this.articleText = current.text;
+      this.evidenceItems = [];
+      
+      // A tab without readable content is skipped rather than failing the comparison
+      const others = await Promise.allSettled(tabs.map(tab => this.getTabText(tab)));
+      const skipped = [];
+      const articles = [current];
+      others.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          articles.push(result.value);
+        } else {
+          console.warn(`Skipping tab ${tabs[index].id}:`, result.reason?.message);
+          skipped.push(tabs[index].title || tabs[index].url);
+        }
+      });
+      
+      if (articles.length < 2) {
+        const error = new Error('None of the selected tabs has readable article content. Try reloading them first.');
+        error.name = 'NoContentError';
+        throw error;
+      }
+      
+      const result = await this.fetchComparison(articles.map(article => ({
+        text: article.text,
+        url: article.url,
+        title: article.heading || article.title || ''
+      })));
+      console.log(`Comparison completed: ${result.sharedFacts?.length || 0} shared facts`);
+      
+      this.hideLoading();
+      this.displayComparison(result, skipped);
+    } catch (error) {
+      this.hideLoading();
+      console.warn('Comparison error:', error);
+      const errorInfo = ErrorHandler.handle(error, 'compare');
+      ErrorHandler.displayError(errorInfo.message, this.error, this.output, {
+        showRetry: errorInfo.recoverable,
+        onRetry: () => this.runComparison(tabs)
+      });
+    }
+  }
+  
+  /**
+   * Display a comparison result
+   * @param {Object} result - Response from /compare
+   * @param {string[]} skipped - Titles of tabs that could not be read
+   */
+  displayComparison(result, skipped = []) {
+    const sources = result.sources || [];
+    const label = index => `<span class="source-badge" title="${this.escapeAttribute(sources[index]?.title || '')}">${index === 0 ? 'This page' : `Source ${index + 1}`}</span>`;
+    
+    let html = '<div class="result-header"><h3>⚖️ Compare Coverage</h3></div>';
+    
+    html += '<div class="analysis-section"><h4>📰 Sources</h4><ol class="compare-sources">';
+    for (const source of sources) {
+      const title = this.escapeHtml(source.title || source.url);
+      const href = this.safeHref(source.url);
+      html += href
+        ? `<li><a href="${href}" target="_blank" rel="noopener noreferrer">${title}</a></li>`
+        : `<li>${title}</li>`;
+    }
+    html += '</ol></div>';
+    
+    if (result.sharedFacts?.length > 0) {
+      html += '<div class="analysis-section"><h4>🤝 Shared Facts</h4><ul class="arguments">';
+      for (const fact of result.sharedFacts) {
+        html += `<li>${this.escapeHtml(fact.text)} ${fact.sources.map(label).join(' ')}</li>`;
+      }
+      html += '</ul></div>';
+    }
+    
+    if (result.disagreements?.length > 0) {
+      html += '<div class="analysis-section"><h4>⚔️ Disagreements</h4>';
+      for (const item of result.disagreements) {
+        html += `<p class="compare-topic">${this.escapeHtml(item.topic)}</p><ul class="compare-positions">`;
+        for (const position of item.positions) {
+          html += `<li>${label(position.source)} ${this.escapeHtml(position.position)}</li>`;
+        }
+        html += '</ul>';
+      }
+      html += '</div>';
+    }
+    
+    if (result.framing?.length > 0) {
+      html += '<div class="analysis-section"><h4>🖼️ Framing</h4><ul class="compare-positions">';
+      for (const item of result.framing) {
+        html += `<li>${label(item.source)} ${this.escapeHtml(item.description)}</li>`;
+      }
+      html += '</ul></div>';
+    }
+    
+    if (result.uniqueClaims?.length > 0) {
+      html += '<div class="analysis-section"><h4>🔍 Unique Claims</h4><ul class="compare-positions">';
+      for (const claim of result.uniqueClaims) {
+        // Evidence can only be highlighted in the current tab
+        const evidence = claim.source === 0 ? this.renderEvidenceButton(claim.evidence) : '';
+        html += `<li>${label(claim.source)} ${this.escapeHtml(claim.text)}${evidence}</li>`;
+      }
+      html += '</ul></div>';
+    }
+    
+    html += this.renderInjectionWarning(result);
+    
+    if (result.degraded) {
+      html += '<p class="info-text">The comparison service returned output that could not be read. Please try again.</p>';
+    } else if (result.partial) {
+      html += '<p class="info-text">Some items were left out because the comparison output was incomplete.</p>';
+    }
+    
+    if (sources.some(source => source.truncated)) {
+      html += '<p class="info-text">Long articles were shortened for the comparison.</p>';
+    }
+    
+    if (skipped.length > 0) {
+      html += `<p class="info-text">Skipped tabs without readable content: ${skipped.map(title => this.escapeHtml(title)).join(', ')}</p>`;
+    }
+    
+    this.displayOutput(html);
   }
   
   /**
@@ -1569,7 +2822,7 @@ class DeepDiveAssistant {
       html += '<ul class="related-articles">';
       
       for (const article of analysis.relatedArticles) {
-        html += `<li><a href="${this.escapeHtml(article.url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(article.title)}</a></li>`;
+        html += this.renderArticleLink(article);
       }
       
       html += '</ul></div>';
@@ -1607,8 +2860,7 @@ class DeepDiveAssistant {
       additionalHtml += '<dl class="definitions">';
       
       for (const def of definitions) {
-        additionalHtml += `<dt>${this.escapeHtml(def.term)}</dt>`;
-        additionalHtml += `<dd>${this.escapeHtml(def.definition)}</dd>`;
+        additionalHtml += this.renderDefinitionItem(def);
       }
       
       additionalHtml += '</dl></div>';
@@ -1621,7 +2873,7 @@ class DeepDiveAssistant {
       additionalHtml += '<ul class="arguments">';
       
       for (const arg of args.main) {
-        additionalHtml += `<li>${this.escapeHtml(arg)}</li>`;
+        additionalHtml += this.renderArgumentItem(arg);
       }
       
       additionalHtml += '</ul></div>';
@@ -1634,7 +2886,7 @@ class DeepDiveAssistant {
       additionalHtml += '<ul class="arguments counter">';
       
       for (const arg of args.counter) {
-        additionalHtml += `<li>${this.escapeHtml(arg)}</li>`;
+        additionalHtml += this.renderArgumentItem(arg);
       }
       
       additionalHtml += '</ul></div>';